@@ -1,10 +1,15 @@
+const { prisma } = require('../db');
 const { verifyToken } = require('../utils/auth');
+const { checkDeviceSession } = require('../utils/tokens');
+const { isTwoFactorRequired } = require('../utils/twoFactor');
+const { authenticateApiKey, hasScope, getScopes } = require('../utils/apiKeys');
 
 /**
  * Middleware to verify JWT token from Authorization header
+ * Tokens whose device session was signed out are rejected
  * Expects: Authorization: Bearer <token>
  */
-function authMiddleware(req, res, next) {
+async function authMiddleware(req, res, next) {
   try {
     const authHeader = req.headers.authorization;
 
@@ -26,13 +31,21 @@ function authMiddleware(req, res, next) {
     const token = parts[1];
     const decoded = verifyToken(token, process.env.JWT_SECRET);
 
-    if (!decoded) {
+    // Purpose-bound tokens (e.g. the two-factor login challenge) are not access tokens
+    if (!decoded || decoded.purpose) {
       return res.status(401).json({
         success: false,
         message: 'Invalid or expired token',
       });
     }
 
+    if (decoded.sid && !await checkDeviceSession(decoded.sid)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has been signed out',
+      });
+    }
+
     // Attach user info to request
     req.user = decoded;
     next();
@@ -45,4 +58,144 @@ function authMiddleware(req, res, next) {
   }
 }
 
-module.exports = { authMiddleware };
+/**
+ * Middleware factory restricting a route to one or more roles
+ * Must run after authMiddleware. The role is read from the database so a role
+ * change takes effect immediately. Loads the matching profile as req.student or
+ * req.profesor, and refuses state-changing requests from unverified accounts and
+ * from accounts that have not enrolled in two-factor when their role requires it.
+ * Usage: router.post('/path', authMiddleware, requireRole('profesor'), handler)
+ * @param {...string} roles - Allowed roles (student, profesor, admin, secretariat)
+ * @returns {Function} - Express middleware
+ */
+function requireRole(...roles) {
+  return async (req, res, next) => {
+    try {
+      const user = await prisma.user.findUnique({
+        where: { id: req.user.userId },
+        include: { student: true, profesor: true },
+      });
+
+      if (!user) {
+        return res.status(401).json({
+          success: false,
+          message: 'User no longer exists',
+        });
+      }
+
+      if (!roles.includes(user.role)) {
+        return res.status(403).json({
+          success: false,
+          message: `This action requires ${roles.join(' or ')} role`,
+        });
+      }
+
+      if (user.role === 'student') {
+        if (!user.student) {
+          return res.status(404).json({
+            success: false,
+            message: 'Student profile not found',
+          });
+        }
+        req.student = user.student;
+      }
+
+      if (user.role === 'profesor') {
+        if (!user.profesor) {
+          return res.status(404).json({
+            success: false,
+            message: 'Profesor profile not found',
+          });
+        }
+        req.profesor = user.profesor;
+      }
+
+      // Unverified accounts may browse but not submit or change anything
+      if (req.method !== 'GET' && !user.emailVerifiedAt) {
+        return res.status(403).json({
+          success: false,
+          message: 'Please verify your email address before performing this action',
+        });
+      }
+
+      // Roles with mandatory two-factor must enroll before changing anything
+      if (req.method !== 'GET' && !user.totpEnabledAt && await isTwoFactorRequired(user.role)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Two-factor authentication is required for your role. Enable it in your security settings before performing this action',
+        });
+      }
+
+      req.user.role = user.role;
+      next();
+    } catch (error) {
+      console.error('Role validation error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+      });
+    }
+  };
+}
+
+/**
+ * Middleware factory authenticating integrations with an API key instead of a user JWT
+ * API keys are read-only: only GET requests are accepted
+ * Expects: X-API-Key: <key>
+ * Usage: router.get('/path', apiKeyMiddleware('assignments:read'), handler)
+ * @param {string} scope - Scope the key must grant
+ * @returns {Function} - Express middleware
+ */
+function apiKeyMiddleware(scope) {
+  return async (req, res, next) => {
+    try {
+      const key = req.get('x-api-key');
+
+      if (!key) {
+        return res.status(401).json({
+          success: false,
+          message: 'No API key provided. Use: X-API-Key <key>',
+        });
+      }
+
+      const apiKey = await authenticateApiKey(key, req.ip || null);
+
+      if (!apiKey) {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid, expired or revoked API key',
+        });
+      }
+
+      if (req.method !== 'GET') {
+        return res.status(403).json({
+          success: false,
+          message: 'API keys only grant read access',
+        });
+      }
+
+      if (!hasScope(apiKey, scope)) {
+        return res.status(403).json({
+          success: false,
+          message: `This API key does not grant the ${scope} scope`,
+        });
+      }
+
+      // Attach key info to request (there is no req.user for integrations)
+      req.apiKey = {
+        id: apiKey.id,
+        name: apiKey.name,
+        scopes: getScopes(apiKey),
+      };
+      next();
+    } catch (error) {
+      console.error('API key middleware error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+      });
+    }
+  };
+}
+
+module.exports = { authMiddleware, requireRole, apiKeyMiddleware };
@@ -30,6 +30,7 @@ async function main() {
         email: 'profesor@example.com',
         passwordHash: hashPassword('profesor123'),
         role: 'profesor',
+        emailVerifiedAt: new Date(),
       },
     });
 
@@ -52,6 +53,7 @@ async function main() {
         email: 'student1@example.com',
         passwordHash: hashPassword('student123'),
         role: 'student',
+        emailVerifiedAt: new Date(),
       },
     });
 
@@ -72,6 +74,7 @@ async function main() {
         email: 'student2@example.com',
         passwordHash: hashPassword('student456'),
         role: 'student',
+        emailVerifiedAt: new Date(),
       },
     });
 
@@ -102,6 +105,9 @@ async function main() {
         sesiuneId: sesiune.id,
         profesorId: profesor.id,
         status: 'pending',
+        istoric: {
+          create: { statusNou: 'pending' },
+        },
       },
     });
 
@@ -111,6 +117,9 @@ async function main() {
         sesiuneId: sesiune.id,
         profesorId: profesor.id,
         status: 'pending',
+        istoric: {
+          create: { statusNou: 'pending' },
+        },
       },
     });
 
@@ -0,0 +1,1089 @@
+const express = require('express');
+const { prisma } = require('../db');
+const { authMiddleware, requireRole } = require('../middleware/auth');
+const { hashToken, generateOpaqueToken } = require('../utils/tokens');
+const { sendMail, buildFrontendLink } = require('../utils/mailer');
+const { unlockAccount } = require('../utils/loginThrottle');
+const { TWO_FACTOR_ROLES } = require('../utils/twoFactor');
+const {
+  API_KEY_SCOPES,
+  normalizeScopes,
+  getScopes,
+  generateApiKey,
+  getApiKeyStatus,
+} = require('../utils/apiKeys');
+const { previewAllocation, commitAllocation } = require('../utils/allocation');
+const { promoteFromWaitlist, promoteWaitingSessions } = require('../utils/waitlist');
+const { getProfessorCapacities } = require('../utils/capacity');
+const { decideAppeal, notifyAppealDecision, formatAppeal } = require('../utils/appeals');
+
+const router = express.Router();
+
+const DEFAULT_INVITATION_EXPIRE_DAYS = 14;
+
+/**
+ * Derive the current state of an invitation
+ * @param {Object} invitation - ProfesorInvitation record
+ * @returns {string} - used, revoked, expired or active
+ */
+function getInvitationStatus(invitation) {
+  if (invitation.usedAt) return 'used';
+  if (invitation.revokedAt) return 'revoked';
+  if (invitation.expiresAt < new Date()) return 'expired';
+  return 'active';
+}
+
+/**
+ * Format an invitation for API responses (the code itself is never returned after creation)
+ * @param {Object} invitation - ProfesorInvitation record
+ * @returns {Object}
+ */
+function formatInvitation(invitation) {
+  return {
+    id: invitation.id,
+    email: invitation.email,
+    limitaStudenti: invitation.limitaStudenti,
+    status: getInvitationStatus(invitation),
+    expiresAt: invitation.expiresAt,
+    usedAt: invitation.usedAt,
+    usedById: invitation.usedById,
+    revokedAt: invitation.revokedAt,
+    createdById: invitation.createdById,
+    createdAt: invitation.createdAt,
+  };
+}
+
+/**
+ * Format an API key for API responses (the key itself is never returned after creation)
+ * @param {Object} apiKey - ApiKey record
+ * @returns {Object}
+ */
+function formatApiKey(apiKey) {
+  return {
+    id: apiKey.id,
+    name: apiKey.name,
+    keyPrefix: apiKey.keyPrefix,
+    scopes: getScopes(apiKey),
+    status: getApiKeyStatus(apiKey),
+    expiresAt: apiKey.expiresAt,
+    lastUsedAt: apiKey.lastUsedAt,
+    lastUsedIp: apiKey.lastUsedIp,
+    revokedAt: apiKey.revokedAt,
+    createdById: apiKey.createdById,
+    createdAt: apiKey.createdAt,
+  };
+}
+
+/**
+ * POST /api/admin/invitations
+ * Issue a professor invitation code bound to an email address
+ * The code is returned once and emailed to the invitee
+ */
+router.post('/invitations', authMiddleware, requireRole('admin', 'secretariat'), async (req, res) => {
+  try {
+    const { email, limitaStudenti, expiresInDays } = req.body;
+
+    // Validation
+    if (!email || limitaStudenti === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required fields: email, limitaStudenti',
+      });
+    }
+
+    const limit = parseInt(limitaStudenti);
+    if (isNaN(limit) || limit < 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'Student limit must be at least 1',
+      });
+    }
+
+    const days = expiresInDays === undefined ? DEFAULT_INVITATION_EXPIRE_DAYS : parseInt(expiresInDays);
+    if (isNaN(days) || days < 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'expiresInDays must be at least 1',
+      });
+    }
+
+    const existingUser = await prisma.user.findUnique({
+      where: { email },
+    });
+
+    if (existingUser) {
+      return res.status(409).json({
+        success: false,
+        message: 'Email already registered',
+      });
+    }
+
+    const code = generateOpaqueToken(16);
+    const expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+
+    const invitation = await prisma.profesorInvitation.create({
+      data: {
+        codeHash: hashToken(code),
+        email,
+        limitaStudenti: limit,
+        expiresAt,
+        createdById: req.user.userId,
+      },
+    });
+
+    const registerLink = buildFrontendLink('/register', { invitation: code, email });
+
+    try {
+      await sendMail({
+        to: email,
+        subject: 'eDissertation - Professor account invitation',
+        text: [
+          'You have been invited to join eDissertation as a professor.',
+          '',
+          `Create your account using the following link (valid until ${expiresAt.toISOString().slice(0, 10)}):`,
+          registerLink,
+          '',
+          `Invitation code: ${code}`,
+        ].join('\n'),
+      });
+    } catch (mailError) {
+      console.error('Invitation email error:', mailError);
+    }
+
+    return res.status(201).json({
+      success: true,
+      message: 'Invitation created successfully',
+      data: {
+        ...formatInvitation(invitation),
+        code,
+        registerLink,
+      },
+    });
+  } catch (error) {
+    console.error('Invitation creation error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/admin/invitations
+ * List professor invitations, newest first
+ */
+router.get('/invitations', authMiddleware, requireRole('admin', 'secretariat'), async (req, res) => {
+  try {
+    const invitations = await prisma.profesorInvitation.findMany({
+      orderBy: {
+        createdAt: 'desc',
+      },
+    });
+
+    const formattedInvitations = invitations.map(formatInvitation);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Invitations retrieved successfully',
+      data: formattedInvitations,
+      pagination: {
+        total: formattedInvitations.length,
+        active: formattedInvitations.filter((i) => i.status === 'active').length,
+      },
+    });
+  } catch (error) {
+    console.error('Invitation retrieval error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * DELETE /api/admin/invitations/:id
+ * Revoke an unused invitation
+ */
+router.delete('/invitations/:id', authMiddleware, requireRole('admin', 'secretariat'), async (req, res) => {
+  try {
+    const invitationId = parseInt(req.params.id);
+    if (isNaN(invitationId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid invitation ID',
+      });
+    }
+
+    const invitation = await prisma.profesorInvitation.findUnique({
+      where: { id: invitationId },
+    });
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found',
+      });
+    }
+
+    if (invitation.usedAt) {
+      return res.status(409).json({
+        success: false,
+        message: 'Invitation has already been used',
+      });
+    }
+
+    const revoked = await prisma.profesorInvitation.update({
+      where: { id: invitationId },
+      data: { revokedAt: invitation.revokedAt || new Date() },
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Invitation revoked successfully',
+      data: formatInvitation(revoked),
+    });
+  } catch (error) {
+    console.error('Invitation revocation error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/admin/locked-accounts
+ * List accounts currently locked after failed login attempts
+ */
+router.get('/locked-accounts', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    const users = await prisma.user.findMany({
+      where: {
+        lockedUntil: { gt: new Date() },
+      },
+      select: {
+        id: true,
+        email: true,
+        role: true,
+        failedLoginAttempts: true,
+        lockedUntil: true,
+      },
+      orderBy: {
+        lockedUntil: 'desc',
+      },
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Locked accounts retrieved successfully',
+      data: users,
+      pagination: {
+        total: users.length,
+      },
+    });
+  } catch (error) {
+    console.error('Locked accounts retrieval error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/admin/users/:id/unlock
+ * Lift a login lockout before it expires
+ */
+router.post('/users/:id/unlock', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+    if (isNaN(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID',
+      });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    await unlockAccount(userId);
+
+    console.log(`Account ${userId} unlocked by admin ${req.user.userId}`);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Account unlocked successfully',
+      data: {
+        id: user.id,
+        email: user.email,
+      },
+    });
+  } catch (error) {
+    console.error('Account unlock error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/admin/two-factor-policy
+ * Whether two-factor authentication is mandatory, per eligible role
+ */
+router.get('/two-factor-policy', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    const policies = await prisma.twoFactorPolicy.findMany();
+
+    const data = TWO_FACTOR_ROLES.map((role) => {
+      const policy = policies.find((p) => p.role === role);
+      return {
+        role,
+        required: Boolean(policy && policy.required),
+        updatedAt: policy ? policy.updatedAt : null,
+      };
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Two-factor policy retrieved successfully',
+      data,
+    });
+  } catch (error) {
+    console.error('Two-factor policy retrieval error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * PUT /api/admin/two-factor-policy
+ * Make two-factor authentication mandatory (or optional) for a role
+ * Users of that role without two-factor can still sign in but cannot change anything until they enroll
+ */
+router.put('/two-factor-policy', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    const { role, required } = req.body;
+
+    if (!TWO_FACTOR_ROLES.includes(role) || typeof required !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: `Provide role (${TWO_FACTOR_ROLES.join(', ')}) and required (boolean)`,
+      });
+    }
+
+    const policy = await prisma.twoFactorPolicy.upsert({
+      where: { role },
+      create: { role, required },
+      update: { required },
+    });
+
+    console.log(`Two-factor ${required ? 'required' : 'optional'} for role ${role} (admin ${req.user.userId})`);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Two-factor policy updated successfully',
+      data: {
+        role: policy.role,
+        required: policy.required,
+        updatedAt: policy.updatedAt,
+      },
+    });
+  } catch (error) {
+    console.error('Two-factor policy update error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/admin/api-keys/scopes
+ * Scopes that can be granted to API keys
+ */
+router.get('/api-keys/scopes', authMiddleware, requireRole('admin'), (req, res) => {
+  return res.status(200).json({
+    success: true,
+    message: 'API key scopes retrieved successfully',
+    data: Object.entries(API_KEY_SCOPES).map(([scope, description]) => ({ scope, description })),
+  });
+});
+
+/**
+ * POST /api/admin/api-keys
+ * Create a named, scoped API key for an integration
+ * The key is returned once; only its hash is stored
+ */
+router.post('/api-keys', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    const { name, scopes, expiresInDays } = req.body;
+
+    // Validation
+    if (!name || typeof name !== 'string' || !name.trim() || scopes === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required fields: name, scopes',
+      });
+    }
+
+    if (name.trim().length > 100) {
+      return res.status(400).json({
+        success: false,
+        message: 'Name must be at most 100 characters long',
+      });
+    }
+
+    const normalizedScopes = normalizeScopes(scopes);
+    if (!normalizedScopes) {
+      return res.status(400).json({
+        success: false,
+        message: `scopes must be a non-empty list of: ${Object.keys(API_KEY_SCOPES).join(', ')}`,
+      });
+    }
+
+    // Keys without expiresInDays never expire
+    let expiresAt = null;
+    if (expiresInDays !== undefined && expiresInDays !== null && expiresInDays !== '') {
+      const days = parseInt(expiresInDays);
+      if (isNaN(days) || days < 1) {
+        return res.status(400).json({
+          success: false,
+          message: 'expiresInDays must be at least 1',
+        });
+      }
+      expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+    }
+
+    const { key, keyPrefix, keyHash } = generateApiKey();
+
+    const apiKey = await prisma.apiKey.create({
+      data: {
+        name: name.trim(),
+        keyPrefix,
+        keyHash,
+        scopes: normalizedScopes.join(','),
+        expiresAt,
+        createdById: req.user.userId,
+      },
+    });
+
+    console.log(`API key ${apiKey.id} (${apiKey.name}) created by admin ${req.user.userId}`);
+
+    return res.status(201).json({
+      success: true,
+      message: 'API key created successfully. Copy it now, it will not be shown again',
+      data: {
+        ...formatApiKey(apiKey),
+        key,
+      },
+    });
+  } catch (error) {
+    console.error('API key creation error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/admin/api-keys
+ * List API keys, newest first
+ */
+router.get('/api-keys', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    const apiKeys = await prisma.apiKey.findMany({
+      orderBy: {
+        createdAt: 'desc',
+      },
+    });
+
+    const formattedApiKeys = apiKeys.map(formatApiKey);
+
+    return res.status(200).json({
+      success: true,
+      message: 'API keys retrieved successfully',
+      data: formattedApiKeys,
+      pagination: {
+        total: formattedApiKeys.length,
+        active: formattedApiKeys.filter((k) => k.status === 'active').length,
+      },
+    });
+  } catch (error) {
+    console.error('API key retrieval error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * DELETE /api/admin/api-keys/:id
+ * Revoke an API key; requests using it are rejected immediately
+ */
+router.delete('/api-keys/:id', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    const apiKeyId = parseInt(req.params.id);
+    if (isNaN(apiKeyId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid API key ID',
+      });
+    }
+
+    const apiKey = await prisma.apiKey.findUnique({
+      where: { id: apiKeyId },
+    });
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found',
+      });
+    }
+
+    const revoked = await prisma.apiKey.update({
+      where: { id: apiKeyId },
+      data: { revokedAt: apiKey.revokedAt || new Date() },
+    });
+
+    console.log(`API key ${apiKeyId} revoked by admin ${req.user.userId}`);
+
+    return res.status(200).json({
+      success: true,
+      message: 'API key revoked successfully',
+      data: formatApiKey(revoked),
+    });
+  } catch (error) {
+    console.error('API key revocation error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Format an allocation run for API responses
+ * @param {Object} run - RulareAlocare record
+ * @param {boolean} withResult - Include the full matching
+ * @returns {Object}
+ */
+function formatAllocationRun(run, withResult = true) {
+  return {
+    id: run.id,
+    status: run.committedAt ? 'committed' : 'preview',
+    assignedCount: run.rezultat.assignments.length,
+    unmatchedCount: run.rezultat.unmatched.length,
+    ...(withResult && { result: run.rezultat }),
+    createdById: run.createdById,
+    committedAt: run.committedAt,
+    createdAt: run.createdAt,
+  };
+}
+
+/**
+ * GET /api/admin/professors
+ * List professors with their seats across all of their sessions (limitaStudenti 0: no overall limit)
+ */
+router.get('/professors', authMiddleware, requireRole('admin', 'secretariat'), async (req, res) => {
+  try {
+    const professors = await prisma.profesor.findMany({
+      include: {
+        user: { select: { email: true } },
+      },
+      orderBy: [{ nume: 'asc' }, { prenume: 'asc' }],
+    });
+
+    const capacities = await getProfessorCapacities(professors.map((profesor) => profesor.id));
+
+    const formattedProfessors = professors.map((profesor) => ({
+      id: profesor.id,
+      nume: profesor.nume,
+      prenume: profesor.prenume,
+      email: profesor.user.email,
+      ...capacities[profesor.id],
+    }));
+
+    return res.status(200).json({
+      success: true,
+      message: 'Professors retrieved successfully',
+      data: formattedProfessors,
+      pagination: {
+        total: formattedProfessors.length,
+      },
+    });
+  } catch (error) {
+    console.error('Professor retrieval error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * PUT /api/admin/professors/:id/limit
+ * Set a professor's student limit across all of their sessions (0: no overall limit)
+ * Lowering it below the enrolled students keeps them; only new approvals are refused
+ */
+router.put('/professors/:id/limit', authMiddleware, requireRole('admin', 'secretariat'), async (req, res) => {
+  try {
+    const { limitaStudenti } = req.body;
+
+    const profesorId = parseInt(req.params.id);
+    if (isNaN(profesorId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid professor ID',
+      });
+    }
+
+    // Validation
+    const limit = typeof limitaStudenti === 'number' || (typeof limitaStudenti === 'string' && limitaStudenti.trim())
+      ? Number(limitaStudenti)
+      : NaN;
+    if (!Number.isInteger(limit) || limit < 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Student limit (limitaStudenti) must be a whole number, 0 for no overall limit',
+      });
+    }
+
+    const profesor = await prisma.profesor.findUnique({
+      where: { id: profesorId },
+    });
+
+    if (!profesor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Professor not found',
+      });
+    }
+
+    await prisma.profesor.update({
+      where: { id: profesorId },
+      data: { limitaStudenti: limit },
+    });
+
+    // A raised limit can free seats for students waiting in the professor's sessions
+    await promoteWaitingSessions({ profesorId });
+
+    const capacity = (await getProfessorCapacities([profesorId]))[profesorId];
+
+    return res.status(200).json({
+      success: true,
+      message: 'Student limit updated successfully',
+      data: {
+        id: profesorId,
+        ...capacity,
+      },
+    });
+  } catch (error) {
+    console.error('Student limit update error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/admin/students
+ * List students with their grade average (used by grade-ranked matching sessions)
+ */
+router.get('/students', authMiddleware, requireRole('admin', 'secretariat'), async (req, res) => {
+  try {
+    const students = await prisma.student.findMany({
+      include: {
+        user: { select: { email: true } },
+      },
+      orderBy: [{ nume: 'asc' }, { prenume: 'asc' }],
+    });
+
+    const formattedStudents = students.map((student) => ({
+      id: student.id,
+      nume: student.nume,
+      prenume: student.prenume,
+      email: student.user.email,
+      medie: student.medie === null ? null : Number(student.medie),
+    }));
+
+    return res.status(200).json({
+      success: true,
+      message: 'Students retrieved successfully',
+      data: formattedStudents,
+      pagination: {
+        total: formattedStudents.length,
+      },
+    });
+  } catch (error) {
+    console.error('Student retrieval error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * PUT /api/admin/students/:id/grade
+ * Set or clear a student's grade average (1-10, two decimals)
+ */
+router.put('/students/:id/grade', authMiddleware, requireRole('admin', 'secretariat'), async (req, res) => {
+  try {
+    const { medie } = req.body;
+
+    const studentId = parseInt(req.params.id);
+    if (isNaN(studentId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid student ID',
+      });
+    }
+
+    // Validation
+    const grade = medie === null || medie === '' ? null : Number(medie);
+    if (grade !== null && (isNaN(grade) || grade < 1 || grade > 10)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Grade average (medie) must be between 1 and 10, or null',
+      });
+    }
+
+    const student = await prisma.student.findUnique({
+      where: { id: studentId },
+    });
+
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student not found',
+      });
+    }
+
+    const updated = await prisma.student.update({
+      where: { id: studentId },
+      data: { medie: grade === null ? null : Math.round(grade * 100) / 100 },
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Grade updated successfully',
+      data: {
+        id: updated.id,
+        medie: updated.medie === null ? null : Number(updated.medie),
+      },
+    });
+  } catch (error) {
+    console.error('Grade update error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/admin/allocation/preview
+ * Dry run: compute the stable matching for all matching-mode sessions without changing applications
+ * The result is stored as a run that can be committed while its input is unchanged
+ */
+router.post('/allocation/preview', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    const run = await previewAllocation(req.user.userId);
+
+    console.log(`Allocation run ${run.id} previewed by admin ${req.user.userId}`);
+
+    return res.status(201).json({
+      success: true,
+      message: 'Allocation preview computed. Nothing was changed yet',
+      data: formatAllocationRun(run),
+    });
+  } catch (error) {
+    console.error('Allocation preview error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/admin/allocation/runs
+ * List allocation runs, newest first (without the full matching)
+ */
+router.get('/allocation/runs', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    const runs = await prisma.rulareAlocare.findMany({
+      orderBy: { createdAt: 'desc' },
+      take: 50,
+    });
+
+    const formattedRuns = runs.map((run) => formatAllocationRun(run, false));
+
+    return res.status(200).json({
+      success: true,
+      message: 'Allocation runs retrieved successfully',
+      data: formattedRuns,
+      pagination: {
+        total: formattedRuns.length,
+      },
+    });
+  } catch (error) {
+    console.error('Allocation run retrieval error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/admin/allocation/runs/:id
+ * Get an allocation run with its full matching
+ */
+router.get('/allocation/runs/:id', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    const runId = parseInt(req.params.id);
+    if (isNaN(runId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid allocation run ID',
+      });
+    }
+
+    const run = await prisma.rulareAlocare.findUnique({
+      where: { id: runId },
+    });
+
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        message: 'Allocation run not found',
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Allocation run retrieved successfully',
+      data: formatAllocationRun(run),
+    });
+  } catch (error) {
+    console.error('Allocation run retrieval error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/admin/allocation/runs/:id/commit
+ * Apply a previewed run: approve assigned applications, reject the others
+ * Refused if applications, rankings, grades or places changed since the preview
+ */
+router.post('/allocation/runs/:id/commit', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    const runId = parseInt(req.params.id);
+    if (isNaN(runId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid allocation run ID',
+      });
+    }
+
+    const { run, affectedSessionIds, status, error } = await commitAllocation(runId, req.user.userId);
+
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    // Auto-rejections in manual sessions free places for their waitlists
+    for (const sessionId of affectedSessionIds) {
+      await promoteFromWaitlist(sessionId);
+    }
+
+    console.log(`Allocation run ${run.id} committed by admin ${req.user.userId}`);
+
+    return res.status(200).json({
+      success: true,
+      message: `Allocation committed: ${run.rezultat.assignments.length} students assigned`,
+      data: formatAllocationRun(run),
+    });
+  } catch (error) {
+    console.error('Allocation commit error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+// Shortest reason accepted when deciding an appeal
+const APPEAL_DECISION_MIN_LENGTH = 10;
+
+/**
+ * GET /api/admin/appeals
+ * List appeals with their application, open ones first by default
+ * Query: status=open|decided (default: open)
+ */
+router.get('/appeals', authMiddleware, requireRole('admin', 'secretariat'), async (req, res) => {
+  try {
+    const { status = 'open' } = req.query;
+
+    if (!['open', 'decided'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'status must be open or decided',
+      });
+    }
+
+    const appeals = await prisma.contestatieCerere.findMany({
+      where: { rezultat: status === 'open' ? null : { not: null } },
+      include: {
+        cerere: {
+          include: {
+            student: { select: { id: true, nume: true, prenume: true } },
+            profesor: { select: { id: true, nume: true, prenume: true } },
+            tema: { select: { id: true, titlu: true } },
+          },
+        },
+        decident: { select: { id: true, email: true, role: true } },
+      },
+      orderBy: status === 'open' ? { createdAt: 'asc' } : { decisLa: 'desc' },
+      take: 100,
+    });
+
+    const formattedAppeals = appeals.map((appeal) => ({
+      ...formatAppeal(appeal),
+      decident: appeal.decident,
+      application: {
+        id: appeal.cerere.id,
+        status: appeal.cerere.status,
+        titluPropus: appeal.cerere.titluPropus,
+        sesiuneId: appeal.cerere.sesiuneId,
+        tema: appeal.cerere.tema,
+        student: appeal.cerere.student,
+        profesor: appeal.cerere.profesor,
+      },
+    }));
+
+    return res.status(200).json({
+      success: true,
+      message: 'Appeals retrieved successfully',
+      data: formattedAppeals,
+      pagination: {
+        total: formattedAppeals.length,
+      },
+    });
+  } catch (error) {
+    console.error('Appeal retrieval error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * PATCH /api/admin/appeals/:id/decide
+ * Uphold or overturn the rejection under appeal; the student and the professor are emailed the outcome
+ * Body: { overturn: boolean, motiv: string }
+ */
+router.patch('/appeals/:id/decide', authMiddleware, requireRole('admin', 'secretariat'), async (req, res) => {
+  try {
+    const appealId = parseInt(req.params.id);
+    if (isNaN(appealId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid appeal ID',
+      });
+    }
+
+    const { overturn } = req.body;
+    const motiv = typeof req.body.motiv === 'string' ? req.body.motiv.trim() : '';
+
+    if (typeof overturn !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'overturn must be true or false',
+      });
+    }
+
+    if (motiv.length < APPEAL_DECISION_MIN_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `Reason must be at least ${APPEAL_DECISION_MIN_LENGTH} characters long`,
+      });
+    }
+
+    const { appeal, affectedSessionIds, status, error } = await decideAppeal(appealId, overturn, motiv, req.user.userId);
+
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    // Auto-rejections caused by an overturned appeal free places for their waitlists
+    for (const sessionId of affectedSessionIds) {
+      await promoteFromWaitlist(sessionId);
+    }
+
+    await notifyAppealDecision(appeal.id);
+
+    console.log(`Appeal ${appeal.id} ${appeal.rezultat} by user ${req.user.userId}`);
+
+    return res.status(200).json({
+      success: true,
+      message: overturn ? 'Rejection overturned: the application is now approved' : 'Rejection upheld',
+      data: formatAppeal(appeal),
+    });
+  } catch (error) {
+    console.error('Appeal decision error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -3,7 +3,33 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const { prisma } = require('../db');
-const { authMiddleware } = require('../middleware/auth');
+const { authMiddleware, requireRole } = require('../middleware/auth');
+const { promoteFromWaitlist } = require('../utils/waitlist');
+const { withCapacityLock } = require('../utils/capacityLock');
+const { getSeatBlocker } = require('../utils/capacity');
+const {
+  coSupervisorInclude,
+  formatCoSupervisor,
+  inviteCoSupervisor,
+  respondToInvitation,
+  notifyCoSupervision,
+  canAccessApplication,
+  getAcceptedCoSupervisors,
+} = require('../utils/coSupervisors');
+const { recordStatusChange, recordStatusChanges, getApplicationHistory } = require('../utils/applicationHistory');
+const {
+  validateMessageInput,
+  getMessages,
+  postMessage,
+  countUnreadMessages,
+} = require('../utils/applicationMessages');
+const {
+  APPLICATION_STATUSES,
+  checkTransition,
+  targetStatus,
+  transitionWhere,
+  isEnrolled,
+} = require('../utils/applicationStateMachine');
 
 const router = express.Router();
 
@@ -30,46 +56,11 @@ const upload = multer({
   },
 });
 
-/**
- * Middleware to verify user is a professor
- */
-async function profesorOnly(req, res, next) {
-  try {
-    if (req.user.role !== 'profesor') {
-      return res.status(403).json({
-        success: false,
-        message: 'This action requires profesor role',
-      });
-    }
-
-    // Get profesor record
-    const profesor = await prisma.profesor.findUnique({
-      where: { userId: req.user.userId },
-    });
-
-    if (!profesor) {
-      return res.status(404).json({
-        success: false,
-        message: 'Profesor profile not found',
-      });
-    }
-
-    req.profesor = profesor;
-    next();
-  } catch (error) {
-    console.error('Profesor validation error:', error);
-    return res.status(500).json({
-      success: false,
-      message: 'Internal server error',
-    });
-  }
-}
-
 /**
  * GET /api/profesor/applications/:id/unsigned-template
  * Download unsigned template for student to sign and return
  */
-router.get('/applications/:id/unsigned-template', authMiddleware, profesorOnly, async (req, res) => {
+router.get('/applications/:id/unsigned-template', authMiddleware, requireRole('profesor'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -85,6 +76,10 @@ router.get('/applications/:id/unsigned-template', authMiddleware, profesorOnly,
     // Fetch application
     const application = await prisma.cerereDisertatie.findUnique({
       where: { id: appId },
+      include: {
+        tema: true,
+        profesor: { select: { nume: true, prenume: true } },
+      },
     });
 
     if (!application) {
@@ -102,14 +97,19 @@ router.get('/applications/:id/unsigned-template', authMiddleware, profesorOnly,
       });
     }
 
-    // Check if application is approved
-    if (application.status !== 'approved') {
+    // The template is available once the student holds a place
+    if (!isEnrolled(application.status)) {
       return res.status(409).json({
         success: false,
         message: 'Unsigned template is only available for approved applications',
       });
     }
 
+    const coSupervisors = (await getAcceptedCoSupervisors([application.id]))[application.id];
+    const coSupervisorLine = coSupervisors.length > 0
+      ? `\nCo-supervisor(s): ${coSupervisors.map((p) => `Prof. ${p.prenume} ${p.nume}`).join(', ')}`
+      : '';
+
     // Create a simple text-based template response
     // In a real application, you might generate a PDF or return a pre-made template
     const templateContent = `
@@ -118,6 +118,8 @@ DISSERTATION APPLICATION FORM - UNSIGNED TEMPLATE
 Application ID: ${application.id}
 Student ID: ${application.studentId}
 Session ID: ${application.sesiuneId}
+Title: ${application.titluFinal || '___________________________'}
+Supervisor: Prof. ${application.profesor.prenume} ${application.profesor.nume}${coSupervisorLine}
 
 ---
 
@@ -148,12 +150,225 @@ For questions, contact your professor.
   }
 });
 
+// Relations returned with an approved or rejected application
+const decisionInclude = {
+  student: {
+    select: {
+      id: true,
+      nume: true,
+      prenume: true,
+    },
+  },
+  sesiune: {
+    select: {
+      id: true,
+      dataInceput: true,
+      dataSfarsit: true,
+      limitaStudenti: true,
+    },
+  },
+  profesor: {
+    select: {
+      id: true,
+      nume: true,
+      prenume: true,
+    },
+  },
+};
+
+/**
+ * Why an application cannot be approved right now, or null if it can
+ * Checks the status, the allocation mode, open counter-proposals and the session, professor and topic limits
+ * @param {Object} application - Application with sesiune and tema
+ * @param {Object} client - Prisma client or transaction client
+ * @returns {Promise<{status: number, error: string}|null>}
+ */
+async function getApprovalBlocker(application, client = prisma) {
+  const transition = checkTransition(application.status, 'approve');
+  if (transition.error) {
+    return { status: 409, error: transition.error };
+  }
+
+  // Places in matching sessions are assigned by the allocation run, not one by one
+  if (application.sesiune.modAlocare === 'matching') {
+    return { status: 409, error: 'This session is allocated by the stable-matching run. Rank your applicants instead' };
+  }
+
+  // The student has to answer an open counter-proposal before the title can be agreed
+  if (application.titluContrapropus) {
+    return { status: 409, error: 'Waiting for the student to answer your counter-proposed title' };
+  }
+
+  // Session, professor-wide and topic limits
+  const seatBlocker = await getSeatBlocker(application, client);
+  if (seatBlocker) {
+    return { status: 409, error: seatBlocker };
+  }
+
+  return null;
+}
+
+/**
+ * Approve an application and auto-reject the student's other pending or waitlisted applications
+ * The checks run again while the professor, its accepted co-supervisors, the session and the student are locked,
+ * so concurrent approvals or co-supervision acceptances cannot exceed the session, professor, co-supervisor
+ * or topic limit or enroll the student twice
+ * Waitlist promotion is left to the caller, so bulk decisions promote each session once
+ * @param {Object} application - Application to approve
+ * @param {number} actorId - User ID of the approving professor
+ * @returns {Promise<{error?: string, status?: number, approved?: Object, affectedSessionIds?: number[]}>}
+ *   affectedSessionIds lost a pending application
+ */
+async function approveApplication(application, actorId) {
+  // Read before locking: a co-supervision is only accepted on an enrolled application, so none is added meanwhile
+  const coSupervisors = (await getAcceptedCoSupervisors([application.id]))[application.id];
+
+  return withCapacityLock({
+    profesorIds: [application.profesorId, ...coSupervisors.map((coSupervisor) => coSupervisor.id)],
+    sesiuneIds: [application.sesiuneId],
+    studentIds: [application.studentId],
+  }, async (tx) => {
+    // Read the application again under the lock, a concurrent decision may have changed it
+    const current = await tx.cerereDisertatie.findUnique({
+      where: { id: application.id },
+      include: { sesiune: true, tema: true },
+    });
+
+    if (!current) {
+      return { status: 404, error: 'Application not found' };
+    }
+
+    // Covers the student too: an approval elsewhere that committed first has auto-rejected this application
+    const blocker = await getApprovalBlocker(current, tx);
+    if (blocker) {
+      return blocker;
+    }
+
+    // Approve the application and record the agreed title
+    const updated = await tx.cerereDisertatie.update({
+      where: { id: application.id },
+      data: {
+        status: targetStatus('approve'),
+        titluFinal: current.titluPropus || (current.tema ? current.tema.titlu : null),
+      },
+      include: decisionInclude,
+    });
+
+    // Auto-reject all other pending or waitlisted applications for this student with other professors
+    const otherApplicationsWhere = {
+      studentId: application.studentId,
+      ...transitionWhere('autoReject'),
+      NOT: {
+        id: application.id,
+      },
+    };
+
+    const otherApplications = await tx.cerereDisertatie.findMany({
+      where: otherApplicationsWhere,
+      select: { id: true, sesiuneId: true, status: true },
+    });
+
+    const autoRejectReason = 'Auto-rejected: Student approved by another professor';
+    await tx.cerereDisertatie.updateMany({
+      where: otherApplicationsWhere,
+      data: {
+        status: targetStatus('autoReject'),
+        justificareRespingere: autoRejectReason,
+      },
+    });
+
+    await recordStatusChanges(tx, [
+      {
+        cerereId: current.id,
+        statusAnterior: current.status,
+        statusNou: updated.status,
+        actorId,
+      },
+      ...otherApplications.map((app) => ({
+        cerereId: app.id,
+        statusAnterior: app.status,
+        statusNou: 'rejected',
+        motiv: autoRejectReason,
+      })),
+    ]);
+
+    return {
+      approved: updated,
+      // Sessions where the auto-rejections free places for waitlisted students
+      affectedSessionIds: [...new Set(otherApplications.map((app) => app.sesiuneId))],
+    };
+  });
+}
+
+// Shortest reason a student is given for a rejection, an un-approval or a returned signed file
+const MIN_REASON_LENGTH = 10;
+
+/**
+ * Validate the reason a professor gives the student for a negative decision
+ * @param {*} value - Reason from the request body
+ * @param {string} label - Field name used in the error message
+ * @returns {{error?: string, reason?: string}} - The trimmed reason, or an error
+ */
+function validateRejectionReason(value, label) {
+  if (value === undefined || value === null || value === '') {
+    return { error: `${label} is required` };
+  }
+
+  if (typeof value !== 'string') {
+    return { error: `${label} must be a string` };
+  }
+
+  const reason = value.trim();
+  if (reason.length < MIN_REASON_LENGTH) {
+    return { error: `${label} must be at least ${MIN_REASON_LENGTH} characters long` };
+  }
+
+  return { reason };
+}
+
+/**
+ * Reject a pending application with the professor's justification
+ * @param {Object} application - Application checked against the reject transition
+ * @param {string} justificare - Reason shown to the student
+ * @param {number} actorId - User ID of the rejecting professor
+ * @returns {Promise<Object|null>} - The rejected application, or null if it changed meanwhile
+ */
+async function rejectApplication(application, justificare, actorId) {
+  return prisma.$transaction(async (tx) => {
+    // Guard on the current status so a concurrent approval or withdrawal is not overwritten
+    const result = await tx.cerereDisertatie.updateMany({
+      where: { id: application.id, ...transitionWhere('reject') },
+      data: {
+        status: targetStatus('reject'),
+        justificareRespingere: justificare,
+      },
+    });
+
+    if (result.count === 0) {
+      return null;
+    }
+
+    await recordStatusChange(tx, {
+      cerereId: application.id,
+      statusAnterior: application.status,
+      statusNou: targetStatus('reject'),
+      actorId,
+      motiv: justificare,
+    });
+
+    return tx.cerereDisertatie.findUnique({
+      where: { id: application.id },
+      include: decisionInclude,
+    });
+  });
+}
+
 /**
  * PATCH /api/profesor/applications/:id/approve
  * Approve a student's dissertation application
  * Checks professor's session limit and auto-rejects other pending applications from the student
  */
-router.patch('/applications/:id/approve', authMiddleware, profesorOnly, async (req, res) => {
+router.patch('/applications/:id/approve', authMiddleware, requireRole('profesor'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -173,6 +388,7 @@ router.patch('/applications/:id/approve', authMiddleware, profesorOnly, async (r
         student: true,
         sesiune: true,
         profesor: true,
+        tema: true,
       },
     });
 
@@ -191,81 +407,23 @@ router.patch('/applications/:id/approve', authMiddleware, profesorOnly, async (r
       });
     }
 
-    // Check if application is already processed
-    if (application.status !== 'pending') {
-      return res.status(409).json({
-        success: false,
-        message: `Application is already ${application.status}. Cannot change status.`,
-      });
-    }
-
-    // Check if professor has reached the session limit
-    const approvedCount = await prisma.cerereDisertatie.count({
-      where: {
-        sesiuneId: application.sesiuneId,
-        profesorId: req.profesor.id,
-        status: 'approved',
-      },
-    });
+    const {
+      approved: approvedApplication,
+      affectedSessionIds,
+      status,
+      error,
+    } = await approveApplication(application, req.user.userId);
 
-    if (approvedCount >= application.sesiune.limitaStudenti) {
-      return res.status(409).json({
+    if (error) {
+      return res.status(status).json({
         success: false,
-        message: `Session has reached its limit of ${application.sesiune.limitaStudenti} approved students`,
+        message: error,
       });
     }
 
-    // Start transaction: approve this application and reject others for this student
-    const approvedApplication = await prisma.$transaction(async (tx) => {
-      // Approve the application
-      const approved = await tx.cerereDisertatie.update({
-        where: { id: appId },
-        data: {
-          status: 'approved',
-        },
-        include: {
-          student: {
-            select: {
-              id: true,
-              nume: true,
-              prenume: true,
-            },
-          },
-          sesiune: {
-            select: {
-              id: true,
-              dataInceput: true,
-              dataSfarsit: true,
-              limitaStudenti: true,
-            },
-          },
-          profesor: {
-            select: {
-              id: true,
-              nume: true,
-              prenume: true,
-            },
-          },
-        },
-      });
-
-      // Auto-reject all other pending applications for this student with other professors
-      await tx.cerereDisertatie.updateMany({
-        where: {
-          studentId: application.studentId,
-          status: 'pending',
-          NOT: {
-            id: appId,
-          },
-        },
-        data: {
-          status: 'rejected',
-          justificareRespingere: 'Auto-rejected: Student approved by another professor',
-        },
-      });
-
-      return approved;
-    });
+    for (const sessionId of affectedSessionIds) {
+      await promoteFromWaitlist(sessionId);
+    }
 
     return res.status(200).json({
       success: true,
@@ -278,6 +436,7 @@ router.patch('/applications/:id/approve', authMiddleware, profesorOnly, async (r
         sesiune: approvedApplication.sesiune,
         profesorId: approvedApplication.profesorId,
         profesor: approvedApplication.profesor,
+        titluFinal: approvedApplication.titluFinal,
         status: approvedApplication.status,
         updatedAt: approvedApplication.updatedAt,
       },
@@ -293,13 +452,14 @@ router.patch('/applications/:id/approve', authMiddleware, profesorOnly, async (r
 });
 
 /**
- * PATCH /api/profesor/applications/:id/reject
- * Reject a student's dissertation application with justification
+ * PATCH /api/profesor/applications/:id/counter-propose
+ * Counter-propose an edited title on a pending application
+ * The student accepts or declines it before the application can be approved
  */
-router.patch('/applications/:id/reject', authMiddleware, profesorOnly, async (req, res) => {
+router.patch('/applications/:id/counter-propose', authMiddleware, requireRole('profesor'), async (req, res) => {
   try {
     const { id } = req.params;
-    const { justificare } = req.body;
+    const { titlu } = req.body;
 
     // Parse application ID
     const appId = parseInt(id);
@@ -311,47 +471,24 @@ router.patch('/applications/:id/reject', authMiddleware, profesorOnly, async (re
     }
 
     // Validation
-    if (!justificare) {
+    if (typeof titlu !== 'string' || !titlu.trim()) {
       return res.status(400).json({
         success: false,
-        message: 'Justification (justificare) is required for rejection',
+        message: 'Counter-proposed title (titlu) is required',
       });
     }
 
-    if (justificare.trim().length < 10) {
+    if (titlu.trim().length > 255) {
       return res.status(400).json({
         success: false,
-        message: 'Justification must be at least 10 characters long',
+        message: 'Title must be at most 255 characters',
       });
     }
 
     // Fetch application
     const application = await prisma.cerereDisertatie.findUnique({
       where: { id: appId },
-      include: {
-        student: {
-          select: {
-            id: true,
-            nume: true,
-            prenume: true,
-          },
-        },
-        sesiune: {
-          select: {
-            id: true,
-            dataInceput: true,
-            dataSfarsit: true,
-            limitaStudenti: true,
-          },
-        },
-        profesor: {
-          select: {
-            id: true,
-            nume: true,
-            prenume: true,
-          },
-        },
-      },
+      include: { tema: true },
     });
 
     if (!application) {
@@ -369,21 +506,92 @@ router.patch('/applications/:id/reject', authMiddleware, profesorOnly, async (re
       });
     }
 
-    // Check if application is already processed
+    // Titles can only be negotiated before a decision
     if (application.status !== 'pending') {
       return res.status(409).json({
         success: false,
-        message: `Application is already ${application.status}. Cannot change status.`,
+        message: `Application is already ${application.status}. Cannot change the title.`,
+      });
+    }
+
+    const currentTitle = application.titluPropus || (application.tema ? application.tema.titlu : null);
+    if (titlu.trim() === currentTitle) {
+      return res.status(400).json({
+        success: false,
+        message: 'Counter-proposed title is the same as the current title',
+      });
+    }
+
+    // Guard on the status so a concurrent decision or withdrawal is not reopened for negotiation
+    const result = await prisma.cerereDisertatie.updateMany({
+      where: { id: appId, status: 'pending' },
+      data: {
+        titluContrapropus: titlu.trim(),
+      },
+    });
+
+    if (result.count === 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Application changed meanwhile. Reload and try again',
       });
     }
 
-    // Reject the application
-    const rejectedApplication = await prisma.cerereDisertatie.update({
+    const updatedApplication = await prisma.cerereDisertatie.findUnique({
       where: { id: appId },
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Title counter-proposed. Waiting for the student to answer',
       data: {
-        status: 'rejected',
-        justificareRespingere: justificare,
+        id: updatedApplication.id,
+        titluPropus: updatedApplication.titluPropus,
+        titluContrapropus: updatedApplication.titluContrapropus,
+        status: updatedApplication.status,
+        updatedAt: updatedApplication.updatedAt,
       },
+    });
+  } catch (error) {
+    console.error('Title counter-proposal error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * PATCH /api/profesor/applications/:id/reject
+ * Reject a student's dissertation application with justification
+ */
+router.patch('/applications/:id/reject', authMiddleware, requireRole('profesor'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { justificare } = req.body;
+
+    // Parse application ID
+    const appId = parseInt(id);
+    if (isNaN(appId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid application ID',
+      });
+    }
+
+    // Validation
+    const { error: reasonError, reason } = validateRejectionReason(justificare, 'Justification (justificare)');
+    if (reasonError) {
+      return res.status(400).json({
+        success: false,
+        message: reasonError,
+      });
+    }
+
+    // Fetch application
+    const application = await prisma.cerereDisertatie.findUnique({
+      where: { id: appId },
       include: {
         student: {
           select: {
@@ -410,6 +618,40 @@ router.patch('/applications/:id/reject', authMiddleware, profesorOnly, async (re
       },
     });
 
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found',
+      });
+    }
+
+    // Verify professor owns this application
+    if (application.profesorId !== req.profesor.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have access to this application',
+      });
+    }
+
+    const transition = checkTransition(application.status, 'reject');
+    if (transition.error) {
+      return res.status(409).json({
+        success: false,
+        message: transition.error,
+      });
+    }
+
+    const rejectedApplication = await rejectApplication(application, reason, req.user.userId);
+    if (!rejectedApplication) {
+      return res.status(409).json({
+        success: false,
+        message: 'Application changed meanwhile. Reload and try again',
+      });
+    }
+
+    // A pending place was released
+    await promoteFromWaitlist(rejectedApplication.sesiuneId);
+
     return res.status(200).json({
       success: true,
       message: 'Application rejected successfully',
@@ -436,28 +678,180 @@ router.patch('/applications/:id/reject', authMiddleware, profesorOnly, async (re
   }
 });
 
+// Most applications a single bulk request may decide
+const BULK_MAX_APPLICATIONS = 100;
+
 /**
- * GET /api/profesor/applications
- * List all applications for the professor's sessions
+ * POST /api/profesor/applications/bulk
+ * Approve or reject several applications at once, with one justification shared by all rejections
+ * Each application goes through the same checks as the single approve/reject routes, in the given order,
+ * so capacity limits and auto-rejections of earlier items apply to later ones
  */
-router.get('/applications', authMiddleware, profesorOnly, async (req, res) => {
+router.post('/applications/bulk', authMiddleware, requireRole('profesor'), async (req, res) => {
   try {
-    const { status, sesiuneId } = req.query;
+    const { ids, action, justificare } = req.body;
 
-    // Build filter
-    let where = {
-      profesorId: req.profesor.id,
-    };
-
-    if (status && ['pending', 'approved', 'rejected'].includes(status)) {
-      where.status = status;
+    // Validation
+    if (!['approve', 'reject'].includes(action)) {
+      return res.status(400).json({
+        success: false,
+        message: 'action must be approve or reject',
+      });
     }
 
-    if (sesiuneId) {
-      const sessionId = parseInt(sesiuneId);
-      if (!isNaN(sessionId)) {
-        where.sesiuneId = sessionId;
-      }
+    if (!Array.isArray(ids) || ids.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'ids must be a non-empty array of application IDs',
+      });
+    }
+
+    if (ids.length > BULK_MAX_APPLICATIONS) {
+      return res.status(400).json({
+        success: false,
+        message: `At most ${BULK_MAX_APPLICATIONS} applications can be decided at once`,
+      });
+    }
+
+    const appIds = [...new Set(ids.map((id) => parseInt(id)))];
+    if (appIds.some((id) => isNaN(id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid application ID',
+      });
+    }
+
+    const { error: reasonError, reason } = action === 'reject'
+      ? validateRejectionReason(justificare, 'Justification (justificare)')
+      : {};
+    if (reasonError) {
+      return res.status(400).json({
+        success: false,
+        message: reasonError,
+      });
+    }
+
+    const results = [];
+    const affectedSessionIds = new Set();
+
+    for (const appId of appIds) {
+      // Read each application just before deciding it, earlier items may have changed it
+      const application = await prisma.cerereDisertatie.findUnique({
+        where: { id: appId },
+        include: {
+          sesiune: true,
+          tema: true,
+        },
+      });
+
+      if (!application) {
+        results.push({ id: appId, success: false, message: 'Application not found' });
+        continue;
+      }
+
+      if (application.profesorId !== req.profesor.id) {
+        results.push({ id: appId, success: false, message: 'You do not have access to this application' });
+        continue;
+      }
+
+      try {
+        if (action === 'approve') {
+          const {
+            approved,
+            affectedSessionIds: autoRejectedSessionIds,
+            error,
+          } = await approveApplication(application, req.user.userId);
+
+          if (error) {
+            results.push({ id: appId, success: false, message: error });
+            continue;
+          }
+
+          autoRejectedSessionIds.forEach((sessionId) => affectedSessionIds.add(sessionId));
+          results.push({ id: appId, success: true, status: approved.status, message: 'Application approved' });
+        } else {
+          const transition = checkTransition(application.status, 'reject');
+          if (transition.error) {
+            results.push({ id: appId, success: false, message: transition.error });
+            continue;
+          }
+
+          const rejected = await rejectApplication(application, reason, req.user.userId);
+          if (!rejected) {
+            results.push({ id: appId, success: false, message: 'Application changed meanwhile. Reload and try again' });
+            continue;
+          }
+
+          affectedSessionIds.add(rejected.sesiuneId);
+          results.push({ id: appId, success: true, status: rejected.status, message: 'Application rejected' });
+        }
+      } catch (itemError) {
+        console.error(`Bulk ${action} error for application ${appId}:`, itemError);
+        results.push({ id: appId, success: false, message: 'Internal server error' });
+      }
+    }
+
+    // Promote each affected session once, after all decisions
+    for (const sessionId of affectedSessionIds) {
+      await promoteFromWaitlist(sessionId);
+    }
+
+    const succeeded = results.filter((result) => result.success).length;
+
+    return res.status(200).json({
+      success: true,
+      message: `Bulk ${action} finished: ${succeeded} succeeded, ${results.length - succeeded} failed`,
+      data: {
+        results,
+        summary: {
+          total: results.length,
+          succeeded,
+          failed: results.length - succeeded,
+        },
+      },
+    });
+  } catch (error) {
+    console.error('Bulk application decision error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/profesor/applications
+ * List all applications for the professor's sessions, and the ones they co-supervise (isCoSupervisor)
+ */
+router.get('/applications', authMiddleware, requireRole('profesor'), async (req, res) => {
+  try {
+    const { status, sesiuneId } = req.query;
+
+    // Build filter
+    let where = {
+      OR: [
+        { profesorId: req.profesor.id },
+        { coordonatoriSecundari: { some: { profesorId: req.profesor.id, status: 'accepted' } } },
+      ],
+    };
+
+    // A single status or a comma-separated list, e.g. ?status=approved,signed_submitted
+    if (status) {
+      const statuses = String(status)
+        .split(',')
+        .map((value) => value.trim())
+        .filter((value) => APPLICATION_STATUSES.includes(value));
+      if (statuses.length > 0) {
+        where.status = { in: statuses };
+      }
+    }
+
+    if (sesiuneId) {
+      const sessionId = parseInt(sesiuneId);
+      if (!isNaN(sessionId)) {
+        where.sesiuneId = sessionId;
+      }
     }
 
     // Fetch applications
@@ -477,14 +871,34 @@ router.get('/applications', authMiddleware, profesorOnly, async (req, res) => {
             dataInceput: true,
             dataSfarsit: true,
             limitaStudenti: true,
+            modAlocare: true,
+          },
+        },
+        tema: {
+          select: {
+            id: true,
+            titlu: true,
           },
         },
+        profesor: {
+          select: {
+            id: true,
+            nume: true,
+            prenume: true,
+          },
+        },
+        coordonatoriSecundari: {
+          include: coSupervisorInclude,
+          orderBy: { createdAt: 'asc' },
+        },
       },
       orderBy: {
         createdAt: 'desc',
       },
     });
 
+    const unreadMessages = await countUnreadMessages(applications.map((app) => app.id), req.user.userId);
+
     // Format response
     const formattedApplications = applications.map((app) => ({
       id: app.id,
@@ -492,10 +906,25 @@ router.get('/applications', authMiddleware, profesorOnly, async (req, res) => {
       student: app.student,
       sesiuneId: app.sesiuneId,
       sesiune: app.sesiune,
+      temaId: app.temaId,
+      tema: app.tema,
+      profesor: app.profesor,
+      isCoSupervisor: app.profesorId !== req.profesor.id,
+      coSupervisors: app.coordonatoriSecundari.map(formatCoSupervisor),
+      titluPropus: app.titluPropus,
+      rezumat: app.rezumat,
+      cuvinteCheie: app.cuvinteCheie,
+      titluContrapropus: app.titluContrapropus,
+      titluFinal: app.titluFinal,
+      rangProfesor: app.rangProfesor,
       status: app.status,
       justificareRespingere: app.justificareRespingere,
+      motivRetragere: app.motivRetragere,
+      retrasLa: app.retrasLa,
       fisierSemnatUrl: app.fisierSemnatUrl,
+      motivReturnare: app.motivReturnare,
       fisierRaspunsUrl: app.fisierRaspunsUrl,
+      mesajeNecitite: unreadMessages[app.id],
       createdAt: app.createdAt,
       updatedAt: app.updatedAt,
     }));
@@ -506,9 +935,9 @@ router.get('/applications', authMiddleware, profesorOnly, async (req, res) => {
       data: formattedApplications,
       pagination: {
         total: formattedApplications.length,
-        pending: formattedApplications.filter((a) => a.status === 'pending').length,
-        approved: formattedApplications.filter((a) => a.status === 'approved').length,
-        rejected: formattedApplications.filter((a) => a.status === 'rejected').length,
+        ...Object.fromEntries(
+          APPLICATION_STATUSES.map((value) => [value, formattedApplications.filter((a) => a.status === value).length])
+        ),
       },
     });
   } catch (error) {
@@ -525,7 +954,7 @@ router.get('/applications', authMiddleware, profesorOnly, async (req, res) => {
  * GET /api/profesor/applications/:id
  * Get details of a specific application
  */
-router.get('/applications/:id', authMiddleware, profesorOnly, async (req, res) => {
+router.get('/applications/:id', authMiddleware, requireRole('profesor'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -562,6 +991,11 @@ router.get('/applications/:id', authMiddleware, profesorOnly, async (req, res) =
             limitaStudenti: true,
           },
         },
+        tema: true,
+        coordonatoriSecundari: {
+          include: coSupervisorInclude,
+          orderBy: { createdAt: 'asc' },
+        },
       },
     });
 
@@ -572,8 +1006,9 @@ router.get('/applications/:id', authMiddleware, profesorOnly, async (req, res) =
       });
     }
 
-    // Verify professor owns this application
-    if (application.profesorId !== req.profesor.id) {
+    // Verify professor owns this application or co-supervises it (read-only)
+    const isCoSupervisor = application.profesorId !== req.profesor.id;
+    if (!(await canAccessApplication(application, req.profesor.id))) {
       return res.status(403).json({
         success: false,
         message: 'You do not have access to this application',
@@ -590,6 +1025,15 @@ router.get('/applications/:id', authMiddleware, profesorOnly, async (req, res) =
         sesiuneId: application.sesiuneId,
         sesiune: application.sesiune,
         profesorId: application.profesorId,
+        isCoSupervisor,
+        coSupervisors: application.coordonatoriSecundari.map(formatCoSupervisor),
+        temaId: application.temaId,
+        tema: application.tema,
+        titluPropus: application.titluPropus,
+        rezumat: application.rezumat,
+        cuvinteCheie: application.cuvinteCheie,
+        titluContrapropus: application.titluContrapropus,
+        titluFinal: application.titluFinal,
         status: application.status,
         justificareRespingere: application.justificareRespingere,
         fisierSemnatUrl: application.fisierSemnatUrl,
@@ -609,115 +1053,177 @@ router.get('/applications/:id', authMiddleware, profesorOnly, async (req, res) =
 });
 
 /**
- * POST /api/profesor/applications/:id/upload-response
- * Upload response file for an approved application
+ * GET /api/profesor/applications/:id/history
+ * Status history of an application, oldest first
  */
-router.post('/applications/:id/upload-response', authMiddleware, profesorOnly, upload.single('file'), async (req, res) => {
+router.get('/applications/:id/history', authMiddleware, requireRole('profesor'), async (req, res) => {
   try {
-    const { id } = req.params;
-
-    // Parse application ID
-    const appId = parseInt(id);
+    const appId = parseInt(req.params.id);
     if (isNaN(appId)) {
-      // Clean up uploaded file if exists
-      if (req.file) {
-        fs.unlinkSync(req.file.path);
-      }
       return res.status(400).json({
         success: false,
         message: 'Invalid application ID',
       });
     }
 
-    // Check if file was uploaded
-    if (!req.file) {
+    const application = await prisma.cerereDisertatie.findUnique({
+      where: { id: appId },
+      select: { id: true, profesorId: true, status: true },
+    });
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found',
+      });
+    }
+
+    // The supervising professor and accepted co-supervisors
+    if (!(await canAccessApplication(application, req.profesor.id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have access to this application',
+      });
+    }
+
+    const history = await getApplicationHistory(appId);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Application history retrieved successfully',
+      data: history,
+      pagination: {
+        total: history.length,
+      },
+    });
+  } catch (error) {
+    console.error('Application history retrieval error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/profesor/applications/:id/messages
+ * Message thread of the application, oldest first; opening it marks the thread read
+ */
+router.get('/applications/:id/messages', authMiddleware, requireRole('profesor'), async (req, res) => {
+  try {
+    const appId = parseInt(req.params.id);
+    if (isNaN(appId)) {
       return res.status(400).json({
         success: false,
-        message: 'No file uploaded',
+        message: 'Invalid application ID',
       });
     }
 
-    // Fetch application
     const application = await prisma.cerereDisertatie.findUnique({
       where: { id: appId },
+      select: { id: true, profesorId: true },
     });
 
     if (!application) {
-      // Clean up file
-      fs.unlinkSync(req.file.path);
       return res.status(404).json({
         success: false,
         message: 'Application not found',
       });
     }
 
-    // Verify professor owns this application
-    if (application.profesorId !== req.profesor.id) {
-      // Clean up file
-      fs.unlinkSync(req.file.path);
+    // The supervising professor and accepted co-supervisors
+    if (!(await canAccessApplication(application, req.profesor.id))) {
       return res.status(403).json({
         success: false,
         message: 'You do not have access to this application',
       });
     }
 
-    // Check if application is approved
-    if (application.status !== 'approved') {
-      // Clean up file
-      fs.unlinkSync(req.file.path);
-      return res.status(409).json({
+    const messages = await getMessages(appId, req.user.userId);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Messages retrieved successfully',
+      data: messages,
+      pagination: {
+        total: messages.length,
+      },
+    });
+  } catch (error) {
+    console.error('Message retrieval error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/profesor/applications/:id/messages
+ * Post a message to the application's thread, with an optional PDF attachment (multipart field "file")
+ */
+router.post('/applications/:id/messages', authMiddleware, requireRole('profesor'), upload.single('file'), async (req, res) => {
+  try {
+    const appId = parseInt(req.params.id);
+    if (isNaN(appId)) {
+      if (req.file) {
+        fs.unlinkSync(req.file.path);
+      }
+      return res.status(400).json({
         success: false,
-        message: 'Only approved applications can have response files uploaded',
+        message: 'Invalid application ID',
       });
     }
 
-    // Generate file URL
-    const fileUrl = `/uploads/${req.file.filename}`;
-
-    // Update application with file URL
-    const updatedApplication = await prisma.cerereDisertatie.update({
+    const application = await prisma.cerereDisertatie.findUnique({
       where: { id: appId },
-      data: {
-        fisierRaspunsUrl: fileUrl,
-      },
-      include: {
-        student: {
-          select: {
-            id: true,
-            nume: true,
-            prenume: true,
-          },
-        },
-        sesiune: {
-          select: {
-            id: true,
-            dataInceput: true,
-            dataSfarsit: true,
-            limitaStudenti: true,
-          },
-        },
-        profesor: {
-          select: {
-            id: true,
-            nume: true,
-            prenume: true,
-          },
-        },
-      },
+      select: { id: true, profesorId: true },
     });
 
-    return res.status(200).json({
+    if (!application) {
+      if (req.file) {
+        fs.unlinkSync(req.file.path);
+      }
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found',
+      });
+    }
+
+    // The supervising professor and accepted co-supervisors
+    if (!(await canAccessApplication(application, req.profesor.id))) {
+      if (req.file) {
+        fs.unlinkSync(req.file.path);
+      }
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have access to this application',
+      });
+    }
+
+    const input = validateMessageInput(req.body, req.file);
+    if (input.error) {
+      if (req.file) {
+        fs.unlinkSync(req.file.path);
+      }
+      return res.status(400).json({
+        success: false,
+        message: input.error,
+      });
+    }
+
+    const message = await postMessage(appId, req.user.userId, input.data.continut, req.file);
+
+    return res.status(201).json({
       success: true,
-      message: 'Response file uploaded successfully',
-      data: {
-        id: updatedApplication.id,
-        fisierRaspunsUrl: updatedApplication.fisierRaspunsUrl,
-        updatedAt: updatedApplication.updatedAt,
-      },
+      message: 'Message sent successfully',
+      data: message,
     });
   } catch (error) {
-    console.error('File upload error:', error);
-    
+    console.error('Message posting error:', error);
+
     // Clean up uploaded file if exists
     if (req.file) {
       try {
@@ -736,59 +1242,183 @@ router.post('/applications/:id/upload-response', authMiddleware, profesorOnly, u
 });
 
 /**
- * PATCH /api/profesor/applications/:id/un-approve
- * Reject/unapprove an approved application, requiring student to resubmit signed file
+ * POST /api/profesor/applications/:id/upload-response
+ * Upload the response file for an application whose signed file was accepted, finalizing it
+ * A finalized application can have its response file replaced
  */
-router.patch('/applications/:id/un-approve', authMiddleware, profesorOnly, async (req, res) => {
+router.post('/applications/:id/upload-response', authMiddleware, requireRole('profesor'), upload.single('file'), async (req, res) => {
   try {
     const { id } = req.params;
-    const { justificare } = req.body;
 
     // Parse application ID
     const appId = parseInt(id);
     if (isNaN(appId)) {
+      // Clean up uploaded file if exists
+      if (req.file) {
+        fs.unlinkSync(req.file.path);
+      }
       return res.status(400).json({
         success: false,
         message: 'Invalid application ID',
       });
     }
 
-    // Validation
-    if (!justificare || !justificare.trim()) {
+    // Check if file was uploaded
+    if (!req.file) {
       return res.status(400).json({
         success: false,
-        message: 'Rejection reason is required',
+        message: 'No file uploaded',
       });
     }
 
     // Fetch application
     const application = await prisma.cerereDisertatie.findUnique({
       where: { id: appId },
-      include: {
-        student: {
-          select: {
-            id: true,
-            nume: true,
-            prenume: true,
-          },
-        },
-        sesiune: {
-          select: {
-            id: true,
-            dataInceput: true,
-            dataSfarsit: true,
-            limitaStudenti: true,
-          },
+    });
+
+    if (!application) {
+      // Clean up file
+      fs.unlinkSync(req.file.path);
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found',
+      });
+    }
+
+    // Verify professor owns this application
+    if (application.profesorId !== req.profesor.id) {
+      // Clean up file
+      fs.unlinkSync(req.file.path);
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have access to this application',
+      });
+    }
+
+    const isReplacement = application.status === 'finalized';
+    const transition = isReplacement ? { error: null } : checkTransition(application.status, 'finalize');
+    if (transition.error) {
+      // Clean up file
+      fs.unlinkSync(req.file.path);
+      return res.status(409).json({
+        success: false,
+        message: transition.error,
+      });
+    }
+
+    // Generate file URL
+    const fileUrl = `/uploads/${req.file.filename}`;
+
+    // Update application with file URL, finalizing it on the first upload
+    // Guard on the status read above so a concurrent withdrawal or un-approval is not overwritten
+    const updatedApplication = await prisma.$transaction(async (tx) => {
+      const result = await tx.cerereDisertatie.updateMany({
+        where: {
+          id: appId,
+          ...(isReplacement ? { status: 'finalized' } : transitionWhere('finalize')),
         },
-        profesor: {
-          select: {
-            id: true,
-            nume: true,
-            prenume: true,
-          },
+        data: {
+          fisierRaspunsUrl: fileUrl,
+          status: targetStatus('finalize'),
         },
+      });
+
+      if (result.count === 0) {
+        return null;
+      }
+
+      if (!isReplacement) {
+        await recordStatusChange(tx, {
+          cerereId: appId,
+          statusAnterior: application.status,
+          statusNou: targetStatus('finalize'),
+          actorId: req.user.userId,
+        });
+      }
+
+      return tx.cerereDisertatie.findUnique({
+        where: { id: appId },
+      });
+    });
+
+    if (!updatedApplication) {
+      // Clean up file
+      fs.unlinkSync(req.file.path);
+      return res.status(409).json({
+        success: false,
+        message: 'Application changed meanwhile. Reload and try again',
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Response file uploaded successfully',
+      data: {
+        id: updatedApplication.id,
+        status: updatedApplication.status,
+        fisierRaspunsUrl: updatedApplication.fisierRaspunsUrl,
+        updatedAt: updatedApplication.updatedAt,
       },
     });
+  } catch (error) {
+    console.error('File upload error:', error);
+    
+    // Clean up uploaded file if exists
+    if (req.file) {
+      try {
+        fs.unlinkSync(req.file.path);
+      } catch (fsError) {
+        console.error('Error cleaning up file:', fsError);
+      }
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * PATCH /api/profesor/applications/:id/review-signed
+ * Accept the signed file uploaded by the student, or return it with a reason so the student uploads it again
+ */
+router.patch('/applications/:id/review-signed', authMiddleware, requireRole('profesor'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { accept, motiv } = req.body;
+
+    // Parse application ID
+    const appId = parseInt(id);
+    if (isNaN(appId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid application ID',
+      });
+    }
+
+    // Validation
+    if (typeof accept !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'accept must be true or false',
+      });
+    }
+
+    // A returned signed file needs a reason
+    const { error: reasonError, reason } = accept ? { reason: null } : validateRejectionReason(motiv, 'Reason (motiv)');
+    if (reasonError) {
+      return res.status(400).json({
+        success: false,
+        message: reasonError,
+      });
+    }
+
+    // Fetch application
+    const application = await prisma.cerereDisertatie.findUnique({
+      where: { id: appId },
+    });
 
     if (!application) {
       return res.status(404).json({
@@ -805,22 +1435,97 @@ router.patch('/applications/:id/un-approve', authMiddleware, profesorOnly, async
       });
     }
 
-    // Check if application is approved
-    if (application.status !== 'approved') {
+    const action = accept ? 'acceptSigned' : 'returnSigned';
+    const transition = checkTransition(application.status, action);
+    if (transition.error) {
       return res.status(409).json({
         success: false,
-        message: 'Only approved applications can be rejected',
+        message: transition.error,
       });
     }
 
-    // Update application: set status to rejected and clear signed file
-    const rejectedApplication = await prisma.cerereDisertatie.update({
-      where: { id: appId },
+
+    // Guard on the current status so a concurrent review or withdrawal is not overwritten
+    const reviewed = await prisma.$transaction(async (tx) => {
+      const result = await tx.cerereDisertatie.updateMany({
+        where: { id: appId, ...transitionWhere(action) },
+        data: {
+          status: targetStatus(action),
+          motivReturnare: reason,
+        },
+      });
+
+      if (result.count === 0) {
+        return false;
+      }
+
+      await recordStatusChange(tx, {
+        cerereId: appId,
+        statusAnterior: application.status,
+        statusNou: targetStatus(action),
+        actorId: req.user.userId,
+        motiv: reason,
+      });
+
+      return true;
+    });
+
+    if (!reviewed) {
+      return res.status(409).json({
+        success: false,
+        message: 'Application changed meanwhile. Reload and try again',
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: accept ? 'Signed file accepted' : 'Signed file returned to the student',
       data: {
-        status: 'rejected',
-        justificareRespingere: justificare,
-        fisierSemnatUrl: null, // Clear the signed file so student must resubmit
+        id: appId,
+        status: targetStatus(action),
+        motivReturnare: reason,
       },
+    });
+  } catch (error) {
+    console.error('Signed file review error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * PATCH /api/profesor/applications/:id/un-approve
+ * Reject/unapprove an approved application whose signed file has not been accepted yet
+ */
+router.patch('/applications/:id/un-approve', authMiddleware, requireRole('profesor'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { justificare } = req.body;
+
+    // Parse application ID
+    const appId = parseInt(id);
+    if (isNaN(appId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid application ID',
+      });
+    }
+
+    // Validation
+    const { error: reasonError, reason } = validateRejectionReason(justificare, 'Justification (justificare)');
+    if (reasonError) {
+      return res.status(400).json({
+        success: false,
+        message: reasonError,
+      });
+    }
+
+    // Fetch application
+    const application = await prisma.cerereDisertatie.findUnique({
+      where: { id: appId },
       include: {
         student: {
           select: {
@@ -847,9 +1552,72 @@ router.patch('/applications/:id/un-approve', authMiddleware, profesorOnly, async
       },
     });
 
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found',
+      });
+    }
+
+    // Verify professor owns this application
+    if (application.profesorId !== req.profesor.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have access to this application',
+      });
+    }
+
+    const transition = checkTransition(application.status, 'unapprove');
+    if (transition.error) {
+      return res.status(409).json({
+        success: false,
+        message: transition.error,
+      });
+    }
+
+    // Update application: set status to rejected and record the transition
+    // Guard on the current status so a concurrent signed upload, review or withdrawal is not overwritten
+    const rejectedApplication = await prisma.$transaction(async (tx) => {
+      const result = await tx.cerereDisertatie.updateMany({
+        where: { id: appId, ...transitionWhere('unapprove') },
+        data: {
+          status: targetStatus('unapprove'),
+          justificareRespingere: reason,
+          titluFinal: null,
+        },
+      });
+
+      if (result.count === 0) {
+        return null;
+      }
+
+      await recordStatusChange(tx, {
+        cerereId: appId,
+        statusAnterior: application.status,
+        statusNou: targetStatus('unapprove'),
+        actorId: req.user.userId,
+        motiv: reason,
+      });
+
+      return tx.cerereDisertatie.findUnique({
+        where: { id: appId },
+        include: decisionInclude,
+      });
+    });
+
+    if (!rejectedApplication) {
+      return res.status(409).json({
+        success: false,
+        message: 'Application changed meanwhile. Reload and try again',
+      });
+    }
+
+    // The approved place is free again
+    await promoteFromWaitlist(rejectedApplication.sesiuneId);
+
     return res.status(200).json({
       success: true,
-      message: 'Application rejected successfully. Student must resubmit signed file.',
+      message: 'Application rejected successfully',
       data: {
         id: rejectedApplication.id,
         studentId: rejectedApplication.studentId,
@@ -875,4 +1643,243 @@ router.patch('/applications/:id/un-approve', authMiddleware, profesorOnly, async
   }
 });
 
+/**
+ * POST /api/profesor/applications/:id/co-supervisors
+ * Invite another professor, by email, to co-supervise an approved application
+ * The invitation counts once the invited professor accepts it
+ */
+router.post('/applications/:id/co-supervisors', authMiddleware, requireRole('profesor'), async (req, res) => {
+  try {
+    const appId = parseInt(req.params.id);
+    if (isNaN(appId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid application ID',
+      });
+    }
+
+    const email = typeof req.body.email === 'string' ? req.body.email.trim() : '';
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required field: email',
+      });
+    }
+
+    const application = await prisma.cerereDisertatie.findUnique({
+      where: { id: appId },
+    });
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found',
+      });
+    }
+
+    // Only the supervising professor invites co-supervisors
+    if (application.profesorId !== req.profesor.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have access to this application',
+      });
+    }
+
+    const { coSupervision, status, error } = await inviteCoSupervisor(application, email);
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    await notifyCoSupervision(coSupervision.id);
+
+    return res.status(201).json({
+      success: true,
+      message: 'Co-supervisor invited successfully',
+      data: formatCoSupervisor(coSupervision),
+    });
+  } catch (error) {
+    console.error('Co-supervisor invitation error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * DELETE /api/profesor/applications/:id/co-supervisors/:profesorId
+ * Withdraw an invitation or remove a co-supervisor from an application
+ */
+router.delete('/applications/:id/co-supervisors/:profesorId', authMiddleware, requireRole('profesor'), async (req, res) => {
+  try {
+    const appId = parseInt(req.params.id);
+    const coSupervisorId = parseInt(req.params.profesorId);
+    if (isNaN(appId) || isNaN(coSupervisorId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid application or professor ID',
+      });
+    }
+
+    const application = await prisma.cerereDisertatie.findUnique({
+      where: { id: appId },
+      select: { profesorId: true },
+    });
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found',
+      });
+    }
+
+    if (application.profesorId !== req.profesor.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have access to this application',
+      });
+    }
+
+    const removed = await prisma.coordonareSecundara.deleteMany({
+      where: { cerereId: appId, profesorId: coSupervisorId },
+    });
+
+    if (removed.count === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'This professor is not a co-supervisor of the application',
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Co-supervisor removed successfully',
+    });
+  } catch (error) {
+    console.error('Co-supervisor removal error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/profesor/co-supervisions
+ * Co-supervision invitations addressed to the professor, newest first
+ * Optional filter: status (invited, accepted, declined)
+ */
+router.get('/co-supervisions', authMiddleware, requireRole('profesor'), async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    if (status && !['invited', 'accepted', 'declined'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid status. Use invited, accepted or declined',
+      });
+    }
+
+    const coSupervisions = await prisma.coordonareSecundara.findMany({
+      where: {
+        profesorId: req.profesor.id,
+        ...(status && { status }),
+      },
+      include: {
+        cerere: {
+          select: {
+            id: true,
+            status: true,
+            titluFinal: true,
+            titluPropus: true,
+            student: { select: { id: true, nume: true, prenume: true } },
+            profesor: { select: { id: true, nume: true, prenume: true } },
+          },
+        },
+      },
+      orderBy: { createdAt: 'desc' },
+    });
+
+    const formattedCoSupervisions = coSupervisions.map((coSupervision) => ({
+      id: coSupervision.id,
+      status: coSupervision.status,
+      raspunsLa: coSupervision.raspunsLa,
+      createdAt: coSupervision.createdAt,
+      application: coSupervision.cerere,
+    }));
+
+    return res.status(200).json({
+      success: true,
+      message: 'Co-supervisions retrieved successfully',
+      data: formattedCoSupervisions,
+      pagination: {
+        total: formattedCoSupervisions.length,
+      },
+    });
+  } catch (error) {
+    console.error('Co-supervision retrieval error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * PATCH /api/profesor/co-supervisions/:id
+ * Accept or decline a co-supervision invitation ({ accept: boolean })
+ * Accepting counts the student towards the professor's limit (see CO_SUPERVISION_SEAT_WEIGHT)
+ */
+router.patch('/co-supervisions/:id', authMiddleware, requireRole('profesor'), async (req, res) => {
+  try {
+    const coSupervisionId = parseInt(req.params.id);
+    if (isNaN(coSupervisionId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid invitation ID',
+      });
+    }
+
+    if (typeof req.body.accept !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'accept must be true or false',
+      });
+    }
+
+    const { coSupervision, status, error } = await respondToInvitation(
+      coSupervisionId,
+      req.profesor.id,
+      req.body.accept
+    );
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    await notifyCoSupervision(coSupervision.id);
+
+    return res.status(200).json({
+      success: true,
+      message: coSupervision.status === 'accepted' ? 'Invitation accepted' : 'Invitation declined',
+      data: formatCoSupervisor(coSupervision),
+    });
+  } catch (error) {
+    console.error('Co-supervision response error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
 module.exports = router;
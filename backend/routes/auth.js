@@ -1,16 +1,94 @@
 const express = require('express');
 const { prisma } = require('../db');
-const { hashPassword, comparePassword, generateToken } = require('../utils/auth');
+const { MIN_PASSWORD_LENGTH, hashPassword, comparePassword } = require('../utils/auth');
+const {
+  hashToken,
+  generateOpaqueToken,
+  getClientInfo,
+  issueAuthTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllUserTokens,
+} = require('../utils/tokens');
+const { sendMail, buildFrontendLink } = require('../utils/mailer');
+const {
+  sendVerificationEmail,
+  verifyEmailToken,
+  confirmEmailChange,
+} = require('../utils/verification');
+const { authMiddleware } = require('../middleware/auth');
+const {
+  checkIpThrottle,
+  checkAccountLock,
+  sendAccountLocked,
+  recordFailedLogin,
+  recordSuccessfulLogin,
+  unlockAccount,
+} = require('../utils/loginThrottle');
+const {
+  isTwoFactorRequired,
+  verifySecondFactor,
+  createChallengeToken,
+  verifyChallengeToken,
+} = require('../utils/twoFactor');
+const {
+  getOidcConfig,
+  isOidcEnabled,
+  createAuthorizationUrl,
+  handleCallback,
+  consumeLoginCode,
+} = require('../utils/oidc');
+
+const DEFAULT_PASSWORD_RESET_EXPIRE_MINUTES = 60;
 
 const router = express.Router();
 
+/**
+ * Issue tokens for an authenticated user and build the login response payload
+ * @param {Object} user - User record
+ * @param {Object} req - Express request (recorded as the device session)
+ * @returns {Promise<Object>} - User info, profile and token pair
+ */
+async function buildLoginData(user, req) {
+  // Generate access and refresh tokens
+  const { token, refreshToken } = await issueAuthTokens(user, getClientInfo(req));
+
+  // Get additional user info based on role
+  let userData = {
+    userId: user.id,
+    email: user.email,
+    role: user.role,
+    emailVerifiedAt: user.emailVerifiedAt,
+    twoFactorEnabled: Boolean(user.totpEnabledAt),
+    twoFactorSetupRequired: !user.totpEnabledAt && await isTwoFactorRequired(user.role),
+    token,
+    refreshToken,
+  };
+
+  if (user.role === 'student') {
+    const student = await prisma.student.findUnique({
+      where: { userId: user.id },
+      select: { id: true, nume: true, prenume: true },
+    });
+    userData = { ...userData, student };
+  } else if (user.role === 'profesor') {
+    const profesor = await prisma.profesor.findUnique({
+      where: { userId: user.id },
+      select: { id: true, nume: true, prenume: true, limitaStudenti: true },
+    });
+    userData = { ...userData, profesor };
+  }
+
+  return userData;
+}
+
 /**
  * POST /api/auth/register
  * Register a new user and create Student or Profesor record based on role
  */
 router.post('/register', async (req, res) => {
   try {
-    const { email, password, role, nume, prenume, limitaStudenti } = req.body;
+    const { email, password, role, nume, prenume, invitationCode } = req.body;
 
     // Validation
     if (!email || !password || !role || !nume || !prenume) {
@@ -27,6 +105,13 @@ router.post('/register', async (req, res) => {
       });
     }
 
+    if (role === 'profesor' && !invitationCode) {
+      return res.status(400).json({
+        success: false,
+        message: 'Professor accounts require an invitation code',
+      });
+    }
+
     // Check if email already exists
     const existingUser = await prisma.user.findUnique({
       where: { email },
@@ -39,56 +124,103 @@ router.post('/register', async (req, res) => {
       });
     }
 
+    // Validate professor invitation (bound to the invited email address)
+    let invitation = null;
+    if (role === 'profesor') {
+      invitation = await prisma.profesorInvitation.findUnique({
+        where: { codeHash: hashToken(invitationCode) },
+      });
+
+      if (
+        !invitation ||
+        invitation.usedAt ||
+        invitation.revokedAt ||
+        invitation.expiresAt < new Date() ||
+        invitation.email.toLowerCase() !== email.toLowerCase()
+      ) {
+        return res.status(403).json({
+          success: false,
+          message: 'Invalid or expired invitation code for this email address',
+        });
+      }
+    }
+
     // Hash password
     const passwordHash = await hashPassword(password);
 
-    // Create user
-    const user = await prisma.user.create({
-      data: {
-        email,
-        passwordHash,
-        role,
-      },
-    });
-
-    // Create Student or Profesor record
-    if (role === 'student') {
-      await prisma.student.create({
-        data: {
-          userId: user.id,
-          nume,
-          prenume,
-        },
-      });
-    } else if (role === 'profesor') {
-      await prisma.profesor.create({
+    // Create user with its Student or Profesor record
+    const user = await prisma.$transaction(async (tx) => {
+      const createdUser = await tx.user.create({
         data: {
-          userId: user.id,
-          nume,
-          prenume,
-          limitaStudenti: limitaStudenti || 0,
+          email,
+          passwordHash,
+          role,
         },
       });
+
+      if (role === 'student') {
+        await tx.student.create({
+          data: {
+            userId: createdUser.id,
+            nume,
+            prenume,
+          },
+        });
+      } else if (role === 'profesor') {
+        // Consume the invitation; a concurrent registration with the same code loses
+        const consumed = await tx.profesorInvitation.updateMany({
+          where: { id: invitation.id, usedAt: null, revokedAt: null },
+          data: { usedAt: new Date(), usedById: createdUser.id },
+        });
+
+        if (consumed.count !== 1) {
+          throw new Error('INVITATION_ALREADY_USED');
+        }
+
+        // The student limit is set by the invitation, not by the registrant
+        await tx.profesor.create({
+          data: {
+            userId: createdUser.id,
+            nume,
+            prenume,
+            limitaStudenti: invitation.limitaStudenti,
+          },
+        });
+      }
+
+      return createdUser;
+    });
+
+    // Send email verification link (registration succeeds even if mail delivery fails)
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      console.error('Verification email error:', mailError);
     }
 
-    // Generate token
-    const token = generateToken(
-      { userId: user.id, email: user.email, role: user.role },
-      process.env.JWT_SECRET,
-      process.env.JWT_EXPIRE
-    );
+    // Generate access and refresh tokens
+    const { token, refreshToken } = await issueAuthTokens(user, getClientInfo(req));
 
     return res.status(201).json({
       success: true,
-      message: 'User registered successfully',
+      message: 'User registered successfully. Please check your email to verify your address.',
       data: {
         userId: user.id,
         email: user.email,
         role: user.role,
+        emailVerifiedAt: user.emailVerifiedAt,
         token,
+        refreshToken,
       },
     });
   } catch (error) {
+    if (error.message === 'INVITATION_ALREADY_USED') {
+      return res.status(403).json({
+        success: false,
+        message: 'Invalid or expired invitation code for this email address',
+      });
+    }
+
     console.error('Registration error:', error);
     return res.status(500).json({
       success: false,
@@ -101,6 +233,7 @@ router.post('/register', async (req, res) => {
 /**
  * POST /api/auth/login
  * Login user and return JWT token
+ * Accounts with two-factor enabled receive a challenge token instead
  */
 router.post('/login', async (req, res) => {
   try {
@@ -114,55 +247,146 @@ router.post('/login', async (req, res) => {
       });
     }
 
+    // Refuse early while this IP is backing off after repeated failures
+    const ipThrottle = await checkIpThrottle(req.ip);
+    if (ipThrottle.blocked) {
+      res.set('Retry-After', String(ipThrottle.retryAfterSeconds));
+      return res.status(429).json({
+        success: false,
+        message: `Too many failed login attempts. Try again in ${ipThrottle.retryAfterSeconds} seconds.`,
+        data: { retryAfterSeconds: ipThrottle.retryAfterSeconds },
+      });
+    }
+
     // Find user by email
     const user = await prisma.user.findUnique({
       where: { email },
     });
 
     if (!user) {
+      await recordFailedLogin(req.ip, null);
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password',
       });
     }
 
+    // Locked accounts are refused before the password is checked
+    const accountLock = checkAccountLock(user);
+    if (accountLock.locked) {
+      return sendAccountLocked(res, accountLock.lockedUntil);
+    }
+
     // Verify password
     const isPasswordValid = await comparePassword(password, user.passwordHash);
 
     if (!isPasswordValid) {
+      const { accountLockedUntil } = await recordFailedLogin(req.ip, user);
+
+      if (accountLockedUntil) {
+        return sendAccountLocked(res, accountLockedUntil);
+      }
+
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password',
       });
     }
 
-    // Generate token
-    const token = generateToken(
-      { userId: user.id, email: user.email, role: user.role },
-      process.env.JWT_SECRET,
-      process.env.JWT_EXPIRE
-    );
+    // Accounts with two-factor enabled finish the login at POST /api/auth/login/2fa
+    if (user.totpEnabledAt) {
+      return res.status(200).json({
+        success: true,
+        message: 'Two-factor authentication code required',
+        data: {
+          twoFactorRequired: true,
+          challengeToken: createChallengeToken(user),
+        },
+      });
+    }
+
+    await recordSuccessfulLogin(user);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Login successful',
+      data: await buildLoginData(user, req),
+    });
+  } catch (error) {
+    console.error('Login error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/auth/login/2fa
+ * Second login step: exchange the challenge token and a TOTP or recovery code for tokens
+ */
+router.post('/login/2fa', async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
+
+    // Validation
+    if (!challengeToken || !code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required fields: challengeToken, code',
+      });
+    }
+
+    // Code guesses count against the same limits as password guesses
+    const ipThrottle = await checkIpThrottle(req.ip);
+    if (ipThrottle.blocked) {
+      res.set('Retry-After', String(ipThrottle.retryAfterSeconds));
+      return res.status(429).json({
+        success: false,
+        message: `Too many failed login attempts. Try again in ${ipThrottle.retryAfterSeconds} seconds.`,
+        data: { retryAfterSeconds: ipThrottle.retryAfterSeconds },
+      });
+    }
 
-    // Get additional user info based on role
-    let userData = {
-      userId: user.id,
-      email: user.email,
-      role: user.role,
-      token,
-    };
+    const userId = verifyChallengeToken(challengeToken);
+    const user = userId ? await prisma.user.findUnique({ where: { id: userId } }) : null;
 
-    if (user.role === 'student') {
-      const student = await prisma.student.findUnique({
-        where: { userId: user.id },
-        select: { id: true, nume: true, prenume: true },
+    if (!user || !user.totpEnabledAt) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login challenge is invalid or has expired. Please sign in again',
       });
-      userData = { ...userData, student };
-    } else if (user.role === 'profesor') {
-      const profesor = await prisma.profesor.findUnique({
-        where: { userId: user.id },
-        select: { id: true, nume: true, prenume: true, limitaStudenti: true },
+    }
+
+    const accountLock = checkAccountLock(user);
+    if (accountLock.locked) {
+      return sendAccountLocked(res, accountLock.lockedUntil);
+    }
+
+    const method = await verifySecondFactor(user, code);
+
+    if (!method) {
+      const { accountLockedUntil } = await recordFailedLogin(req.ip, user);
+
+      if (accountLockedUntil) {
+        return sendAccountLocked(res, accountLockedUntil);
+      }
+
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code',
+      });
+    }
+
+    await recordSuccessfulLogin(user);
+
+    const userData = await buildLoginData(user, req);
+
+    if (method === 'recovery') {
+      userData.recoveryCodesRemaining = await prisma.twoFactorRecoveryCode.count({
+        where: { userId: user.id, usedAt: null },
       });
-      userData = { ...userData, profesor };
     }
 
     return res.status(200).json({
@@ -171,7 +395,535 @@ router.post('/login', async (req, res) => {
       data: userData,
     });
   } catch (error) {
-    console.error('Login error:', error);
+    console.error('Two-factor login error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/auth/oidc/config
+ * Tell the frontend whether single sign-on is available
+ */
+router.get('/oidc/config', (req, res) => {
+  const enabled = isOidcEnabled();
+
+  return res.status(200).json({
+    success: true,
+    message: 'Single sign-on configuration retrieved successfully',
+    data: {
+      enabled,
+      providerName: enabled ? getOidcConfig().providerName : null,
+    },
+  });
+});
+
+/**
+ * GET /api/auth/oidc/login
+ * Start single sign-on: redirect the browser to the identity provider
+ */
+router.get('/oidc/login', async (req, res) => {
+  if (!isOidcEnabled()) {
+    return res.status(404).json({
+      success: false,
+      message: 'Single sign-on is not configured',
+    });
+  }
+
+  try {
+    return res.redirect(await createAuthorizationUrl());
+  } catch (error) {
+    console.error('OIDC login error:', error);
+    return res.redirect(buildFrontendLink('/login', { ssoError: 'The identity provider is unavailable' }));
+  }
+});
+
+/**
+ * GET /api/auth/oidc/callback
+ * Redirect target of the identity provider. Resolves (or creates) the local user and sends
+ * the browser to the frontend with a one-time login code, never with the tokens themselves
+ */
+router.get('/oidc/callback', async (req, res) => {
+  if (!isOidcEnabled()) {
+    return res.status(404).json({
+      success: false,
+      message: 'Single sign-on is not configured',
+    });
+  }
+
+  try {
+    const { loginCode, error } = await handleCallback(req);
+
+    if (error) {
+      return res.redirect(buildFrontendLink('/login', { ssoError: error }));
+    }
+
+    return res.redirect(buildFrontendLink('/sso/callback', { code: loginCode }));
+  } catch (error) {
+    console.error('OIDC callback error:', error);
+    return res.redirect(buildFrontendLink('/login', { ssoError: 'Single sign-on failed. Please try again' }));
+  }
+});
+
+/**
+ * POST /api/auth/oidc/exchange
+ * Exchange the one-time login code from the SSO redirect for tokens
+ * Accounts with two-factor enabled receive a challenge token, as with password login
+ */
+router.post('/oidc/exchange', async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    // Validation
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required field: code',
+      });
+    }
+
+    const user = await consumeLoginCode(code);
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Single sign-on link is invalid or has expired. Please sign in again',
+      });
+    }
+
+    const accountLock = checkAccountLock(user);
+    if (accountLock.locked) {
+      return sendAccountLocked(res, accountLock.lockedUntil);
+    }
+
+    if (user.totpEnabledAt) {
+      return res.status(200).json({
+        success: true,
+        message: 'Two-factor authentication code required',
+        data: {
+          twoFactorRequired: true,
+          challengeToken: createChallengeToken(user),
+        },
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Login successful',
+      data: await buildLoginData(user, req),
+    });
+  } catch (error) {
+    console.error('OIDC exchange error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/auth/refresh
+ * Exchange a refresh token for a new access token and a rotated refresh token
+ */
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    // Validation
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required field: refreshToken',
+      });
+    }
+
+    if (typeof refreshToken !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'refreshToken must be a string',
+      });
+    }
+
+    const result = await rotateRefreshToken(refreshToken, getClientInfo(req));
+
+    if (result.error) {
+      return res.status(401).json({
+        success: false,
+        message: result.error === 'reused'
+          ? 'Refresh token has already been used. All sessions for this login were revoked.'
+          : 'Invalid or expired refresh token',
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Token refreshed successfully',
+      data: {
+        userId: result.user.id,
+        email: result.user.email,
+        role: result.user.role,
+        token: result.token,
+        refreshToken: result.refreshToken,
+      },
+    });
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/auth/logout
+ * Revoke the refresh token (and its whole family) so the login cannot be renewed
+ */
+router.post('/logout', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    // Validation
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required field: refreshToken',
+      });
+    }
+
+    if (typeof refreshToken !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'refreshToken must be a string',
+      });
+    }
+
+    await revokeRefreshToken(refreshToken);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Logout successful',
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/auth/forgot-password
+ * Email a one-time password reset link
+ * Always answers with the same message so registered emails cannot be discovered
+ */
+router.post('/forgot-password', async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    // Validation
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required field: email',
+      });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { email },
+    });
+
+    if (user) {
+      const token = generateOpaqueToken();
+      const expireMinutes =
+        parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES) || DEFAULT_PASSWORD_RESET_EXPIRE_MINUTES;
+      const expiresAt = new Date(Date.now() + expireMinutes * 60 * 1000);
+
+      await prisma.$transaction(async (tx) => {
+        // Only the most recent link stays usable
+        await tx.passwordResetToken.updateMany({
+          where: { userId: user.id, usedAt: null },
+          data: { usedAt: new Date() },
+        });
+
+        await tx.passwordResetToken.create({
+          data: {
+            userId: user.id,
+            tokenHash: hashToken(token),
+            expiresAt,
+          },
+        });
+      });
+
+      const resetLink = buildFrontendLink('/reset-password', { token });
+
+      await sendMail({
+        to: user.email,
+        subject: 'eDissertation - Password reset',
+        text: [
+          'A password reset was requested for your eDissertation account.',
+          '',
+          `Open the following link to choose a new password (valid for ${expireMinutes} minutes):`,
+          resetLink,
+          '',
+          'If you did not request a password reset, you can ignore this email.',
+        ].join('\n'),
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'If an account exists for this email, a password reset link has been sent',
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/auth/reset-password
+ * Set a new password using a one-time reset token
+ * Signs the user out everywhere by revoking all refresh tokens
+ */
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    // Validation
+    if (!token || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required fields: token, password',
+      });
+    }
+
+    if (typeof token !== 'string' || typeof password !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'token and password must be strings',
+      });
+    }
+
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters long`,
+      });
+    }
+
+    const resetToken = await prisma.passwordResetToken.findUnique({
+      where: { tokenHash: hashToken(token) },
+    });
+
+    if (!resetToken || resetToken.usedAt || resetToken.expiresAt < new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired password reset link',
+      });
+    }
+
+    const passwordHash = await hashPassword(password);
+
+    const updated = await prisma.$transaction(async (tx) => {
+      // Consume the token; a concurrent request using the same link loses
+      const consumed = await tx.passwordResetToken.updateMany({
+        where: { id: resetToken.id, usedAt: null },
+        data: { usedAt: new Date() },
+      });
+
+      if (consumed.count !== 1) {
+        return false;
+      }
+
+      await tx.user.update({
+        where: { id: resetToken.userId },
+        data: { passwordHash },
+      });
+
+      await revokeAllUserTokens(resetToken.userId, tx);
+
+      // Proving control of the mailbox also lifts a login lockout
+      await unlockAccount(resetToken.userId, tx);
+
+      return true;
+    });
+
+    if (!updated) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired password reset link',
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Password reset successfully. Please sign in with your new password.',
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/auth/verify-email?token=...
+ * Confirm the user's email address with the token from the verification link
+ */
+router.get('/verify-email', async (req, res) => {
+  try {
+    const { token } = req.query;
+
+    // Validation
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required query parameter: token',
+      });
+    }
+
+    // A repeated parameter arrives as an array
+    if (typeof token !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'token must be a single string',
+      });
+    }
+
+    const user = await verifyEmailToken(token);
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired verification link',
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Email verified successfully',
+      data: {
+        userId: user.id,
+        email: user.email,
+        emailVerifiedAt: user.emailVerifiedAt,
+      },
+    });
+  } catch (error) {
+    console.error('Email verification error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/auth/confirm-email-change?token=...
+ * Apply a pending email change with the token mailed to the new address
+ */
+router.get('/confirm-email-change', async (req, res) => {
+  try {
+    const { token } = req.query;
+
+    // Validation
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required query parameter: token',
+      });
+    }
+
+    // A repeated parameter arrives as an array
+    if (typeof token !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'token must be a single string',
+      });
+    }
+
+    const result = await confirmEmailChange(token);
+
+    if (result.error === 'taken') {
+      return res.status(409).json({
+        success: false,
+        message: 'Email already registered',
+      });
+    }
+
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired confirmation link',
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Email address changed successfully',
+      data: {
+        userId: result.user.id,
+        email: result.user.email,
+        emailVerifiedAt: result.user.emailVerifiedAt,
+      },
+    });
+  } catch (error) {
+    console.error('Email change confirmation error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/auth/resend-verification
+ * Send a new verification link to the authenticated user
+ */
+router.post('/resend-verification', authMiddleware, async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.userId },
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    if (user.emailVerifiedAt) {
+      return res.status(409).json({
+        success: false,
+        message: 'Email is already verified',
+      });
+    }
+
+    await sendVerificationEmail(user);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Verification email sent',
+    });
+  } catch (error) {
+    console.error('Resend verification error:', error);
     return res.status(500).json({
       success: false,
       message: 'Internal server error',
@@ -0,0 +1,226 @@
+const express = require('express');
+const { prisma } = require('../db');
+const { apiKeyMiddleware } = require('../middleware/auth');
+const { ENROLLED_STATUSES } = require('../utils/applicationStateMachine');
+const { getSessionCapacities, getProfessorCapacities } = require('../utils/capacity');
+const { getAcceptedCoSupervisors } = require('../utils/coSupervisors');
+
+const router = express.Router();
+
+/**
+ * Parse an optional positive integer query parameter
+ * @param {string} value - Raw query value
+ * @returns {number|null|undefined} - The number, undefined if absent, null if invalid
+ */
+function parseOptionalId(value) {
+  if (value === undefined) {
+    return undefined;
+  }
+  const id = parseInt(value);
+  return isNaN(id) || id < 1 ? null : id;
+}
+
+/**
+ * GET /api/integrations/assignments
+ * Approved student-professor assignments for the registrar exports
+ * Optional filters: sesiuneId, profesorId, updatedSince (ISO 8601)
+ * Scope: assignments:read
+ */
+router.get('/assignments', apiKeyMiddleware('assignments:read'), async (req, res) => {
+  try {
+    const sesiuneId = parseOptionalId(req.query.sesiuneId);
+    const profesorId = parseOptionalId(req.query.profesorId);
+    const updatedSince = req.query.updatedSince ? new Date(req.query.updatedSince) : undefined;
+
+    // Validation
+    if (sesiuneId === null || profesorId === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'sesiuneId and profesorId must be positive integers',
+      });
+    }
+
+    if (updatedSince && isNaN(updatedSince.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid updatedSince. Use ISO 8601 format (YYYY-MM-DDTHH:mm:ss)',
+      });
+    }
+
+    const applications = await prisma.cerereDisertatie.findMany({
+      where: {
+        status: { in: ENROLLED_STATUSES },
+        ...(sesiuneId && { sesiuneId }),
+        ...(profesorId && { profesorId }),
+        ...(updatedSince && { updatedAt: { gte: updatedSince } }),
+      },
+      include: {
+        student: {
+          select: {
+            id: true,
+            nume: true,
+            prenume: true,
+            user: { select: { email: true } },
+          },
+        },
+        profesor: {
+          select: {
+            id: true,
+            nume: true,
+            prenume: true,
+            user: { select: { email: true } },
+          },
+        },
+        sesiune: {
+          select: {
+            id: true,
+            dataInceput: true,
+            dataSfarsit: true,
+          },
+        },
+      },
+      orderBy: {
+        updatedAt: 'asc',
+      },
+    });
+
+    const coSupervisors = await getAcceptedCoSupervisors(applications.map((app) => app.id));
+
+    const formattedAssignments = applications.map((app) => ({
+      applicationId: app.id,
+      student: {
+        id: app.student.id,
+        nume: app.student.nume,
+        prenume: app.student.prenume,
+        email: app.student.user.email,
+      },
+      profesor: {
+        id: app.profesor.id,
+        nume: app.profesor.nume,
+        prenume: app.profesor.prenume,
+        email: app.profesor.user.email,
+      },
+      coSupervisors: coSupervisors[app.id],
+      sesiune: app.sesiune,
+      titluFinal: app.titluFinal,
+      hasSignedFile: Boolean(app.fisierSemnatUrl),
+      hasResponseFile: Boolean(app.fisierRaspunsUrl),
+      createdAt: app.createdAt,
+      updatedAt: app.updatedAt,
+    }));
+
+    return res.status(200).json({
+      success: true,
+      message: 'Assignments retrieved successfully',
+      data: formattedAssignments,
+      pagination: {
+        total: formattedAssignments.length,
+      },
+    });
+  } catch (error) {
+    console.error('Integration assignment retrieval error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/integrations/sessions
+ * Registration sessions with their seats
+ * Scope: sessions:read
+ */
+router.get('/sessions', apiKeyMiddleware('sessions:read'), async (req, res) => {
+  try {
+    const now = new Date();
+
+    const sessions = await prisma.sesiuneInscriere.findMany({
+      orderBy: {
+        dataInceput: 'desc',
+      },
+    });
+
+    const capacities = await getSessionCapacities(sessions.map((session) => session.id));
+
+    const formattedSessions = sessions.map((session) => ({
+      id: session.id,
+      profesorId: session.profesorId,
+      dataInceput: session.dataInceput,
+      dataSfarsit: session.dataSfarsit,
+      limitaStudenti: session.limitaStudenti,
+      capacity: capacities[session.id],
+      enrolledCount: capacities[session.id].approvedSeats,
+      status:
+        session.dataInceput > now
+          ? 'upcoming'
+          : session.dataSfarsit < now
+            ? 'past'
+            : 'active',
+    }));
+
+    return res.status(200).json({
+      success: true,
+      message: 'Sessions retrieved successfully',
+      data: formattedSessions,
+      pagination: {
+        total: formattedSessions.length,
+      },
+    });
+  } catch (error) {
+    console.error('Integration session retrieval error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/integrations/professors
+ * Professors with their student limit across all of their sessions and the seats used
+ * Scope: professors:read
+ */
+router.get('/professors', apiKeyMiddleware('professors:read'), async (req, res) => {
+  try {
+    const professors = await prisma.profesor.findMany({
+      include: {
+        user: { select: { email: true } },
+      },
+      orderBy: [{ nume: 'asc' }, { prenume: 'asc' }],
+    });
+
+    const capacities = await getProfessorCapacities(professors.map((profesor) => profesor.id));
+
+    const formattedProfessors = professors.map((profesor) => ({
+      id: profesor.id,
+      nume: profesor.nume,
+      prenume: profesor.prenume,
+      email: profesor.user.email,
+      limitaStudenti: profesor.limitaStudenti,
+      approvedCount: capacities[profesor.id].approvedSeats,
+      coSupervisedSeats: capacities[profesor.id].coSupervisedSeats,
+      freeSeats: capacities[profesor.id].freeSeats,
+    }));
+
+    return res.status(200).json({
+      success: true,
+      message: 'Professors retrieved successfully',
+      data: formattedProfessors,
+      pagination: {
+        total: formattedProfessors.length,
+      },
+    });
+  } catch (error) {
+    console.error('Integration professor retrieval error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
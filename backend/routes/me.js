@@ -0,0 +1,486 @@
+const express = require('express');
+const { prisma } = require('../db');
+const { MIN_PASSWORD_LENGTH, hashPassword, comparePassword } = require('../utils/auth');
+const {
+  getClientInfo,
+  issueAuthTokens,
+  revokeTokenFamily,
+  revokeAllUserTokens,
+} = require('../utils/tokens');
+const { sendMail } = require('../utils/mailer');
+const { requestEmailChange } = require('../utils/verification');
+const {
+  checkIpThrottle,
+  checkAccountLock,
+  sendAccountLocked,
+  recordFailedLogin,
+  recordSuccessfulLogin,
+} = require('../utils/loginThrottle');
+const { authMiddleware } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * Check the current password confirming a sensitive change, throttled like a login
+ * Failures count towards the IP backoff and the account lock, so a stolen access token
+ * cannot be used to guess the password
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} user - User record
+ * @param {string} password - Password given by the client
+ * @returns {Promise<Object|null>} - The error response sent, or null if the password is correct
+ */
+async function verifyCurrentPassword(req, res, user, password) {
+  const ipThrottle = await checkIpThrottle(req.ip);
+  if (ipThrottle.blocked) {
+    res.set('Retry-After', String(ipThrottle.retryAfterSeconds));
+    return res.status(429).json({
+      success: false,
+      message: `Too many failed password attempts. Try again in ${ipThrottle.retryAfterSeconds} seconds.`,
+      data: { retryAfterSeconds: ipThrottle.retryAfterSeconds },
+    });
+  }
+
+  const accountLock = checkAccountLock(user);
+  if (accountLock.locked) {
+    return sendAccountLocked(res, accountLock.lockedUntil);
+  }
+
+  const isPasswordValid = await comparePassword(password, user.passwordHash);
+  if (!isPasswordValid) {
+    const { accountLockedUntil } = await recordFailedLogin(req.ip, user);
+
+    if (accountLockedUntil) {
+      return sendAccountLocked(res, accountLockedUntil);
+    }
+
+    return res.status(400).json({
+      success: false,
+      message: 'Current password is incorrect',
+    });
+  }
+
+  await recordSuccessfulLogin(user);
+  return null;
+}
+
+/**
+ * Load the current user with profile and pending email change
+ * @param {number} userId - User ID
+ * @returns {Promise<Object|null>} - Profile response data, or null if the user no longer exists
+ */
+async function loadProfile(userId) {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    include: {
+      student: { select: { id: true, nume: true, prenume: true } },
+      profesor: { select: { id: true, nume: true, prenume: true, limitaStudenti: true } },
+      emailChangeRequests: {
+        where: { usedAt: null, expiresAt: { gt: new Date() } },
+        orderBy: { createdAt: 'desc' },
+        take: 1,
+      },
+    },
+  });
+
+  if (!user) {
+    return null;
+  }
+
+  return {
+    userId: user.id,
+    email: user.email,
+    role: user.role,
+    emailVerifiedAt: user.emailVerifiedAt,
+    pendingEmail: user.emailChangeRequests[0]?.newEmail || null,
+    twoFactorEnabled: Boolean(user.totpEnabledAt),
+    createdAt: user.createdAt,
+    student: user.student,
+    profesor: user.profesor,
+  };
+}
+
+/**
+ * GET /api/me/profile
+ * Get the profile of the authenticated user
+ */
+router.get('/profile', authMiddleware, async (req, res) => {
+  try {
+    const profile = await loadProfile(req.user.userId);
+
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Profile retrieved successfully',
+      data: profile,
+    });
+  } catch (error) {
+    console.error('Profile retrieval error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * PATCH /api/me/profile
+ * Update nume / prenume of the student or professor profile
+ */
+router.patch('/profile', authMiddleware, async (req, res) => {
+  try {
+    const { nume, prenume } = req.body;
+
+    // Validation
+    if (nume === undefined && prenume === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide at least one field to update: nume, prenume',
+      });
+    }
+
+    const data = {};
+    for (const [field, value] of Object.entries({ nume, prenume })) {
+      if (value === undefined) continue;
+      if (typeof value !== 'string' || !value.trim()) {
+        return res.status(400).json({
+          success: false,
+          message: `${field} cannot be empty`,
+        });
+      }
+      data[field] = value.trim();
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.userId },
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    if (user.role === 'student') {
+      await prisma.student.update({ where: { userId: user.id }, data });
+    } else if (user.role === 'profesor') {
+      await prisma.profesor.update({ where: { userId: user.id }, data });
+    } else {
+      return res.status(400).json({
+        success: false,
+        message: 'This account has no name profile to update',
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Profile updated successfully',
+      data: await loadProfile(user.id),
+    });
+  } catch (error) {
+    console.error('Profile update error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/me/password
+ * Change the password (requires the current password)
+ * Signs out all other sessions and returns a fresh token pair for this one
+ */
+router.post('/password', authMiddleware, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    // Validation
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required fields: currentPassword, newPassword',
+      });
+    }
+
+    if (typeof currentPassword !== 'string' || typeof newPassword !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'currentPassword and newPassword must be strings',
+      });
+    }
+
+    if (newPassword.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters long`,
+      });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.userId },
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    const passwordError = await verifyCurrentPassword(req, res, user, currentPassword);
+    if (passwordError) {
+      return passwordError;
+    }
+
+    const passwordHash = await hashPassword(newPassword);
+
+    await prisma.$transaction(async (tx) => {
+      await tx.user.update({
+        where: { id: user.id },
+        data: { passwordHash },
+      });
+      await revokeAllUserTokens(user.id, tx);
+    });
+
+    const { token, refreshToken } = await issueAuthTokens(user, getClientInfo(req));
+
+    try {
+      await sendMail({
+        to: user.email,
+        subject: 'eDissertation - Your password was changed',
+        text: [
+          'The password of your eDissertation account was just changed and your other sessions were signed out.',
+          '',
+          'If you did not make this change, reset your password immediately using "Forgot your password?" on the login page.',
+        ].join('\n'),
+      });
+    } catch (mailError) {
+      console.error('Password change notification error:', mailError);
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Password changed successfully',
+      data: { token, refreshToken },
+    });
+  } catch (error) {
+    console.error('Password change error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/me/email
+ * Request an email change (requires the current password)
+ * The new address must be confirmed through GET /api/auth/confirm-email-change
+ */
+router.post('/email', authMiddleware, async (req, res) => {
+  try {
+    const { newEmail, password } = req.body;
+
+    // Validation
+    if (!newEmail || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required fields: newEmail, password',
+      });
+    }
+
+    if (typeof newEmail !== 'string' || typeof password !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'newEmail and password must be strings',
+      });
+    }
+
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(newEmail)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid email address',
+      });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.userId },
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    const passwordError = await verifyCurrentPassword(req, res, user, password);
+    if (passwordError) {
+      return passwordError;
+    }
+
+    if (newEmail === user.email) {
+      return res.status(400).json({
+        success: false,
+        message: 'The new email address is the same as the current one',
+      });
+    }
+
+    const existingUser = await prisma.user.findUnique({
+      where: { email: newEmail },
+    });
+
+    if (existingUser) {
+      return res.status(409).json({
+        success: false,
+        message: 'Email already registered',
+      });
+    }
+
+    const request = await requestEmailChange(user, newEmail);
+
+    return res.status(200).json({
+      success: true,
+      message: `A confirmation link was sent to ${newEmail}. Your email changes once it is opened.`,
+      data: {
+        pendingEmail: request.newEmail,
+        expiresAt: request.expiresAt,
+      },
+    });
+  } catch (error) {
+    console.error('Email change request error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/me/sessions
+ * List the active device sessions (logins) of the authenticated user
+ */
+router.get('/sessions', authMiddleware, async (req, res) => {
+  try {
+    const sessions = await prisma.deviceSession.findMany({
+      where: {
+        userId: req.user.userId,
+        revokedAt: null,
+        expiresAt: { gt: new Date() },
+      },
+      orderBy: {
+        lastSeenAt: 'desc',
+      },
+    });
+
+    const formattedSessions = sessions.map((session) => ({
+      id: session.id,
+      userAgent: session.userAgent,
+      ip: session.ip,
+      createdAt: session.createdAt,
+      lastSeenAt: session.lastSeenAt,
+      expiresAt: session.expiresAt,
+      current: session.id === req.user.sid,
+    }));
+
+    return res.status(200).json({
+      success: true,
+      message: 'Sessions retrieved successfully',
+      data: formattedSessions,
+    });
+  } catch (error) {
+    console.error('Session retrieval error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * DELETE /api/me/sessions/:id
+ * Sign out one device session; its access token stops working immediately
+ */
+router.delete('/sessions/:id', authMiddleware, async (req, res) => {
+  try {
+    const session = await prisma.deviceSession.findUnique({
+      where: { id: req.params.id },
+    });
+
+    if (!session || session.userId !== req.user.userId) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found',
+      });
+    }
+
+    await revokeTokenFamily(session.id);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Session signed out successfully',
+      data: {
+        id: session.id,
+        current: session.id === req.user.sid,
+      },
+    });
+  } catch (error) {
+    console.error('Session revocation error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * DELETE /api/me/sessions
+ * Sign out every device session except the current one
+ */
+router.delete('/sessions', authMiddleware, async (req, res) => {
+  try {
+    const sessions = await prisma.deviceSession.findMany({
+      where: {
+        userId: req.user.userId,
+        revokedAt: null,
+        ...(req.user.sid && { id: { not: req.user.sid } }),
+      },
+      select: { id: true },
+    });
+
+    for (const session of sessions) {
+      await revokeTokenFamily(session.id);
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Other sessions signed out successfully',
+      data: {
+        revoked: sessions.length,
+      },
+    });
+  } catch (error) {
+    console.error('Session revocation error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
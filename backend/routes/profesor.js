@@ -1,44 +1,11 @@
 const express = require('express');
 const { prisma } = require('../db');
-const { authMiddleware } = require('../middleware/auth');
+const { authMiddleware, requireRole } = require('../middleware/auth');
+const { ENROLLED_STATUSES } = require('../utils/applicationStateMachine');
+const { getSessionCapacities } = require('../utils/capacity');
 
 const router = express.Router();
 
-/**
- * Middleware to verify user is a professor
- */
-async function profesorOnly(req, res, next) {
-  try {
-    if (req.user.role !== 'profesor') {
-      return res.status(403).json({
-        success: false,
-        message: 'This action requires profesor role',
-      });
-    }
-
-    // Get profesor record
-    const profesor = await prisma.profesor.findUnique({
-      where: { userId: req.user.userId },
-    });
-
-    if (!profesor) {
-      return res.status(404).json({
-        success: false,
-        message: 'Profesor profile not found',
-      });
-    }
-
-    req.profesor = profesor;
-    next();
-  } catch (error) {
-    console.error('Profesor validation error:', error);
-    return res.status(500).json({
-      success: false,
-      message: 'Internal server error',
-    });
-  }
-}
-
 /**
  * Check if a date range overlaps with existing sessions
  * @param {Date} dataInceput - Start date
@@ -66,11 +33,158 @@ async function checkSessionOverlap(dataInceput, dataSfarsit, profesorId, exclude
   return false;
 }
 
+const ALLOCATION_MODES = ['manual', 'matching'];
+const RANKING_CRITERIA = ['manual', 'grade'];
+
+/**
+ * Validate the allocation settings of a session
+ * manual: the professor approves applications one by one
+ * matching: places are assigned by the admin-run stable matching, ranking applicants
+ * by the professor's own order (manual) or by grade average (grade)
+ * @param {Object} body - Request body (modAlocare, criteriuClasament)
+ * @returns {{data?: Object, error?: string}} - Prisma data or a validation message
+ */
+function validateAllocationSettings(body) {
+  const { modAlocare, criteriuClasament } = body;
+  const data = {};
+
+  if (modAlocare !== undefined) {
+    if (!ALLOCATION_MODES.includes(modAlocare)) {
+      return { error: `modAlocare must be one of: ${ALLOCATION_MODES.join(', ')}` };
+    }
+    data.modAlocare = modAlocare;
+  }
+
+  if (criteriuClasament !== undefined) {
+    if (!RANKING_CRITERIA.includes(criteriuClasament)) {
+      return { error: `criteriuClasament must be one of: ${RANKING_CRITERIA.join(', ')}` };
+    }
+    data.criteriuClasament = criteriuClasament;
+  }
+
+  return { data };
+}
+
+/**
+ * Validate the fields of a dissertation topic
+ * @param {Object} body - Request body (titlu, descriere, competente, limitaStudenti)
+ * @param {Object} session - SesiuneInscriere the topic belongs to
+ * @param {boolean} partial - Only validate the fields that are present (updates)
+ * @returns {{data?: Object, error?: string}} - Prisma data or a validation message
+ */
+function validateTopicInput(body, session, partial = false) {
+  const { titlu, descriere, competente, limitaStudenti } = body;
+  const data = {};
+
+  if (!partial || titlu !== undefined) {
+    if (typeof titlu !== 'string' || !titlu.trim()) {
+      return { error: 'Topic title (titlu) is required' };
+    }
+    if (titlu.trim().length > 255) {
+      return { error: 'Topic title must be at most 255 characters long' };
+    }
+    data.titlu = titlu.trim();
+  }
+
+  for (const [field, value] of Object.entries({ descriere, competente })) {
+    if (value === undefined) continue;
+    if (value !== null && typeof value !== 'string') {
+      return { error: `${field} must be a string` };
+    }
+    data[field] = value && value.trim() ? value.trim() : null;
+  }
+
+  if (!partial || limitaStudenti !== undefined) {
+    const limit = parseInt(limitaStudenti);
+    if (isNaN(limit) || limit < 1) {
+      return { error: 'Topic student limit must be at least 1' };
+    }
+    if (limit > session.limitaStudenti) {
+      return { error: `Topic student limit cannot exceed the session limit of ${session.limitaStudenti}` };
+    }
+    data.limitaStudenti = limit;
+  }
+
+  return { data };
+}
+
+/**
+ * Format a topic with its approved student count
+ * @param {Object} topic - TemaDisertatie record with _count of approved applications
+ * @returns {Object}
+ */
+function formatTopic(topic) {
+  const approvedCount = topic._count ? topic._count.cerereDisertatie : 0;
+  return {
+    id: topic.id,
+    sesiuneId: topic.sesiuneId,
+    titlu: topic.titlu,
+    descriere: topic.descriere,
+    competente: topic.competente,
+    limitaStudenti: topic.limitaStudenti,
+    approvedCount,
+    availableSlots: topic.limitaStudenti - approvedCount,
+    createdAt: topic.createdAt,
+    updatedAt: topic.updatedAt,
+  };
+}
+
+// Include for counting the approved applications of a topic
+const TOPIC_APPROVED_COUNT = {
+  _count: {
+    select: {
+      cerereDisertatie: {
+        where: { status: { in: ENROLLED_STATUSES } },
+      },
+    },
+  },
+};
+
+/**
+ * Load a session owned by the professor, sending the error response otherwise
+ * @param {Object} req - Express request (req.profesor set by requireRole)
+ * @param {Object} res - Express response
+ * @param {string} id - Session ID from the URL
+ * @returns {Promise<Object|null>} - The session, or null if a response was sent
+ */
+async function loadOwnedSession(req, res, id) {
+  const sessionId = parseInt(id);
+  if (isNaN(sessionId)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid session ID',
+    });
+    return null;
+  }
+
+  const session = await prisma.sesiuneInscriere.findUnique({
+    where: { id: sessionId },
+  });
+
+  if (!session) {
+    res.status(404).json({
+      success: false,
+      message: 'Session not found',
+    });
+    return null;
+  }
+
+  if (session.profesorId !== req.profesor.id) {
+    res.status(403).json({
+      success: false,
+      message: 'You do not have access to this session',
+    });
+    return null;
+  }
+
+  return session;
+}
+
 /**
  * POST /api/profesor/sessions
  * Create a new enrollment session for a professor
  */
-router.post('/sessions', authMiddleware, profesorOnly, async (req, res) => {
+router.post('/sessions', authMiddleware, requireRole('profesor'), async (req, res) => {
   try {
     const { dataInceput, dataSfarsit, limitaStudenti } = req.body;
 
@@ -110,14 +224,22 @@ router.post('/sessions', authMiddleware, profesorOnly, async (req, res) => {
       });
     }
 
-    // Validate profesor's student limit
-    if (limitaStudenti > req.profesor.limitaStudenti) {
+    // Validate profesor's student limit (0: no overall limit, only the session limit applies)
+    if (req.profesor.limitaStudenti > 0 && limitaStudenti > req.profesor.limitaStudenti) {
       return res.status(400).json({
         success: false,
         message: `Student limit cannot exceed professor's maximum limit of ${req.profesor.limitaStudenti}`,
       });
     }
 
+    const allocation = validateAllocationSettings(req.body);
+    if (allocation.error) {
+      return res.status(400).json({
+        success: false,
+        message: allocation.error,
+      });
+    }
+
     // Check for temporal overlaps
     const hasOverlap = await checkSessionOverlap(startDate, endDate, req.profesor.id);
 
@@ -135,6 +257,7 @@ router.post('/sessions', authMiddleware, profesorOnly, async (req, res) => {
         dataInceput: startDate,
         dataSfarsit: endDate,
         limitaStudenti,
+        ...allocation.data,
       },
       include: {
         profesor: {
@@ -147,6 +270,8 @@ router.post('/sessions', authMiddleware, profesorOnly, async (req, res) => {
       },
     });
 
+    const capacities = await getSessionCapacities([session.id]);
+
     return res.status(201).json({
       success: true,
       message: 'Session created successfully',
@@ -157,6 +282,9 @@ router.post('/sessions', authMiddleware, profesorOnly, async (req, res) => {
         dataInceput: session.dataInceput,
         dataSfarsit: session.dataSfarsit,
         limitaStudenti: session.limitaStudenti,
+        capacity: capacities[session.id],
+        modAlocare: session.modAlocare,
+        criteriuClasament: session.criteriuClasament,
         createdAt: session.createdAt,
       },
     });
@@ -174,7 +302,7 @@ router.post('/sessions', authMiddleware, profesorOnly, async (req, res) => {
  * GET /api/profesor/sessions
  * List all enrollment sessions for the authenticated professor
  */
-router.get('/sessions', authMiddleware, profesorOnly, async (req, res) => {
+router.get('/sessions', authMiddleware, requireRole('profesor'), async (req, res) => {
   try {
     const { status = 'all' } = req.query;
     const now = new Date();
@@ -202,25 +330,15 @@ router.get('/sessions', authMiddleware, profesorOnly, async (req, res) => {
       };
     }
 
-    // Fetch sessions with enrollment count
     const sessions = await prisma.sesiuneInscriere.findMany({
       where,
-      include: {
-        _count: {
-          select: { 
-            cerereDisertatie: {
-              where: {
-                status: 'approved' // Only count approved applications as enrolled
-              }
-            }
-          },
-        },
-      },
       orderBy: {
         dataInceput: 'desc',
       },
     });
 
+    const capacities = await getSessionCapacities(sessions.map((session) => session.id));
+
     // Format response
     const formattedSessions = sessions.map((session) => ({
       id: session.id,
@@ -228,8 +346,11 @@ router.get('/sessions', authMiddleware, profesorOnly, async (req, res) => {
       dataInceput: session.dataInceput,
       dataSfarsit: session.dataSfarsit,
       limitaStudenti: session.limitaStudenti,
-      enrolledCount: session._count.cerereDisertatie,
-      availableSlots: session.limitaStudenti - session._count.cerereDisertatie,
+      capacity: capacities[session.id],
+      enrolledCount: capacities[session.id].approvedSeats,
+      availableSlots: capacities[session.id].freeSeats,
+      modAlocare: session.modAlocare,
+      criteriuClasament: session.criteriuClasament,
       status:
         session.dataInceput > now
           ? 'upcoming'
@@ -261,7 +382,7 @@ router.get('/sessions', authMiddleware, profesorOnly, async (req, res) => {
  * GET /api/profesor/sessions/:id
  * Get details of a specific enrollment session
  */
-router.get('/sessions/:id', authMiddleware, profesorOnly, async (req, res) => {
+router.get('/sessions/:id', authMiddleware, requireRole('profesor'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -296,9 +417,15 @@ router.get('/sessions/:id', authMiddleware, profesorOnly, async (req, res) => {
               },
             },
             status: true,
+            temaId: true,
+            rangProfesor: true,
             createdAt: true,
           },
         },
+        teme: {
+          include: TOPIC_APPROVED_COUNT,
+          orderBy: { createdAt: 'asc' },
+        },
       },
     });
 
@@ -318,6 +445,7 @@ router.get('/sessions/:id', authMiddleware, profesorOnly, async (req, res) => {
     }
 
     const now = new Date();
+    const capacity = (await getSessionCapacities([session.id]))[session.id];
 
     return res.status(200).json({
       success: true,
@@ -329,8 +457,11 @@ router.get('/sessions/:id', authMiddleware, profesorOnly, async (req, res) => {
         dataInceput: session.dataInceput,
         dataSfarsit: session.dataSfarsit,
         limitaStudenti: session.limitaStudenti,
-        enrolledCount: session.cerereDisertatie.length,
-        availableSlots: session.limitaStudenti - session.cerereDisertatie.length,
+        capacity,
+        enrolledCount: capacity.approvedSeats,
+        availableSlots: capacity.freeSeats,
+        modAlocare: session.modAlocare,
+        criteriuClasament: session.criteriuClasament,
         status:
           session.dataInceput > now
             ? 'upcoming'
@@ -338,6 +469,7 @@ router.get('/sessions/:id', authMiddleware, profesorOnly, async (req, res) => {
               ? 'past'
               : 'active',
         enrollments: session.cerereDisertatie,
+        topics: session.teme.map(formatTopic),
         createdAt: session.createdAt,
       },
     });
@@ -355,10 +487,10 @@ router.get('/sessions/:id', authMiddleware, profesorOnly, async (req, res) => {
  * PUT /api/profesor/sessions/:id
  * Update an enrollment session (only if no enrollments or session hasn't started)
  */
-router.put('/sessions/:id', authMiddleware, profesorOnly, async (req, res) => {
+router.put('/sessions/:id', authMiddleware, requireRole('profesor'), async (req, res) => {
   try {
     const { id } = req.params;
-    const { dataInceput, dataSfarsit, limitaStudenti } = req.body;
+    const { dataInceput, dataSfarsit, limitaStudenti, modAlocare, criteriuClasament } = req.body;
 
     // Parse session ID
     const sessionId = parseInt(id);
@@ -437,6 +569,8 @@ router.put('/sessions/:id', authMiddleware, profesorOnly, async (req, res) => {
 
       updateData.dataInceput = startDate;
       updateData.dataSfarsit = endDate;
+      // A new end date moves the expiry of open applications, so remind the professor again
+      updateData.reamintireExpirareLa = null;
     }
 
     if (limitaStudenti !== undefined) {
@@ -447,7 +581,8 @@ router.put('/sessions/:id', authMiddleware, profesorOnly, async (req, res) => {
         });
       }
 
-      if (limitaStudenti > req.profesor.limitaStudenti) {
+      // 0: no overall limit, only the session limit applies
+      if (req.profesor.limitaStudenti > 0 && limitaStudenti > req.profesor.limitaStudenti) {
         return res.status(400).json({
           success: false,
           message: `Student limit cannot exceed professor's maximum limit of ${req.profesor.limitaStudenti}`,
@@ -465,6 +600,17 @@ router.put('/sessions/:id', authMiddleware, profesorOnly, async (req, res) => {
       updateData.limitaStudenti = limitaStudenti;
     }
 
+    if (modAlocare !== undefined || criteriuClasament !== undefined) {
+      const allocation = validateAllocationSettings(req.body);
+      if (allocation.error) {
+        return res.status(400).json({
+          success: false,
+          message: allocation.error,
+        });
+      }
+      Object.assign(updateData, allocation.data);
+    }
+
     if (Object.keys(updateData).length === 0) {
       return res.status(400).json({
         success: false,
@@ -487,6 +633,8 @@ router.put('/sessions/:id', authMiddleware, profesorOnly, async (req, res) => {
       },
     });
 
+    const capacities = await getSessionCapacities([updatedSession.id]);
+
     return res.status(200).json({
       success: true,
       message: 'Session updated successfully',
@@ -497,6 +645,9 @@ router.put('/sessions/:id', authMiddleware, profesorOnly, async (req, res) => {
         dataInceput: updatedSession.dataInceput,
         dataSfarsit: updatedSession.dataSfarsit,
         limitaStudenti: updatedSession.limitaStudenti,
+        capacity: capacities[updatedSession.id],
+        modAlocare: updatedSession.modAlocare,
+        criteriuClasament: updatedSession.criteriuClasament,
         createdAt: updatedSession.createdAt,
       },
     });
@@ -514,7 +665,7 @@ router.put('/sessions/:id', authMiddleware, profesorOnly, async (req, res) => {
  * DELETE /api/profesor/sessions/:id
  * Delete an enrollment session (only if no enrollments)
  */
-router.delete('/sessions/:id', authMiddleware, profesorOnly, async (req, res) => {
+router.delete('/sessions/:id', authMiddleware, requireRole('profesor'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -535,7 +686,7 @@ router.delete('/sessions/:id', authMiddleware, profesorOnly, async (req, res) =>
           select: { 
             cerereDisertatie: {
               where: {
-                status: 'approved' // Only count approved applications as enrolled
+                status: { in: ENROLLED_STATUSES } // Only count approved applications as enrolled
               }
             }
           },
@@ -585,11 +736,355 @@ router.delete('/sessions/:id', authMiddleware, profesorOnly, async (req, res) =>
   }
 });
 
+/**
+ * GET /api/profesor/sessions/:id/topics
+ * List the dissertation topics proposed in a session
+ */
+router.get('/sessions/:id/topics', authMiddleware, requireRole('profesor'), async (req, res) => {
+  try {
+    const session = await loadOwnedSession(req, res, req.params.id);
+    if (!session) return;
+
+    const topics = await prisma.temaDisertatie.findMany({
+      where: { sesiuneId: session.id },
+      include: TOPIC_APPROVED_COUNT,
+      orderBy: { createdAt: 'asc' },
+    });
+
+    const formattedTopics = topics.map(formatTopic);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Topics retrieved successfully',
+      data: formattedTopics,
+      pagination: {
+        total: formattedTopics.length,
+      },
+    });
+  } catch (error) {
+    console.error('Topic retrieval error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/profesor/sessions/:id/topics
+ * Propose a dissertation topic in a session
+ */
+router.post('/sessions/:id/topics', authMiddleware, requireRole('profesor'), async (req, res) => {
+  try {
+    const session = await loadOwnedSession(req, res, req.params.id);
+    if (!session) return;
+
+    if (session.dataSfarsit < new Date()) {
+      return res.status(409).json({
+        success: false,
+        message: 'Cannot add topics to a session that has already ended',
+      });
+    }
+
+    // Validation
+    const { data, error } = validateTopicInput(req.body, session);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    const topic = await prisma.temaDisertatie.create({
+      data: {
+        ...data,
+        sesiuneId: session.id,
+      },
+      include: TOPIC_APPROVED_COUNT,
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: 'Topic created successfully',
+      data: formatTopic(topic),
+    });
+  } catch (error) {
+    console.error('Topic creation error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * PUT /api/profesor/sessions/:id/topics/:topicId
+ * Update a topic (the limit cannot drop below its approved students)
+ */
+router.put('/sessions/:id/topics/:topicId', authMiddleware, requireRole('profesor'), async (req, res) => {
+  try {
+    const session = await loadOwnedSession(req, res, req.params.id);
+    if (!session) return;
+
+    const topicId = parseInt(req.params.topicId);
+    const topic = isNaN(topicId)
+      ? null
+      : await prisma.temaDisertatie.findUnique({
+        where: { id: topicId },
+        include: TOPIC_APPROVED_COUNT,
+      });
+
+    if (!topic || topic.sesiuneId !== session.id) {
+      return res.status(404).json({
+        success: false,
+        message: 'Topic not found',
+      });
+    }
+
+    // Validation
+    const { data, error } = validateTopicInput(req.body, session, true);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    if (Object.keys(data).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No fields to update',
+      });
+    }
+
+    if (data.limitaStudenti !== undefined && data.limitaStudenti < topic._count.cerereDisertatie) {
+      return res.status(409).json({
+        success: false,
+        message: `Cannot reduce topic limit below its approved students (${topic._count.cerereDisertatie})`,
+      });
+    }
+
+    const updatedTopic = await prisma.temaDisertatie.update({
+      where: { id: topic.id },
+      data,
+      include: TOPIC_APPROVED_COUNT,
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Topic updated successfully',
+      data: formatTopic(updatedTopic),
+    });
+  } catch (error) {
+    console.error('Topic update error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * DELETE /api/profesor/sessions/:id/topics/:topicId
+ * Delete a topic that no pending or approved application has chosen
+ */
+router.delete('/sessions/:id/topics/:topicId', authMiddleware, requireRole('profesor'), async (req, res) => {
+  try {
+    const session = await loadOwnedSession(req, res, req.params.id);
+    if (!session) return;
+
+    const topicId = parseInt(req.params.topicId);
+    const topic = isNaN(topicId)
+      ? null
+      : await prisma.temaDisertatie.findUnique({
+        where: { id: topicId },
+      });
+
+    if (!topic || topic.sesiuneId !== session.id) {
+      return res.status(404).json({
+        success: false,
+        message: 'Topic not found',
+      });
+    }
+
+    const activeApplications = await prisma.cerereDisertatie.count({
+      where: {
+        temaId: topic.id,
+        status: { in: ['pending', ...ENROLLED_STATUSES] },
+      },
+    });
+
+    if (activeApplications > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Cannot delete a topic chosen by ${activeApplications} pending or approved application(s)`,
+      });
+    }
+
+    await prisma.temaDisertatie.delete({
+      where: { id: topic.id },
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Topic deleted successfully',
+    });
+  } catch (error) {
+    console.error('Topic deletion error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/profesor/sessions/:id/ranking
+ * Pending applicants of a matching-mode session in their current ranking order
+ */
+router.get('/sessions/:id/ranking', authMiddleware, requireRole('profesor'), async (req, res) => {
+  try {
+    const session = await loadOwnedSession(req, res, req.params.id);
+    if (!session) return;
+
+    const applications = await prisma.cerereDisertatie.findMany({
+      where: { sesiuneId: session.id, status: 'pending' },
+      include: {
+        student: {
+          select: {
+            id: true,
+            nume: true,
+            prenume: true,
+            medie: true,
+          },
+        },
+        tema: {
+          select: {
+            id: true,
+            titlu: true,
+          },
+        },
+      },
+      orderBy: session.criteriuClasament === 'grade'
+        ? [{ student: { medie: { sort: 'desc', nulls: 'last' } } }, { createdAt: 'asc' }]
+        : [{ rangProfesor: { sort: 'asc', nulls: 'last' } }, { createdAt: 'asc' }],
+    });
+
+    const formattedApplicants = applications.map((app) => ({
+      applicationId: app.id,
+      student: {
+        id: app.student.id,
+        nume: app.student.nume,
+        prenume: app.student.prenume,
+        medie: app.student.medie === null ? null : Number(app.student.medie),
+      },
+      tema: app.tema,
+      titluPropus: app.titluPropus,
+      rangProfesor: app.rangProfesor,
+      createdAt: app.createdAt,
+    }));
+
+    return res.status(200).json({
+      success: true,
+      message: 'Ranking retrieved successfully',
+      data: {
+        modAlocare: session.modAlocare,
+        criteriuClasament: session.criteriuClasament,
+        applicants: formattedApplicants,
+      },
+      pagination: {
+        total: formattedApplicants.length,
+      },
+    });
+  } catch (error) {
+    console.error('Ranking retrieval error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * PUT /api/profesor/sessions/:id/ranking
+ * Rank the pending applicants of a matching-mode session, best first
+ * Body: { applicationIds: [..] }; applicants left out are ranked after the others by application date
+ */
+router.put('/sessions/:id/ranking', authMiddleware, requireRole('profesor'), async (req, res) => {
+  try {
+    const { applicationIds } = req.body;
+
+    const session = await loadOwnedSession(req, res, req.params.id);
+    if (!session) return;
+
+    if (session.modAlocare !== 'matching' || session.criteriuClasament !== 'manual') {
+      return res.status(409).json({
+        success: false,
+        message: 'Applicants can only be ranked by hand in matching sessions with the manual criterion',
+      });
+    }
+
+    // Validation
+    const ids = Array.isArray(applicationIds) ? applicationIds.map((id) => parseInt(id)) : null;
+    if (!ids || ids.some((id) => isNaN(id)) || new Set(ids).size !== ids.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'applicationIds must be a list of distinct application IDs',
+      });
+    }
+
+    const pendingApplications = await prisma.cerereDisertatie.findMany({
+      where: { sesiuneId: session.id, status: 'pending' },
+      select: { id: true },
+    });
+    const pendingIds = pendingApplications.map((app) => app.id);
+
+    if (ids.some((id) => !pendingIds.includes(id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only pending applications of this session can be ranked',
+      });
+    }
+
+    await prisma.$transaction([
+      prisma.cerereDisertatie.updateMany({
+        where: { sesiuneId: session.id, status: 'pending', id: { notIn: ids } },
+        data: { rangProfesor: null },
+      }),
+      ...ids.map((id, index) => prisma.cerereDisertatie.update({
+        where: { id },
+        data: { rangProfesor: index + 1 },
+      })),
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Ranking saved successfully',
+      data: {
+        sesiuneId: session.id,
+        ranking: ids.map((id, index) => ({ applicationId: id, rangProfesor: index + 1 })),
+      },
+    });
+  } catch (error) {
+    console.error('Ranking update error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
 /**
  * GET /api/profesor/sessions/:sessionId/enrolled-students
  * Get all enrolled students for a specific session
  */
-router.get('/sessions/:sessionId/enrolled-students', authMiddleware, profesorOnly, async (req, res) => {
+router.get('/sessions/:sessionId/enrolled-students', authMiddleware, requireRole('profesor'), async (req, res) => {
   try {
     const { sessionId } = req.params;
 
@@ -625,7 +1120,7 @@ router.get('/sessions/:sessionId/enrolled-students', authMiddleware, profesorOnl
     const enrolledStudents = await prisma.cerereDisertatie.findMany({
       where: {
         sesiuneId: sessionIdInt,
-        status: 'approved', // Only approved applications mean enrolled
+        status: { in: ENROLLED_STATUSES }, // Only approved applications mean enrolled
       },
       include: {
         student: {
@@ -640,6 +1135,12 @@ router.get('/sessions/:sessionId/enrolled-students', authMiddleware, profesorOnl
             },
           },
         },
+        tema: {
+          select: {
+            id: true,
+            titlu: true,
+          },
+        },
       },
       orderBy: {
         createdAt: 'asc',
@@ -654,6 +1155,8 @@ router.get('/sessions/:sessionId/enrolled-students', authMiddleware, profesorOnl
       studentId: app.student.id,
       studentName: `${app.student.prenume} ${app.student.nume}`,
       studentEmail: app.student.user?.email,
+      tema: app.tema,
+      titluFinal: app.titluFinal,
       status: app.status,
       enrolledDate: app.updatedAt,
     }));
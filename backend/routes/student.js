@@ -2,7 +2,32 @@ const express = require('express');
 const multer = require('multer');
 const path = require('path');
 const { prisma } = require('../db');
-const { authMiddleware } = require('../middleware/auth');
+const { authMiddleware, requireRole } = require('../middleware/auth');
+const { sendMail, buildFrontendLink } = require('../utils/mailer');
+const { mustJoinWaitlist, getWaitlistPosition, promoteFromWaitlist } = require('../utils/waitlist');
+const { withCapacityLock } = require('../utils/capacityLock');
+const { getAcceptedCoSupervisors } = require('../utils/coSupervisors');
+const { getReservationEnd, getSessionCapacities, getTopicCapacities } = require('../utils/capacity');
+const { recordStatusChange, getApplicationHistory } = require('../utils/applicationHistory');
+const {
+  validateMessageInput,
+  getMessages,
+  postMessage,
+  countUnreadMessages,
+} = require('../utils/applicationMessages');
+const {
+  getAppealDeadline,
+  getAppealBlocker,
+  validateAppealInput,
+  fileAppeal,
+  formatAppeal,
+} = require('../utils/appeals');
+const {
+  APPLICATION_STATUSES,
+  checkTransition,
+  targetStatus,
+  isEnrolled,
+} = require('../utils/applicationStateMachine');
 
 const router = express.Router();
 
@@ -30,47 +55,127 @@ const upload = multer({
 });
 
 /**
- * Middleware to verify user is a student
+ * Validate and normalize a student's own topic proposal
+ * Keywords can be sent as an array or a comma-separated string and are stored comma-separated
+ * @param {Object} body - Request body (titluPropus, rezumat, cuvinteCheie)
+ * @returns {{error?: string, data?: Object}} - data is null when no proposal was sent
  */
-async function studentOnly(req, res, next) {
-  try {
-    if (req.user.role !== 'student') {
-      return res.status(403).json({
-        success: false,
-        message: 'This action requires student role',
-      });
-    }
+function validateProposalInput(body) {
+  const { titluPropus, rezumat, cuvinteCheie } = body;
 
-    // Get student record
-    const student = await prisma.student.findUnique({
-      where: { userId: req.user.userId },
-    });
+  if (!titluPropus && !rezumat && !cuvinteCheie) {
+    return { data: null };
+  }
 
-    if (!student) {
-      return res.status(404).json({
-        success: false,
-        message: 'Student profile not found',
-      });
-    }
+  if (typeof titluPropus !== 'string' || !titluPropus.trim()) {
+    return { error: 'A proposed title (titluPropus) is required when proposing your own topic' };
+  }
 
-    req.student = student;
-    next();
-  } catch (error) {
-    console.error('Student validation error:', error);
-    return res.status(500).json({
-      success: false,
-      message: 'Internal server error',
-    });
+  if (titluPropus.trim().length > 255) {
+    return { error: 'Proposed title must be at most 255 characters' };
+  }
+
+  if (typeof rezumat !== 'string' || rezumat.trim().length < 50) {
+    return { error: 'Abstract (rezumat) must be at least 50 characters long' };
+  }
+
+  const keywordList = Array.isArray(cuvinteCheie)
+    ? cuvinteCheie
+    : typeof cuvinteCheie === 'string'
+      ? cuvinteCheie.split(',')
+      : [];
+  const keywords = [...new Set(keywordList.map((k) => String(k).trim()).filter(Boolean))].join(', ');
+
+  if (keywords.length > 255) {
+    return { error: 'Keywords must be at most 255 characters in total' };
+  }
+
+  return {
+    data: {
+      titluPropus: titluPropus.trim(),
+      rezumat: rezumat.trim(),
+      cuvinteCheie: keywords || null,
+    },
+  };
+}
+
+// Relations returned with a created or renewed application
+const applicationInclude = {
+  student: {
+    select: {
+      id: true,
+      nume: true,
+      prenume: true,
+    },
+  },
+  sesiune: {
+    select: {
+      id: true,
+      dataInceput: true,
+      dataSfarsit: true,
+      limitaStudenti: true,
+    },
+  },
+  profesor: {
+    select: {
+      id: true,
+      nume: true,
+      prenume: true,
+    },
+  },
+  tema: {
+    select: {
+      id: true,
+      titlu: true,
+    },
+  },
+};
+
+/**
+ * Why an application cannot be withdrawn, or null if it can
+ * Pending and waitlisted applications can be withdrawn at any time;
+ * approved ones only until their session ends (the professor is notified)
+ * @param {Object} application - Application with status and sesiune.dataSfarsit
+ * @returns {string|null}
+ */
+function getWithdrawalBlocker(application) {
+  const transition = checkTransition(application.status, 'withdraw');
+  if (transition.error) {
+    return transition.error;
+  }
+
+  if (isEnrolled(application.status) && application.sesiune.dataSfarsit < new Date()) {
+    return 'Approved applications can only be withdrawn before the session ends';
   }
+
+  return null;
+}
+
+/**
+ * Appeal fields returned with an application: the appeal filed, if any, and whether one can be filed now
+ * @param {Object} application - Application with status and contestatie
+ * @returns {Promise<{canAppeal: boolean, appealDeadline: Date|null, contestatie: Object|null}>}
+ */
+async function getAppealFields(application) {
+  const deadline = application.status === 'rejected' && !application.contestatie
+    ? await getAppealDeadline(application.id)
+    : null;
+
+  return {
+    canAppeal: !getAppealBlocker(application, deadline),
+    appealDeadline: deadline,
+    contestatie: formatAppeal(application.contestatie),
+  };
 }
 
 /**
  * POST /api/student/applications
  * Create a new dissertation application (CerereDisertatie)
+ * The student either chooses a topic from the session catalogue or proposes their own
  */
-router.post('/applications', authMiddleware, studentOnly, async (req, res) => {
+router.post('/applications', authMiddleware, requireRole('student'), async (req, res) => {
   try {
-    const { sesiuneId, profesorId } = req.body;
+    const { sesiuneId, profesorId, temaId } = req.body;
 
     // Validation
     if (!sesiuneId || !profesorId) {
@@ -94,17 +199,6 @@ router.post('/applications', authMiddleware, studentOnly, async (req, res) => {
     // Fetch enrollment session
     const session = await prisma.sesiuneInscriere.findUnique({
       where: { id: sessionId },
-      include: {
-        _count: {
-          select: { 
-            cerereDisertatie: {
-              where: {
-                status: 'approved' // Only count approved applications as enrolled
-              }
-            }
-          },
-        },
-      },
     });
 
     if (!session) {
@@ -138,72 +232,160 @@ router.post('/applications', authMiddleware, studentOnly, async (req, res) => {
       });
     }
 
-    // Check if session has available slots
-    if (session._count.cerereDisertatie >= session.limitaStudenti) {
-      return res.status(409).json({
+    const proposal = validateProposalInput(req.body);
+    if (proposal.error) {
+      return res.status(400).json({
         success: false,
-        message: `Session is full (${session._count.cerereDisertatie}/${session.limitaStudenti} slots)`,
+        message: proposal.error,
       });
     }
 
-    // Check if student already applied to this session
-    const existingApplication = await prisma.cerereDisertatie.findUnique({
-      where: {
-        studentId_sesiuneId: {
-          studentId: req.student.id,
-          sesiuneId: sessionId,
-        },
-      },
+    // Sessions with a topic catalogue require choosing one of their topics or proposing one
+    const topics = await prisma.temaDisertatie.findMany({
+      where: { sesiuneId: sessionId },
     });
 
-    if (existingApplication) {
-      return res.status(409).json({
+    let topic = null;
+    if (temaId !== undefined && temaId !== null && temaId !== '') {
+      const topicId = parseInt(temaId);
+      topic = topics.find((t) => t.id === topicId) || null;
+
+      if (!topic) {
+        return res.status(400).json({
+          success: false,
+          message: 'Topic does not belong to this session',
+        });
+      }
+    } else if (topics.length > 0 && !proposal.data) {
+      return res.status(400).json({
         success: false,
-        message: 'You have already applied to this session',
-        data: {
-          applicationId: existingApplication.id,
-          status: existingApplication.status,
-        },
+        message: 'This session offers a list of topics. Choose one (temaId) or propose your own (titluPropus)',
       });
     }
 
-    // Create dissertation application
-    const application = await prisma.cerereDisertatie.create({
-      data: {
-        studentId: req.student.id,
-        sesiuneId: sessionId,
-        profesorId: profId,
-        status: 'pending',
-      },
-      include: {
-        student: {
-          select: {
-            id: true,
-            nume: true,
-            prenume: true,
-          },
-        },
-        sesiune: {
-          select: {
-            id: true,
-            dataInceput: true,
-            dataSfarsit: true,
-            limitaStudenti: true,
+    // Seats freed by lapsed reservations go to the students already waiting first,
+    // so the new application only queues when the waitlist really has no seat to take
+    if (session.modAlocare === 'manual') {
+      await promoteFromWaitlist(sessionId);
+    }
+
+    // Counts and the existing application are read while the session is locked,
+    // so simultaneous submissions cannot both take the last place or apply twice
+    const result = await withCapacityLock({ sesiuneIds: [sessionId] }, async (tx) => {
+      // Check if the chosen topic has available slots
+      if (topic) {
+        const topicCapacity = (await getTopicCapacities([topic.id], tx))[topic.id];
+        if (topicCapacity.freeSeats <= 0) {
+          return {
+            status: 409,
+            error: `Topic is full (${topicCapacity.approvedSeats}/${topicCapacity.limitaStudenti} slots)`,
+          };
+        }
+      }
+
+      // Check if student already applied to this session
+      const existingApplication = await tx.cerereDisertatie.findUnique({
+        where: {
+          studentId_sesiuneId: {
+            studentId: req.student.id,
+            sesiuneId: sessionId,
           },
         },
-        profesor: {
-          select: {
-            id: true,
-            nume: true,
-            prenume: true,
+      });
+
+      if (existingApplication && existingApplication.status !== 'withdrawn') {
+        return {
+          status: 409,
+          error: 'You have already applied to this session',
+          data: {
+            applicationId: existingApplication.id,
+            status: existingApplication.status,
           },
-        },
-      },
+        };
+      }
+
+      // Sessions without a free seat (or with students already waiting) queue the application
+      // Matching sessions keep every application pending until the allocation run
+      const waitlisted = session.modAlocare === 'manual'
+        && await mustJoinWaitlist(sessionId, tx);
+
+      const applicationData = {
+        temaId: topic ? topic.id : null,
+        titluPropus: null,
+        rezumat: null,
+        cuvinteCheie: null,
+        ...proposal.data,
+        status: waitlisted ? 'waitlisted' : 'pending',
+        rezervatPanaLa: waitlisted ? null : getReservationEnd(),
+      };
+
+      // A renewal starts over: the appeal, co-supervisors and message thread of the withdrawn
+      // application would otherwise block a new appeal or come back with the new submission
+      if (existingApplication) {
+        const previous = { cerereId: existingApplication.id };
+        await tx.contestatieCerere.deleteMany({ where: previous });
+        await tx.coordonareSecundara.deleteMany({ where: previous });
+        await tx.citireMesaje.deleteMany({ where: previous });
+        await tx.mesajCerere.deleteMany({ where: previous });
+      }
+
+      // A withdrawn application is renewed in place so its history is kept
+      const saved = existingApplication
+        ? await tx.cerereDisertatie.update({
+            where: { id: existingApplication.id },
+            data: {
+              ...applicationData,
+              titluContrapropus: null,
+              titluFinal: null,
+              rangStudent: null,
+              rangProfesor: null,
+              justificareRespingere: null,
+              motivRetragere: null,
+              retrasLa: null,
+              fisierSemnatUrl: null,
+              motivReturnare: null,
+              fisierRaspunsUrl: null,
+              createdAt: new Date(),
+            },
+            include: applicationInclude,
+          })
+        : await tx.cerereDisertatie.create({
+            data: {
+              studentId: req.student.id,
+              sesiuneId: sessionId,
+              profesorId: profId,
+              ...applicationData,
+            },
+            include: applicationInclude,
+          });
+
+      await recordStatusChange(tx, {
+        cerereId: saved.id,
+        statusAnterior: existingApplication ? 'withdrawn' : null,
+        statusNou: saved.status,
+        actorId: req.user.userId,
+        motiv: existingApplication ? 'Applied again after withdrawing' : null,
+      });
+
+      return { application: saved, waitlisted };
     });
 
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.error,
+        ...(result.data && { data: result.data }),
+      });
+    }
+
+    const { application, waitlisted } = result;
+    const waitlistPosition = waitlisted ? await getWaitlistPosition(application) : null;
+
     return res.status(201).json({
       success: true,
-      message: 'Application submitted successfully',
+      message: waitlisted
+        ? `Session is full. You are number ${waitlistPosition} on the waitlist`
+        : 'Application submitted successfully',
       data: {
         id: application.id,
         studentId: application.studentId,
@@ -212,7 +394,13 @@ router.post('/applications', authMiddleware, studentOnly, async (req, res) => {
         sesiune: application.sesiune,
         profesorId: application.profesorId,
         profesor: application.profesor,
+        temaId: application.temaId,
+        tema: application.tema,
+        titluPropus: application.titluPropus,
+        rezumat: application.rezumat,
+        cuvinteCheie: application.cuvinteCheie,
         status: application.status,
+        waitlistPosition,
         createdAt: application.createdAt,
       },
     });
@@ -230,7 +418,7 @@ router.post('/applications', authMiddleware, studentOnly, async (req, res) => {
  * GET /api/student/applications
  * List all dissertation applications for the authenticated student
  */
-router.get('/applications', authMiddleware, studentOnly, async (req, res) => {
+router.get('/applications', authMiddleware, requireRole('student'), async (req, res) => {
   try {
     const { status } = req.query;
 
@@ -239,7 +427,7 @@ router.get('/applications', authMiddleware, studentOnly, async (req, res) => {
       studentId: req.student.id,
     };
 
-    if (status && ['pending', 'approved', 'rejected'].includes(status)) {
+    if (status && APPLICATION_STATUSES.includes(status)) {
       where.status = status;
     }
 
@@ -253,6 +441,7 @@ router.get('/applications', authMiddleware, studentOnly, async (req, res) => {
             dataInceput: true,
             dataSfarsit: true,
             limitaStudenti: true,
+            modAlocare: true,
           },
         },
         profesor: {
@@ -262,26 +451,52 @@ router.get('/applications', authMiddleware, studentOnly, async (req, res) => {
             prenume: true,
           },
         },
+        tema: {
+          select: {
+            id: true,
+            titlu: true,
+          },
+        },
+        contestatie: true,
       },
       orderBy: {
         createdAt: 'desc',
       },
     });
 
+    const unreadMessages = await countUnreadMessages(applications.map((app) => app.id), req.user.userId);
+    const coSupervisors = await getAcceptedCoSupervisors(applications.map((app) => app.id));
+
     // Format response
-    const formattedApplications = applications.map((app) => ({
+    const formattedApplications = await Promise.all(applications.map(async (app) => ({
       id: app.id,
       sesiuneId: app.sesiuneId,
       sesiune: app.sesiune,
       profesorId: app.profesorId,
       profesor: app.profesor,
+      coSupervisors: coSupervisors[app.id],
+      temaId: app.temaId,
+      tema: app.tema,
+      titluPropus: app.titluPropus,
+      rezumat: app.rezumat,
+      cuvinteCheie: app.cuvinteCheie,
+      titluContrapropus: app.titluContrapropus,
+      titluFinal: app.titluFinal,
+      rangStudent: app.rangStudent,
       status: app.status,
+      waitlistPosition: app.status === 'waitlisted' ? await getWaitlistPosition(app) : null,
+      canWithdraw: !getWithdrawalBlocker(app),
+      ...(await getAppealFields(app)),
       justificareRespingere: app.justificareRespingere,
+      motivRetragere: app.motivRetragere,
+      retrasLa: app.retrasLa,
       fisierSemnatUrl: app.fisierSemnatUrl,
+      motivReturnare: app.motivReturnare,
       fisierRaspunsUrl: app.fisierRaspunsUrl,
+      mesajeNecitite: unreadMessages[app.id],
       createdAt: app.createdAt,
       updatedAt: app.updatedAt,
-    }));
+    })));
 
     return res.status(200).json({
       success: true,
@@ -305,7 +520,7 @@ router.get('/applications', authMiddleware, studentOnly, async (req, res) => {
  * GET /api/student/applications/:id
  * Get details of a specific dissertation application
  */
-router.get('/applications/:id', authMiddleware, studentOnly, async (req, res) => {
+router.get('/applications/:id', authMiddleware, requireRole('student'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -337,6 +552,8 @@ router.get('/applications/:id', authMiddleware, studentOnly, async (req, res) =>
             prenume: true,
           },
         },
+        tema: true,
+        contestatie: true,
       },
     });
 
@@ -365,9 +582,22 @@ router.get('/applications/:id', authMiddleware, studentOnly, async (req, res) =>
         sesiune: application.sesiune,
         profesorId: application.profesorId,
         profesor: application.profesor,
+        temaId: application.temaId,
+        tema: application.tema,
+        titluPropus: application.titluPropus,
+        rezumat: application.rezumat,
+        cuvinteCheie: application.cuvinteCheie,
+        titluContrapropus: application.titluContrapropus,
+        titluFinal: application.titluFinal,
         status: application.status,
+        waitlistPosition: application.status === 'waitlisted' ? await getWaitlistPosition(application) : null,
+        canWithdraw: !getWithdrawalBlocker(application),
+        ...(await getAppealFields(application)),
         justificareRespingere: application.justificareRespingere,
+        motivRetragere: application.motivRetragere,
+        retrasLa: application.retrasLa,
         fisierSemnatUrl: application.fisierSemnatUrl,
+        motivReturnare: application.motivReturnare,
         fisierRaspunsUrl: application.fisierRaspunsUrl,
         createdAt: application.createdAt,
         updatedAt: application.updatedAt,
@@ -384,76 +614,103 @@ router.get('/applications/:id', authMiddleware, studentOnly, async (req, res) =>
 });
 
 /**
- * GET /api/student/sessions
- * Get list of available sessions for enrollment (active sessions)
+ * GET /api/student/applications/:id/history
+ * Status history of one of the student's applications, oldest first
  */
-router.get('/sessions', authMiddleware, studentOnly, async (req, res) => {
+router.get('/applications/:id/history', authMiddleware, requireRole('student'), async (req, res) => {
   try {
-    const now = new Date();
+    const appId = parseInt(req.params.id);
+    if (isNaN(appId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid application ID',
+      });
+    }
 
-    // Fetch active sessions
-    const sessions = await prisma.sesiuneInscriere.findMany({
-      where: {
-        dataInceput: { lte: now },
-        dataSfarsit: { gte: now },
-      },
-      include: {
-        profesor: {
-          select: {
-            id: true,
-            nume: true,
-            prenume: true,
-          },
-        },
-        _count: {
-          select: { cerereDisertatie: true },
-        },
-      },
-      orderBy: {
-        dataInceput: 'desc',
-      },
+    const application = await prisma.cerereDisertatie.findUnique({
+      where: { id: appId },
+      select: { id: true, studentId: true },
     });
 
-    // Check which sessions student already applied to
-    const studentApplications = await prisma.cerereDisertatie.findMany({
-      where: {
-        studentId: req.student.id,
-      },
-      select: {
-        sesiuneId: true,
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found',
+      });
+    }
+
+    if (application.studentId !== req.student.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have access to this application',
+      });
+    }
+
+    const history = await getApplicationHistory(appId);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Application history retrieved successfully',
+      data: history,
+      pagination: {
+        total: history.length,
       },
     });
+  } catch (error) {
+    console.error('Application history retrieval error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
 
-    const appliedSessionIds = studentApplications.map((app) => app.sesiuneId);
+/**
+ * GET /api/student/applications/:id/messages
+ * Message thread of the application, oldest first; opening it marks the thread read
+ */
+router.get('/applications/:id/messages', authMiddleware, requireRole('student'), async (req, res) => {
+  try {
+    const appId = parseInt(req.params.id);
+    if (isNaN(appId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid application ID',
+      });
+    }
 
-    // Format response
-    const formattedSessions = sessions.map((session) => ({
-      id: session.id,
-      profesorId: session.profesorId,
-      profesor: session.profesor,
-      dataInceput: session.dataInceput,
-      dataSfarsit: session.dataSfarsit,
-      limitaStudenti: session.limitaStudenti,
-      enrolledCount: session._count.cerereDisertatie,
-      availableSlots: session.limitaStudenti - session._count.cerereDisertatie,
-      alreadyApplied: appliedSessionIds.includes(session.id),
-      canApply:
-        session.limitaStudenti - session._count.cerereDisertatie > 0 &&
-        !appliedSessionIds.includes(session.id),
-      createdAt: session.createdAt,
-    }));
+    const application = await prisma.cerereDisertatie.findUnique({
+      where: { id: appId },
+      select: { id: true, studentId: true },
+    });
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found',
+      });
+    }
+
+    if (application.studentId !== req.student.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have access to this application',
+      });
+    }
+
+    const messages = await getMessages(appId, req.user.userId);
 
     return res.status(200).json({
       success: true,
-      message: 'Available sessions retrieved successfully',
-      data: formattedSessions,
+      message: 'Messages retrieved successfully',
+      data: messages,
       pagination: {
-        total: formattedSessions.length,
-        available: formattedSessions.filter((s) => s.canApply).length,
+        total: messages.length,
       },
     });
   } catch (error) {
-    console.error('Available sessions retrieval error:', error);
+    console.error('Message retrieval error:', error);
     return res.status(500).json({
       success: false,
       message: 'Internal server error',
@@ -463,17 +720,13 @@ router.get('/sessions', authMiddleware, studentOnly, async (req, res) => {
 });
 
 /**
- * POST /api/student/applications/:id/upload-signed
- * Upload signed file for an approved application
+ * POST /api/student/applications/:id/messages
+ * Post a message to the application's thread, with an optional PDF attachment (multipart field "file")
  */
-router.post('/applications/:id/upload-signed', authMiddleware, studentOnly, upload.single('file'), async (req, res) => {
+router.post('/applications/:id/messages', authMiddleware, requireRole('student'), upload.single('file'), async (req, res) => {
   try {
-    const { id } = req.params;
-
-    // Parse application ID
-    const appId = parseInt(id);
+    const appId = parseInt(req.params.id);
     if (isNaN(appId)) {
-      // Clean up uploaded file if exists
       if (req.file) {
         const fs = require('fs');
         fs.unlinkSync(req.file.path);
@@ -484,69 +737,403 @@ router.post('/applications/:id/upload-signed', authMiddleware, studentOnly, uplo
       });
     }
 
-    // Check if file was uploaded
-    if (!req.file) {
-      return res.status(400).json({
-        success: false,
-        message: 'No file uploaded',
-      });
-    }
-
-    // Fetch application
     const application = await prisma.cerereDisertatie.findUnique({
       where: { id: appId },
+      select: { id: true, studentId: true },
     });
 
     if (!application) {
-      // Clean up file
-      const fs = require('fs');
-      fs.unlinkSync(req.file.path);
+      if (req.file) {
+        const fs = require('fs');
+        fs.unlinkSync(req.file.path);
+      }
       return res.status(404).json({
         success: false,
         message: 'Application not found',
       });
     }
 
-    // Verify ownership
     if (application.studentId !== req.student.id) {
-      // Clean up file
-      const fs = require('fs');
-      fs.unlinkSync(req.file.path);
+      if (req.file) {
+        const fs = require('fs');
+        fs.unlinkSync(req.file.path);
+      }
       return res.status(403).json({
         success: false,
         message: 'You do not have access to this application',
       });
     }
 
-    // Check if application is approved
-    if (application.status !== 'approved') {
-      // Clean up file
-      const fs = require('fs');
-      fs.unlinkSync(req.file.path);
-      return res.status(409).json({
+    const input = validateMessageInput(req.body, req.file);
+    if (input.error) {
+      if (req.file) {
+        const fs = require('fs');
+        fs.unlinkSync(req.file.path);
+      }
+      return res.status(400).json({
         success: false,
-        message: 'Only approved applications can have signed files uploaded',
+        message: input.error,
       });
     }
 
-    // Generate file URL
-    const fileUrl = `/uploads/${req.file.filename}`;
+    const message = await postMessage(appId, req.user.userId, input.data.continut, req.file);
 
-    // Update application with file URL
-    const updatedApplication = await prisma.cerereDisertatie.update({
-      where: { id: appId },
-      data: {
-        fisierSemnatUrl: fileUrl,
-      },
-      include: {
-        sesiune: {
-          select: {
-            id: true,
-            dataInceput: true,
-            dataSfarsit: true,
-            limitaStudenti: true,
-          },
+    return res.status(201).json({
+      success: true,
+      message: 'Message sent successfully',
+      data: message,
+    });
+  } catch (error) {
+    console.error('Message posting error:', error);
+
+    // Clean up uploaded file if exists
+    if (req.file) {
+      const fs = require('fs');
+      try {
+        fs.unlinkSync(req.file.path);
+      } catch (fsError) {
+        console.error('Error cleaning up file:', fsError);
+      }
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/student/applications/:id/withdraw
+ * Withdraw an application, with an optional reason
+ * Frees the place for the session's waitlist and lets the student apply to the session again
+ */
+router.post('/applications/:id/withdraw', authMiddleware, requireRole('student'), async (req, res) => {
+  try {
+    const { motiv } = req.body;
+
+    const appId = parseInt(req.params.id);
+    if (isNaN(appId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid application ID',
+      });
+    }
+
+    // Validation
+    if (motiv !== undefined && motiv !== null && (typeof motiv !== 'string' || motiv.trim().length > 1000)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Withdrawal reason (motiv) must be text of at most 1000 characters',
+      });
+    }
+
+    const application = await prisma.cerereDisertatie.findUnique({
+      where: { id: appId },
+      include: {
+        sesiune: true,
+        student: true,
+        profesor: {
+          include: { user: { select: { email: true } } },
+        },
+      },
+    });
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found',
+      });
+    }
+
+    if (application.studentId !== req.student.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have access to this application',
+      });
+    }
+
+    const blocker = getWithdrawalBlocker(application);
+    if (blocker) {
+      return res.status(409).json({
+        success: false,
+        message: blocker,
+      });
+    }
+
+    const reason = motiv && motiv.trim() ? motiv.trim() : null;
+
+    // Guard against a concurrent approval or rejection
+    const result = await prisma.$transaction(async (tx) => {
+      const withdrawn = await tx.cerereDisertatie.updateMany({
+        where: { id: appId, status: application.status },
+        data: {
+          status: targetStatus('withdraw'),
+          motivRetragere: reason,
+          retrasLa: new Date(),
         },
+      });
+
+      if (withdrawn.count === 1) {
+        await recordStatusChange(tx, {
+          cerereId: appId,
+          statusAnterior: application.status,
+          statusNou: 'withdrawn',
+          actorId: req.user.userId,
+          motiv: reason,
+        });
+      }
+
+      return withdrawn;
+    });
+
+    if (result.count === 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Application changed meanwhile. Reload and try again',
+      });
+    }
+
+    const updated = await prisma.cerereDisertatie.findUnique({
+      where: { id: appId },
+    });
+
+    console.log(`Application ${appId} withdrawn by student ${req.student.id} (was ${application.status})`);
+
+    if (application.status !== 'waitlisted') {
+      await promoteFromWaitlist(application.sesiuneId);
+    }
+
+    if (isEnrolled(application.status)) {
+      try {
+        await sendMail({
+          to: application.profesor.user.email,
+          subject: 'eDissertation - A student withdrew from your session',
+          text: [
+            `Hello ${application.profesor.prenume},`,
+            '',
+            `${application.student.prenume} ${application.student.nume} withdrew their approved application to your session.`,
+            updated.motivRetragere ? `Reason: ${updated.motivRetragere}` : 'No reason was given.',
+            '',
+            `The place is free again: ${buildFrontendLink('/profesor/dashboard')}`,
+          ].join('\n'),
+        });
+      } catch (mailError) {
+        console.error('Withdrawal email error:', mailError);
+      }
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Application withdrawn successfully',
+      data: {
+        id: updated.id,
+        status: updated.status,
+        motivRetragere: updated.motivRetragere,
+        retrasLa: updated.retrasLa,
+        updatedAt: updated.updatedAt,
+      },
+    });
+  } catch (error) {
+    console.error('Application withdrawal error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/student/applications/:id/appeal
+ * Appeal a rejection decided by the professor, within APPEAL_WINDOW_DAYS of it
+ * The application moves to under_appeal until an admin or the secretariat decides
+ */
+router.post('/applications/:id/appeal', authMiddleware, requireRole('student'), async (req, res) => {
+  try {
+    const appId = parseInt(req.params.id);
+    if (isNaN(appId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid application ID',
+      });
+    }
+
+    const input = validateAppealInput(req.body);
+    if (input.error) {
+      return res.status(400).json({
+        success: false,
+        message: input.error,
+      });
+    }
+
+    const application = await prisma.cerereDisertatie.findUnique({
+      where: { id: appId },
+      include: { contestatie: true },
+    });
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found',
+      });
+    }
+
+    if (application.studentId !== req.student.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have access to this application',
+      });
+    }
+
+    const blocker = getAppealBlocker(application, await getAppealDeadline(appId));
+    if (blocker) {
+      return res.status(409).json({
+        success: false,
+        message: blocker,
+      });
+    }
+
+    const appeal = await fileAppeal(application, input.data.argumente, req.user.userId);
+    if (!appeal) {
+      return res.status(409).json({
+        success: false,
+        message: 'Application changed meanwhile. Reload and try again',
+      });
+    }
+
+    console.log(`Application ${appId} appealed by student ${req.student.id}`);
+
+    return res.status(201).json({
+      success: true,
+      message: 'Appeal filed successfully. You will be notified of the decision by email',
+      data: {
+        id: appId,
+        status: 'under_appeal',
+        contestatie: formatAppeal(appeal),
+      },
+    });
+  } catch (error) {
+    console.error('Appeal filing error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * PATCH /api/student/applications/:id/counter-proposal
+ * Answer the professor's counter-proposed title
+ * Accepting makes it the proposed title; declining keeps the student's own title
+ * Either way the professor can then approve or reject the application
+ */
+router.patch('/applications/:id/counter-proposal', authMiddleware, requireRole('student'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { accept } = req.body;
+
+    // Parse application ID
+    const appId = parseInt(id);
+    if (isNaN(appId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid application ID',
+      });
+    }
+
+    // Validation
+    if (typeof accept !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'accept must be true or false',
+      });
+    }
+
+    // Fetch application
+    const application = await prisma.cerereDisertatie.findUnique({
+      where: { id: appId },
+    });
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found',
+      });
+    }
+
+    // Verify ownership
+    if (application.studentId !== req.student.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have access to this application',
+      });
+    }
+
+    if (application.status !== 'pending' || !application.titluContrapropus) {
+      return res.status(409).json({
+        success: false,
+        message: 'There is no counter-proposal to answer on this application',
+      });
+    }
+
+    // Guard on the status and the title read above, so a concurrent decision or a newer
+    // counter-proposal is not answered blindly
+    const result = await prisma.cerereDisertatie.updateMany({
+      where: { id: appId, status: 'pending', titluContrapropus: application.titluContrapropus },
+      data: {
+        ...(accept && { titluPropus: application.titluContrapropus }),
+        titluContrapropus: null,
+      },
+    });
+
+    if (result.count === 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Application changed meanwhile. Reload and try again',
+      });
+    }
+
+    const updatedApplication = await prisma.cerereDisertatie.findUnique({
+      where: { id: appId },
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: accept ? 'Counter-proposal accepted' : 'Counter-proposal declined',
+      data: {
+        id: updatedApplication.id,
+        titluPropus: updatedApplication.titluPropus,
+        titluContrapropus: updatedApplication.titluContrapropus,
+        status: updatedApplication.status,
+        updatedAt: updatedApplication.updatedAt,
+      },
+    });
+  } catch (error) {
+    console.error('Counter-proposal answer error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/student/preferences
+ * Pending applications to matching-mode sessions, in the student's preference order
+ */
+router.get('/preferences', authMiddleware, requireRole('student'), async (req, res) => {
+  try {
+    const applications = await prisma.cerereDisertatie.findMany({
+      where: {
+        studentId: req.student.id,
+        status: 'pending',
+        sesiune: { modAlocare: 'matching' },
+      },
+      include: {
         profesor: {
           select: {
             id: true,
@@ -555,13 +1142,308 @@ router.post('/applications/:id/upload-signed', authMiddleware, studentOnly, uplo
           },
         },
       },
+      orderBy: [{ rangStudent: { sort: 'asc', nulls: 'last' } }, { createdAt: 'asc' }],
+    });
+
+    const formattedPreferences = applications.map((app, index) => ({
+      preference: index + 1,
+      applicationId: app.id,
+      sesiuneId: app.sesiuneId,
+      profesor: app.profesor,
+      rangStudent: app.rangStudent,
+    }));
+
+    return res.status(200).json({
+      success: true,
+      message: 'Preferences retrieved successfully',
+      data: formattedPreferences,
+      pagination: {
+        total: formattedPreferences.length,
+      },
+    });
+  } catch (error) {
+    console.error('Preference retrieval error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * PUT /api/student/preferences
+ * Order the student's pending applications to matching-mode sessions, most wanted first
+ * Body: { applicationIds: [..] } listing every such application exactly once
+ */
+router.put('/preferences', authMiddleware, requireRole('student'), async (req, res) => {
+  try {
+    const { applicationIds } = req.body;
+
+    // Validation
+    const ids = Array.isArray(applicationIds) ? applicationIds.map((id) => parseInt(id)) : null;
+    if (!ids || ids.some((id) => isNaN(id)) || new Set(ids).size !== ids.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'applicationIds must be a list of distinct application IDs',
+      });
+    }
+
+    const applications = await prisma.cerereDisertatie.findMany({
+      where: {
+        studentId: req.student.id,
+        status: 'pending',
+        sesiune: { modAlocare: 'matching' },
+      },
+      select: { id: true },
+    });
+    const rankableIds = applications.map((app) => app.id);
+
+    if (ids.length !== rankableIds.length || ids.some((id) => !rankableIds.includes(id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'List each of your pending applications to matching sessions exactly once',
+      });
+    }
+
+    await prisma.$transaction(
+      ids.map((id, index) => prisma.cerereDisertatie.update({
+        where: { id },
+        data: { rangStudent: index + 1 },
+      }))
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: 'Preferences saved successfully',
+      data: ids.map((id, index) => ({ applicationId: id, rangStudent: index + 1 })),
+    });
+  } catch (error) {
+    console.error('Preference update error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/student/sessions
+ * Get list of available sessions for enrollment (active sessions)
+ */
+router.get('/sessions', authMiddleware, requireRole('student'), async (req, res) => {
+  try {
+    const now = new Date();
+
+    // Fetch active sessions
+    const sessions = await prisma.sesiuneInscriere.findMany({
+      where: {
+        dataInceput: { lte: now },
+        dataSfarsit: { gte: now },
+      },
+      include: {
+        profesor: {
+          select: {
+            id: true,
+            nume: true,
+            prenume: true,
+          },
+        },
+        teme: {
+          orderBy: { createdAt: 'asc' },
+        },
+      },
+      orderBy: {
+        dataInceput: 'desc',
+      },
+    });
+
+    // Check which sessions student already applied to (withdrawn applications can be renewed)
+    const studentApplications = await prisma.cerereDisertatie.findMany({
+      where: {
+        studentId: req.student.id,
+        status: { not: 'withdrawn' },
+      },
+      select: {
+        sesiuneId: true,
+      },
+    });
+
+    const appliedSessionIds = studentApplications.map((app) => app.sesiuneId);
+
+    // Seats of every session and topic, counted the same way submissions and approvals check them
+    const capacities = await getSessionCapacities(sessions.map((session) => session.id));
+    const topicCapacities = await getTopicCapacities(
+      sessions.flatMap((session) => session.teme.map((topic) => topic.id))
+    );
+
+    // Format response
+    const formattedSessions = sessions.map((session) => {
+      const capacity = capacities[session.id];
+
+      return {
+        id: session.id,
+        profesorId: session.profesorId,
+        profesor: session.profesor,
+        dataInceput: session.dataInceput,
+        dataSfarsit: session.dataSfarsit,
+        limitaStudenti: session.limitaStudenti,
+        modAlocare: session.modAlocare,
+        capacity,
+        enrolledCount: capacity.approvedSeats,
+        availableSlots: capacity.freeSeats,
+        topics: session.teme.map((topic) => ({
+          id: topic.id,
+          titlu: topic.titlu,
+          descriere: topic.descriere,
+          competente: topic.competente,
+          limitaStudenti: topic.limitaStudenti,
+          approvedCount: topicCapacities[topic.id].approvedSeats,
+          availableSlots: topicCapacities[topic.id].freeSeats,
+        })),
+        waitlistCount: capacity.waitlistCount,
+        alreadyApplied: appliedSessionIds.includes(session.id),
+        canApply: !appliedSessionIds.includes(session.id),
+        joinsWaitlist: session.modAlocare === 'manual' && (capacity.freeSeats <= 0 || capacity.waitlistCount > 0),
+        createdAt: session.createdAt,
+      };
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Available sessions retrieved successfully',
+      data: formattedSessions,
+      pagination: {
+        total: formattedSessions.length,
+        available: formattedSessions.filter((s) => s.canApply).length,
+      },
+    });
+  } catch (error) {
+    console.error('Available sessions retrieval error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/student/applications/:id/upload-signed
+ * Upload signed file for an approved application
+ */
+router.post('/applications/:id/upload-signed', authMiddleware, requireRole('student'), upload.single('file'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Parse application ID
+    const appId = parseInt(id);
+    if (isNaN(appId)) {
+      // Clean up uploaded file if exists
+      if (req.file) {
+        const fs = require('fs');
+        fs.unlinkSync(req.file.path);
+      }
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid application ID',
+      });
+    }
+
+    // Check if file was uploaded
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'No file uploaded',
+      });
+    }
+
+    // Fetch application
+    const application = await prisma.cerereDisertatie.findUnique({
+      where: { id: appId },
+    });
+
+    if (!application) {
+      // Clean up file
+      const fs = require('fs');
+      fs.unlinkSync(req.file.path);
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found',
+      });
+    }
+
+    // Verify ownership
+    if (application.studentId !== req.student.id) {
+      // Clean up file
+      const fs = require('fs');
+      fs.unlinkSync(req.file.path);
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have access to this application',
+      });
+    }
+
+    // Signed files can be uploaded once approved, or again after the professor returned them
+    const transition = checkTransition(application.status, 'submitSigned');
+    if (transition.error) {
+      // Clean up file
+      const fs = require('fs');
+      fs.unlinkSync(req.file.path);
+      return res.status(409).json({
+        success: false,
+        message: transition.error,
+      });
+    }
+
+    // Generate file URL
+    const fileUrl = `/uploads/${req.file.filename}`;
+
+    // Update application with file URL and send it to the professor for review
+    const updatedApplication = await prisma.$transaction(async (tx) => {
+      const updated = await tx.cerereDisertatie.update({
+        where: { id: appId },
+        data: {
+          fisierSemnatUrl: fileUrl,
+          status: targetStatus('submitSigned'),
+          motivReturnare: null,
+        },
+        include: {
+          sesiune: {
+            select: {
+              id: true,
+              dataInceput: true,
+              dataSfarsit: true,
+              limitaStudenti: true,
+            },
+          },
+          profesor: {
+            select: {
+              id: true,
+              nume: true,
+              prenume: true,
+            },
+          },
+        },
+      });
+
+      await recordStatusChange(tx, {
+        cerereId: appId,
+        statusAnterior: application.status,
+        statusNou: updated.status,
+        actorId: req.user.userId,
+      });
+
+      return updated;
     });
 
     return res.status(200).json({
       success: true,
-      message: 'Signed file uploaded successfully',
+      message: 'Signed file uploaded successfully. Waiting for the professor to review it',
       data: {
         id: updatedApplication.id,
+        status: updatedApplication.status,
         fisierSemnatUrl: updatedApplication.fisierSemnatUrl,
         updatedAt: updatedApplication.updatedAt,
       },
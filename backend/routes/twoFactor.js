@@ -0,0 +1,320 @@
+const express = require('express');
+const QRCode = require('qrcode');
+const { prisma } = require('../db');
+const { comparePassword } = require('../utils/auth');
+const { authMiddleware } = require('../middleware/auth');
+const {
+  generateTotpSecret,
+  verifyTotp,
+  buildOtpauthUrl,
+  encryptSecret,
+  decryptSecret,
+} = require('../utils/totp');
+const {
+  TWO_FACTOR_ROLES,
+  isTwoFactorRequired,
+  generateRecoveryCodes,
+  verifySecondFactor,
+} = require('../utils/twoFactor');
+
+const router = express.Router();
+
+/**
+ * GET /api/auth/2fa/status
+ * Two-factor state of the current user
+ */
+router.get('/status', authMiddleware, async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.userId },
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    const recoveryCodesRemaining = user.totpEnabledAt
+      ? await prisma.twoFactorRecoveryCode.count({ where: { userId: user.id, usedAt: null } })
+      : 0;
+
+    return res.status(200).json({
+      success: true,
+      message: 'Two-factor status retrieved successfully',
+      data: {
+        available: TWO_FACTOR_ROLES.includes(user.role),
+        enabled: Boolean(user.totpEnabledAt),
+        enabledAt: user.totpEnabledAt,
+        required: await isTwoFactorRequired(user.role),
+        recoveryCodesRemaining,
+      },
+    });
+  } catch (error) {
+    console.error('Two-factor status error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/setup
+ * Start enrollment: generate a secret and its QR code
+ * Two-factor is only enabled once a code is confirmed with /enable
+ */
+router.post('/setup', authMiddleware, async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.userId },
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    if (!TWO_FACTOR_ROLES.includes(user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: `Two-factor authentication is available for ${TWO_FACTOR_ROLES.join(', ')} accounts`,
+      });
+    }
+
+    if (user.totpEnabledAt) {
+      return res.status(409).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled',
+      });
+    }
+
+    const secret = generateTotpSecret();
+    const otpauthUrl = buildOtpauthUrl(secret, user.email);
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: {
+        totpSecret: encryptSecret(secret),
+        totpLastUsedStep: null,
+      },
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app and confirm with a code',
+      data: {
+        secret,
+        otpauthUrl,
+        qrCode: await QRCode.toDataURL(otpauthUrl),
+      },
+    });
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/enable
+ * Confirm enrollment with a code from the authenticator app
+ * Returns the recovery codes once
+ */
+router.post('/enable', authMiddleware, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required field: code',
+      });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.userId },
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    if (user.totpEnabledAt) {
+      return res.status(409).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled',
+      });
+    }
+
+    if (!user.totpSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start two-factor setup before enabling it',
+      });
+    }
+
+    const step = verifyTotp(decryptSecret(user.totpSecret), code);
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code',
+      });
+    }
+
+    const recoveryCodes = await prisma.$transaction(async (tx) => {
+      await tx.user.update({
+        where: { id: user.id },
+        data: {
+          totpEnabledAt: new Date(),
+          totpLastUsedStep: step,
+        },
+      });
+
+      return generateRecoveryCodes(user.id, tx);
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your recovery codes in a safe place',
+      data: { recoveryCodes },
+    });
+  } catch (error) {
+    console.error('Two-factor enable error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/recovery-codes
+ * Replace the recovery codes (requires a current code)
+ */
+router.post('/recovery-codes', authMiddleware, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required field: code',
+      });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.userId },
+    });
+
+    if (!user || !user.totpEnabledAt) {
+      return res.status(409).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled',
+      });
+    }
+
+    if (!await verifySecondFactor(user, code)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code',
+      });
+    }
+
+    const recoveryCodes = await generateRecoveryCodes(user.id);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Recovery codes regenerated. Previous codes no longer work',
+      data: { recoveryCodes },
+    });
+  } catch (error) {
+    console.error('Recovery code regeneration error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/disable
+ * Turn two-factor off (requires the password and a current code)
+ * Refused while the policy makes two-factor mandatory for the user's role
+ */
+router.post('/disable', authMiddleware, async (req, res) => {
+  try {
+    const { password, code } = req.body;
+
+    if (!password || !code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required fields: password, code',
+      });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.userId },
+    });
+
+    if (!user || !user.totpEnabledAt) {
+      return res.status(409).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled',
+      });
+    }
+
+    if (await isTwoFactorRequired(user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication is mandatory for your role',
+      });
+    }
+
+    const isPasswordValid = await comparePassword(password, user.passwordHash);
+    if (!isPasswordValid || !await verifySecondFactor(user, code)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid password or authentication code',
+      });
+    }
+
+    await prisma.$transaction([
+      prisma.twoFactorRecoveryCode.deleteMany({ where: { userId: user.id } }),
+      prisma.user.update({
+        where: { id: user.id },
+        data: {
+          totpSecret: null,
+          totpEnabledAt: null,
+          totpLastUsedStep: null,
+        },
+      }),
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication disabled',
+    });
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
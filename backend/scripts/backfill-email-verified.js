@@ -0,0 +1,64 @@
+#!/usr/bin/env node
+/**
+ * Mark accounts registered before email verification existed as verified
+ *
+ * Usage:
+ *   node scripts/backfill-email-verified.js --dry-run
+ *   node scripts/backfill-email-verified.js
+ *   node scripts/backfill-email-verified.js --before 2026-03-01
+ *
+ * Unverified users cannot make state-changing requests. Accounts created before
+ * verification was introduced never received a link, so they would be stuck.
+ * Every unverified account that was never sent a verification link gets
+ * emailVerifiedAt = createdAt. --before only touches accounts created before that date.
+ * Running the script again changes nothing.
+ */
+
+const dotenv = require('dotenv');
+const { PrismaClient, Prisma } = require('@prisma/client');
+
+dotenv.config();
+
+const prisma = new PrismaClient();
+
+/**
+ * Read a --name value pair from the command line
+ * @param {string} name - Option name without dashes
+ * @returns {string|undefined}
+ */
+function getArg(name) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index !== -1 ? process.argv[index + 1] : undefined;
+}
+
+async function main() {
+  const before = getArg('before');
+  const dryRun = process.argv.includes('--dry-run');
+
+  const cutoff = before === undefined ? null : new Date(before);
+  if (cutoff && isNaN(cutoff.getTime())) {
+    throw new Error(`Invalid --before date "${before}". Use an ISO date such as 2026-03-01`);
+  }
+
+  const where = Prisma.sql`
+    u.email_verified_at IS NULL
+    AND NOT EXISTS (SELECT 1 FROM EmailVerificationToken t WHERE t.user_id = u.id)
+    ${cutoff ? Prisma.sql`AND u.created_at < ${cutoff}` : Prisma.empty}
+  `;
+
+  if (dryRun) {
+    const [{ count }] = await prisma.$queryRaw`SELECT COUNT(*) AS count FROM User u WHERE ${where}`;
+    console.log(`${Number(count)} account(s) would be marked as verified`);
+    return;
+  }
+
+  const updated = await prisma.$executeRaw`UPDATE User u SET u.email_verified_at = u.created_at WHERE ${where}`;
+  console.log(`✓ Marked ${updated} account(s) as verified`);
+}
+
+main()
+  .catch((error) => {
+    console.error('✗ Failed to backfill email verification:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+/**
+ * Bootstrap script for administrator accounts
+ *
+ * Usage:
+ *   node scripts/create-admin.js --email admin@university.edu --password 'S3cure!pass'
+ *   node scripts/create-admin.js --email secretariat@university.edu --password '...' --role secretariat
+ *
+ * Credentials can also come from ADMIN_EMAIL / ADMIN_PASSWORD.
+ * Creating an admin when one already exists requires --force, so the script
+ * cannot be used to silently add accounts to a running installation.
+ */
+
+const dotenv = require('dotenv');
+const { PrismaClient } = require('@prisma/client');
+const { hashPassword } = require('../utils/auth');
+
+dotenv.config();
+
+const prisma = new PrismaClient();
+
+const STAFF_ROLES = ['admin', 'secretariat'];
+
+/**
+ * Read a --name value pair from the command line
+ * @param {string} name - Option name without dashes
+ * @returns {string|undefined}
+ */
+function getArg(name) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index !== -1 ? process.argv[index + 1] : undefined;
+}
+
+async function main() {
+  const email = getArg('email') || process.env.ADMIN_EMAIL;
+  const password = getArg('password') || process.env.ADMIN_PASSWORD;
+  const role = getArg('role') || 'admin';
+  const force = process.argv.includes('--force');
+
+  if (!email || !password) {
+    throw new Error('Missing credentials. Use --email and --password (or ADMIN_EMAIL / ADMIN_PASSWORD)');
+  }
+
+  if (!STAFF_ROLES.includes(role)) {
+    throw new Error(`Invalid role "${role}". Must be one of: ${STAFF_ROLES.join(', ')}`);
+  }
+
+  if (password.length < 8) {
+    throw new Error('Administrator passwords must be at least 8 characters long');
+  }
+
+  const existingAdmins = await prisma.user.count({ where: { role: 'admin' } });
+  if (role === 'admin' && existingAdmins > 0 && !force) {
+    throw new Error(`${existingAdmins} admin account(s) already exist. Re-run with --force to add another one`);
+  }
+
+  const existingUser = await prisma.user.findUnique({ where: { email } });
+  if (existingUser) {
+    throw new Error(`Email ${email} is already registered`);
+  }
+
+  const user = await prisma.user.create({
+    data: {
+      email,
+      passwordHash: await hashPassword(password),
+      role,
+      emailVerifiedAt: new Date(),
+    },
+  });
+
+  console.log(`✓ Created ${role} account ${user.email} (id ${user.id})`);
+}
+
+main()
+  .catch((error) => {
+    console.error('✗ Failed to create account:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
@@ -0,0 +1,256 @@
+#!/usr/bin/env node
+/**
+ * Minimal OpenID Connect provider for local single sign-on testing
+ *
+ * Usage:
+ *   npm run oidc:mock
+ *
+ * Then start the backend with:
+ *   OIDC_ISSUER=http://localhost:4000
+ *   OIDC_CLIENT_ID=edissertation
+ *   OIDC_CLIENT_SECRET=mock-secret
+ *
+ * The authorization page lists a few test identities (student, professor, an account
+ * without an allowed role and one with an unverified email) instead of asking for a password.
+ * Supports discovery, the authorization-code flow with PKCE, userinfo and JWKS.
+ * Codes and tokens live in memory only. Never expose this server outside localhost.
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const PORT = parseInt(process.env.OIDC_MOCK_PORT) || 4000;
+const ISSUER = `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.OIDC_CLIENT_ID || 'edissertation';
+const CLIENT_SECRET = process.env.OIDC_CLIENT_SECRET || 'mock-secret';
+const KEY_ID = 'mock-key';
+
+const TEST_USERS = [
+  {
+    sub: 'mock-student-1',
+    email: 'ana.student@university.test',
+    email_verified: true,
+    given_name: 'Ana',
+    family_name: 'Popa',
+    roles: ['student'],
+  },
+  {
+    sub: 'mock-profesor-1',
+    email: 'mihai.profesor@university.test',
+    email_verified: true,
+    given_name: 'Mihai',
+    family_name: 'Ionescu',
+    roles: ['faculty'],
+  },
+  {
+    sub: 'mock-alumni-1',
+    email: 'alumni@university.test',
+    email_verified: true,
+    given_name: 'Radu',
+    family_name: 'Stan',
+    roles: ['alumni'],
+  },
+  {
+    sub: 'mock-unverified-1',
+    email: 'unverified@university.test',
+    email_verified: false,
+    given_name: 'Ioana',
+    family_name: 'Dima',
+    roles: ['student'],
+  },
+];
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const publicJwk = { ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, alg: 'RS256', use: 'sig' };
+
+// code -> pending authorization, access token -> user
+const authorizationCodes = new Map();
+const accessTokens = new Map();
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+/**
+ * Escape a value for inclusion in HTML
+ * @param {string} value - Raw value
+ * @returns {string}
+ */
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+}
+
+/**
+ * Authenticate the client from HTTP Basic credentials or the request body
+ * @param {Object} req - Express request
+ * @returns {boolean}
+ */
+function authenticateClient(req) {
+  let clientId = req.body.client_id;
+  let clientSecret = req.body.client_secret;
+
+  const authHeader = req.headers.authorization || '';
+  if (authHeader.startsWith('Basic ')) {
+    const decoded = Buffer.from(authHeader.slice(6), 'base64').toString('utf8');
+    const separator = decoded.indexOf(':');
+    clientId = decodeURIComponent(decoded.slice(0, separator));
+    clientSecret = decodeURIComponent(decoded.slice(separator + 1));
+  }
+
+  return clientId === CLIENT_ID && clientSecret === CLIENT_SECRET;
+}
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+  res.json({
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    userinfo_endpoint: `${ISSUER}/userinfo`,
+    jwks_uri: `${ISSUER}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    scopes_supported: ['openid', 'email', 'profile'],
+    token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post'],
+    code_challenge_methods_supported: ['S256'],
+    claims_supported: ['sub', 'email', 'email_verified', 'given_name', 'family_name', 'name', 'roles'],
+  });
+});
+
+app.get('/jwks', (req, res) => {
+  res.json({ keys: [publicJwk] });
+});
+
+app.get('/authorize', (req, res) => {
+  const { client_id: clientId, redirect_uri: redirectUri, response_type: responseType } = req.query;
+
+  if (clientId !== CLIENT_ID || responseType !== 'code' || !redirectUri) {
+    return res.status(400).send('Invalid authorization request');
+  }
+
+  const hiddenFields = ['client_id', 'redirect_uri', 'state', 'nonce', 'code_challenge', 'code_challenge_method']
+    .map((name) => `<input type="hidden" name="${name}" value="${escapeHtml(req.query[name] || '')}">`)
+    .join('');
+
+  const buttons = TEST_USERS
+    .map((user) => `<button name="sub" value="${user.sub}" style="display:block;margin:8px 0;padding:8px;width:100%">
+        ${escapeHtml(`${user.given_name} ${user.family_name}`)} &lt;${escapeHtml(user.email)}&gt; [${user.roles.join(', ')}]
+      </button>`)
+    .join('');
+
+  res.send(`<!doctype html>
+<html>
+  <body style="font-family:sans-serif;max-width:480px;margin:40px auto">
+    <h2>Mock University Sign-In</h2>
+    <p>Choose the identity to sign in as:</p>
+    <form method="post" action="/authorize">${hiddenFields}${buttons}</form>
+    <form method="post" action="/authorize">${hiddenFields}
+      <button name="deny" value="1" style="padding:8px;width:100%">Cancel</button>
+    </form>
+  </body>
+</html>`);
+});
+
+app.post('/authorize', (req, res) => {
+  const redirect = new URL(req.body.redirect_uri);
+  if (req.body.state) {
+    redirect.searchParams.set('state', req.body.state);
+  }
+
+  if (req.body.deny) {
+    redirect.searchParams.set('error', 'access_denied');
+    redirect.searchParams.set('error_description', 'The sign-in was cancelled');
+    return res.redirect(redirect.toString());
+  }
+
+  const user = TEST_USERS.find((u) => u.sub === req.body.sub);
+  if (!user) {
+    return res.status(400).send('Unknown test user');
+  }
+
+  const code = crypto.randomBytes(16).toString('hex');
+  authorizationCodes.set(code, {
+    user,
+    redirectUri: req.body.redirect_uri,
+    nonce: req.body.nonce,
+    codeChallenge: req.body.code_challenge,
+    expiresAt: Date.now() + 60 * 1000,
+  });
+
+  redirect.searchParams.set('code', code);
+  res.redirect(redirect.toString());
+});
+
+app.post('/token', (req, res) => {
+  if (!authenticateClient(req)) {
+    return res.status(401).json({ error: 'invalid_client' });
+  }
+
+  const { grant_type: grantType, code, redirect_uri: redirectUri, code_verifier: codeVerifier } = req.body;
+  const pending = authorizationCodes.get(code);
+  authorizationCodes.delete(code);
+
+  if (grantType !== 'authorization_code' || !pending || pending.expiresAt < Date.now()
+    || pending.redirectUri !== redirectUri) {
+    return res.status(400).json({ error: 'invalid_grant' });
+  }
+
+  if (pending.codeChallenge) {
+    const challenge = crypto.createHash('sha256').update(codeVerifier || '').digest('base64url');
+    if (challenge !== pending.codeChallenge) {
+      return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE verification failed' });
+    }
+  }
+
+  const { user } = pending;
+  const accessToken = crypto.randomBytes(24).toString('hex');
+  accessTokens.set(accessToken, user);
+
+  const idToken = jwt.sign(
+    {
+      email: user.email,
+      email_verified: user.email_verified,
+      given_name: user.given_name,
+      family_name: user.family_name,
+      name: `${user.given_name} ${user.family_name}`,
+      roles: user.roles,
+      ...(pending.nonce && { nonce: pending.nonce }),
+    },
+    privateKey,
+    {
+      algorithm: 'RS256',
+      keyid: KEY_ID,
+      issuer: ISSUER,
+      audience: CLIENT_ID,
+      subject: user.sub,
+      expiresIn: '5m',
+    }
+  );
+
+  res.json({
+    access_token: accessToken,
+    token_type: 'Bearer',
+    expires_in: 300,
+    id_token: idToken,
+  });
+});
+
+app.get('/userinfo', (req, res) => {
+  const token = (req.headers.authorization || '').replace(/^Bearer /, '');
+  const user = accessTokens.get(token);
+
+  if (!user) {
+    return res.status(401).json({ error: 'invalid_token' });
+  }
+
+  res.json(user);
+});
+
+app.listen(PORT, () => {
+  console.log(`Mock OIDC provider running at ${ISSUER}`);
+  console.log(`Client: ${CLIENT_ID} / ${CLIENT_SECRET}`);
+  console.log(`Test users: ${TEST_USERS.map((u) => u.email).join(', ')}`);
+});
@@ -7,10 +7,14 @@ const { initializePrisma, testDatabaseConnection } = require('./db');
 const { authMiddleware } = require('./middleware/auth');
 const { initializeScheduler } = require('./src/jobs');
 const authRoutes = require('./routes/auth');
+const twoFactorRoutes = require('./routes/twoFactor');
+const meRoutes = require('./routes/me');
 const profesorRoutes = require('./routes/profesor');
 const studentRoutes = require('./routes/student');
 const applicationsRoutes = require('./routes/applications');
 const adminJobsRoutes = require('./src/routes/admin-jobs');
+const adminRoutes = require('./routes/admin');
+const integrationsRoutes = require('./routes/integrations');
 
 // Load environment variables from .env file
 dotenv.config();
@@ -20,6 +24,13 @@ const PORT = process.env.PORT || 3000;
 const NODE_ENV = process.env.NODE_ENV || 'development';
 const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:5173';
 
+// Behind a reverse proxy (Heroku, Render, nginx) req.ip must come from X-Forwarded-For,
+// otherwise login throttling would see every client as the proxy
+if (process.env.TRUST_PROXY) {
+  const trustProxy = parseInt(process.env.TRUST_PROXY);
+  app.set('trust proxy', isNaN(trustProxy) ? process.env.TRUST_PROXY : trustProxy);
+}
+
 // Create uploads directory if it doesn't exist
 const uploadsDir = path.join(__dirname, 'uploads');
 if (!fs.existsSync(uploadsDir)) {
@@ -33,7 +44,8 @@ const corsOptions = {
     : ['http://localhost:5173', 'http://localhost:3000'],
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key'],
+  exposedHeaders: ['Retry-After']
 };
 
 app.use(cors(corsOptions));
@@ -46,6 +58,12 @@ app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
 // Auth routes (public)
 app.use('/api/auth', authRoutes);
 
+// Two-factor authentication routes
+app.use('/api/auth/2fa', twoFactorRoutes);
+
+// Profile and credentials of the signed-in user
+app.use('/api/me', meRoutes);
+
 // Professor routes (protected)
 app.use('/api/profesor', profesorRoutes);
 
@@ -58,6 +76,12 @@ app.use('/api/profesor', applicationsRoutes);
 // Admin jobs management routes (protected)
 app.use('/api/admin/jobs', adminJobsRoutes);
 
+// Admin management routes (protected - admin/secretariat)
+app.use('/api/admin', adminRoutes);
+
+// Read-only routes for university systems (protected - API key)
+app.use('/api/integrations', integrationsRoutes);
+
 // Database connection test endpoint
 app.get('/api/status', async (req, res) => {
   try {
@@ -106,29 +130,98 @@ async function startServer() {
       console.log(`Auth endpoints:`);
       console.log(`  - POST /api/auth/register`);
       console.log(`  - POST /api/auth/login`);
+      console.log(`  - POST /api/auth/login/2fa (second login step)`);
+      console.log(`  - POST /api/auth/refresh`);
+      console.log(`  - POST /api/auth/logout`);
+      console.log(`  - POST /api/auth/forgot-password`);
+      console.log(`  - POST /api/auth/reset-password`);
+      console.log(`  - GET /api/auth/verify-email`);
+      console.log(`  - GET /api/auth/confirm-email-change`);
+      console.log(`  - POST /api/auth/resend-verification (requires auth)`);
+      console.log(`  - GET /api/auth/2fa/status (two-factor status)`);
+      console.log(`  - POST /api/auth/2fa/setup (start enrollment)`);
+      console.log(`  - POST /api/auth/2fa/enable (confirm enrollment)`);
+      console.log(`  - POST /api/auth/2fa/recovery-codes (regenerate recovery codes)`);
+      console.log(`  - POST /api/auth/2fa/disable (disable two-factor)`);
+      console.log(`  - GET /api/auth/oidc/config (single sign-on availability)`);
+      console.log(`  - GET /api/auth/oidc/login (start single sign-on)`);
+      console.log(`  - GET /api/auth/oidc/callback (identity provider redirect)`);
+      console.log(`  - POST /api/auth/oidc/exchange (exchange one-time login code)`);
       console.log(`Professor endpoints (protected):`);
       console.log(`  - POST /api/profesor/sessions (create session)`);
       console.log(`  - GET /api/profesor/sessions (list sessions)`);
       console.log(`  - GET /api/profesor/sessions/:id (get session)`);
       console.log(`  - PUT /api/profesor/sessions/:id (update session)`);
       console.log(`  - DELETE /api/profesor/sessions/:id (delete session)`);
+      console.log(`  - GET /api/profesor/sessions/:id/ranking (applicant ranking)`);
+      console.log(`  - PUT /api/profesor/sessions/:id/ranking (rank applicants)`);
       console.log(`Professor application endpoints (protected):`);
       console.log(`  - GET /api/profesor/applications (list applications)`);
       console.log(`  - GET /api/profesor/applications/:id (get application)`);
+      console.log(`  - GET /api/profesor/applications/:id/history (status history)`);
+      console.log(`  - GET /api/profesor/applications/:id/messages (message thread)`);
+      console.log(`  - POST /api/profesor/applications/:id/messages (post message)`);
       console.log(`  - PATCH /api/profesor/applications/:id/approve (approve)`);
       console.log(`  - PATCH /api/profesor/applications/:id/reject (reject)`);
+      console.log(`  - POST /api/profesor/applications/bulk (approve or reject several)`);
+      console.log(`  - PATCH /api/profesor/applications/:id/review-signed (accept or return signed file)`);
+      console.log(`  - POST /api/profesor/applications/:id/co-supervisors (invite co-supervisor)`);
+      console.log(`  - DELETE /api/profesor/applications/:id/co-supervisors/:profesorId (remove co-supervisor)`);
+      console.log(`  - GET /api/profesor/co-supervisions (co-supervision invitations)`);
+      console.log(`  - PATCH /api/profesor/co-supervisions/:id (accept or decline invitation)`);
       console.log(`Student endpoints (protected):`);
       console.log(`  - POST /api/student/applications (submit application)`);
       console.log(`  - GET /api/student/applications (list applications)`);
       console.log(`  - GET /api/student/applications/:id (get application)`);
+      console.log(`  - GET /api/student/applications/:id/history (status history)`);
+      console.log(`  - GET /api/student/applications/:id/messages (message thread)`);
+      console.log(`  - POST /api/student/applications/:id/messages (post message)`);
+      console.log(`  - POST /api/student/applications/:id/withdraw (withdraw application)`);
+      console.log(`  - POST /api/student/applications/:id/appeal (appeal a rejection)`);
       console.log(`  - GET /api/student/sessions (list available sessions)`);
+      console.log(`  - GET /api/student/preferences (matching preferences)`);
+      console.log(`  - PUT /api/student/preferences (order matching preferences)`);
       console.log(`  - POST /api/student/applications/:id/upload-signed (upload signed file)`);
       console.log(`Protected endpoint: GET /api/me (requires auth)`);
+      console.log(`Profile endpoints (protected):`);
+      console.log(`  - GET /api/me/profile (get profile)`);
+      console.log(`  - PATCH /api/me/profile (update name)`);
+      console.log(`  - POST /api/me/password (change password)`);
+      console.log(`  - POST /api/me/email (request email change)`);
+      console.log(`  - GET /api/me/sessions (list device sessions)`);
+      console.log(`  - DELETE /api/me/sessions/:id (sign out a session)`);
+      console.log(`  - DELETE /api/me/sessions (sign out other sessions)`);
       console.log(`Admin job management endpoints (protected):`);
       console.log(`  - GET /api/admin/jobs/status (get scheduler status)`);
       console.log(`  - GET /api/admin/jobs/cleanup/status (cleanup job status)`);
       console.log(`  - GET /api/admin/jobs/cleanup/validate (validate config)`);
       console.log(`  - POST /api/admin/jobs/cleanup/trigger (manually trigger cleanup)`);
+      console.log(`  - GET /api/admin/jobs/expiry/status (expiry job status)`);
+      console.log(`  - POST /api/admin/jobs/expiry/trigger (manually expire stale applications)`);
+      console.log(`Admin management endpoints (protected):`);
+      console.log(`  - POST /api/admin/invitations (invite a professor)`);
+      console.log(`  - GET /api/admin/invitations (list invitations)`);
+      console.log(`  - DELETE /api/admin/invitations/:id (revoke invitation)`);
+      console.log(`  - GET /api/admin/locked-accounts (list locked accounts)`);
+      console.log(`  - POST /api/admin/users/:id/unlock (unlock account)`);
+      console.log(`  - GET /api/admin/two-factor-policy (two-factor policy per role)`);
+      console.log(`  - PUT /api/admin/two-factor-policy (require two-factor for a role)`);
+      console.log(`  - GET /api/admin/api-keys/scopes (available API key scopes)`);
+      console.log(`  - POST /api/admin/api-keys (create API key)`);
+      console.log(`  - GET /api/admin/api-keys (list API keys)`);
+      console.log(`  - DELETE /api/admin/api-keys/:id (revoke API key)`);
+      console.log(`  - GET /api/admin/students (students and grade averages)`);
+      console.log(`  - PUT /api/admin/students/:id/grade (set grade average)`);
+      console.log(`  - POST /api/admin/allocation/preview (stable-matching dry run)`);
+      console.log(`  - GET /api/admin/allocation/runs (list allocation runs)`);
+      console.log(`  - GET /api/admin/allocation/runs/:id (allocation run detail)`);
+      console.log(`  - POST /api/admin/allocation/runs/:id/commit (apply allocation run)`);
+      console.log(`  - GET /api/admin/appeals (list appeals)`);
+      console.log(`  - PATCH /api/admin/appeals/:id/decide (uphold or overturn a rejection)`);
+      console.log(`Integration endpoints (X-API-Key):`);
+      console.log(`  - GET /api/integrations/assignments (approved assignments)`);
+      console.log(`  - GET /api/integrations/sessions (registration sessions)`);
+      console.log(`  - GET /api/integrations/professors (professors and capacity)`);
 
       // Initialize background job scheduler after server starts
       try {
@@ -10,7 +10,7 @@
  * Execution: Daily at midnight (configurable)
  * 
  * Logic:
- * 1. Query database for completed requests (approved/rejected)
+ * 1. Query database for completed requests (approved/rejected/withdrawn)
  * 2. Filter requests where session end date > 90 days ago
  * 3. Extract file paths from database records
  * 4. Delete files from filesystem with proper error handling
@@ -21,6 +21,7 @@
 const fs = require('fs').promises;
 const path = require('path');
 const { PrismaClient } = require('@prisma/client');
+const { ENROLLED_STATUSES } = require('../../utils/applicationStateMachine');
 
 const prisma = new PrismaClient();
 
@@ -29,7 +30,7 @@ const prisma = new PrismaClient();
  */
 const CLEANUP_CONFIG = {
   GRACE_PERIOD_DAYS: 90,
-  TARGET_STATUSES: ['approved', 'rejected'],
+  TARGET_STATUSES: [...ENROLLED_STATUSES, 'rejected', 'withdrawn'],
   BATCH_SIZE: 100, // Process records in batches to avoid memory issues
   LOG_LEVEL: process.env.CLEANUP_LOG_LEVEL || 'info', // 'debug', 'info', 'warn', 'error'
 };
@@ -0,0 +1,286 @@
+/**
+ * Pending Application Expiry Job
+ * Scheduled task to close applications left without a decision after their session ended
+ *
+ * Purpose:
+ * - Give students waiting on an unresponsive professor a final answer, so they can apply elsewhere
+ * - Remind professors a few days before their open applications expire
+ *
+ * Execution: Daily at 01:00
+ *
+ * Logic:
+ * 1. Find manual sessions whose cutoff (end date + grace period) is less than REMINDER_DAYS away
+ *    and email their professor once about the applications still open
+ * 2. Find manual sessions whose cutoff has passed
+ * 3. Reject their pending and waitlisted applications with a system justification
+ * 4. Record the changes in the application history and email the students
+ * 5. Promote the waitlists of running manual sessions, so seats no decision released reach waiting
+ *    students (the waitlist job does the same every few minutes)
+ *
+ * Matching sessions are left out: their pending applications wait for the admin's allocation run,
+ * not for the professor
+ */
+
+const { prisma } = require('../../db');
+const { sendMail, buildFrontendLink } = require('../../utils/mailer');
+const { recordStatusChange } = require('../../utils/applicationHistory');
+const { targetStatus, transitionWhere } = require('../../utils/applicationStateMachine');
+const { promoteWaitingSessions } = require('../../utils/waitlist');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Read a number of days from the environment
+ * 0 is a valid setting; unset, invalid or negative values fall back to the default
+ * @param {string|undefined} value - Environment value
+ * @param {number} defaultDays - Default number of days
+ * @returns {number}
+ */
+function parseDays(value, defaultDays) {
+  const days = parseInt(value);
+  return Number.isNaN(days) || days < 0 ? defaultDays : days;
+}
+
+/**
+ * Configuration for expiry job
+ */
+const EXPIRY_CONFIG = {
+  GRACE_PERIOD_DAYS: parseDays(process.env.PENDING_EXPIRY_GRACE_DAYS, 7),
+  REMINDER_DAYS: parseDays(process.env.PENDING_EXPIRY_REMINDER_DAYS, 3),
+  JUSTIFICATION: 'Expired: the professor did not decide before the session closed',
+};
+
+/**
+ * Date after which a session's open applications expire
+ * @param {Date} dataSfarsit - Session end date
+ * @returns {Date}
+ */
+function getExpiryDate(dataSfarsit) {
+  return new Date(dataSfarsit.getTime() + EXPIRY_CONFIG.GRACE_PERIOD_DAYS * DAY_MS);
+}
+
+/**
+ * Manual sessions with open applications whose expiry is near and whose professor was not reminded yet
+ * @param {Date} now - Current date
+ * @returns {Promise<Array>} Sessions with professor and open applications
+ */
+async function findSessionsToRemind(now) {
+  const gracePeriodMs = EXPIRY_CONFIG.GRACE_PERIOD_DAYS * DAY_MS;
+
+  return prisma.sesiuneInscriere.findMany({
+    where: {
+      modAlocare: 'manual',
+      reamintireExpirareLa: null,
+      dataSfarsit: {
+        gte: new Date(now.getTime() - gracePeriodMs),
+        lt: new Date(now.getTime() - gracePeriodMs + EXPIRY_CONFIG.REMINDER_DAYS * DAY_MS),
+      },
+      cerereDisertatie: { some: transitionWhere('expire') },
+    },
+    include: {
+      profesor: { include: { user: { select: { email: true } } } },
+      cerereDisertatie: {
+        where: transitionWhere('expire'),
+        select: { id: true },
+      },
+    },
+  });
+}
+
+/**
+ * Email a professor that the open applications of a session are about to expire
+ * The session is marked only once the email went out, so a failed reminder is retried on the next run
+ * @param {Object} session - Session from findSessionsToRemind
+ * @param {Date} now - Current date
+ * @returns {Promise<void>}
+ */
+async function sendExpiryReminder(session, now) {
+  const { profesor } = session;
+  const expiresOn = getExpiryDate(session.dataSfarsit).toISOString().slice(0, 10);
+
+  await sendMail({
+    to: profesor.user.email,
+    subject: 'eDissertation - Applications waiting for your decision',
+    text: [
+      `Hello ${profesor.prenume},`,
+      '',
+      `${session.cerereDisertatie.length} application(s) to your session ending on ${session.dataSfarsit.toISOString().slice(0, 10)} are still waiting for a decision.`,
+      `Approve or reject them before ${expiresOn}; after that date they are rejected automatically.`,
+      '',
+      `Review them on your dashboard: ${buildFrontendLink('/profesor/dashboard')}`,
+    ].join('\n'),
+  });
+
+  await prisma.sesiuneInscriere.update({
+    where: { id: session.id },
+    data: { reamintireExpirareLa: now },
+  });
+}
+
+/**
+ * Open applications of manual sessions past their expiry date
+ * @param {Date} now - Current date
+ * @returns {Promise<Array>} Applications with student, professor and session
+ */
+async function findApplicationsToExpire(now) {
+  return prisma.cerereDisertatie.findMany({
+    where: {
+      ...transitionWhere('expire'),
+      sesiune: {
+        modAlocare: 'manual',
+        dataSfarsit: { lt: new Date(now.getTime() - EXPIRY_CONFIG.GRACE_PERIOD_DAYS * DAY_MS) },
+      },
+    },
+    include: {
+      student: { include: { user: { select: { email: true } } } },
+      profesor: { select: { nume: true, prenume: true } },
+    },
+    orderBy: { id: 'asc' },
+  });
+}
+
+/**
+ * Reject one expired application and notify its student
+ * @param {Object} application - Application from findApplicationsToExpire
+ * @returns {Promise<boolean>} False if the application was decided meanwhile
+ */
+async function expireApplication(application) {
+  const expired = await prisma.$transaction(async (tx) => {
+    const moved = await tx.cerereDisertatie.updateMany({
+      where: { id: application.id, ...transitionWhere('expire') },
+      data: {
+        status: targetStatus('expire'),
+        justificareRespingere: EXPIRY_CONFIG.JUSTIFICATION,
+      },
+    });
+
+    if (moved.count === 0) {
+      return false;
+    }
+
+    await recordStatusChange(tx, {
+      cerereId: application.id,
+      statusAnterior: application.status,
+      statusNou: targetStatus('expire'),
+      motiv: EXPIRY_CONFIG.JUSTIFICATION,
+    });
+
+    return true;
+  });
+
+  if (!expired) {
+    return false;
+  }
+
+  try {
+    await sendMail({
+      to: application.student.user.email,
+      subject: 'eDissertation - Your application expired',
+      text: [
+        `Hello ${application.student.prenume},`,
+        '',
+        `Prof. ${application.profesor.prenume} ${application.profesor.nume} did not decide on your application before the session closed, so it was closed automatically.`,
+        'You can apply to other open sessions.',
+        '',
+        `Open sessions are listed on your dashboard: ${buildFrontendLink('/student/dashboard')}`,
+      ].join('\n'),
+    });
+  } catch (mailError) {
+    console.error(`[EXPIRY] Failed to notify student of application ${application.id}`, mailError);
+  }
+
+  return true;
+}
+
+/**
+ * Execute the expiry job
+ * Main entry point for the scheduled task
+ * @returns {Promise<Object>} Summary of reminders sent and applications expired
+ */
+async function executeExpiryJob() {
+  const startTime = Date.now();
+  const now = new Date();
+
+  const summary = {
+    startTime: now.toISOString(),
+    gracePeriodDays: EXPIRY_CONFIG.GRACE_PERIOD_DAYS,
+    reminderDays: EXPIRY_CONFIG.REMINDER_DAYS,
+    remindersSent: 0,
+    applicationsFound: 0,
+    applicationsExpired: 0,
+    applicationsPromoted: 0,
+    errors: [],
+    duration: 0,
+    status: 'pending',
+  };
+
+  try {
+    const sessionsToRemind = await findSessionsToRemind(now);
+    for (const session of sessionsToRemind) {
+      try {
+        await sendExpiryReminder(session, now);
+        summary.remindersSent++;
+      } catch (error) {
+        console.error(`[EXPIRY] Failed to remind professor of session ${session.id}`, error);
+        summary.errors.push({ sessionId: session.id, error: error.message });
+      }
+    }
+
+    const applications = await findApplicationsToExpire(now);
+    summary.applicationsFound = applications.length;
+
+    // One application at a time, so a failure leaves the others expired
+    for (const application of applications) {
+      try {
+        if (await expireApplication(application)) {
+          summary.applicationsExpired++;
+        }
+      } catch (error) {
+        console.error(`[EXPIRY] Failed to expire application ${application.id}`, error);
+        summary.errors.push({ requestId: application.id, error: error.message });
+      }
+    }
+
+    const promotion = await promoteWaitingSessions();
+    summary.applicationsPromoted = promotion.promoted;
+    summary.errors.push(...promotion.errors);
+
+    summary.status = 'completed_success';
+  } catch (error) {
+    summary.status = 'failed';
+    summary.error = error.message;
+    console.error('[EXPIRY] Expiry job failed with error', error);
+  } finally {
+    summary.duration = Date.now() - startTime;
+    summary.endTime = new Date().toISOString();
+
+    console.log('[EXPIRY] Expiry job finished', {
+      status: summary.status,
+      remindersSent: summary.remindersSent,
+      applicationsExpired: summary.applicationsExpired,
+      applicationsPromoted: summary.applicationsPromoted,
+      errors: summary.errors.length,
+      duration: `${summary.duration}ms`,
+    });
+  }
+
+  return summary;
+}
+
+/**
+ * Get expiry job configuration and status
+ * @returns {Object} Current job configuration and the session end date before which applications expire
+ */
+function getExpiryJobStatus() {
+  return {
+    configured: true,
+    configuration: EXPIRY_CONFIG,
+    expiresSessionsEndedBefore: new Date(Date.now() - EXPIRY_CONFIG.GRACE_PERIOD_DAYS * DAY_MS).toISOString(),
+  };
+}
+
+module.exports = {
+  executeExpiryJob,
+  getExpiryJobStatus,
+  EXPIRY_CONFIG,
+};
@@ -9,12 +9,22 @@ const {
   validateCleanupConfig 
 } = require('./cleanupJob');
 
+const {
+  executeExpiryJob,
+  getExpiryJobStatus
+} = require('./expiryJob');
+
+const {
+  executeWaitlistJob
+} = require('./waitlistJob');
+
 const { 
   scheduler, 
   initializeScheduler, 
   stopScheduler, 
   getSchedulerStatus,
-  triggerCleanupJobManually 
+  triggerCleanupJobManually,
+  triggerExpiryJobManually
 } = require('./scheduler');
 
 module.exports = {
@@ -22,11 +32,19 @@ module.exports = {
   executeCleanupJob,
   getCleanupJobStatus,
   validateCleanupConfig,
+
+  // Expiry job functions
+  executeExpiryJob,
+  getExpiryJobStatus,
+
+  // Waitlist job functions
+  executeWaitlistJob,
   
   // Scheduler functions
   scheduler,
   initializeScheduler,
   stopScheduler,
   getSchedulerStatus,
-  triggerCleanupJobManually
+  triggerCleanupJobManually,
+  triggerExpiryJobManually
 };
@@ -4,12 +4,16 @@
  * 
  * Manages:
  * - File cleanup job (daily at midnight)
+ * - Pending application expiry job (daily at 01:00)
+ * - Waitlist promotion job (every few minutes)
  * - Job start/stop lifecycle
  * - Error handling and recovery
  */
 
 const cron = require('node-cron');
 const { executeCleanupJob, getCleanupJobStatus } = require('./cleanupJob');
+const { executeExpiryJob } = require('./expiryJob');
+const { executeWaitlistJob, getWaitlistJobInterval } = require('./waitlistJob');
 
 /**
  * Scheduler instance and configuration
@@ -31,6 +35,12 @@ class JobScheduler {
       // Schedule cleanup job to run daily at midnight (00:00)
       this.scheduleCleanupJob();
 
+      // Schedule expiry job to run daily at 01:00, after the cleanup
+      this.scheduleExpiryJob();
+
+      // Schedule waitlist promotion, so seats of lapsed reservations do not wait for the next decision
+      this.scheduleWaitlistJob();
+
       this.isRunning = true;
       console.log('[SCHEDULER] Job scheduler initialized successfully');
       
@@ -83,6 +93,83 @@ class JobScheduler {
     }
   }
 
+  /**
+   * Schedule the pending application expiry job
+   * Runs daily at 01:00
+   */
+  scheduleExpiryJob() {
+    try {
+      // Cron pattern: "0 1 * * *" = 01:00 daily
+      const expiryJob = cron.schedule('0 1 * * *', async () => {
+        console.log('[SCHEDULER] Starting scheduled expiry job...');
+
+        try {
+          const result = await executeExpiryJob();
+          console.log('[SCHEDULER] Expiry job completed', {
+            status: result.status,
+            remindersSent: result.remindersSent,
+            applicationsExpired: result.applicationsExpired,
+            duration: `${result.duration}ms`
+          });
+        } catch (error) {
+          console.error('[SCHEDULER] Expiry job failed', error);
+        }
+      });
+
+      this.jobs.set('expiry', {
+        task: expiryJob,
+        schedule: '0 1 * * * (01:00 daily)',
+        description: 'Remind professors of open applications and expire them after the session ends',
+        createdAt: new Date()
+      });
+
+      console.log('[SCHEDULER] Expiry job scheduled to run daily at 01:00');
+    } catch (error) {
+      console.error('[SCHEDULER] Failed to schedule expiry job', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Schedule the waitlist promotion job
+   * Runs every WAITLIST_JOB_INTERVAL_MINUTES minutes (default 10)
+   */
+  scheduleWaitlistJob() {
+    try {
+      const minutes = getWaitlistJobInterval();
+      // Cron pattern: "*/10 * * * *" = every 10 minutes
+      const pattern = `*/${minutes} * * * *`;
+      const waitlistJob = cron.schedule(pattern, async () => {
+        try {
+          const result = await executeWaitlistJob();
+          // Most runs find nothing to do, only log the ones that did something
+          if (result.applicationsPromoted > 0 || result.status !== 'completed_success') {
+            console.log('[SCHEDULER] Waitlist job completed', {
+              status: result.status,
+              applicationsPromoted: result.applicationsPromoted,
+              errors: result.errors.length,
+              duration: `${result.duration}ms`
+            });
+          }
+        } catch (error) {
+          console.error('[SCHEDULER] Waitlist job failed', error);
+        }
+      });
+
+      this.jobs.set('waitlist', {
+        task: waitlistJob,
+        schedule: `${pattern} (every ${minutes} minutes)`,
+        description: 'Promote waitlisted applications into seats freed by lapsed reservations',
+        createdAt: new Date()
+      });
+
+      console.log(`[SCHEDULER] Waitlist job scheduled to run every ${minutes} minutes`);
+    } catch (error) {
+      console.error('[SCHEDULER] Failed to schedule waitlist job', error);
+      throw error;
+    }
+  }
+
   /**
    * Manually trigger cleanup job (for testing/maintenance)
    * @returns {Promise<Object>} Cleanup job result
@@ -102,6 +189,26 @@ class JobScheduler {
     }
   }
 
+  /**
+   * Manually trigger expiry job (for testing/maintenance)
+   * @returns {Promise<Object>} Expiry job result
+   */
+  async triggerExpiryJob() {
+    try {
+      console.log('[SCHEDULER] Manually triggering expiry job...');
+      const result = await executeExpiryJob();
+      console.log('[SCHEDULER] Manual expiry job completed', {
+        status: result.status,
+        remindersSent: result.remindersSent,
+        applicationsExpired: result.applicationsExpired
+      });
+      return result;
+    } catch (error) {
+      console.error('[SCHEDULER] Manual expiry job failed', error);
+      throw error;
+    }
+  }
+
   /**
    * Stop all scheduled jobs
    */
@@ -157,5 +264,6 @@ module.exports = {
   initializeScheduler: () => scheduler.initialize(),
   stopScheduler: () => scheduler.stop(),
   getSchedulerStatus: () => scheduler.getStatus(),
-  triggerCleanupJobManually: () => scheduler.triggerCleanupJob()
+  triggerCleanupJobManually: () => scheduler.triggerCleanupJob(),
+  triggerExpiryJobManually: () => scheduler.triggerExpiryJob()
 };
@@ -0,0 +1,65 @@
+/**
+ * Waitlist Promotion Job
+ * Scheduled task handing seats freed by lapsed reservations to waiting students
+ *
+ * Purpose:
+ * - A pending application stops holding its seat when its reservation (SEAT_RESERVATION_HOURS) lapses.
+ *   No decision is taken at that moment, so nothing else promotes the waitlist, while new applicants
+ *   keep queueing behind it
+ *
+ * Execution: Every WAITLIST_JOB_INTERVAL_MINUTES minutes
+ *
+ * Logic:
+ * 1. Find running manual sessions with students on their waitlist
+ * 2. Promote as many of them as the session has free seats (see utils/waitlist.js)
+ */
+
+const { promoteWaitingSessions } = require('../../utils/waitlist');
+
+const DEFAULT_INTERVAL_MINUTES = 10;
+
+/**
+ * Minutes between two runs (WAITLIST_JOB_INTERVAL_MINUTES, 1 to 59)
+ * @returns {number}
+ */
+function getWaitlistJobInterval() {
+  const minutes = parseInt(process.env.WAITLIST_JOB_INTERVAL_MINUTES);
+  return minutes >= 1 && minutes <= 59 ? minutes : DEFAULT_INTERVAL_MINUTES;
+}
+
+/**
+ * Execute the waitlist promotion job
+ * @returns {Promise<Object>} Summary of promoted applications
+ */
+async function executeWaitlistJob() {
+  const startTime = Date.now();
+
+  const summary = {
+    startTime: new Date(startTime).toISOString(),
+    applicationsPromoted: 0,
+    errors: [],
+    duration: 0,
+    status: 'pending',
+  };
+
+  try {
+    const promotion = await promoteWaitingSessions();
+    summary.applicationsPromoted = promotion.promoted;
+    summary.errors = promotion.errors;
+    summary.status = 'completed_success';
+  } catch (error) {
+    summary.status = 'failed';
+    summary.error = error.message;
+    console.error('[WAITLIST] Waitlist job failed with error', error);
+  } finally {
+    summary.duration = Date.now() - startTime;
+    summary.endTime = new Date().toISOString();
+  }
+
+  return summary;
+}
+
+module.exports = {
+  executeWaitlistJob,
+  getWaitlistJobInterval,
+};
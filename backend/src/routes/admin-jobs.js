@@ -2,43 +2,36 @@
  * Admin Jobs API Routes
  * 
  * Protected endpoints for managing background jobs
- * Only accessible to authenticated users (can be extended to admin role)
+ * Only accessible to authenticated users with the admin role
  * 
  * Endpoints:
  * - GET /api/admin/jobs/status - Get scheduler status
  * - POST /api/admin/jobs/cleanup/trigger - Manually trigger cleanup
  * - GET /api/admin/jobs/cleanup/status - Get cleanup job configuration
  * - GET /api/admin/jobs/cleanup/validate - Validate cleanup configuration
+ * - GET /api/admin/jobs/expiry/status - Get expiry job configuration
+ * - POST /api/admin/jobs/expiry/trigger - Manually trigger expiry of stale applications
  */
 
 const express = require('express');
 const router = express.Router();
-const { authMiddleware } = require('../middleware/auth');
+const { authMiddleware, requireRole } = require('../../middleware/auth');
 const {
   initializeScheduler,
   getSchedulerStatus,
   triggerCleanupJobManually,
   getCleanupJobStatus,
   validateCleanupConfig,
-  executeCleanupJob
+  executeCleanupJob,
+  getExpiryJobStatus,
+  triggerExpiryJobManually
 } = require('../jobs');
 
-/**
- * Middleware: Optional admin role check (can be extended based on requirements)
- * For now, just require authentication
- */
-const adminCheck = (req, res, next) => {
-  // TODO: Add role-based access control
-  // For now, any authenticated user can access these endpoints
-  // You can extend this to check for an 'admin' or 'profesor' role
-  next();
-};
-
 /**
  * GET /api/admin/jobs/status
  * Get overall scheduler status
  */
-router.get('/status', authMiddleware, adminCheck, (req, res) => {
+router.get('/status', authMiddleware, requireRole('admin'), (req, res) => {
   try {
     const status = getSchedulerStatus();
     
@@ -62,7 +55,7 @@ router.get('/status', authMiddleware, adminCheck, (req, res) => {
  * GET /api/admin/jobs/cleanup/status
  * Get cleanup job configuration and status
  */
-router.get('/cleanup/status', authMiddleware, adminCheck, (req, res) => {
+router.get('/cleanup/status', authMiddleware, requireRole('admin'), (req, res) => {
   try {
     const status = getCleanupJobStatus();
     
@@ -86,7 +79,7 @@ router.get('/cleanup/status', authMiddleware, adminCheck, (req, res) => {
  * GET /api/admin/jobs/cleanup/validate
  * Validate cleanup job configuration
  */
-router.get('/cleanup/validate', authMiddleware, adminCheck, (req, res) => {
+router.get('/cleanup/validate', authMiddleware, requireRole('admin'), (req, res) => {
   try {
     const validation = validateCleanupConfig();
     
@@ -113,12 +106,12 @@ router.get('/cleanup/validate', authMiddleware, adminCheck, (req, res) => {
  * Query parameters:
  * - uploadDir: Optional. Override the uploads directory path.
  */
-router.post('/cleanup/trigger', authMiddleware, adminCheck, async (req, res) => {
+router.post('/cleanup/trigger', authMiddleware, requireRole('admin'), async (req, res) => {
   try {
     const { uploadDir } = req.query;
 
     console.log('[API] Manual cleanup job triggered', {
-      user: req.user?.id,
+      user: req.user?.userId,
       uploadDir: uploadDir || 'default'
     });
 
@@ -143,12 +136,66 @@ router.post('/cleanup/trigger', authMiddleware, adminCheck, async (req, res) =>
   }
 });
 
+/**
+ * GET /api/admin/jobs/expiry/status
+ * Get expiry job configuration
+ */
+router.get('/expiry/status', authMiddleware, requireRole('admin'), (req, res) => {
+  try {
+    const status = getExpiryJobStatus();
+
+    res.json({
+      success: true,
+      message: 'Expiry job status retrieved',
+      data: status,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get expiry job status',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * POST /api/admin/jobs/expiry/trigger
+ * Manually send due reminders and expire stale pending applications
+ */
+router.post('/expiry/trigger', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    console.log('[API] Manual expiry job triggered', {
+      user: req.user?.userId
+    });
+
+    const result = await triggerExpiryJobManually();
+
+    res.json({
+      success: true,
+      message: 'Expiry job triggered and completed successfully',
+      data: result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('[API] Manual expiry job failed', error);
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to trigger expiry job',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
 /**
  * POST /api/admin/jobs/initialize
  * Initialize the job scheduler (call on server startup)
  * Mainly for testing - normally called automatically in server.js
  */
-router.post('/initialize', authMiddleware, adminCheck, async (req, res) => {
+router.post('/initialize', authMiddleware, requireRole('admin'), async (req, res) => {
   try {
     console.log('[API] Job scheduler initialization requested');
     
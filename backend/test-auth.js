@@ -51,7 +51,8 @@ async function runTests() {
 
   try {
     // Test 1: Register as Profesor
-    console.log('\n1️⃣ Register as Profesor');
+    // Requires an invitation issued for dr.ionescu@university.edu (POST /api/admin/invitations)
+    console.log('\n1️⃣ Register as Profesor (set TEST_INVITATION_CODE, otherwise should fail)');
     console.log('-'.repeat(50));
     const registerProfesorRes = await makeRequest('POST', '/api/auth/register', {
       email: 'dr.ionescu@university.edu',
@@ -59,7 +60,7 @@ async function runTests() {
       role: 'profesor',
       nume: 'Ionescu',
       prenume: 'Gheorghe',
-      limitaStudenti: 8,
+      invitationCode: process.env.TEST_INVITATION_CODE,
     });
     console.log(`Status: ${registerProfesorRes.status}`);
     console.log(`Response:`, JSON.stringify(registerProfesorRes.data, null, 2));
@@ -85,7 +86,7 @@ async function runTests() {
     const duplicateRes = await makeRequest('POST', '/api/auth/register', {
       email: 'dr.ionescu@university.edu',
       password: 'AnotherPass123!',
-      role: 'profesor',
+      role: 'student',
       nume: 'Different',
       prenume: 'Name',
     });
@@ -137,6 +138,43 @@ async function runTests() {
     console.log(`Status: ${noTokenRes.status}`);
     console.log(`Response:`, JSON.stringify(noTokenRes.data, null, 2));
 
+    // Test 8: Refresh access token
+    console.log('\n8️⃣ Refresh Access Token');
+    console.log('-'.repeat(50));
+    const loginRefreshToken = loginRes.data.data?.refreshToken;
+    const refreshRes = await makeRequest('POST', '/api/auth/refresh', {
+      refreshToken: loginRefreshToken,
+    });
+    console.log(`Status: ${refreshRes.status}`);
+    console.log(`Response:`, JSON.stringify(refreshRes.data, null, 2));
+
+    // Test 9: Reuse rotated refresh token
+    console.log('\n9️⃣ Reuse Rotated Refresh Token (should fail and revoke the family)');
+    console.log('-'.repeat(50));
+    const reuseRes = await makeRequest('POST', '/api/auth/refresh', {
+      refreshToken: loginRefreshToken,
+    });
+    console.log(`Status: ${reuseRes.status}`);
+    console.log(`Response:`, JSON.stringify(reuseRes.data, null, 2));
+    const revokedRes = await makeRequest('POST', '/api/auth/refresh', {
+      refreshToken: refreshRes.data.data?.refreshToken,
+    });
+    console.log(`Latest token after reuse - Status: ${revokedRes.status} (expected 401)`);
+
+    // Test 10: Logout
+    console.log('\n🔟 Logout and Refresh Afterwards (refresh should fail)');
+    console.log('-'.repeat(50));
+    const logoutRefreshToken = registerStudentRes.data.data?.refreshToken;
+    const logoutRes = await makeRequest('POST', '/api/auth/logout', {
+      refreshToken: logoutRefreshToken,
+    });
+    console.log(`Status: ${logoutRes.status}`);
+    console.log(`Response:`, JSON.stringify(logoutRes.data, null, 2));
+    const afterLogoutRes = await makeRequest('POST', '/api/auth/refresh', {
+      refreshToken: logoutRefreshToken,
+    });
+    console.log(`Refresh after logout - Status: ${afterLogoutRes.status} (expected 401)`);
+
     console.log('\n' + '='.repeat(50));
     console.log('✅ Tests completed!');
   } catch (error) {
@@ -0,0 +1,416 @@
+#!/usr/bin/env node
+/**
+ * Concurrency test for session capacity
+ * Fires simultaneous approvals and submissions against the real routes and checks that
+ * session, professor and co-supervisor limits hold, reserved seats stay with their applications,
+ * a student is enrolled at most once and applies at most once per session
+ *
+ * Needs the database from DATABASE_URL (the schema must be applied) and JWT_SECRET.
+ * The routes are served in-process on a free port; fixtures are created with unique emails
+ * and deleted at the end.
+ *
+ * Usage:
+ *   node test-capacity-concurrency.js [rounds]
+ *   npm run test:concurrency
+ */
+
+const http = require('http');
+const express = require('express');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const { prisma } = require('./db');
+const { generateToken } = require('./utils/auth');
+const { ENROLLED_STATUSES } = require('./utils/applicationStateMachine');
+const applicationsRoutes = require('./routes/applications');
+const studentRoutes = require('./routes/student');
+
+// Each scenario is repeated, a race rarely shows on the first try
+const ROUNDS = parseInt(process.argv[2]) || 5;
+const SESSION_LIMIT = 2;
+const APPLICANTS = 8;
+const DUPLICATE_SUBMISSIONS = 5;
+// Below the two sessions' combined limit, so the professor's own limit is the one reached
+const PROFESSOR_LIMIT = 3;
+// One seat, wanted at once by an approval it co-supervises and by an invitation it accepts
+const CO_SUPERVISOR_LIMIT = 1;
+
+const RUN_ID = Date.now();
+let emailCounter = 0;
+const createdUserIds = [];
+const failures = [];
+
+let baseUrl = null;
+
+/**
+ * Send a JSON request to the in-process server
+ * @param {string} method - HTTP method
+ * @param {string} path - Request path
+ * @param {string} token - Access token
+ * @param {Object} [body] - JSON body
+ * @returns {Promise<{status: number, data: Object}>}
+ */
+function makeRequest(method, path, token, body = null) {
+  return new Promise((resolve, reject) => {
+    const url = new URL(path, baseUrl);
+    const req = http.request({
+      hostname: url.hostname,
+      port: url.port,
+      path: url.pathname,
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${token}`,
+      },
+    }, (res) => {
+      let data = '';
+      res.on('data', (chunk) => (data += chunk));
+      res.on('end', () => {
+        try {
+          resolve({ status: res.statusCode, data: JSON.parse(data) });
+        } catch (e) {
+          resolve({ status: res.statusCode, data });
+        }
+      });
+    });
+
+    req.on('error', reject);
+    if (body) req.write(JSON.stringify(body));
+    req.end();
+  });
+}
+
+/**
+ * Record a failed expectation
+ * @param {boolean} condition - Expectation
+ * @param {string} message - Description shown on failure
+ */
+function expect(condition, message) {
+  if (condition) {
+    console.log(`  ✓ ${message}`);
+  } else {
+    console.error(`  ✗ ${message}`);
+    failures.push(message);
+  }
+}
+
+/**
+ * Create a verified user with a profile and an access token
+ * Fixture accounts count as enrolled in two-factor, so a required policy does not block them
+ * @param {string} role - student or profesor
+ * @param {number} [limitaStudenti] - Limit of a professor across all of their sessions
+ * @returns {Promise<{user: Object, profile: Object, token: string}>}
+ */
+async function createUser(role, limitaStudenti = 50) {
+  emailCounter++;
+  const email = `capacity-test-${RUN_ID}-${emailCounter}@example.test`;
+  const profile = { nume: 'Test', prenume: `${role} ${emailCounter}` };
+
+  const user = await prisma.user.create({
+    data: {
+      email,
+      passwordHash: 'not-a-password-hash',
+      role,
+      emailVerifiedAt: new Date(),
+      totpEnabledAt: new Date(),
+      ...(role === 'profesor'
+        ? { profesor: { create: { ...profile, limitaStudenti } } }
+        : { student: { create: profile } }),
+    },
+    include: { profesor: true, student: true },
+  });
+  createdUserIds.push(user.id);
+
+  const token = generateToken({ userId: user.id, email, role }, process.env.JWT_SECRET, '10m');
+  return { user, profile: user.profesor || user.student, token };
+}
+
+/**
+ * Create a running manual session
+ * @param {Object} profesor - Profesor record
+ * @param {number} limitaStudenti - Session limit
+ * @returns {Promise<Object>}
+ */
+async function createSession(profesor, limitaStudenti) {
+  const day = 24 * 60 * 60 * 1000;
+  return prisma.sesiuneInscriere.create({
+    data: {
+      profesorId: profesor.id,
+      dataInceput: new Date(Date.now() - day),
+      dataSfarsit: new Date(Date.now() + 30 * day),
+      limitaStudenti,
+    },
+  });
+}
+
+/**
+ * Create a pending application
+ * @param {Object} student - Student record
+ * @param {Object} session - Session record
+ * @param {Date|null} [rezervatPanaLa] - End of the application's seat reservation
+ * @returns {Promise<Object>}
+ */
+async function createPendingApplication(student, session, rezervatPanaLa = null) {
+  return prisma.cerereDisertatie.create({
+    data: {
+      studentId: student.id,
+      sesiuneId: session.id,
+      profesorId: session.profesorId,
+      titluPropus: 'Concurrency test proposal',
+      status: 'pending',
+      rezervatPanaLa,
+    },
+  });
+}
+
+/**
+ * Count applications holding a place
+ * @param {Object} where - Extra filter
+ * @returns {Promise<number>}
+ */
+async function countEnrolled(where) {
+  return prisma.cerereDisertatie.count({
+    where: { ...where, status: { in: ENROLLED_STATUSES } },
+  });
+}
+
+/**
+ * Many pending applications to one session approved at the same time
+ */
+async function testParallelApprovals(round) {
+  console.log(`\nRound ${round}: ${APPLICANTS} simultaneous approvals, session limit ${SESSION_LIMIT}`);
+
+  const profesor = await createUser('profesor');
+  const session = await createSession(profesor.profile, SESSION_LIMIT);
+  const applications = [];
+  for (let i = 0; i < APPLICANTS; i++) {
+    const student = await createUser('student');
+    applications.push(await createPendingApplication(student.profile, session));
+  }
+
+  const responses = await Promise.all(applications.map((app) =>
+    makeRequest('PATCH', `/api/profesor/applications/${app.id}/approve`, profesor.token)
+  ));
+
+  const approved = responses.filter((res) => res.status === 200).length;
+  const refused = responses.filter((res) => res.status === 409).length;
+  const unexpected = responses.filter((res) => ![200, 409].includes(res.status));
+
+  expect(approved === SESSION_LIMIT, `${approved} approvals succeeded (expected ${SESSION_LIMIT})`);
+  expect(refused === APPLICANTS - SESSION_LIMIT, `${refused} approvals refused with 409 (expected ${APPLICANTS - SESSION_LIMIT})`);
+  expect(unexpected.length === 0, `no other responses${unexpected.length ? `: ${JSON.stringify(unexpected[0])}` : ''}`);
+
+  const enrolled = await countEnrolled({ sesiuneId: session.id });
+  expect(enrolled === SESSION_LIMIT, `${enrolled} applications enrolled in the database (expected ${SESSION_LIMIT})`);
+}
+
+/**
+ * One student's applications to two professors approved at the same time
+ */
+async function testParallelApprovalsOfOneStudent(round) {
+  console.log(`\nRound ${round}: two professors approve the same student simultaneously`);
+
+  const student = await createUser('student');
+  const profesors = [await createUser('profesor'), await createUser('profesor')];
+  const requests = [];
+  for (const profesor of profesors) {
+    const session = await createSession(profesor.profile, SESSION_LIMIT);
+    const application = await createPendingApplication(student.profile, session);
+    requests.push({ profesor, application });
+  }
+
+  const responses = await Promise.all(requests.map(({ profesor, application }) =>
+    makeRequest('PATCH', `/api/profesor/applications/${application.id}/approve`, profesor.token)
+  ));
+
+  const approved = responses.filter((res) => res.status === 200).length;
+  expect(approved === 1, `${approved} approvals succeeded (expected 1)`);
+
+  const enrolled = await countEnrolled({ studentId: student.profile.id });
+  expect(enrolled === 1, `student enrolled in ${enrolled} session(s) (expected 1)`);
+}
+
+/**
+ * Pending applications in two sessions of one professor approved at the same time
+ */
+async function testProfessorLimitAcrossSessions(round) {
+  console.log(`\nRound ${round}: simultaneous approvals in two sessions, professor limit ${PROFESSOR_LIMIT}`);
+
+  const profesor = await createUser('profesor', PROFESSOR_LIMIT);
+  const applications = [];
+  for (let s = 0; s < 2; s++) {
+    const session = await createSession(profesor.profile, SESSION_LIMIT);
+    for (let i = 0; i < SESSION_LIMIT + 1; i++) {
+      const student = await createUser('student');
+      applications.push(await createPendingApplication(student.profile, session));
+    }
+  }
+
+  const responses = await Promise.all(applications.map((app) =>
+    makeRequest('PATCH', `/api/profesor/applications/${app.id}/approve`, profesor.token)
+  ));
+
+  const approved = responses.filter((res) => res.status === 200).length;
+  expect(approved === PROFESSOR_LIMIT, `${approved} approvals succeeded (expected ${PROFESSOR_LIMIT})`);
+
+  const enrolled = await countEnrolled({ profesorId: profesor.profile.id });
+  expect(enrolled === PROFESSOR_LIMIT, `${enrolled} students enrolled with the professor (expected ${PROFESSOR_LIMIT})`);
+}
+
+/**
+ * An approval of an application the professor co-supervises and the acceptance of another invitation,
+ * at the same time, when the co-supervisor has one seat left (the default weight counts a whole student)
+ */
+async function testCoSupervisorLimit(round) {
+  console.log(`\nRound ${round}: approval and co-supervision acceptance compete for the co-supervisor's last seat`);
+
+  const coSupervisor = await createUser('profesor', CO_SUPERVISOR_LIMIT);
+  const profesors = [await createUser('profesor'), await createUser('profesor')];
+
+  // Pending again after an earlier approval, its co-supervision was kept
+  const pendingSession = await createSession(profesors[0].profile, SESSION_LIMIT);
+  const pending = await createPendingApplication((await createUser('student')).profile, pendingSession);
+  await prisma.coordonareSecundara.create({
+    data: { cerereId: pending.id, profesorId: coSupervisor.profile.id, status: 'accepted', raspunsLa: new Date() },
+  });
+
+  const approvedSession = await createSession(profesors[1].profile, SESSION_LIMIT);
+  const approved = await createPendingApplication((await createUser('student')).profile, approvedSession);
+  await prisma.cerereDisertatie.update({ where: { id: approved.id }, data: { status: 'approved' } });
+  const invitation = await prisma.coordonareSecundara.create({
+    data: { cerereId: approved.id, profesorId: coSupervisor.profile.id },
+  });
+
+  const [approval, acceptance] = await Promise.all([
+    makeRequest('PATCH', `/api/profesor/applications/${pending.id}/approve`, profesors[0].token),
+    makeRequest('PATCH', `/api/profesor/co-supervisions/${invitation.id}`, coSupervisor.token, { accept: true }),
+  ]);
+
+  const succeeded = [approval, acceptance].filter((res) => res.status === 200).length;
+  expect(succeeded === CO_SUPERVISOR_LIMIT, `${succeeded} of approval and acceptance succeeded (expected ${CO_SUPERVISOR_LIMIT})`);
+
+  const coSupervised = await prisma.coordonareSecundara.count({
+    where: {
+      profesorId: coSupervisor.profile.id,
+      status: 'accepted',
+      cerere: { status: { in: ENROLLED_STATUSES } },
+    },
+  });
+  expect(coSupervised === CO_SUPERVISOR_LIMIT, `${coSupervised} enrolled students co-supervised (expected ${CO_SUPERVISOR_LIMIT})`);
+}
+
+/**
+ * An application without a reservation approved together with the one holding the session's last seat
+ */
+async function testReservedSeat(round) {
+  console.log(`\nRound ${round}: a reserved seat is not taken by an unreserved approval`);
+
+  const profesor = await createUser('profesor');
+  const session = await createSession(profesor.profile, 1);
+  const reservedUntil = new Date(Date.now() + 60 * 60 * 1000);
+  const reserved = await createPendingApplication((await createUser('student')).profile, session, reservedUntil);
+  const unreserved = await createPendingApplication((await createUser('student')).profile, session);
+
+  const [unreservedResponse, reservedResponse] = await Promise.all([unreserved, reserved].map((app) =>
+    makeRequest('PATCH', `/api/profesor/applications/${app.id}/approve`, profesor.token)
+  ));
+
+  expect(unreservedResponse.status === 409, `unreserved approval refused with ${unreservedResponse.status} (expected 409)`);
+  expect(reservedResponse.status === 200, `reserved approval answered ${reservedResponse.status} (expected 200)`);
+
+  const enrolled = await countEnrolled({ id: reserved.id });
+  expect(enrolled === 1, 'the reserved application holds the seat');
+}
+
+/**
+ * The same submission sent several times at once
+ */
+async function testParallelSubmissions(round) {
+  console.log(`\nRound ${round}: ${DUPLICATE_SUBMISSIONS} simultaneous submissions of one student to one session`);
+
+  const profesor = await createUser('profesor');
+  const session = await createSession(profesor.profile, SESSION_LIMIT);
+  const student = await createUser('student');
+
+  const body = {
+    sesiuneId: session.id,
+    profesorId: profesor.profile.id,
+    titluPropus: 'Concurrency test proposal',
+    rezumat: 'An abstract long enough to pass the validation of the submission route, written for the test.',
+    cuvinteCheie: 'concurrency, locking, capacity',
+  };
+
+  const responses = await Promise.all(Array.from({ length: DUPLICATE_SUBMISSIONS }, () =>
+    makeRequest('POST', '/api/student/applications', student.token, body)
+  ));
+
+  const created = responses.filter((res) => res.status === 201).length;
+  const refused = responses.filter((res) => res.status === 409).length;
+  expect(created === 1, `${created} submissions accepted (expected 1)`);
+  expect(refused === DUPLICATE_SUBMISSIONS - 1, `${refused} submissions refused with 409 (expected ${DUPLICATE_SUBMISSIONS - 1})`);
+  if (created === 0) {
+    console.error('  First response:', JSON.stringify(responses[0].data));
+  }
+
+  const stored = await prisma.cerereDisertatie.count({
+    where: { studentId: student.profile.id, sesiuneId: session.id },
+  });
+  expect(stored === 1, `${stored} application(s) stored (expected 1)`);
+}
+
+/**
+ * Remove every fixture user; profiles, sessions and applications cascade
+ */
+async function cleanup() {
+  if (createdUserIds.length > 0) {
+    await prisma.user.deleteMany({ where: { id: { in: createdUserIds } } });
+  }
+}
+
+async function main() {
+  if (!process.env.JWT_SECRET) {
+    console.error('JWT_SECRET is not set');
+    process.exit(1);
+  }
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/student', studentRoutes);
+  app.use('/api/profesor', applicationsRoutes);
+
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  console.log('🧪 Capacity Concurrency Tests');
+  console.log('='.repeat(50));
+
+  try {
+    for (let round = 1; round <= ROUNDS; round++) {
+      await testParallelApprovals(round);
+      await testParallelApprovalsOfOneStudent(round);
+      await testProfessorLimitAcrossSessions(round);
+      await testReservedSeat(round);
+      await testCoSupervisorLimit(round);
+      await testParallelSubmissions(round);
+    }
+  } catch (error) {
+    console.error('❌ Test error:', error);
+    failures.push(error.message);
+  } finally {
+    await cleanup();
+    server.close();
+    await prisma.$disconnect();
+  }
+
+  console.log('\n' + '='.repeat(50));
+  if (failures.length > 0) {
+    console.error(`❌ ${failures.length} expectation(s) failed`);
+    process.exit(1);
+  }
+  console.log('✅ Session, professor and co-supervisor limits and reservations held under concurrent requests');
+}
+
+main();
@@ -0,0 +1,395 @@
+const crypto = require('crypto');
+const { prisma } = require('../db');
+const { recordStatusChanges } = require('./applicationHistory');
+const { ENROLLED_STATUSES, targetStatus, transitionWhere } = require('./applicationStateMachine');
+const { getSessionCapacities, getTopicCapacities, getProfessorSeatsLeft } = require('./capacity');
+const { withCapacityLock } = require('./capacityLock');
+
+// Thrown inside the commit transaction to roll back every write once an assignment no longer applies
+const ALLOCATION_CONFLICT = 'ALLOCATION_CONFLICT';
+
+/**
+ * Load everything the matching depends on: sessions in matching mode with their remaining places,
+ * the places their professors have left across all of their sessions,
+ * and the pending applications of students who are not approved anywhere yet
+ * @param {Object} client - Prisma client or transaction client
+ * @returns {Promise<{sessions: Object[], professorPlaces: Object, applications: Object[]}>}
+ */
+async function loadAllocationInput(client = prisma) {
+  const sessions = await client.sesiuneInscriere.findMany({
+    where: { modAlocare: 'matching' },
+    include: {
+      profesor: { select: { id: true, nume: true, prenume: true } },
+      teme: { select: { id: true, limitaStudenti: true } },
+    },
+    orderBy: { id: 'asc' },
+  });
+
+  const sessionIds = sessions.map((session) => session.id);
+
+  const approved = await client.cerereDisertatie.findMany({
+    where: { status: { in: ENROLLED_STATUSES } },
+    select: { studentId: true },
+  });
+  const approvedStudentIds = new Set(approved.map((app) => app.studentId));
+
+  const capacities = await getSessionCapacities(sessionIds, client);
+  const topicCapacities = await getTopicCapacities(
+    sessions.flatMap((session) => session.teme.map((topic) => topic.id)),
+    client
+  );
+
+  const applications = await client.cerereDisertatie.findMany({
+    where: {
+      sesiuneId: { in: sessionIds },
+      status: 'pending',
+      studentId: { notIn: [...approvedStudentIds] },
+    },
+    include: {
+      student: { select: { id: true, nume: true, prenume: true, medie: true } },
+      tema: { select: { titlu: true } },
+    },
+    orderBy: { id: 'asc' },
+  });
+
+  return {
+    sessions: sessions.map((session) => ({
+      id: session.id,
+      profesor: session.profesor,
+      limitaStudenti: session.limitaStudenti,
+      criteriuClasament: session.criteriuClasament,
+      places: capacities[session.id].freeSeats,
+      topicPlaces: Object.fromEntries(
+        session.teme.map((topic) => [topic.id, topicCapacities[topic.id].freeSeats])
+      ),
+    })),
+    professorPlaces: Object.fromEntries(
+      sessions.map((session) => {
+        const profesor = capacities[session.id].profesor;
+        return [session.profesor.id, Math.floor(getProfessorSeatsLeft(profesor, profesor.reservedSeats))];
+      })
+    ),
+    applications: applications.map((app) => ({
+      id: app.id,
+      studentId: app.studentId,
+      studentName: `${app.student.prenume} ${app.student.nume}`,
+      medie: app.student.medie === null ? null : Number(app.student.medie),
+      sesiuneId: app.sesiuneId,
+      temaId: app.temaId,
+      titluFinal: app.titluPropus || (app.tema ? app.tema.titlu : null),
+      rangStudent: app.rangStudent,
+      rangProfesor: app.rangProfesor,
+      createdAt: app.createdAt,
+    })),
+  };
+}
+
+/**
+ * Fingerprint of the matching input, used to refuse committing a preview that is out of date
+ * @param {{sessions: Object[], applications: Object[]}} input
+ * @returns {string} - SHA-256 hex digest
+ */
+function fingerprintInput(input) {
+  const normalized = {
+    sessions: input.sessions.map((s) => [s.id, s.places, s.criteriuClasament, s.topicPlaces]),
+    professorPlaces: input.professorPlaces,
+    applications: input.applications.map((a) => [
+      a.id, a.studentId, a.sesiuneId, a.temaId, a.rangStudent, a.rangProfesor, a.medie,
+    ]),
+  };
+  return crypto.createHash('sha256').update(JSON.stringify(normalized)).digest('hex');
+}
+
+/**
+ * Compare two ranks where missing ranks go last
+ * @param {number|null} a
+ * @param {number|null} b
+ * @returns {number}
+ */
+function compareRanks(a, b) {
+  return (a === null ? Infinity : a) - (b === null ? Infinity : b) || 0;
+}
+
+/**
+ * Order of a session's applicants: the professor's ranking, or the grade average (highest first)
+ * Ties and unranked applicants fall back to the application date
+ * @param {Object} session - Session of the allocation input
+ * @returns {Function} - Comparator over applications
+ */
+function sessionComparator(session) {
+  return (a, b) => {
+    const byCriterion = session.criteriuClasament === 'grade'
+      ? compareRanks(a.medie === null ? null : -a.medie, b.medie === null ? null : -b.medie)
+      : compareRanks(a.rangProfesor, b.rangProfesor);
+    return byCriterion || a.createdAt - b.createdAt || a.id - b.id;
+  };
+}
+
+/**
+ * Compute a student-optimal stable matching (deferred acceptance)
+ * Students propose to their sessions in preference order (rangStudent, then application date);
+ * each session keeps its best applicants within its remaining places, the places of each topic
+ * and what its professor has left after their other sessions' held applicants
+ * @param {{sessions: Object[], applications: Object[]}} input - From loadAllocationInput
+ * @returns {{assignments: Object[], unmatched: Object[], sessions: Object[]}}
+ */
+function computeStableMatching(input) {
+  const sessionsById = new Map(input.sessions.map((session) => [session.id, session]));
+
+  const preferences = new Map();
+  for (const app of input.applications) {
+    if (!preferences.has(app.studentId)) {
+      preferences.set(app.studentId, []);
+    }
+    preferences.get(app.studentId).push(app);
+  }
+  for (const list of preferences.values()) {
+    list.sort((a, b) => compareRanks(a.rangStudent, b.rangStudent) || a.createdAt - b.createdAt || a.id - b.id);
+  }
+
+  const held = new Map(input.sessions.map((session) => [session.id, []]));
+  const nextChoice = new Map([...preferences.keys()].map((studentId) => [studentId, 0]));
+  const queue = [...preferences.keys()];
+  const unmatched = [];
+
+  while (queue.length > 0) {
+    const studentId = queue.shift();
+    const list = preferences.get(studentId);
+    const index = nextChoice.get(studentId);
+
+    if (index >= list.length) {
+      unmatched.push(studentId);
+      continue;
+    }
+    nextChoice.set(studentId, index + 1);
+
+    const app = list[index];
+    const session = sessionsById.get(app.sesiuneId);
+    const candidates = [...held.get(session.id), app].sort(sessionComparator(session));
+
+    // A professor's sessions share the professor's remaining places
+    const heldByProfessorElsewhere = input.sessions
+      .filter((other) => other.profesor.id === session.profesor.id && other.id !== session.id)
+      .reduce((sum, other) => sum + held.get(other.id).length, 0);
+    const places = Math.min(session.places, input.professorPlaces[session.profesor.id] - heldByProfessorElsewhere);
+
+    // Keep the best candidates that fit the session, the professor and their topic
+    const kept = [];
+    const topicUse = {};
+    for (const candidate of candidates) {
+      const topicFull = candidate.temaId !== null
+        && session.topicPlaces[candidate.temaId] !== undefined
+        && (topicUse[candidate.temaId] || 0) >= session.topicPlaces[candidate.temaId];
+
+      if (kept.length < places && !topicFull) {
+        kept.push(candidate);
+        if (candidate.temaId !== null) {
+          topicUse[candidate.temaId] = (topicUse[candidate.temaId] || 0) + 1;
+        }
+      } else {
+        queue.push(candidate.studentId);
+      }
+    }
+    held.set(session.id, kept);
+  }
+
+  const assignments = [];
+  for (const [sessionId, apps] of held) {
+    const session = sessionsById.get(sessionId);
+    for (const app of apps) {
+      assignments.push({
+        applicationId: app.id,
+        studentId: app.studentId,
+        studentName: app.studentName,
+        sesiuneId: sessionId,
+        profesor: session.profesor,
+        preference: preferences.get(app.studentId).indexOf(app) + 1,
+        titluFinal: app.titluFinal,
+      });
+    }
+  }
+
+  return {
+    assignments: assignments.sort((a, b) => a.studentName.localeCompare(b.studentName)),
+    unmatched: unmatched.map((studentId) => ({
+      studentId,
+      studentName: preferences.get(studentId)[0].studentName,
+      applicationIds: preferences.get(studentId).map((app) => app.id),
+    })),
+    sessions: input.sessions.map((session) => ({
+      id: session.id,
+      profesor: session.profesor,
+      limitaStudenti: session.limitaStudenti,
+      criteriuClasament: session.criteriuClasament,
+      availablePlaces: session.places,
+      assigned: held.get(session.id).length,
+    })),
+  };
+}
+
+/**
+ * Compute the matching without writing anything and store it as a run that can be committed later
+ * @param {number} userId - Admin who started the run
+ * @returns {Promise<Object>} - RulareAlocare record
+ */
+async function previewAllocation(userId) {
+  const input = await loadAllocationInput();
+  const result = computeStableMatching(input);
+
+  return prisma.rulareAlocare.create({
+    data: {
+      amprenta: fingerprintInput(input),
+      rezultat: result,
+      createdById: userId,
+    },
+  });
+}
+
+/**
+ * Writes of commitAllocation, inside its locked transaction
+ * @param {Object} tx - Transaction client
+ * @param {number} runId - RulareAlocare ID
+ * @param {number} userId - Admin committing the run
+ * @returns {Promise<{error?: string, status?: number, run?: Object, affectedSessionIds?: number[]}>}
+ */
+async function writeAllocation(tx, runId, userId) {
+  const run = await tx.rulareAlocare.findUnique({ where: { id: runId } });
+
+  if (!run) {
+    return { status: 404, error: 'Allocation run not found' };
+  }
+  if (run.committedAt) {
+    return { status: 409, error: 'This allocation run was already committed' };
+  }
+
+  const input = await loadAllocationInput(tx);
+  if (fingerprintInput(input) !== run.amprenta) {
+    return { status: 409, error: 'Applications, rankings or places changed since this preview. Run a new preview' };
+  }
+
+  const { assignments } = run.rezultat;
+  const assignedIds = assignments.map((a) => a.applicationId);
+  const matchedStudentIds = assignments.map((a) => a.studentId);
+
+  for (const assignment of assignments) {
+    const result = await tx.cerereDisertatie.updateMany({
+      where: { id: assignment.applicationId, ...transitionWhere('allocate') },
+      data: {
+        status: targetStatus('allocate'),
+        titluFinal: assignment.titluFinal,
+        titluContrapropus: null,
+      },
+    });
+
+    if (result.count === 0) {
+      throw new Error(ALLOCATION_CONFLICT);
+    }
+  }
+
+  // Other open applications of allocated students, in any session
+  const otherApplicationsWhere = {
+    studentId: { in: matchedStudentIds },
+    ...transitionWhere('autoReject'),
+    id: { notIn: assignedIds },
+  };
+  const otherApplications = await tx.cerereDisertatie.findMany({
+    where: otherApplicationsWhere,
+    select: { id: true, sesiuneId: true, status: true },
+  });
+
+  const autoRejectReason = 'Auto-rejected: Student allocated to another session';
+  await tx.cerereDisertatie.updateMany({
+    where: otherApplicationsWhere,
+    data: {
+      status: targetStatus('autoReject'),
+      justificareRespingere: autoRejectReason,
+    },
+  });
+
+  // Applications that took part in the matching but got no place
+  const unallocatedIds = input.applications
+    .map((app) => app.id)
+    .filter((id) => !assignedIds.includes(id) && !otherApplications.some((app) => app.id === id));
+  const unallocatedReason = 'Not allocated: no place left in your preferred sessions';
+
+  await tx.cerereDisertatie.updateMany({
+    where: {
+      id: { in: unallocatedIds },
+      ...transitionWhere('reject'),
+    },
+    data: {
+      status: targetStatus('reject'),
+      justificareRespingere: unallocatedReason,
+    },
+  });
+
+  await recordStatusChanges(tx, [
+    ...assignedIds.map((id) => ({
+      cerereId: id,
+      statusAnterior: 'pending',
+      statusNou: 'approved',
+      actorId: userId,
+      motiv: `Assigned by allocation run #${runId}`,
+    })),
+    ...otherApplications.map((app) => ({
+      cerereId: app.id,
+      statusAnterior: app.status,
+      statusNou: 'rejected',
+      actorId: userId,
+      motiv: autoRejectReason,
+    })),
+    ...unallocatedIds.map((id) => ({
+      cerereId: id,
+      statusAnterior: 'pending',
+      statusNou: 'rejected',
+      actorId: userId,
+      motiv: unallocatedReason,
+    })),
+  ]);
+
+  const committedRun = await tx.rulareAlocare.update({
+    where: { id: runId },
+    data: { committedAt: new Date() },
+  });
+
+  return {
+    run: committedRun,
+    affectedSessionIds: [...new Set(otherApplications.map((app) => app.sesiuneId))],
+  };
+}
+
+/**
+ * Write a previewed run: approve the assigned applications and reject the others
+ * Refuses runs whose input changed since the preview (new applications, rankings, grades, approvals).
+ * Runs while every professor, session and student of the matching is locked, like an approval,
+ * so manual decisions cannot change the places between the check and the writes
+ * @param {number} runId - RulareAlocare ID
+ * @param {number} userId - Admin committing the run, recorded in the application history
+ * @returns {Promise<{error?: string, status?: number, run?: Object, affectedSessionIds?: number[]}>}
+ */
+async function commitAllocation(runId, userId) {
+  // The rows to lock come from the current input; if it changes before the lock is taken,
+  // the fingerprint check in writeAllocation refuses the run
+  const snapshot = await loadAllocationInput();
+  const rows = {
+    profesorIds: snapshot.sessions.map((session) => session.profesor.id),
+    sesiuneIds: snapshot.sessions.map((session) => session.id),
+    studentIds: snapshot.applications.map((app) => app.studentId),
+  };
+
+  try {
+    return await withCapacityLock(rows, (tx) => writeAllocation(tx, runId, userId), { timeout: 30000 });
+  } catch (error) {
+    if (error.message === ALLOCATION_CONFLICT) {
+      return { status: 409, error: 'Some assigned applications changed since this preview. Run a new preview' };
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  loadAllocationInput,
+  computeStableMatching,
+  previewAllocation,
+  commitAllocation,
+};
@@ -0,0 +1,117 @@
+const { prisma } = require('../db');
+const { hashToken, generateOpaqueToken } = require('./tokens');
+
+const API_KEY_PREFIX = 'edk_';
+
+// Last-used tracking is written at most this often per key
+const API_KEY_TOUCH_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Scopes an API key can be granted. Integrations are read-only:
+ * "read" covers every resource, the others a single one
+ */
+const API_KEY_SCOPES = {
+  read: 'Read-only access to all integration resources',
+  'assignments:read': 'Approved student-professor assignments',
+  'sessions:read': 'Registration sessions',
+  'professors:read': 'Professors and their capacity',
+};
+
+/**
+ * Validate and de-duplicate a list of requested scopes
+ * @param {string[]} scopes - Requested scopes
+ * @returns {string[]|null} - Normalized scopes, or null if the list is empty or contains an unknown scope
+ */
+function normalizeScopes(scopes) {
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    return null;
+  }
+
+  const unique = [...new Set(scopes.map((scope) => String(scope).trim()))];
+  return unique.every((scope) => Object.prototype.hasOwnProperty.call(API_KEY_SCOPES, scope)) ? unique : null;
+}
+
+/**
+ * Split the stored scope list
+ * @param {Object} apiKey - ApiKey record
+ * @returns {string[]}
+ */
+function getScopes(apiKey) {
+  return apiKey.scopes.split(',').filter(Boolean);
+}
+
+/**
+ * Whether an API key grants a scope
+ * @param {Object} apiKey - ApiKey record
+ * @param {string} scope - Required scope
+ * @returns {boolean}
+ */
+function hasScope(apiKey, scope) {
+  const scopes = getScopes(apiKey);
+  return scopes.includes('read') || scopes.includes(scope);
+}
+
+/**
+ * Generate a new API key
+ * The prefix is stored in clear so admins can tell keys apart; only the hash of the full key is stored
+ * @returns {{key: string, keyPrefix: string, keyHash: string}}
+ */
+function generateApiKey() {
+  const key = `${API_KEY_PREFIX}${generateOpaqueToken(24)}`;
+  return {
+    key,
+    keyPrefix: key.slice(0, 12),
+    keyHash: hashToken(key),
+  };
+}
+
+/**
+ * Derive the current state of an API key
+ * @param {Object} apiKey - ApiKey record
+ * @returns {string} - revoked, expired or active
+ */
+function getApiKeyStatus(apiKey) {
+  if (apiKey.revokedAt) return 'revoked';
+  if (apiKey.expiresAt && apiKey.expiresAt < new Date()) return 'expired';
+  return 'active';
+}
+
+/**
+ * Look up an active API key and record its use
+ * @param {string} key - Plain API key from the request
+ * @param {string|null} ip - Client IP address
+ * @returns {Promise<Object|null>} - ApiKey record, or null if unknown, revoked or expired
+ */
+async function authenticateApiKey(key, ip) {
+  if (!key || !key.startsWith(API_KEY_PREFIX)) {
+    return null;
+  }
+
+  const apiKey = await prisma.apiKey.findUnique({
+    where: { keyHash: hashToken(key) },
+  });
+
+  if (!apiKey || getApiKeyStatus(apiKey) !== 'active') {
+    return null;
+  }
+
+  if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > API_KEY_TOUCH_INTERVAL_MS
+    || apiKey.lastUsedIp !== ip) {
+    await prisma.apiKey.update({
+      where: { id: apiKey.id },
+      data: { lastUsedAt: new Date(), lastUsedIp: ip },
+    });
+  }
+
+  return apiKey;
+}
+
+module.exports = {
+  API_KEY_SCOPES,
+  normalizeScopes,
+  getScopes,
+  hasScope,
+  generateApiKey,
+  getApiKeyStatus,
+  authenticateApiKey,
+};
@@ -0,0 +1,373 @@
+const { prisma } = require('../db');
+const { sendMail, buildFrontendLink } = require('./mailer');
+const { recordStatusChange, recordStatusChanges } = require('./applicationHistory');
+const { ENROLLED_STATUSES, checkTransition, targetStatus, transitionWhere } = require('./applicationStateMachine');
+const { withCapacityLock } = require('./capacityLock');
+const { getSeatBlocker } = require('./capacity');
+const { getAcceptedCoSupervisors } = require('./coSupervisors');
+
+const DEFAULT_APPEAL_WINDOW_DAYS = 7;
+
+// Argument length limits for a new appeal
+const APPEAL_MIN_LENGTH = 20;
+const APPEAL_MAX_LENGTH = 3000;
+
+/**
+ * Days a student has to appeal after the professor's rejection (APPEAL_WINDOW_DAYS)
+ * @returns {number}
+ */
+function getAppealWindowDays() {
+  return parseInt(process.env.APPEAL_WINDOW_DAYS) || DEFAULT_APPEAL_WINDOW_DAYS;
+}
+
+/**
+ * Last day an application can be appealed
+ * Only rejections decided by the professor (reject or un-approve) can be appealed,
+ * not auto-rejections or allocation results
+ * @param {number} cerereId - Application ID
+ * @returns {Promise<Date|null>} - null when the last rejection was not the professor's
+ */
+async function getAppealDeadline(cerereId) {
+  const rejection = await prisma.istoricCerere.findFirst({
+    where: { cerereId, statusNou: 'rejected' },
+    include: { actor: { select: { role: true } } },
+    orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+  });
+
+  if (!rejection || !rejection.actor || rejection.actor.role !== 'profesor') {
+    return null;
+  }
+
+  return new Date(rejection.createdAt.getTime() + getAppealWindowDays() * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Why an application cannot be appealed, or null if it can
+ * @param {Object} application - Application with status and contestatie
+ * @param {Date|null} deadline - Result of getAppealDeadline
+ * @returns {string|null}
+ */
+function getAppealBlocker(application, deadline) {
+  const transition = checkTransition(application.status, 'appeal');
+  if (transition.error) {
+    return transition.error;
+  }
+
+  if (application.contestatie) {
+    return 'This application was already appealed';
+  }
+
+  if (!deadline) {
+    return 'Only rejections decided by the professor can be appealed';
+  }
+
+  if (deadline < new Date()) {
+    return `The appeal window closed on ${deadline.toISOString().slice(0, 10)}`;
+  }
+
+  return null;
+}
+
+/**
+ * Validate the arguments of a new appeal
+ * @param {Object} body - Request body with argumente
+ * @returns {{error: string}|{data: {argumente: string}}}
+ */
+function validateAppealInput(body) {
+  const argumente = typeof body.argumente === 'string' ? body.argumente.trim() : '';
+
+  if (argumente.length < APPEAL_MIN_LENGTH) {
+    return { error: `Arguments must be at least ${APPEAL_MIN_LENGTH} characters long` };
+  }
+
+  if (argumente.length > APPEAL_MAX_LENGTH) {
+    return { error: `Arguments must be at most ${APPEAL_MAX_LENGTH} characters` };
+  }
+
+  return { data: { argumente } };
+}
+
+/**
+ * Why a rejection cannot be overturned, or null if it can
+ * The student must not hold a place elsewhere, and the session, the professor and the topic must have a free seat
+ * @param {Object} client - Prisma client or transaction client
+ * @param {Object} application - Application with tema
+ * @returns {Promise<string|null>}
+ */
+async function getOverturnBlocker(client, application) {
+  const enrolledElsewhere = await client.cerereDisertatie.count({
+    where: {
+      studentId: application.studentId,
+      status: { in: ENROLLED_STATUSES },
+    },
+  });
+
+  if (enrolledElsewhere > 0) {
+    return 'The student already holds a place in another session';
+  }
+
+  return getSeatBlocker(application, client);
+}
+
+/**
+ * File an appeal and move the application to under_appeal
+ * @param {Object} application - Application checked with getAppealBlocker
+ * @param {string} argumente - The student's arguments
+ * @param {number} userId - User ID of the student
+ * @returns {Promise<Object|null>} - The appeal, or null if the application changed meanwhile
+ */
+async function fileAppeal(application, argumente, userId) {
+  return prisma.$transaction(async (tx) => {
+    const moved = await tx.cerereDisertatie.updateMany({
+      where: { id: application.id, ...transitionWhere('appeal') },
+      data: { status: targetStatus('appeal') },
+    });
+
+    if (moved.count === 0) {
+      return null;
+    }
+
+    const appeal = await tx.contestatieCerere.create({
+      data: {
+        cerereId: application.id,
+        argumente,
+        // Kept with the appeal, the application's own reason is cleared if the rejection is overturned
+        justificareRespingere: application.justificareRespingere,
+      },
+    });
+
+    await recordStatusChange(tx, {
+      cerereId: application.id,
+      statusAnterior: application.status,
+      statusNou: targetStatus('appeal'),
+      actorId: userId,
+      motiv: 'Appeal filed',
+    });
+
+    return appeal;
+  });
+}
+
+/**
+ * Decide an open appeal
+ * Overturning approves the application (capacity permitting) and auto-rejects the student's other open applications;
+ * upholding keeps the rejection. Runs under the same locks as an approval, accepted co-supervisors included
+ * @param {number} appealId - ContestatieCerere ID
+ * @param {boolean} overturn - True to overturn the rejection
+ * @param {string} motiv - Reviewer's reason, recorded and sent to both parties
+ * @param {number} userId - Reviewer (admin or secretariat)
+ * @returns {Promise<{error?: string, status?: number, appeal?: Object, affectedSessionIds?: number[]}>}
+ */
+async function decideAppeal(appealId, overturn, motiv, userId) {
+  const target = await prisma.contestatieCerere.findUnique({
+    where: { id: appealId },
+    select: { cerere: { select: { id: true, profesorId: true, sesiuneId: true, studentId: true } } },
+  });
+
+  if (!target) {
+    return { status: 404, error: 'Appeal not found' };
+  }
+
+  // A co-supervision is only accepted on an enrolled application, so none is added before the lock
+  const coSupervisors = (await getAcceptedCoSupervisors([target.cerere.id]))[target.cerere.id];
+  const rows = {
+    profesorIds: [target.cerere.profesorId, ...coSupervisors.map((coSupervisor) => coSupervisor.id)],
+    sesiuneIds: [target.cerere.sesiuneId],
+    studentIds: [target.cerere.studentId],
+  };
+
+  return withCapacityLock(rows, async (tx) => {
+    const appeal = await tx.contestatieCerere.findUnique({
+      where: { id: appealId },
+      include: {
+        cerere: { include: { tema: true } },
+      },
+    });
+
+    if (!appeal) {
+      return { status: 404, error: 'Appeal not found' };
+    }
+
+    if (appeal.rezultat) {
+      return { status: 409, error: `This appeal was already ${appeal.rezultat}` };
+    }
+
+    const application = appeal.cerere;
+    const action = overturn ? 'overturnAppeal' : 'upholdAppeal';
+    const transition = checkTransition(application.status, action);
+    if (transition.error) {
+      return { status: 409, error: transition.error };
+    }
+
+    if (overturn) {
+      const blocker = await getOverturnBlocker(tx, application);
+      if (blocker) {
+        return { status: 409, error: blocker };
+      }
+    }
+
+    const moved = await tx.cerereDisertatie.updateMany({
+      where: { id: application.id, ...transitionWhere(action) },
+      data: overturn
+        ? {
+            status: targetStatus(action),
+            justificareRespingere: null,
+            titluFinal: application.titluPropus || (application.tema ? application.tema.titlu : null),
+          }
+        : { status: targetStatus(action) },
+    });
+
+    if (moved.count === 0) {
+      return { status: 409, error: 'Application changed meanwhile. Reload and try again' };
+    }
+
+    const decided = await tx.contestatieCerere.update({
+      where: { id: appealId },
+      data: {
+        rezultat: overturn ? 'overturned' : 'upheld',
+        motivDecizie: motiv,
+        decidentId: userId,
+        decisLa: new Date(),
+      },
+    });
+
+    // Like an approval, a place won on appeal closes the student's other open applications
+    let otherApplications = [];
+    const autoRejectReason = 'Auto-rejected: Student approved on appeal in another session';
+    if (overturn) {
+      const otherApplicationsWhere = {
+        studentId: application.studentId,
+        ...transitionWhere('autoReject'),
+        NOT: { id: application.id },
+      };
+
+      otherApplications = await tx.cerereDisertatie.findMany({
+        where: otherApplicationsWhere,
+        select: { id: true, sesiuneId: true, status: true },
+      });
+
+      await tx.cerereDisertatie.updateMany({
+        where: otherApplicationsWhere,
+        data: {
+          status: targetStatus('autoReject'),
+          justificareRespingere: autoRejectReason,
+        },
+      });
+    }
+
+    await recordStatusChanges(tx, [
+      {
+        cerereId: application.id,
+        statusAnterior: application.status,
+        statusNou: targetStatus(action),
+        actorId: userId,
+        motiv: `Appeal ${decided.rezultat}: ${motiv}`,
+      },
+      ...otherApplications.map((app) => ({
+        cerereId: app.id,
+        statusAnterior: app.status,
+        statusNou: 'rejected',
+        motiv: autoRejectReason,
+      })),
+    ]);
+
+    return {
+      appeal: decided,
+      affectedSessionIds: [...new Set(otherApplications.map((app) => app.sesiuneId))],
+    };
+  });
+}
+
+/**
+ * Email the student and the professor the outcome of an appeal
+ * Failures are logged, the decision stands
+ * @param {number} appealId - Decided ContestatieCerere ID
+ * @returns {Promise<void>}
+ */
+async function notifyAppealDecision(appealId) {
+  const appeal = await prisma.contestatieCerere.findUnique({
+    where: { id: appealId },
+    include: {
+      cerere: {
+        include: {
+          student: { include: { user: { select: { email: true } } } },
+          profesor: { include: { user: { select: { email: true } } } },
+        },
+      },
+    },
+  });
+
+  const { student, profesor } = appeal.cerere;
+  const outcome = appeal.rezultat === 'overturned'
+    ? 'The rejection was overturned and the application is now approved.'
+    : 'The rejection was upheld.';
+
+  const messages = [
+    {
+      to: student.user.email,
+      subject: 'eDissertation - Your appeal was decided',
+      text: [
+        `Hello ${student.prenume},`,
+        '',
+        `Your appeal against the rejection by Prof. ${profesor.prenume} ${profesor.nume} was decided.`,
+        outcome,
+        `Reason: ${appeal.motivDecizie}`,
+        '',
+        `Details on your dashboard: ${buildFrontendLink('/student/dashboard')}`,
+      ].join('\n'),
+    },
+    {
+      to: profesor.user.email,
+      subject: 'eDissertation - An appeal against your decision was decided',
+      text: [
+        `Hello ${profesor.prenume},`,
+        '',
+        `The appeal of ${student.prenume} ${student.nume} against your rejection was decided.`,
+        outcome,
+        `Reason: ${appeal.motivDecizie}`,
+        '',
+        `Details on your dashboard: ${buildFrontendLink('/profesor/dashboard')}`,
+      ].join('\n'),
+    },
+  ];
+
+  for (const message of messages) {
+    try {
+      await sendMail(message);
+    } catch (mailError) {
+      console.error('Appeal decision email error:', mailError);
+    }
+  }
+}
+
+/**
+ * Public shape of an appeal
+ * @param {Object|null} appeal - ContestatieCerere
+ * @returns {Object|null}
+ */
+function formatAppeal(appeal) {
+  if (!appeal) {
+    return null;
+  }
+
+  return {
+    id: appeal.id,
+    argumente: appeal.argumente,
+    justificareRespingere: appeal.justificareRespingere,
+    rezultat: appeal.rezultat,
+    motivDecizie: appeal.motivDecizie,
+    decisLa: appeal.decisLa,
+    createdAt: appeal.createdAt,
+  };
+}
+
+module.exports = {
+  getAppealWindowDays,
+  getAppealDeadline,
+  getAppealBlocker,
+  validateAppealInput,
+  fileAppeal,
+  decideAppeal,
+  notifyAppealDecision,
+  formatAppeal,
+};
@@ -0,0 +1,95 @@
+const { prisma } = require('../db');
+
+// User fields needed to name the person behind a history entry or message
+const actorSelect = {
+  id: true,
+  email: true,
+  role: true,
+  student: { select: { nume: true, prenume: true } },
+  profesor: { select: { nume: true, prenume: true } },
+};
+
+/**
+ * Public description of a user selected with actorSelect
+ * @param {Object|null} user - User with student/profesor names, null once the account is deleted
+ * @returns {{id: number, role: string, name: string}|null} - Name falls back to the email for staff accounts
+ */
+function formatActor(user) {
+  if (!user) {
+    return null;
+  }
+
+  const person = user.student || user.profesor;
+
+  return {
+    id: user.id,
+    role: user.role,
+    name: person ? `${person.prenume} ${person.nume}` : user.email,
+  };
+}
+
+/**
+ * Append status transitions to the history of applications
+ * The history is append-only: entries are never updated or deleted
+ * @param {Object} client - Prisma client or transaction client
+ * @param {Object[]} entries - { cerereId, statusAnterior, statusNou, actorId, motiv }
+ *   statusAnterior is null when the application is created, actorId is null for automatic changes
+ * @returns {Promise<void>}
+ */
+async function recordStatusChanges(client, entries) {
+  if (entries.length === 0) {
+    return;
+  }
+
+  await client.istoricCerere.createMany({
+    data: entries.map((entry) => ({
+      cerereId: entry.cerereId,
+      statusAnterior: entry.statusAnterior || null,
+      statusNou: entry.statusNou,
+      actorId: entry.actorId || null,
+      motiv: entry.motiv || null,
+    })),
+  });
+}
+
+/**
+ * Append a single status transition to an application's history
+ * @param {Object} client - Prisma client or transaction client
+ * @param {Object} entry - { cerereId, statusAnterior, statusNou, actorId, motiv }
+ * @returns {Promise<void>}
+ */
+async function recordStatusChange(client, entry) {
+  return recordStatusChanges(client, [entry]);
+}
+
+/**
+ * Status history of an application, oldest first
+ * @param {number} cerereId - Application ID
+ * @returns {Promise<Object[]>} - Entries with the acting user (null for automatic changes)
+ */
+async function getApplicationHistory(cerereId) {
+  const entries = await prisma.istoricCerere.findMany({
+    where: { cerereId },
+    include: {
+      actor: { select: actorSelect },
+    },
+    orderBy: [{ createdAt: 'asc' }, { id: 'asc' }],
+  });
+
+  return entries.map((entry) => ({
+    id: entry.id,
+    statusAnterior: entry.statusAnterior,
+    statusNou: entry.statusNou,
+    motiv: entry.motiv,
+    actor: formatActor(entry.actor),
+    createdAt: entry.createdAt,
+  }));
+}
+
+module.exports = {
+  actorSelect,
+  formatActor,
+  recordStatusChange,
+  recordStatusChanges,
+  getApplicationHistory,
+};
@@ -0,0 +1,145 @@
+const { prisma } = require('../db');
+const { actorSelect, formatActor } = require('./applicationHistory');
+
+// Longest message body accepted
+const MESSAGE_MAX_LENGTH = 2000;
+
+/**
+ * Validate a new message; the text is required unless a file is attached
+ * @param {Object} body - Request body with continut
+ * @param {Object} [file] - Uploaded attachment (multer file)
+ * @returns {{error: string}|{data: {continut: string}}}
+ */
+function validateMessageInput(body, file) {
+  const continut = typeof body.continut === 'string' ? body.continut.trim() : '';
+
+  if (!continut && !file) {
+    return { error: 'Message text or an attachment is required' };
+  }
+
+  if (continut.length > MESSAGE_MAX_LENGTH) {
+    return { error: `Message must be at most ${MESSAGE_MAX_LENGTH} characters` };
+  }
+
+  return { data: { continut } };
+}
+
+/**
+ * Public shape of a message
+ * @param {Object} message - MesajCerere with autor selected with actorSelect
+ * @param {number} readerId - User ID of the reader, to flag their own messages
+ * @returns {Object}
+ */
+function formatMessage(message, readerId) {
+  return {
+    id: message.id,
+    continut: message.continut,
+    fisierUrl: message.fisierUrl,
+    fisierNume: message.fisierNume,
+    autor: formatActor(message.autor),
+    own: message.autorId === readerId,
+    createdAt: message.createdAt,
+  };
+}
+
+/**
+ * Messages of an application, oldest first, marking the thread read for the reader
+ * @param {number} cerereId - Application ID
+ * @param {number} readerId - User ID of the reader
+ * @returns {Promise<Object[]>}
+ */
+async function getMessages(cerereId, readerId) {
+  const messages = await prisma.mesajCerere.findMany({
+    where: { cerereId },
+    include: { autor: { select: actorSelect } },
+    orderBy: [{ createdAt: 'asc' }, { id: 'asc' }],
+  });
+
+  const now = new Date();
+  await prisma.citireMesaje.upsert({
+    where: { cerereId_userId: { cerereId, userId: readerId } },
+    create: { cerereId, userId: readerId, cititLa: now },
+    update: { cititLa: now },
+  });
+
+  return messages.map((message) => formatMessage(message, readerId));
+}
+
+/**
+ * Append a message to an application's thread
+ * Posting also marks the thread read for the author
+ * @param {number} cerereId - Application ID
+ * @param {number} autorId - User ID of the author
+ * @param {string} continut - Message text, may be empty when a file is attached
+ * @param {Object} [file] - Uploaded PDF attachment (multer file)
+ * @returns {Promise<Object>} - The formatted message
+ */
+async function postMessage(cerereId, autorId, continut, file) {
+  const message = await prisma.$transaction(async (tx) => {
+    const created = await tx.mesajCerere.create({
+      data: {
+        cerereId,
+        autorId,
+        continut,
+        fisierUrl: file ? `/uploads/${file.filename}` : null,
+        fisierNume: file ? file.originalname.slice(0, 255) : null,
+      },
+      include: { autor: { select: actorSelect } },
+    });
+
+    await tx.citireMesaje.upsert({
+      where: { cerereId_userId: { cerereId, userId: autorId } },
+      create: { cerereId, userId: autorId, cititLa: created.createdAt },
+      update: { cititLa: created.createdAt },
+    });
+
+    return created;
+  });
+
+  return formatMessage(message, autorId);
+}
+
+/**
+ * Number of messages the reader has not seen yet, per application
+ * Counts messages written by someone else after the reader last opened the thread
+ * @param {number[]} cerereIds - Application IDs
+ * @param {number} readerId - User ID of the reader
+ * @returns {Promise<Object>} - Map of application ID to unread count (0 when none)
+ */
+async function countUnreadMessages(cerereIds, readerId) {
+  const unread = Object.fromEntries(cerereIds.map((id) => [id, 0]));
+  if (cerereIds.length === 0) {
+    return unread;
+  }
+
+  const [messages, reads] = await Promise.all([
+    prisma.mesajCerere.findMany({
+      where: {
+        cerereId: { in: cerereIds },
+        NOT: { autorId: readerId },
+      },
+      select: { cerereId: true, createdAt: true },
+    }),
+    prisma.citireMesaje.findMany({
+      where: { cerereId: { in: cerereIds }, userId: readerId },
+      select: { cerereId: true, cititLa: true },
+    }),
+  ]);
+
+  const readAt = Object.fromEntries(reads.map((read) => [read.cerereId, read.cititLa]));
+  for (const message of messages) {
+    if (!readAt[message.cerereId] || message.createdAt > readAt[message.cerereId]) {
+      unread[message.cerereId] += 1;
+    }
+  }
+
+  return unread;
+}
+
+module.exports = {
+  MESSAGE_MAX_LENGTH,
+  validateMessageInput,
+  getMessages,
+  postMessage,
+  countUnreadMessages,
+};
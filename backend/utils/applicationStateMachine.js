@@ -0,0 +1,117 @@
+/**
+ * Application (CerereDisertatie) state machine
+ * Every status change goes through one of the actions below; routes check them with checkTransition
+ * and guard their updates with transitionWhere so concurrent changes cannot skip a state
+ *
+ *   waitlisted --promote--> pending --approve / allocate--> approved --submitSigned--> signed_submitted
+ *   signed_submitted --acceptSigned--> signed_accepted --finalize--> finalized
+ *   signed_submitted --returnSigned--> signed_returned --submitSigned--> signed_submitted
+ *   pending --reject--> rejected, pending / waitlisted --autoReject / expire--> rejected
+ *   approved / signed_submitted / signed_returned --unapprove--> rejected
+ *   pending / waitlisted / approved / signed_submitted / signed_returned --withdraw--> withdrawn
+ *   withdrawn --renew--> pending / waitlisted
+ *   rejected --appeal--> under_appeal --upholdAppeal--> rejected, under_appeal --overturnAppeal--> approved
+ */
+
+const APPLICATION_STATUSES = [
+  'pending',
+  'waitlisted',
+  'approved',
+  'signed_submitted',
+  'signed_returned',
+  'signed_accepted',
+  'finalized',
+  'rejected',
+  'under_appeal',
+  'withdrawn',
+];
+
+// Statuses holding a place in the session (the student is enrolled)
+const ENROLLED_STATUSES = ['approved', 'signed_submitted', 'signed_returned', 'signed_accepted', 'finalized'];
+
+const TRANSITIONS = {
+  promote: { from: ['waitlisted'], to: ['pending'], label: 'move from the waitlist' },
+  approve: { from: ['pending'], to: ['approved'], label: 'approve' },
+  allocate: { from: ['pending'], to: ['approved'], label: 'allocate' },
+  reject: { from: ['pending'], to: ['rejected'], label: 'reject' },
+  autoReject: { from: ['pending', 'waitlisted'], to: ['rejected'], label: 'auto-reject' },
+  expire: { from: ['pending', 'waitlisted'], to: ['rejected'], label: 'expire' },
+  submitSigned: { from: ['approved', 'signed_returned'], to: ['signed_submitted'], label: 'upload a signed file for' },
+  acceptSigned: { from: ['signed_submitted'], to: ['signed_accepted'], label: 'accept the signed file of' },
+  returnSigned: { from: ['signed_submitted'], to: ['signed_returned'], label: 'return the signed file of' },
+  finalize: { from: ['signed_accepted'], to: ['finalized'], label: 'finalize' },
+  unapprove: { from: ['approved', 'signed_submitted', 'signed_returned'], to: ['rejected'], label: 'un-approve' },
+  withdraw: {
+    from: ['pending', 'waitlisted', 'approved', 'signed_submitted', 'signed_returned'],
+    to: ['withdrawn'],
+    label: 'withdraw',
+  },
+  renew: { from: ['withdrawn'], to: ['pending', 'waitlisted'], label: 'renew' },
+  appeal: { from: ['rejected'], to: ['under_appeal'], label: 'appeal' },
+  upholdAppeal: { from: ['under_appeal'], to: ['rejected'], label: 'uphold the rejection of' },
+  overturnAppeal: { from: ['under_appeal'], to: ['approved'], label: 'overturn the rejection of' },
+};
+
+/**
+ * Check whether an action is allowed from the application's current status
+ * @param {string} status - Current status
+ * @param {string} action - Key of TRANSITIONS
+ * @param {string} [to] - Target status, for actions with several possible targets
+ * @returns {{error: string|null}} - error is the 409 message for illegal moves
+ */
+function checkTransition(status, action, to) {
+  const transition = TRANSITIONS[action];
+  if (!transition) {
+    throw new Error(`Unknown application action: ${action}`);
+  }
+
+  if (!transition.from.includes(status)) {
+    return {
+      error: `Cannot ${transition.label} an application that is ${status} (allowed from: ${transition.from.join(', ')})`,
+    };
+  }
+
+  if (to && !transition.to.includes(to)) {
+    throw new Error(`Action ${action} cannot lead to ${to}`);
+  }
+
+  return { error: null };
+}
+
+/**
+ * Target status of an action with a single target
+ * @param {string} action - Key of TRANSITIONS
+ * @returns {string}
+ */
+function targetStatus(action) {
+  return TRANSITIONS[action].to[0];
+}
+
+/**
+ * Prisma filter matching the statuses an action is allowed from
+ * Used in updateMany guards so a concurrent change makes the update match nothing
+ * @param {string} action - Key of TRANSITIONS
+ * @returns {Object}
+ */
+function transitionWhere(action) {
+  return { status: { in: TRANSITIONS[action].from } };
+}
+
+/**
+ * Whether the status holds a place in the session
+ * @param {string} status
+ * @returns {boolean}
+ */
+function isEnrolled(status) {
+  return ENROLLED_STATUSES.includes(status);
+}
+
+module.exports = {
+  APPLICATION_STATUSES,
+  ENROLLED_STATUSES,
+  TRANSITIONS,
+  checkTransition,
+  targetStatus,
+  transitionWhere,
+  isEnrolled,
+};
@@ -2,6 +2,7 @@ const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
 
 const SALT_ROUNDS = 10;
+const MIN_PASSWORD_LENGTH = 6;
 
 /**
  * Hash a password using bcrypt
@@ -48,6 +49,7 @@ function verifyToken(token, secret) {
 }
 
 module.exports = {
+  MIN_PASSWORD_LENGTH,
   hashPassword,
   comparePassword,
   generateToken,
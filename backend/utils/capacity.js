@@ -0,0 +1,298 @@
+const { prisma } = require('../db');
+const { ENROLLED_STATUSES } = require('./applicationStateMachine');
+
+// A co-supervised student counts as a whole student unless configured otherwise
+const DEFAULT_CO_SUPERVISION_WEIGHT = 1;
+
+/**
+ * Hours a pending application holds a seat in a manual session (SEAT_RESERVATION_HOURS)
+ * 0 or unset: pending applications hold no seat, only approved students do
+ * @returns {number}
+ */
+function getSeatReservationHours() {
+  const hours = parseInt(process.env.SEAT_RESERVATION_HOURS);
+  return hours > 0 ? hours : 0;
+}
+
+/**
+ * Seats an accepted co-supervision of an enrolled student takes from the co-supervisor's limit
+ * (CO_SUPERVISION_SEAT_WEIGHT, between 0 and 1, e.g. 0.5 to count half a student)
+ * @returns {number}
+ */
+function getCoSupervisionWeight() {
+  const weight = parseFloat(process.env.CO_SUPERVISION_SEAT_WEIGHT);
+  return weight >= 0 && weight <= 1 ? weight : DEFAULT_CO_SUPERVISION_WEIGHT;
+}
+
+/**
+ * End of the seat reservation of an application that becomes pending now
+ * Stored in CerereDisertatie.rezervatPanaLa
+ * @param {Date} [from] - When the application became pending
+ * @returns {Date|null} - null when reservations are disabled
+ */
+function getReservationEnd(from = new Date()) {
+  const hours = getSeatReservationHours();
+  return hours > 0 ? new Date(from.getTime() + hours * 60 * 60 * 1000) : null;
+}
+
+/**
+ * Count applications per key
+ * @param {Object[]} groups - groupBy result with _count._all
+ * @param {string} key - Grouped field
+ * @returns {Object} - Map of key value to count
+ */
+function countsBy(groups, key) {
+  return Object.fromEntries(groups.map((group) => [group[key], group._count._all]));
+}
+
+/**
+ * Seats of each professor across all of their sessions (Profesor.limitaStudenti)
+ * Enrolled students they co-supervise count with getCoSupervisionWeight, so free seats can be fractional.
+ * reservedSeats are the running reservations in their manual sessions; freeSeats does not subtract them,
+ * the sessions and getSeatBlocker do. A limit of 0 means no professor-wide cap: freeSeats is null
+ * and only the session limits apply
+ * @param {number[]} profesorIds - Professor IDs
+ * @param {Object} client - Prisma client or transaction client
+ * @returns {Promise<Object>} - Map of professor ID to
+ *   {limitaStudenti, approvedSeats, coSupervisedSeats, reservedSeats, freeSeats}
+ */
+async function getProfessorCapacities(profesorIds, client = prisma) {
+  const ids = [...new Set(profesorIds)];
+  if (ids.length === 0) {
+    return {};
+  }
+
+  const [profesors, approved, coSupervised, reserved] = await Promise.all([
+    client.profesor.findMany({
+      where: { id: { in: ids } },
+      select: { id: true, limitaStudenti: true },
+    }),
+    client.cerereDisertatie.groupBy({
+      by: ['profesorId'],
+      where: { profesorId: { in: ids }, status: { in: ENROLLED_STATUSES } },
+      _count: { _all: true },
+    }),
+    client.coordonareSecundara.groupBy({
+      by: ['profesorId'],
+      where: {
+        profesorId: { in: ids },
+        status: 'accepted',
+        cerere: { status: { in: ENROLLED_STATUSES } },
+      },
+      _count: { _all: true },
+    }),
+    client.cerereDisertatie.groupBy({
+      by: ['profesorId'],
+      where: {
+        profesorId: { in: ids },
+        status: 'pending',
+        rezervatPanaLa: { gt: new Date() },
+        sesiune: { modAlocare: 'manual' },
+      },
+      _count: { _all: true },
+    }),
+  ]);
+
+  const approvedByProfesor = countsBy(approved, 'profesorId');
+  const coSupervisedByProfesor = countsBy(coSupervised, 'profesorId');
+  const reservedByProfesor = countsBy(reserved, 'profesorId');
+  const weight = getCoSupervisionWeight();
+
+  return Object.fromEntries(profesors.map((profesor) => {
+    const approvedSeats = approvedByProfesor[profesor.id] || 0;
+    // Rounded so weights like 0.1 do not leave float noise in the payloads
+    const coSupervisedSeats = Math.round((coSupervisedByProfesor[profesor.id] || 0) * weight * 100) / 100;
+    return [profesor.id, {
+      limitaStudenti: profesor.limitaStudenti,
+      approvedSeats,
+      coSupervisedSeats,
+      reservedSeats: reservedByProfesor[profesor.id] || 0,
+      freeSeats: profesor.limitaStudenti > 0
+        ? Math.max(0, Math.round((profesor.limitaStudenti - approvedSeats - coSupervisedSeats) * 100) / 100)
+        : null,
+    }];
+  }));
+}
+
+/**
+ * Seats a professor has left once the given reservations are subtracted
+ * @param {Object} capacity - Professor capacity from getProfessorCapacities
+ * @param {number} [reservedSeats] - Reservations to subtract
+ * @returns {number} - Infinity when the professor has no limit across their sessions
+ */
+function getProfessorSeatsLeft(capacity, reservedSeats = 0) {
+  return capacity.freeSeats === null ? Infinity : capacity.freeSeats - reservedSeats;
+}
+
+/**
+ * Seats of each session
+ * Approved seats belong to enrolled students. Pending applications of manual sessions reserve a seat
+ * until their rezervatPanaLa passes; matching sessions reserve nothing, the allocation run hands out places.
+ * Free seats are what is left, never more than the whole unreserved seats the professor has left across all of their sessions
+ * @param {number[]} sesiuneIds - Session IDs
+ * @param {Object} client - Prisma client or transaction client
+ * @returns {Promise<Object>} - Map of session ID to capacity:
+ *   {limitaStudenti, approvedSeats, pendingApplications, reservedSeats, waitlistCount, freeSeats, profesor}
+ */
+async function getSessionCapacities(sesiuneIds, client = prisma) {
+  const ids = [...new Set(sesiuneIds)];
+  if (ids.length === 0) {
+    return {};
+  }
+
+  const now = new Date();
+  const [sessions, byStatus, reserved] = await Promise.all([
+    client.sesiuneInscriere.findMany({
+      where: { id: { in: ids } },
+      select: { id: true, profesorId: true, limitaStudenti: true, modAlocare: true },
+    }),
+    client.cerereDisertatie.groupBy({
+      by: ['sesiuneId', 'status'],
+      where: { sesiuneId: { in: ids }, status: { in: [...ENROLLED_STATUSES, 'pending', 'waitlisted'] } },
+      _count: { _all: true },
+    }),
+    client.cerereDisertatie.groupBy({
+      by: ['sesiuneId'],
+      where: { sesiuneId: { in: ids }, status: 'pending', rezervatPanaLa: { gt: now } },
+      _count: { _all: true },
+    }),
+  ]);
+
+  const professors = await getProfessorCapacities(sessions.map((session) => session.profesorId), client);
+  const reservedBySession = countsBy(reserved, 'sesiuneId');
+  const count = (sesiuneId, statuses) => byStatus
+    .filter((group) => group.sesiuneId === sesiuneId && statuses.includes(group.status))
+    .reduce((sum, group) => sum + group._count._all, 0);
+
+  return Object.fromEntries(sessions.map((session) => {
+    const approvedSeats = count(session.id, ENROLLED_STATUSES);
+    const reservedSeats = session.modAlocare === 'manual' ? reservedBySession[session.id] || 0 : 0;
+    const profesor = professors[session.profesorId];
+    const sessionFreeSeats = session.limitaStudenti - approvedSeats - reservedSeats;
+
+    return [session.id, {
+      limitaStudenti: session.limitaStudenti,
+      approvedSeats,
+      pendingApplications: count(session.id, ['pending']),
+      reservedSeats,
+      waitlistCount: count(session.id, ['waitlisted']),
+      freeSeats: Math.max(0, Math.min(sessionFreeSeats, Math.floor(getProfessorSeatsLeft(profesor, profesor.reservedSeats)))),
+      profesor,
+    }];
+  }));
+}
+
+/**
+ * Seats of each topic; topics only count approved students
+ * @param {number[]} temaIds - Topic IDs
+ * @param {Object} client - Prisma client or transaction client
+ * @returns {Promise<Object>} - Map of topic ID to {limitaStudenti, approvedSeats, freeSeats}
+ */
+async function getTopicCapacities(temaIds, client = prisma) {
+  const ids = [...new Set(temaIds)];
+  if (ids.length === 0) {
+    return {};
+  }
+
+  const [topics, approved] = await Promise.all([
+    client.temaDisertatie.findMany({
+      where: { id: { in: ids } },
+      select: { id: true, limitaStudenti: true },
+    }),
+    client.cerereDisertatie.groupBy({
+      by: ['temaId'],
+      where: { temaId: { in: ids }, status: { in: ENROLLED_STATUSES } },
+      _count: { _all: true },
+    }),
+  ]);
+
+  const approvedByTopic = countsBy(approved, 'temaId');
+  return Object.fromEntries(topics.map((topic) => {
+    const approvedSeats = approvedByTopic[topic.id] || 0;
+    return [topic.id, {
+      limitaStudenti: topic.limitaStudenti,
+      approvedSeats,
+      freeSeats: Math.max(0, topic.limitaStudenti - approvedSeats),
+    }];
+  }));
+}
+
+/**
+ * Whether the application holds a running seat reservation
+ * @param {Object} application - Application with status and rezervatPanaLa
+ * @returns {boolean}
+ */
+function holdsReservation(application) {
+  return application.status === 'pending'
+    && Boolean(application.rezervatPanaLa)
+    && application.rezervatPanaLa > new Date();
+}
+
+/**
+ * Why one more student cannot be enrolled through this application, or null if they can
+ * Checks the session, the professor's limit across all of their sessions, the limits of its accepted
+ * co-supervisors and the topic. An application holding a reservation uses the seat it reserved;
+ * any other application must also leave the seats reserved for other pending applications
+ * @param {Object} application - Application with id, status, rezervatPanaLa, sesiuneId, temaId and tema
+ * @param {Object} client - Prisma client or transaction client
+ * @returns {Promise<string|null>}
+ */
+async function getSeatBlocker(application, client = prisma) {
+  const capacity = (await getSessionCapacities([application.sesiuneId], client))[application.sesiuneId];
+  const reserved = holdsReservation(application);
+  const sessionReserved = reserved ? 0 : capacity.reservedSeats;
+  const professorReserved = reserved ? 0 : capacity.profesor.reservedSeats;
+
+  if (capacity.approvedSeats >= capacity.limitaStudenti) {
+    return `Session has reached its limit of ${capacity.limitaStudenti} approved students`;
+  }
+
+  if (capacity.approvedSeats + sessionReserved >= capacity.limitaStudenti) {
+    return 'The remaining seats of this session are reserved for other pending applications';
+  }
+
+  if (getProfessorSeatsLeft(capacity.profesor) < 1) {
+    return `Professor has reached their limit of ${capacity.profesor.limitaStudenti} approved students across all sessions`;
+  }
+
+  if (getProfessorSeatsLeft(capacity.profesor, professorReserved) < 1) {
+    return "The professor's remaining seats are reserved for other pending applications";
+  }
+
+  const coSupervisions = await client.coordonareSecundara.findMany({
+    where: { cerereId: application.id, status: 'accepted' },
+    include: { profesor: { select: { nume: true, prenume: true } } },
+  });
+  const coSupervisorCapacities = await getProfessorCapacities(
+    coSupervisions.map((coSupervision) => coSupervision.profesorId),
+    client
+  );
+  const weight = getCoSupervisionWeight();
+  for (const coSupervision of coSupervisions) {
+    const coSupervisor = coSupervisorCapacities[coSupervision.profesorId];
+    if (getProfessorSeatsLeft(coSupervisor) < weight) {
+      const name = `${coSupervision.profesor.prenume} ${coSupervision.profesor.nume}`;
+      return `Co-supervisor Prof. ${name} has reached their limit of ${coSupervisor.limitaStudenti} students`;
+    }
+  }
+
+  if (application.temaId) {
+    const topic = (await getTopicCapacities([application.temaId], client))[application.temaId];
+    if (topic.freeSeats <= 0) {
+      return `Topic "${application.tema.titlu}" has reached its limit of ${topic.limitaStudenti} approved students`;
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  getSeatReservationHours,
+  getCoSupervisionWeight,
+  getReservationEnd,
+  getProfessorCapacities,
+  getProfessorSeatsLeft,
+  getSessionCapacities,
+  getTopicCapacities,
+  getSeatBlocker,
+};
@@ -0,0 +1,75 @@
+const { Prisma } = require('@prisma/client');
+const { prisma } = require('../db');
+
+// Attempts of a locked transaction before a lock conflict is reported to the caller
+const LOCK_MAX_ATTEMPTS = 3;
+
+// Base wait before retrying, grows with each attempt
+const LOCK_RETRY_DELAY_MS = 50;
+
+/**
+ * Whether an error is a deadlock or lock wait timeout that is worth retrying
+ * Prisma reports them as P2034 from the transaction, or as P2010 with the MySQL code from a raw query
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isLockConflict(error) {
+  if (error.code === 'P2034') {
+    return true;
+  }
+
+  // 1213: deadlock found, 1205: lock wait timeout exceeded
+  const mysqlCode = String(error.meta?.code || '');
+  return ['1213', '1205'].includes(mysqlCode) || /deadlock|lock wait timeout/i.test(error.message || '');
+}
+
+/**
+ * Run a transaction holding row locks on the given professors, sessions and students
+ * Capacity checks and the writes depending on them then see every committed decision
+ * and no other locked transaction can change the counts until this one ends.
+ * Rows are locked in ID order, professors before sessions before students, so concurrent callers
+ * queue instead of deadlocking; remaining conflicts are retried
+ * @param {{profesorIds?: number[], sesiuneIds?: number[], studentIds?: number[]}} rows - Rows to lock
+ * @param {Function} fn - Receives the transaction client; its result is returned
+ * @param {{timeout?: number}} [options] - Transaction timeout in ms, for callers writing many rows
+ * @returns {Promise<*>}
+ */
+async function withCapacityLock({ profesorIds = [], sesiuneIds = [], studentIds = [] }, fn, { timeout = 15000 } = {}) {
+  const profesors = [...new Set(profesorIds)].sort((a, b) => a - b);
+  const sessions = [...new Set(sesiuneIds)].sort((a, b) => a - b);
+  const students = [...new Set(studentIds)].sort((a, b) => a - b);
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await prisma.$transaction(async (tx) => {
+        if (profesors.length > 0) {
+          await tx.$queryRaw`SELECT id FROM Profesor WHERE id IN (${Prisma.join(profesors)}) ORDER BY id FOR UPDATE`;
+        }
+        if (sessions.length > 0) {
+          await tx.$queryRaw`SELECT id FROM SesiuneInscriere WHERE id IN (${Prisma.join(sessions)}) ORDER BY id FOR UPDATE`;
+        }
+        if (students.length > 0) {
+          await tx.$queryRaw`SELECT id FROM Student WHERE id IN (${Prisma.join(students)}) ORDER BY id FOR UPDATE`;
+        }
+
+        return fn(tx);
+      }, {
+        // Reads after the lock must see what the previous lock holder committed
+        isolationLevel: Prisma.TransactionIsolationLevel.ReadCommitted,
+        timeout,
+      });
+    } catch (error) {
+      if (attempt >= LOCK_MAX_ATTEMPTS || !isLockConflict(error)) {
+        throw error;
+      }
+
+      console.warn(`Capacity lock conflict, retrying (attempt ${attempt + 1} of ${LOCK_MAX_ATTEMPTS})`);
+      await new Promise((resolve) => setTimeout(resolve, LOCK_RETRY_DELAY_MS * attempt + Math.random() * LOCK_RETRY_DELAY_MS));
+    }
+  }
+}
+
+module.exports = {
+  withCapacityLock,
+  isLockConflict,
+};
@@ -0,0 +1,240 @@
+const { prisma } = require('../db');
+const { sendMail, buildFrontendLink } = require('./mailer');
+const { isEnrolled } = require('./applicationStateMachine');
+const { withCapacityLock } = require('./capacityLock');
+const { getProfessorCapacities, getProfessorSeatsLeft, getCoSupervisionWeight } = require('./capacity');
+
+// Co-supervisors an application can have besides its professor (declined invitations not counted)
+const MAX_CO_SUPERVISORS = 2;
+
+// Relations returned with a co-supervision
+const coSupervisorInclude = {
+  profesor: { select: { id: true, nume: true, prenume: true } },
+};
+
+/**
+ * Public shape of a co-supervision
+ * @param {Object} coSupervision - CoordonareSecundara with profesor
+ * @returns {Object}
+ */
+function formatCoSupervisor(coSupervision) {
+  return {
+    id: coSupervision.id,
+    profesorId: coSupervision.profesorId,
+    profesor: coSupervision.profesor,
+    status: coSupervision.status,
+    raspunsLa: coSupervision.raspunsLa,
+    createdAt: coSupervision.createdAt,
+  };
+}
+
+/**
+ * Invite a professor to co-supervise an application
+ * Only enrolled applications take co-supervisors; a declined invitation can be sent again
+ * @param {Object} application - Application owned by the inviting professor
+ * @param {string} email - Email of the invited professor
+ * @returns {Promise<{error?: string, status?: number, coSupervision?: Object}>}
+ */
+async function inviteCoSupervisor(application, email) {
+  if (!isEnrolled(application.status)) {
+    return { status: 409, error: 'Co-supervisors can be invited once the application is approved' };
+  }
+
+  const user = await prisma.user.findUnique({
+    where: { email },
+    include: { profesor: true },
+  });
+
+  if (!user || !user.profesor) {
+    return { status: 404, error: 'No professor account with this email' };
+  }
+
+  if (user.profesor.id === application.profesorId) {
+    return { status: 400, error: 'You already supervise this application' };
+  }
+
+  const existing = await prisma.coordonareSecundara.findMany({
+    where: { cerereId: application.id },
+  });
+
+  const previous = existing.find((coSupervision) => coSupervision.profesorId === user.profesor.id);
+  if (previous && previous.status !== 'declined') {
+    return { status: 409, error: `This professor was already invited (${previous.status})` };
+  }
+
+  const active = existing.filter((coSupervision) => coSupervision.status !== 'declined');
+  if (active.length >= MAX_CO_SUPERVISORS) {
+    return { status: 409, error: `An application can have at most ${MAX_CO_SUPERVISORS} co-supervisors` };
+  }
+
+  const coSupervision = previous
+    ? await prisma.coordonareSecundara.update({
+        where: { id: previous.id },
+        data: { status: 'invited', raspunsLa: null, createdAt: new Date() },
+        include: coSupervisorInclude,
+      })
+    : await prisma.coordonareSecundara.create({
+        data: { cerereId: application.id, profesorId: user.profesor.id },
+        include: coSupervisorInclude,
+      });
+
+  return { coSupervision };
+}
+
+/**
+ * Accept or decline an invitation
+ * Accepting counts the student towards the co-supervisor's limit, so it is checked
+ * while the co-supervisor is locked like an approval
+ * @param {number} coSupervisionId - CoordonareSecundara ID
+ * @param {number} profesorId - Invited professor answering
+ * @param {boolean} accept - True to accept
+ * @returns {Promise<{error?: string, status?: number, coSupervision?: Object}>}
+ */
+async function respondToInvitation(coSupervisionId, profesorId, accept) {
+  return withCapacityLock({ profesorIds: [profesorId] }, async (tx) => {
+    const invitation = await tx.coordonareSecundara.findUnique({
+      where: { id: coSupervisionId },
+      include: { cerere: { select: { status: true } } },
+    });
+
+    if (!invitation || invitation.profesorId !== profesorId) {
+      return { status: 404, error: 'Invitation not found' };
+    }
+
+    if (invitation.status !== 'invited') {
+      return { status: 409, error: `This invitation was already ${invitation.status}` };
+    }
+
+    if (accept) {
+      if (!isEnrolled(invitation.cerere.status)) {
+        return { status: 409, error: 'The application is no longer approved' };
+      }
+
+      const capacity = (await getProfessorCapacities([profesorId], tx))[profesorId];
+      if (getProfessorSeatsLeft(capacity) < getCoSupervisionWeight()) {
+        return {
+          status: 409,
+          error: `You have reached your limit of ${capacity.limitaStudenti} students across all sessions`,
+        };
+      }
+    }
+
+    const coSupervision = await tx.coordonareSecundara.update({
+      where: { id: coSupervisionId },
+      data: { status: accept ? 'accepted' : 'declined', raspunsLa: new Date() },
+      include: coSupervisorInclude,
+    });
+
+    return { coSupervision };
+  });
+}
+
+/**
+ * Email the other side of a co-supervision: the invitee when invited, the professor once answered
+ * Failures are logged, the invitation stands
+ * @param {number} coSupervisionId - CoordonareSecundara ID
+ * @returns {Promise<void>}
+ */
+async function notifyCoSupervision(coSupervisionId) {
+  const coSupervision = await prisma.coordonareSecundara.findUnique({
+    where: { id: coSupervisionId },
+    include: {
+      profesor: { include: { user: { select: { email: true } } } },
+      cerere: {
+        include: {
+          student: { select: { nume: true, prenume: true } },
+          profesor: { include: { user: { select: { email: true } } } },
+        },
+      },
+    },
+  });
+
+  const { cerere, profesor: coSupervisor } = coSupervision;
+  const studentName = `${cerere.student.prenume} ${cerere.student.nume}`;
+
+  const message = coSupervision.status === 'invited'
+    ? {
+        to: coSupervisor.user.email,
+        subject: 'eDissertation - You are invited to co-supervise a dissertation',
+        text: [
+          `Hello ${coSupervisor.prenume},`,
+          '',
+          `Prof. ${cerere.profesor.prenume} ${cerere.profesor.nume} invites you to co-supervise the dissertation of ${studentName}.`,
+          `Title: ${cerere.titluFinal || cerere.titluPropus || '-'}`,
+          '',
+          `Accept or decline on your dashboard: ${buildFrontendLink('/profesor/dashboard')}`,
+        ].join('\n'),
+      }
+    : {
+        to: cerere.profesor.user.email,
+        subject: `eDissertation - Co-supervision ${coSupervision.status}`,
+        text: [
+          `Hello ${cerere.profesor.prenume},`,
+          '',
+          `Prof. ${coSupervisor.prenume} ${coSupervisor.nume} ${coSupervision.status} to co-supervise the dissertation of ${studentName}.`,
+          '',
+          `Details on your dashboard: ${buildFrontendLink('/profesor/dashboard')}`,
+        ].join('\n'),
+      };
+
+  try {
+    await sendMail(message);
+  } catch (mailError) {
+    console.error('Co-supervision email error:', mailError);
+  }
+}
+
+/**
+ * Whether a professor may read an application: its supervising professor or an accepted co-supervisor
+ * Covers the detail, history and message thread; every other action stays with the supervising professor
+ * @param {Object} application - Application with id and profesorId
+ * @param {number} profesorId - Professor asking
+ * @returns {Promise<boolean>}
+ */
+async function canAccessApplication(application, profesorId) {
+  if (application.profesorId === profesorId) {
+    return true;
+  }
+
+  const coSupervision = await prisma.coordonareSecundara.findFirst({
+    where: { cerereId: application.id, profesorId, status: 'accepted' },
+    select: { id: true },
+  });
+
+  return Boolean(coSupervision);
+}
+
+/**
+ * Accepted co-supervisors of each application, for payloads and generated documents
+ * @param {number[]} cerereIds - Application IDs
+ * @returns {Promise<Object>} - Map of application ID to co-supervisor profiles ({id, nume, prenume})
+ */
+async function getAcceptedCoSupervisors(cerereIds) {
+  const byApplication = Object.fromEntries(cerereIds.map((id) => [id, []]));
+  if (cerereIds.length === 0) {
+    return byApplication;
+  }
+
+  const coSupervisions = await prisma.coordonareSecundara.findMany({
+    where: { cerereId: { in: cerereIds }, status: 'accepted' },
+    include: coSupervisorInclude,
+    orderBy: { raspunsLa: 'asc' },
+  });
+
+  for (const coSupervision of coSupervisions) {
+    byApplication[coSupervision.cerereId].push(coSupervision.profesor);
+  }
+
+  return byApplication;
+}
+
+module.exports = {
+  MAX_CO_SUPERVISORS,
+  coSupervisorInclude,
+  formatCoSupervisor,
+  inviteCoSupervisor,
+  respondToInvitation,
+  notifyCoSupervision,
+  canAccessApplication,
+  getAcceptedCoSupervisors,
+};
@@ -0,0 +1,210 @@
+const { prisma } = require('../db');
+
+/**
+ * Brute-force protection for POST /api/auth/login, also applied to the current-password
+ * checks of POST /api/me/password and POST /api/me/email
+ *
+ * - Per IP: every failed attempt beyond LOGIN_IP_FREE_ATTEMPTS blocks the IP with an
+ *   exponentially growing delay (429). Counters reset after LOGIN_IP_WINDOW_MINUTES
+ *   without failures.
+ * - Per account: LOGIN_MAX_FAILED_ATTEMPTS consecutive failures lock the account for
+ *   LOGIN_LOCKOUT_MINUTES (423). A successful login, a password reset or an admin
+ *   unlock clears the counter.
+ */
+const DEFAULTS = {
+  LOGIN_MAX_FAILED_ATTEMPTS: 5,
+  LOGIN_LOCKOUT_MINUTES: 15,
+  LOGIN_IP_FREE_ATTEMPTS: 5,
+  LOGIN_IP_BACKOFF_BASE_SECONDS: 2,
+  LOGIN_IP_BACKOFF_MAX_SECONDS: 15 * 60,
+  LOGIN_IP_WINDOW_MINUTES: 60,
+};
+
+/**
+ * Read a numeric setting from the environment
+ * @param {string} name - Variable name (see DEFAULTS)
+ * @returns {number}
+ */
+function getSetting(name) {
+  return parseInt(process.env[name]) || DEFAULTS[name];
+}
+
+/**
+ * Seconds remaining until a date
+ * @param {Date} date - Future date
+ * @returns {number}
+ */
+function secondsUntil(date) {
+  return Math.max(1, Math.ceil((date.getTime() - Date.now()) / 1000));
+}
+
+/**
+ * Check whether an IP is currently backing off
+ * @param {string} ip - Client IP address
+ * @returns {Promise<{blocked: boolean, retryAfterSeconds?: number}>}
+ */
+async function checkIpThrottle(ip) {
+  const throttle = await prisma.loginThrottle.findUnique({ where: { ip } });
+
+  if (throttle && throttle.blockedUntil && throttle.blockedUntil > new Date()) {
+    return { blocked: true, retryAfterSeconds: secondsUntil(throttle.blockedUntil) };
+  }
+
+  return { blocked: false };
+}
+
+/**
+ * Check whether an account is locked
+ * @param {Object} user - User record
+ * @returns {{locked: boolean, lockedUntil?: Date, retryAfterSeconds?: number}}
+ */
+function checkAccountLock(user) {
+  if (user.lockedUntil && user.lockedUntil > new Date()) {
+    return {
+      locked: true,
+      lockedUntil: user.lockedUntil,
+      retryAfterSeconds: secondsUntil(user.lockedUntil),
+    };
+  }
+
+  return { locked: false };
+}
+
+/**
+ * Respond 423 after a failed attempt locked the account
+ * @param {Object} res - Express response
+ * @param {Date} lockedUntil - End of the lock
+ */
+function sendAccountLocked(res, lockedUntil) {
+  const retryAfterSeconds = secondsUntil(lockedUntil);
+  res.set('Retry-After', String(retryAfterSeconds));
+  return res.status(423).json({
+    success: false,
+    message: 'Account temporarily locked after too many failed login attempts',
+    data: {
+      lockedUntil,
+      retryAfterSeconds,
+    },
+  });
+}
+
+/**
+ * Count one more failed attempt of an IP
+ * The counter is incremented in the database, so simultaneous failures each count
+ * @param {string} ip - Client IP address
+ * @param {Date} now - Time of the attempt
+ * @returns {Promise<Object>} - Updated LoginThrottle record
+ */
+async function incrementIpFailures(ip, now) {
+  const windowStart = new Date(now.getTime() - getSetting('LOGIN_IP_WINDOW_MINUTES') * 60 * 1000);
+
+  // A quiet window starts a fresh series of attempts
+  await prisma.loginThrottle.updateMany({
+    where: { ip, lastFailedAt: { lte: windowStart } },
+    data: { failedCount: 0 },
+  });
+
+  const increment = { failedCount: { increment: 1 }, lastFailedAt: now };
+  try {
+    return await prisma.loginThrottle.upsert({
+      where: { ip },
+      create: { ip, failedCount: 1, lastFailedAt: now },
+      update: increment,
+    });
+  } catch (error) {
+    // Another request created the row first
+    if (error.code !== 'P2002') {
+      throw error;
+    }
+    return prisma.loginThrottle.update({ where: { ip }, data: increment });
+  }
+}
+
+/**
+ * Record a failed login attempt for the IP and, if known, the account
+ * Blocks and locks are derived from the counters the database returns
+ * @param {string} ip - Client IP address
+ * @param {Object|null} user - User record, or null if the email is unknown
+ * @returns {Promise<{accountLockedUntil: Date|null}>}
+ */
+async function recordFailedLogin(ip, user) {
+  const now = new Date();
+
+  const throttle = await incrementIpFailures(ip, now);
+  const excess = throttle.failedCount - getSetting('LOGIN_IP_FREE_ATTEMPTS');
+  const blockedUntil = excess > 0
+    ? new Date(now.getTime() + Math.min(
+      getSetting('LOGIN_IP_BACKOFF_BASE_SECONDS') * 2 ** (excess - 1),
+      getSetting('LOGIN_IP_BACKOFF_MAX_SECONDS')
+    ) * 1000)
+    : null;
+
+  // Skipped when a later failure counted meanwhile: its longer block wins
+  await prisma.loginThrottle.updateMany({
+    where: { ip, failedCount: throttle.failedCount },
+    data: { blockedUntil },
+  });
+
+  if (!user) {
+    return { accountLockedUntil: null };
+  }
+
+  // An expired lock starts a fresh series of attempts
+  await prisma.user.updateMany({
+    where: { id: user.id, lockedUntil: { lte: now } },
+    data: { failedLoginAttempts: 0, lockedUntil: null },
+  });
+
+  const { failedLoginAttempts } = await prisma.user.update({
+    where: { id: user.id },
+    data: { failedLoginAttempts: { increment: 1 } },
+    select: { failedLoginAttempts: true },
+  });
+
+  if (failedLoginAttempts < getSetting('LOGIN_MAX_FAILED_ATTEMPTS')) {
+    return { accountLockedUntil: null };
+  }
+
+  const lockedUntil = new Date(now.getTime() + getSetting('LOGIN_LOCKOUT_MINUTES') * 60 * 1000);
+  await prisma.user.update({
+    where: { id: user.id },
+    data: { lockedUntil },
+  });
+
+  console.warn(`Account ${user.id} locked until ${lockedUntil.toISOString()} after ${failedLoginAttempts} failed logins`);
+
+  return { accountLockedUntil: lockedUntil };
+}
+
+/**
+ * Clear the failed-attempt counter of an account after a successful login
+ * @param {Object} user - User record
+ * @returns {Promise<void>}
+ */
+async function recordSuccessfulLogin(user) {
+  if (user.failedLoginAttempts > 0 || user.lockedUntil) {
+    await unlockAccount(user.id);
+  }
+}
+
+/**
+ * Remove the lock and failed-attempt counter of an account
+ * @param {number} userId - User ID
+ * @param {Object} client - Prisma client or transaction client
+ * @returns {Promise<Object>} - Updated user
+ */
+async function unlockAccount(userId, client = prisma) {
+  return client.user.update({
+    where: { id: userId },
+    data: { failedLoginAttempts: 0, lockedUntil: null },
+  });
+}
+
+module.exports = {
+  checkIpThrottle,
+  checkAccountLock,
+  sendAccountLocked,
+  recordFailedLogin,
+  recordSuccessfulLogin,
+  unlockAccount,
+};
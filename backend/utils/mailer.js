@@ -0,0 +1,88 @@
+const fs = require('fs').promises;
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+/**
+ * Mail transports
+ * Selected with MAIL_TRANSPORT:
+ * - smtp: deliver through the SMTP server configured with SMTP_* variables
+ * - file: write each message to MAIL_OUTPUT_DIR (local testing)
+ * - console: print each message to stdout (default)
+ */
+const transports = {
+  smtp: async (message) => {
+    const transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+        : undefined,
+    });
+    return transporter.sendMail(message);
+  },
+
+  file: async (message) => {
+    const outputDir = process.env.MAIL_OUTPUT_DIR || path.join(__dirname, '..', 'mail');
+    await fs.mkdir(outputDir, { recursive: true });
+
+    const fileName = `${Date.now()}-${message.to.replace(/[^a-zA-Z0-9@._-]/g, '_')}.txt`;
+    const filePath = path.join(outputDir, fileName);
+    await fs.writeFile(
+      filePath,
+      `From: ${message.from}\nTo: ${message.to}\nSubject: ${message.subject}\n\n${message.text}\n`
+    );
+    return { filePath };
+  },
+
+  console: async (message) => {
+    console.log('[MAIL]', JSON.stringify({ to: message.to, subject: message.subject }));
+    console.log(message.text);
+    return {};
+  },
+};
+
+/**
+ * Send an email through the configured transport
+ * @param {Object} options - Message options
+ * @param {string} options.to - Recipient address
+ * @param {string} options.subject - Subject line
+ * @param {string} options.text - Plain text body
+ * @returns {Promise<Object>} - Transport specific result
+ */
+async function sendMail({ to, subject, text }) {
+  const transportName = process.env.MAIL_TRANSPORT || 'console';
+  const transport = transports[transportName];
+
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${transportName}`);
+  }
+
+  return transport({
+    from: process.env.MAIL_FROM || 'eDissertation <no-reply@edissertation.local>',
+    to,
+    subject,
+    text,
+  });
+}
+
+/**
+ * Build a link to a frontend page
+ * FRONTEND_URL may hold several comma-separated origins; the first one is used
+ * @param {string} pagePath - Path of the page (e.g. /reset-password)
+ * @param {Object} query - Query string parameters
+ * @returns {string} - Absolute URL
+ */
+function buildFrontendLink(pagePath, query = {}) {
+  const origin = (process.env.FRONTEND_URL || 'http://localhost:5173').split(',')[0].trim();
+  const url = new URL(pagePath, origin);
+  for (const [key, value] of Object.entries(query)) {
+    url.searchParams.set(key, value);
+  }
+  return url.toString();
+}
+
+module.exports = {
+  sendMail,
+  buildFrontendLink,
+};
@@ -0,0 +1,364 @@
+const { Issuer, generators } = require('openid-client');
+const { prisma } = require('../db');
+const { hashPassword } = require('./auth');
+const { hashToken, generateOpaqueToken } = require('./tokens');
+const { sendVerificationEmail } = require('./verification');
+
+const DEFAULTS = {
+  OIDC_SCOPES: 'openid email profile',
+  OIDC_ROLE_CLAIM: 'roles',
+  OIDC_STUDENT_VALUES: 'student',
+  OIDC_PROFESOR_VALUES: 'profesor,faculty',
+  OIDC_PROVIDER_NAME: 'University account',
+};
+
+// Cached discovered client, keyed by issuer so a configuration change is picked up
+let clientPromise = null;
+let clientIssuer = null;
+
+/**
+ * Read the OpenID Connect configuration from the environment
+ * @returns {Object}
+ */
+function getOidcConfig() {
+  const port = process.env.PORT || 3000;
+  const parseList = (value) => value.split(',').map((v) => v.trim()).filter(Boolean);
+
+  return {
+    issuer: process.env.OIDC_ISSUER,
+    clientId: process.env.OIDC_CLIENT_ID,
+    clientSecret: process.env.OIDC_CLIENT_SECRET,
+    redirectUri: process.env.OIDC_REDIRECT_URI || `http://localhost:${port}/api/auth/oidc/callback`,
+    scopes: process.env.OIDC_SCOPES || DEFAULTS.OIDC_SCOPES,
+    providerName: process.env.OIDC_PROVIDER_NAME || DEFAULTS.OIDC_PROVIDER_NAME,
+    roleClaim: process.env.OIDC_ROLE_CLAIM || DEFAULTS.OIDC_ROLE_CLAIM,
+    studentValues: parseList(process.env.OIDC_STUDENT_VALUES || DEFAULTS.OIDC_STUDENT_VALUES),
+    profesorValues: parseList(process.env.OIDC_PROFESOR_VALUES || DEFAULTS.OIDC_PROFESOR_VALUES),
+    defaultRole: process.env.OIDC_DEFAULT_ROLE || null,
+  };
+}
+
+/**
+ * Whether single sign-on is configured
+ * @returns {boolean}
+ */
+function isOidcEnabled() {
+  const config = getOidcConfig();
+  return Boolean(config.issuer && config.clientId);
+}
+
+/**
+ * Discover the identity provider and build the client (cached)
+ * @returns {Promise<Object>} - openid-client Client
+ */
+async function getOidcClient() {
+  const config = getOidcConfig();
+
+  if (!clientPromise || clientIssuer !== config.issuer) {
+    clientIssuer = config.issuer;
+    clientPromise = Issuer.discover(config.issuer)
+      .then((issuer) => new issuer.Client({
+        client_id: config.clientId,
+        client_secret: config.clientSecret,
+        redirect_uris: [config.redirectUri],
+        response_types: ['code'],
+        token_endpoint_auth_method: config.clientSecret ? 'client_secret_basic' : 'none',
+      }))
+      .catch((error) => {
+        // Retry discovery on the next login instead of caching the failure
+        clientPromise = null;
+        throw error;
+      });
+  }
+
+  return clientPromise;
+}
+
+/**
+ * Build the authorization URL for a new login and remember its state, nonce and PKCE verifier
+ * @returns {Promise<string>} - URL to redirect the browser to
+ */
+async function createAuthorizationUrl() {
+  const config = getOidcConfig();
+  const client = await getOidcClient();
+
+  const state = generators.state();
+  const nonce = generators.nonce();
+  const codeVerifier = generators.codeVerifier();
+
+  await prisma.oidcLogin.create({
+    data: {
+      state,
+      nonce,
+      codeVerifier,
+      expiresAt: new Date(Date.now() + 10 * 60 * 1000),
+    },
+  });
+
+  return client.authorizationUrl({
+    scope: config.scopes,
+    state,
+    nonce,
+    code_challenge: generators.codeChallenge(codeVerifier),
+    code_challenge_method: 'S256',
+  });
+}
+
+/**
+ * Read a claim by dotted path (e.g. "realm_access.roles") as a list of values
+ * @param {Object} claims - ID token / userinfo claims
+ * @param {string} path - Claim name or dotted path
+ * @returns {string[]}
+ */
+function getClaimValues(claims, path) {
+  const value = path.split('.').reduce((obj, key) => (obj == null ? undefined : obj[key]), claims);
+
+  if (Array.isArray(value)) {
+    return value.map(String);
+  }
+  if (typeof value === 'string') {
+    return value.split(/[\s,]+/).filter(Boolean);
+  }
+  return [];
+}
+
+/**
+ * Map identity provider claims to an application role
+ * Professor values take precedence; admin and secretariat are never granted through SSO
+ * @param {Object} claims - ID token / userinfo claims
+ * @returns {string|null} - student, profesor, or null if the account is not allowed in
+ */
+function mapClaimsToRole(claims) {
+  const config = getOidcConfig();
+  const values = getClaimValues(claims, config.roleClaim);
+
+  if (values.some((v) => config.profesorValues.includes(v))) {
+    return 'profesor';
+  }
+  if (values.some((v) => config.studentValues.includes(v))) {
+    return 'student';
+  }
+  return ['student', 'profesor'].includes(config.defaultRole) ? config.defaultRole : null;
+}
+
+/**
+ * Split the name claims into nume (family name) and prenume (given name)
+ * @param {Object} claims - ID token / userinfo claims
+ * @returns {{nume: string, prenume: string}}
+ */
+function getNames(claims) {
+  if (claims.family_name || claims.given_name) {
+    return { nume: claims.family_name || '-', prenume: claims.given_name || '-' };
+  }
+
+  const parts = (claims.name || claims.email.split('@')[0]).trim().split(/\s+/);
+  return {
+    nume: parts.length > 1 ? parts.pop() : parts[0],
+    prenume: parts.join(' ') || '-',
+  };
+}
+
+/**
+ * Find or create the local account for an identity provider login
+ * 1. Account already linked to the subject
+ * 2. Existing account with the same, provider-verified email: linked on first SSO login
+ * 3. Otherwise a User with Student/Profesor profile is created just in time.
+ *    Professors, like on registration, need a pending invitation for their verified email;
+ *    it sets their student limit and is consumed
+ * @param {Object} claims - ID token / userinfo claims (sub, email, names, role claim)
+ * @returns {Promise<{user?: Object, error?: string}>}
+ */
+async function resolveOidcUser(claims) {
+  const linkedUser = await prisma.user.findUnique({
+    where: { oidcSubject: claims.sub },
+  });
+
+  if (linkedUser) {
+    return { user: linkedUser };
+  }
+
+  if (!claims.email) {
+    return { error: 'The identity provider did not return an email address' };
+  }
+
+  const existingUser = await prisma.user.findUnique({
+    where: { email: claims.email },
+  });
+
+  if (existingUser) {
+    // Linking on an unverified address would let anyone claim an account
+    if (claims.email_verified !== true) {
+      return { error: 'An account with this email already exists. Sign in with your password' };
+    }
+
+    const user = await prisma.user.update({
+      where: { id: existingUser.id },
+      data: {
+        oidcSubject: claims.sub,
+        emailVerifiedAt: existingUser.emailVerifiedAt || new Date(),
+      },
+    });
+    return { user };
+  }
+
+  const role = mapClaimsToRole(claims);
+  if (!role) {
+    return { error: 'Your university account is not allowed to use eDissertation' };
+  }
+
+  // Professor accounts are only opened by an administrator's invitation, never by the group claim alone
+  let invitation = null;
+  if (role === 'profesor') {
+    invitation = claims.email_verified === true
+      ? await prisma.profesorInvitation.findFirst({
+          where: { email: claims.email, usedAt: null, revokedAt: null, expiresAt: { gt: new Date() } },
+          orderBy: { createdAt: 'desc' },
+        })
+      : null;
+
+    if (!invitation) {
+      return { error: 'Professor accounts need an invitation from an administrator' };
+    }
+  }
+
+  const { nume, prenume } = getNames(claims);
+  // SSO accounts get an unusable random password; "forgot password" can set a real one
+  const passwordHash = await hashPassword(generateOpaqueToken());
+
+  let user;
+  try {
+    user = await prisma.$transaction(async (tx) => {
+      const createdUser = await tx.user.create({
+        data: {
+          email: claims.email,
+          passwordHash,
+          role,
+          oidcSubject: claims.sub,
+          emailVerifiedAt: claims.email_verified === true ? new Date() : null,
+        },
+      });
+
+      if (role === 'student') {
+        await tx.student.create({
+          data: { userId: createdUser.id, nume, prenume },
+        });
+      } else {
+        // Consume the invitation; a concurrent registration with the same invitation loses
+        const consumed = await tx.profesorInvitation.updateMany({
+          where: { id: invitation.id, usedAt: null, revokedAt: null },
+          data: { usedAt: new Date(), usedById: createdUser.id },
+        });
+
+        if (consumed.count !== 1) {
+          throw new Error('INVITATION_ALREADY_USED');
+        }
+
+        await tx.profesor.create({
+          data: { userId: createdUser.id, nume, prenume, limitaStudenti: invitation.limitaStudenti },
+        });
+      }
+
+      return createdUser;
+    });
+  } catch (error) {
+    if (error.message === 'INVITATION_ALREADY_USED') {
+      return { error: 'Professor accounts need an invitation from an administrator' };
+    }
+    throw error;
+  }
+
+  console.log(`User ${user.id} (${role}) created from single sign-on`);
+
+  if (!user.emailVerifiedAt) {
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      console.error('Verification email error:', mailError);
+    }
+  }
+
+  return { user };
+}
+
+/**
+ * Complete the authorization-code flow: validate state, exchange the code and resolve the user
+ * @param {Object} req - Express request of the redirect back from the provider
+ * @returns {Promise<{loginCode?: string, error?: string}>} - One-time code the frontend exchanges for tokens
+ */
+async function handleCallback(req) {
+  const config = getOidcConfig();
+  const client = await getOidcClient();
+  const params = client.callbackParams(req);
+
+  if (params.error) {
+    return { error: params.error_description || params.error };
+  }
+
+  const login = params.state
+    ? await prisma.oidcLogin.findUnique({ where: { state: params.state } })
+    : null;
+
+  if (!login || login.usedAt || login.userId || login.expiresAt < new Date()) {
+    return { error: 'Sign-in request expired. Please try again' };
+  }
+
+  const tokenSet = await client.callback(config.redirectUri, params, {
+    state: login.state,
+    nonce: login.nonce,
+    code_verifier: login.codeVerifier,
+  });
+
+  let claims = tokenSet.claims();
+  if (tokenSet.access_token && client.issuer.userinfo_endpoint) {
+    claims = { ...(await client.userinfo(tokenSet.access_token)), ...claims };
+  }
+
+  const { user, error } = await resolveOidcUser(claims);
+  if (error) {
+    return { error };
+  }
+
+  const loginCode = generateOpaqueToken();
+  await prisma.oidcLogin.update({
+    where: { id: login.id },
+    data: {
+      userId: user.id,
+      loginCodeHash: hashToken(loginCode),
+      expiresAt: new Date(Date.now() + 2 * 60 * 1000),
+    },
+  });
+
+  return { loginCode };
+}
+
+/**
+ * Consume the one-time login code handed to the frontend
+ * @param {string} loginCode - Code from the frontend callback URL
+ * @returns {Promise<Object|null>} - The user, or null if the code is invalid, used or expired
+ */
+async function consumeLoginCode(loginCode) {
+  const login = await prisma.oidcLogin.findUnique({
+    where: { loginCodeHash: hashToken(loginCode) },
+    include: { user: true },
+  });
+
+  if (!login || login.usedAt || login.expiresAt < new Date() || !login.user) {
+    return null;
+  }
+
+  const consumed = await prisma.oidcLogin.updateMany({
+    where: { id: login.id, usedAt: null },
+    data: { usedAt: new Date() },
+  });
+
+  return consumed.count === 1 ? login.user : null;
+}
+
+module.exports = {
+  getOidcConfig,
+  isOidcEnabled,
+  createAuthorizationUrl,
+  mapClaimsToRole,
+  handleCallback,
+  consumeLoginCode,
+};
@@ -0,0 +1,270 @@
+const crypto = require('crypto');
+const { prisma } = require('../db');
+const { generateToken } = require('./auth');
+
+const DEFAULT_ACCESS_TOKEN_EXPIRE = '15m';
+const DEFAULT_REFRESH_TOKEN_EXPIRE_DAYS = 30;
+// How often authenticated requests refresh DeviceSession.lastSeenAt
+const SESSION_TOUCH_INTERVAL_MS = 5 * 60 * 1000;
+
+/**
+ * Hash an opaque token for storage (refresh tokens are never stored in plain text)
+ * @param {string} token - The plain token
+ * @returns {string} - Hex encoded SHA-256 digest
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Generate a random opaque token (refresh, reset and verification links)
+ * @param {number} bytes - Amount of entropy in bytes
+ * @returns {string} - Hex encoded token
+ */
+function generateOpaqueToken(bytes = 32) {
+  return crypto.randomBytes(bytes).toString('hex');
+}
+
+/**
+ * Describe the device a request comes from
+ * @param {Object} req - Express request
+ * @returns {{userAgent: string|null, ip: string|null}}
+ */
+function getClientInfo(req) {
+  const userAgent = req.get('user-agent');
+  return {
+    userAgent: userAgent ? userAgent.slice(0, 255) : null,
+    ip: req.ip || null,
+  };
+}
+
+/**
+ * Generate a short-lived access token (JWT) for a user
+ * @param {Object} user - User record with id, email and role
+ * @param {string} sessionId - Device session the token belongs to
+ * @returns {string} - The signed JWT
+ */
+function generateAccessToken(user, sessionId) {
+  return generateToken(
+    { userId: user.id, email: user.email, role: user.role, sid: sessionId },
+    process.env.JWT_SECRET,
+    process.env.JWT_EXPIRE || DEFAULT_ACCESS_TOKEN_EXPIRE
+  );
+}
+
+/**
+ * Create and persist a new refresh token
+ * @param {number} userId - Owner of the token
+ * @param {string} familyId - Token family (one per login)
+ * @param {Object} client - Prisma client or transaction client
+ * @returns {Promise<{token: string, record: Object}>} - Plain token and stored record
+ */
+async function createRefreshToken(userId, familyId, client = prisma) {
+  const token = generateOpaqueToken(48);
+  const expiresAt = new Date();
+  expiresAt.setDate(
+    expiresAt.getDate() + (parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || DEFAULT_REFRESH_TOKEN_EXPIRE_DAYS)
+  );
+
+  const record = await client.refreshToken.create({
+    data: {
+      userId,
+      tokenHash: hashToken(token),
+      familyId,
+      expiresAt,
+    },
+  });
+
+  return { token, record };
+}
+
+/**
+ * Issue an access token and a refresh token starting a new token family
+ * Each family is one device session, listed in GET /api/me/sessions
+ * @param {Object} user - User record with id, email and role
+ * @param {Object} clientInfo - userAgent and ip of the login request (see getClientInfo)
+ * @returns {Promise<{token: string, refreshToken: string}>}
+ */
+async function issueAuthTokens(user, clientInfo = {}) {
+  const sessionId = crypto.randomUUID();
+  const { token: refreshToken, record } = await createRefreshToken(user.id, sessionId);
+
+  await prisma.deviceSession.create({
+    data: {
+      id: sessionId,
+      userId: user.id,
+      userAgent: clientInfo.userAgent || null,
+      ip: clientInfo.ip || null,
+      expiresAt: record.expiresAt,
+    },
+  });
+
+  return {
+    token: generateAccessToken(user, sessionId),
+    refreshToken,
+  };
+}
+
+/**
+ * Revoke every still-active token of a family and its device session
+ * @param {string} familyId - Token family to revoke
+ * @returns {Promise<number>} - Number of tokens revoked
+ */
+async function revokeTokenFamily(familyId) {
+  const now = new Date();
+  const [result] = await prisma.$transaction([
+    prisma.refreshToken.updateMany({
+      where: { familyId, revokedAt: null },
+      data: { revokedAt: now },
+    }),
+    prisma.deviceSession.updateMany({
+      where: { id: familyId, revokedAt: null },
+      data: { revokedAt: now },
+    }),
+  ]);
+  return result.count;
+}
+
+/**
+ * Check that the device session of an access token is still active
+ * Refreshes lastSeenAt at most every SESSION_TOUCH_INTERVAL_MS
+ * @param {string} sessionId - The sid claim of the access token
+ * @returns {Promise<boolean>}
+ */
+async function checkDeviceSession(sessionId) {
+  const session = await prisma.deviceSession.findUnique({
+    where: { id: sessionId },
+  });
+
+  if (!session || session.revokedAt) {
+    return false;
+  }
+
+  if (Date.now() - session.lastSeenAt.getTime() > SESSION_TOUCH_INTERVAL_MS) {
+    await prisma.deviceSession.update({
+      where: { id: sessionId },
+      data: { lastSeenAt: new Date() },
+    });
+  }
+
+  return true;
+}
+
+/**
+ * Exchange a refresh token for a new token pair (rotation)
+ * Presenting an already rotated token is treated as theft and revokes the whole family
+ * @param {string} refreshToken - The plain refresh token
+ * @param {Object} clientInfo - userAgent and ip of the refresh request (see getClientInfo)
+ * @returns {Promise<{token: string, refreshToken: string, user: Object}|{error: string}>}
+ */
+async function rotateRefreshToken(refreshToken, clientInfo = {}) {
+  const stored = await prisma.refreshToken.findUnique({
+    where: { tokenHash: hashToken(refreshToken) },
+    include: { user: true },
+  });
+
+  if (!stored) {
+    return { error: 'invalid' };
+  }
+
+  if (stored.revokedAt) {
+    await revokeTokenFamily(stored.familyId);
+    console.warn(`Refresh token reuse detected for user ${stored.userId}, family ${stored.familyId} revoked`);
+    return { error: 'reused' };
+  }
+
+  if (stored.expiresAt < new Date()) {
+    return { error: 'expired' };
+  }
+
+  const rotated = await prisma.$transaction(async (tx) => {
+    // Only one concurrent request may consume the token
+    const consumed = await tx.refreshToken.updateMany({
+      where: { id: stored.id, revokedAt: null },
+      data: { revokedAt: new Date() },
+    });
+
+    if (consumed.count !== 1) {
+      return null;
+    }
+
+    const next = await createRefreshToken(stored.userId, stored.familyId, tx);
+
+    await tx.refreshToken.update({
+      where: { id: stored.id },
+      data: { replacedById: next.record.id },
+    });
+
+    await tx.deviceSession.updateMany({
+      where: { id: stored.familyId },
+      data: {
+        lastSeenAt: new Date(),
+        expiresAt: next.record.expiresAt,
+        ...(clientInfo.ip && { ip: clientInfo.ip }),
+      },
+    });
+
+    return next.token;
+  });
+
+  if (!rotated) {
+    await revokeTokenFamily(stored.familyId);
+    return { error: 'reused' };
+  }
+
+  return {
+    token: generateAccessToken(stored.user, stored.familyId),
+    refreshToken: rotated,
+    user: stored.user,
+  };
+}
+
+/**
+ * Revoke the family a refresh token belongs to (logout)
+ * @param {string} refreshToken - The plain refresh token
+ * @returns {Promise<boolean>} - True if the token was known
+ */
+async function revokeRefreshToken(refreshToken) {
+  const stored = await prisma.refreshToken.findUnique({
+    where: { tokenHash: hashToken(refreshToken) },
+  });
+
+  if (!stored) {
+    return false;
+  }
+
+  await revokeTokenFamily(stored.familyId);
+  return true;
+}
+
+/**
+ * Revoke every active refresh token and device session of a user (e.g. after a password change)
+ * @param {number} userId - Owner of the tokens
+ * @param {Object} client - Prisma client or transaction client
+ * @returns {Promise<number>} - Number of tokens revoked
+ */
+async function revokeAllUserTokens(userId, client = prisma) {
+  const now = new Date();
+  const result = await client.refreshToken.updateMany({
+    where: { userId, revokedAt: null },
+    data: { revokedAt: now },
+  });
+  await client.deviceSession.updateMany({
+    where: { userId, revokedAt: null },
+    data: { revokedAt: now },
+  });
+  return result.count;
+}
+
+module.exports = {
+  hashToken,
+  generateOpaqueToken,
+  getClientInfo,
+  generateAccessToken,
+  issueAuthTokens,
+  checkDeviceSession,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeTokenFamily,
+  revokeAllUserTokens,
+};
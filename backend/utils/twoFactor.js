@@ -0,0 +1,129 @@
+const crypto = require('crypto');
+const { prisma } = require('../db');
+const { generateToken, verifyToken } = require('./auth');
+const { hashToken } = require('./tokens');
+const { verifyTotp, decryptSecret } = require('./totp');
+
+// Roles that can enroll in two-factor authentication
+const TWO_FACTOR_ROLES = ['profesor', 'admin', 'secretariat'];
+const CHALLENGE_TOKEN_PURPOSE = 'two-factor';
+const DEFAULT_CHALLENGE_EXPIRE = '5m';
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * Check whether the two-factor policy makes enrollment mandatory for a role
+ * @param {string} role - User role
+ * @returns {Promise<boolean>}
+ */
+async function isTwoFactorRequired(role) {
+  if (!TWO_FACTOR_ROLES.includes(role)) {
+    return false;
+  }
+
+  const policy = await prisma.twoFactorPolicy.findUnique({ where: { role } });
+  return Boolean(policy && policy.required);
+}
+
+/**
+ * Normalize a recovery code before hashing (case, spaces and dashes are ignored)
+ * @param {string} code - Recovery code as typed by the user
+ * @returns {string}
+ */
+function normalizeRecoveryCode(code) {
+  return String(code).toLowerCase().replace(/[\s-]/g, '');
+}
+
+/**
+ * Replace the recovery codes of a user with a fresh set
+ * @param {number} userId - User ID
+ * @param {Object} client - Prisma client or transaction client
+ * @returns {Promise<string[]>} - Plain codes, shown to the user once
+ */
+async function generateRecoveryCodes(userId, client = prisma) {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+
+  await client.twoFactorRecoveryCode.deleteMany({ where: { userId } });
+  await client.twoFactorRecoveryCode.createMany({
+    data: codes.map((code) => ({
+      userId,
+      codeHash: hashToken(normalizeRecoveryCode(code)),
+    })),
+  });
+
+  return codes;
+}
+
+/**
+ * Check a second factor for a user with two-factor enabled
+ * A TOTP code is accepted once (replays within the drift window are refused);
+ * a recovery code is consumed when it matches.
+ * @param {Object} user - User record with totpSecret and totpLastUsedStep
+ * @param {string} code - TOTP code or recovery code
+ * @returns {Promise<string|null>} - 'totp', 'recovery', or null if the code is invalid
+ */
+async function verifySecondFactor(user, code) {
+  if (!user.totpSecret || !code) {
+    return null;
+  }
+
+  const step = verifyTotp(decryptSecret(user.totpSecret), code);
+  if (step !== null) {
+    const { count } = await prisma.user.updateMany({
+      where: {
+        id: user.id,
+        OR: [{ totpLastUsedStep: null }, { totpLastUsedStep: { lt: step } }],
+      },
+      data: { totpLastUsedStep: step },
+    });
+    return count === 1 ? 'totp' : null;
+  }
+
+  const { count } = await prisma.twoFactorRecoveryCode.updateMany({
+    where: {
+      userId: user.id,
+      codeHash: hashToken(normalizeRecoveryCode(code)),
+      usedAt: null,
+    },
+    data: { usedAt: new Date() },
+  });
+
+  return count === 1 ? 'recovery' : null;
+}
+
+/**
+ * Issue the short-lived token that links the password step to the code step of a login
+ * @param {Object} user - User record
+ * @returns {string} - Signed JWT, rejected by authMiddleware
+ */
+function createChallengeToken(user) {
+  return generateToken(
+    { userId: user.id, purpose: CHALLENGE_TOKEN_PURPOSE },
+    process.env.JWT_SECRET,
+    process.env.TWO_FACTOR_CHALLENGE_EXPIRE || DEFAULT_CHALLENGE_EXPIRE
+  );
+}
+
+/**
+ * Verify a login challenge token
+ * @param {string} challengeToken - Token returned by the password step
+ * @returns {number|null} - User ID, or null if the token is invalid or expired
+ */
+function verifyChallengeToken(challengeToken) {
+  const decoded = verifyToken(challengeToken, process.env.JWT_SECRET);
+  if (!decoded || decoded.purpose !== CHALLENGE_TOKEN_PURPOSE) {
+    return null;
+  }
+  return decoded.userId;
+}
+
+module.exports = {
+  TWO_FACTOR_ROLES,
+  isTwoFactorRequired,
+  generateRecoveryCodes,
+  verifySecondFactor,
+  createChallengeToken,
+  verifyChallengeToken,
+};
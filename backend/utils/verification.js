@@ -0,0 +1,197 @@
+const { prisma } = require('../db');
+const { hashToken, generateOpaqueToken } = require('./tokens');
+const { sendMail, buildFrontendLink } = require('./mailer');
+
+const DEFAULT_EMAIL_VERIFICATION_EXPIRE_HOURS = 48;
+
+/**
+ * Create a new email verification token and email the link to the user
+ * Previously issued links of the user stop working
+ * @param {Object} user - User record with id and email
+ * @returns {Promise<void>}
+ */
+async function sendVerificationEmail(user) {
+  const token = generateOpaqueToken();
+  const expireHours =
+    parseInt(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS) || DEFAULT_EMAIL_VERIFICATION_EXPIRE_HOURS;
+  const expiresAt = new Date(Date.now() + expireHours * 60 * 60 * 1000);
+
+  await prisma.$transaction(async (tx) => {
+    await tx.emailVerificationToken.updateMany({
+      where: { userId: user.id, usedAt: null },
+      data: { usedAt: new Date() },
+    });
+
+    await tx.emailVerificationToken.create({
+      data: {
+        userId: user.id,
+        tokenHash: hashToken(token),
+        expiresAt,
+      },
+    });
+  });
+
+  const verifyLink = buildFrontendLink('/verify-email', { token });
+
+  await sendMail({
+    to: user.email,
+    subject: 'eDissertation - Confirm your email address',
+    text: [
+      'Welcome to eDissertation!',
+      '',
+      `Please confirm your email address by opening the following link (valid for ${expireHours} hours):`,
+      verifyLink,
+      '',
+      'Until your address is confirmed you can browse the platform but cannot submit or review applications.',
+    ].join('\n'),
+  });
+}
+
+/**
+ * Consume a verification token and mark the owner's email as verified
+ * @param {string} token - The plain verification token
+ * @returns {Promise<Object|null>} - The verified user, or null if the token is invalid, used or expired
+ */
+async function verifyEmailToken(token) {
+  const verificationToken = await prisma.emailVerificationToken.findUnique({
+    where: { tokenHash: hashToken(token) },
+  });
+
+  if (!verificationToken || verificationToken.usedAt || verificationToken.expiresAt < new Date()) {
+    return null;
+  }
+
+  return prisma.$transaction(async (tx) => {
+    const consumed = await tx.emailVerificationToken.updateMany({
+      where: { id: verificationToken.id, usedAt: null },
+      data: { usedAt: new Date() },
+    });
+
+    if (consumed.count !== 1) {
+      return null;
+    }
+
+    return tx.user.update({
+      where: { id: verificationToken.userId },
+      data: { emailVerifiedAt: new Date() },
+    });
+  });
+}
+
+/**
+ * Start an email change: mail a confirmation link to the new address and warn the old one
+ * The address only changes once the link is opened; earlier pending requests are cancelled
+ * @param {Object} user - User record with id and email
+ * @param {string} newEmail - Requested address
+ * @returns {Promise<Object>} - The pending EmailChangeRequest record
+ */
+async function requestEmailChange(user, newEmail) {
+  const token = generateOpaqueToken();
+  const expireHours =
+    parseInt(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS) || DEFAULT_EMAIL_VERIFICATION_EXPIRE_HOURS;
+  const expiresAt = new Date(Date.now() + expireHours * 60 * 60 * 1000);
+
+  const request = await prisma.$transaction(async (tx) => {
+    await tx.emailChangeRequest.updateMany({
+      where: { userId: user.id, usedAt: null },
+      data: { usedAt: new Date() },
+    });
+
+    return tx.emailChangeRequest.create({
+      data: {
+        userId: user.id,
+        newEmail,
+        tokenHash: hashToken(token),
+        expiresAt,
+      },
+    });
+  });
+
+  const confirmLink = buildFrontendLink('/confirm-email-change', { token });
+
+  await sendMail({
+    to: newEmail,
+    subject: 'eDissertation - Confirm your new email address',
+    text: [
+      'A request was made to use this address for your eDissertation account.',
+      '',
+      `Confirm the change by opening the following link (valid for ${expireHours} hours):`,
+      confirmLink,
+      '',
+      'If you did not request this change, you can ignore this email.',
+    ].join('\n'),
+  });
+
+  await sendMail({
+    to: user.email,
+    subject: 'eDissertation - Email change requested',
+    text: [
+      `A request was made to change the email address of your eDissertation account to ${newEmail}.`,
+      '',
+      'The change only takes effect once it is confirmed from the new address.',
+      'If you did not request it, change your password immediately.',
+    ].join('\n'),
+  });
+
+  return request;
+}
+
+/**
+ * Consume an email change token and move the account to the new address
+ * The new address counts as verified since the link was delivered to it
+ * @param {string} token - The plain confirmation token
+ * @returns {Promise<{user?: Object, error?: string}>} - Updated user, or error 'invalid' / 'taken'
+ */
+async function confirmEmailChange(token) {
+  const request = await prisma.emailChangeRequest.findUnique({
+    where: { tokenHash: hashToken(token) },
+  });
+
+  if (!request || request.usedAt || request.expiresAt < new Date()) {
+    return { error: 'invalid' };
+  }
+
+  const existingUser = await prisma.user.findUnique({
+    where: { email: request.newEmail },
+  });
+
+  if (existingUser) {
+    return { error: 'taken' };
+  }
+
+  try {
+    const user = await prisma.$transaction(async (tx) => {
+      const consumed = await tx.emailChangeRequest.updateMany({
+        where: { id: request.id, usedAt: null },
+        data: { usedAt: new Date() },
+      });
+
+      if (consumed.count !== 1) {
+        return null;
+      }
+
+      return tx.user.update({
+        where: { id: request.userId },
+        data: {
+          email: request.newEmail,
+          emailVerifiedAt: new Date(),
+        },
+      });
+    });
+
+    return user ? { user } : { error: 'invalid' };
+  } catch (error) {
+    // Unique constraint: the address was registered after the check above
+    if (error.code === 'P2002') {
+      return { error: 'taken' };
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  sendVerificationEmail,
+  verifyEmailToken,
+  requestEmailChange,
+  confirmEmailChange,
+};
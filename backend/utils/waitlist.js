@@ -0,0 +1,164 @@
+const { prisma } = require('../db');
+const { sendMail, buildFrontendLink } = require('./mailer');
+const { recordStatusChange } = require('./applicationHistory');
+const { targetStatus, transitionWhere } = require('./applicationStateMachine');
+const { withCapacityLock } = require('./capacityLock');
+const { getReservationEnd, getSessionCapacities } = require('./capacity');
+
+/**
+ * Whether a new application to the session has to join the waitlist
+ * Either no seat is free (see getSessionCapacities) or other students are already waiting
+ * @param {number} sesiuneId - Session ID
+ * @param {Object} client - Prisma client or transaction client
+ * @returns {Promise<boolean>}
+ */
+async function mustJoinWaitlist(sesiuneId, client = prisma) {
+  const capacity = (await getSessionCapacities([sesiuneId], client))[sesiuneId];
+  return capacity.freeSeats <= 0 || capacity.waitlistCount > 0;
+}
+
+/**
+ * 1-based position of a waitlisted application in its session's queue (first come, first served)
+ * Applications renewed after a withdrawal queue from their new submission date
+ * @param {Object} application - Application with id, sesiuneId and createdAt
+ * @returns {Promise<number>}
+ */
+async function getWaitlistPosition(application) {
+  return prisma.cerereDisertatie.count({
+    where: {
+      sesiuneId: application.sesiuneId,
+      status: 'waitlisted',
+      OR: [
+        { createdAt: { lt: application.createdAt } },
+        { createdAt: application.createdAt, id: { lte: application.id } },
+      ],
+    },
+  });
+}
+
+/**
+ * Move waitlisted applications of a session back to review when seats free up
+ * As many are promoted as the session has free seats (see getSessionCapacities), first come, first served.
+ * The session is locked meanwhile, so a concurrent submission cannot take the same seat
+ * Promoted students are notified by email
+ * @param {number} sesiuneId - Session ID
+ * @returns {Promise<Object[]>} - Promoted applications
+ */
+async function promoteFromWaitlist(sesiuneId) {
+  const session = await prisma.sesiuneInscriere.findUnique({
+    where: { id: sesiuneId },
+    include: {
+      profesor: { select: { nume: true, prenume: true } },
+    },
+  });
+
+  if (!session || session.dataSfarsit < new Date()) {
+    return [];
+  }
+
+  const promoted = await withCapacityLock({ sesiuneIds: [sesiuneId] }, async (tx) => {
+    const capacity = (await getSessionCapacities([sesiuneId], tx))[sesiuneId];
+    if (capacity.freeSeats <= 0) {
+      return [];
+    }
+
+    const candidates = await tx.cerereDisertatie.findMany({
+      where: { sesiuneId, status: 'waitlisted' },
+      include: {
+        student: {
+          include: { user: { select: { email: true } } },
+        },
+      },
+      orderBy: [{ createdAt: 'asc' }, { id: 'asc' }],
+      take: capacity.freeSeats,
+    });
+
+    const moved = [];
+    for (const application of candidates) {
+      // Skip applications that changed meanwhile (e.g. auto-rejected by another approval)
+      const result = await tx.cerereDisertatie.updateMany({
+        where: { id: application.id, ...transitionWhere('promote') },
+        data: {
+          status: targetStatus('promote'),
+          rezervatPanaLa: getReservationEnd(),
+        },
+      });
+
+      if (result.count === 1) {
+        await recordStatusChange(tx, {
+          cerereId: application.id,
+          statusAnterior: 'waitlisted',
+          statusNou: 'pending',
+          motiv: 'A place opened up in the session',
+        });
+        moved.push(application);
+      }
+    }
+
+    return moved;
+  });
+
+  for (const application of promoted) {
+    console.log(`Application ${application.id} promoted from the waitlist of session ${sesiuneId}`);
+
+    try {
+      await sendMail({
+        to: application.student.user.email,
+        subject: 'eDissertation - A place opened up in a session you are waiting for',
+        text: [
+          `Hello ${application.student.prenume},`,
+          '',
+          `A place opened up in the session of Prof. ${session.profesor.prenume} ${session.profesor.nume}.`,
+          'Your application has left the waitlist and is now pending review by the professor.',
+          '',
+          `Follow its status on your dashboard: ${buildFrontendLink('/student/dashboard')}`,
+        ].join('\n'),
+      });
+    } catch (mailError) {
+      console.error('Waitlist promotion email error:', mailError);
+    }
+  }
+
+  return promoted;
+}
+
+/**
+ * Promote the waitlists of every running manual session with students waiting
+ * Picks up seats no decision released, e.g. lapsed reservations (SEAT_RESERVATION_HOURS) or a raised limit.
+ * A failing session is logged and does not stop the others
+ * @param {Object} [where] - Extra session filter, e.g. { profesorId }
+ * @returns {Promise<{promoted: number, errors: Object[]}>}
+ */
+async function promoteWaitingSessions(where = {}) {
+  const now = new Date();
+  const sessions = await prisma.sesiuneInscriere.findMany({
+    where: {
+      ...where,
+      modAlocare: 'manual',
+      dataInceput: { lte: now },
+      dataSfarsit: { gte: now },
+      cerereDisertatie: { some: { status: 'waitlisted' } },
+    },
+    select: { id: true },
+    orderBy: { id: 'asc' },
+  });
+
+  const result = { promoted: 0, errors: [] };
+  for (const session of sessions) {
+    try {
+      result.promoted += (await promoteFromWaitlist(session.id)).length;
+    } catch (error) {
+      console.error(`Failed to promote the waitlist of session ${session.id}`, error);
+      result.errors.push({ sessionId: session.id, error: error.message });
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  mustJoinWaitlist,
+  getWaitlistPosition,
+  promoteFromWaitlist,
+  promoteWaitingSessions,
+};
@@ -2,8 +2,16 @@ import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-d
 import { Box } from '@chakra-ui/react'
 import LoginPage from './pages/LoginPage'
 import RegisterPage from './pages/RegisterPage'
+import ForgotPasswordPage from './pages/ForgotPasswordPage'
+import ResetPasswordPage from './pages/ResetPasswordPage'
+import VerifyEmailPage from './pages/VerifyEmailPage'
 import StudentDashboard from './pages/StudentDashboard'
 import ProfesorDashboard from './pages/ProfesorDashboard'
+import AdminDashboard from './pages/AdminDashboard'
+import SecurityPage from './pages/SecurityPage'
+import ProfilePage from './pages/ProfilePage'
+import ConfirmEmailChangePage from './pages/ConfirmEmailChangePage'
+import SsoCallbackPage from './pages/SsoCallbackPage'
 
 function App() {
   return (
@@ -12,8 +20,16 @@ function App() {
         <Routes>
           <Route path="/login" element={<LoginPage />} />
           <Route path="/register" element={<RegisterPage />} />
+          <Route path="/forgot-password" element={<ForgotPasswordPage />} />
+          <Route path="/reset-password" element={<ResetPasswordPage />} />
+          <Route path="/verify-email" element={<VerifyEmailPage />} />
+          <Route path="/confirm-email-change" element={<ConfirmEmailChangePage />} />
+          <Route path="/sso/callback" element={<SsoCallbackPage />} />
           <Route path="/student/dashboard" element={<StudentDashboard />} />
           <Route path="/profesor/dashboard" element={<ProfesorDashboard />} />
+          <Route path="/admin/dashboard" element={<AdminDashboard />} />
+          <Route path="/profile" element={<ProfilePage />} />
+          <Route path="/security" element={<SecurityPage />} />
           <Route path="/" element={<Navigate to="/login" replace />} />
         </Routes>
       </Box>
@@ -0,0 +1,187 @@
+import { useEffect, useState } from 'react'
+import {
+  Alert,
+  AlertIcon,
+  Badge,
+  Box,
+  Button,
+  HStack,
+  Modal,
+  ModalBody,
+  ModalCloseButton,
+  ModalContent,
+  ModalFooter,
+  ModalHeader,
+  ModalOverlay,
+  Spinner,
+  Text,
+  VStack,
+  useToast,
+} from '@chakra-ui/react'
+import profesorService from '../services/profesorService'
+
+/**
+ * ApplicantRankingModal Component
+ * Shows the pending applicants of a stable-matching session in ranking order
+ * and lets the professor reorder them when the session is ranked manually
+ */
+export const ApplicantRankingModal = ({ session, isOpen, onClose }) => {
+  const toast = useToast()
+  const [applicants, setApplicants] = useState([])
+  const [criterion, setCriterion] = useState('manual')
+  const [isLoading, setIsLoading] = useState(false)
+  const [isSaving, setIsSaving] = useState(false)
+  const [isChanged, setIsChanged] = useState(false)
+
+  useEffect(() => {
+    if (isOpen && session) {
+      loadRanking()
+    }
+  }, [isOpen, session])
+
+  const loadRanking = async () => {
+    try {
+      setIsLoading(true)
+      const response = await profesorService.getRanking(session.id)
+      setApplicants(response.data?.applicants || [])
+      setCriterion(response.data?.criteriuClasament || 'manual')
+      setIsChanged(false)
+    } catch (error) {
+      toast({
+        title: 'Error loading ranking',
+        description: error.message || 'Failed to load ranking',
+        status: 'error',
+        duration: 5,
+        isClosable: true,
+      })
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  /**
+   * Moves an applicant one place up or down in the local ranking
+   * @param {number} index - Current position in the list
+   * @param {number} offset - -1 to move up, 1 to move down
+   */
+  const handleMove = (index, offset) => {
+    const target = index + offset
+    if (target < 0 || target >= applicants.length) return
+
+    const reordered = [...applicants]
+    ;[reordered[index], reordered[target]] = [reordered[target], reordered[index]]
+    setApplicants(reordered)
+    setIsChanged(true)
+  }
+
+  const handleSave = async () => {
+    setIsSaving(true)
+    try {
+      await profesorService.saveRanking(session.id, applicants.map((applicant) => applicant.applicationId))
+      toast({
+        title: 'Ranking saved',
+        status: 'success',
+        duration: 4,
+        isClosable: true,
+      })
+      loadRanking()
+    } catch (error) {
+      toast({
+        title: 'Error saving ranking',
+        description: error.message || 'Failed to save ranking',
+        status: 'error',
+        duration: 5,
+        isClosable: true,
+      })
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  if (!session) {
+    return null
+  }
+
+  const isManual = criterion === 'manual'
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} isCentered size="xl" scrollBehavior="inside">
+      <ModalOverlay />
+      <ModalContent>
+        <ModalHeader>Applicant Ranking - Session #{session.id}</ModalHeader>
+        <ModalCloseButton />
+        <ModalBody>
+          <VStack spacing={4} align="stretch">
+            <Text fontSize="sm" color="gray.600">
+              {isManual
+                ? 'Places in this session are assigned by the stable matching. Order the applicants you prefer first.'
+                : 'Places in this session are assigned by the stable matching, ranking applicants by their grade average.'}
+            </Text>
+
+            {isLoading ? (
+              <HStack>
+                <Spinner size="sm" />
+                <Text>Loading applicants...</Text>
+              </HStack>
+            ) : applicants.length === 0 ? (
+              <Alert status="info" borderRadius="md">
+                <AlertIcon />
+                <Text fontSize="sm">No pending applicants yet.</Text>
+              </Alert>
+            ) : (
+              <VStack spacing={2} align="stretch">
+                {applicants.map((applicant, index) => (
+                  <Box key={applicant.applicationId} p={3} borderWidth={1} borderRadius="md">
+                    <HStack justify="space-between">
+                      <HStack spacing={3}>
+                        <Badge colorScheme="blue" fontSize="md">#{index + 1}</Badge>
+                        <Box>
+                          <Text fontWeight="bold">
+                            {applicant.student.prenume} {applicant.student.nume}
+                          </Text>
+                          <Text fontSize="sm" color="gray.600">
+                            Grade: {applicant.student.medie ?? 'not set'}
+                            {(applicant.titluPropus || applicant.tema) && ` · ${applicant.titluPropus || applicant.tema.titlu}`}
+                          </Text>
+                        </Box>
+                      </HStack>
+                      {isManual && (
+                        <HStack spacing={1}>
+                          <Button size="xs" variant="outline" onClick={() => handleMove(index, -1)} isDisabled={index === 0}>
+                            ↑
+                          </Button>
+                          <Button
+                            size="xs"
+                            variant="outline"
+                            onClick={() => handleMove(index, 1)}
+                            isDisabled={index === applicants.length - 1}
+                          >
+                            ↓
+                          </Button>
+                        </HStack>
+                      )}
+                    </HStack>
+                  </Box>
+                ))}
+              </VStack>
+            )}
+          </VStack>
+        </ModalBody>
+        <ModalFooter>
+          <HStack spacing={3}>
+            <Button variant="outline" onClick={onClose}>
+              Close
+            </Button>
+            {isManual && (
+              <Button colorScheme="blue" onClick={handleSave} isLoading={isSaving} isDisabled={!isChanged}>
+                Save Ranking
+              </Button>
+            )}
+          </HStack>
+        </ModalFooter>
+      </ModalContent>
+    </Modal>
+  )
+}
+
+export default ApplicantRankingModal
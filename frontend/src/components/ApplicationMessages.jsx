@@ -0,0 +1,140 @@
+import { useEffect, useState } from 'react'
+import { Box, Button, HStack, Input, Spinner, Text, Textarea, VStack } from '@chakra-ui/react'
+
+const MESSAGE_MAX_LENGTH = 2000
+
+/**
+ * ApplicationMessages Component
+ * Conversation between the student and the professor on one application, oldest message first
+ * @param {number} applicationId - Application ID
+ * @param {Function} getMessages - Service call returning the messages response for an application ID
+ * @param {Function} sendMessage - Service call posting (applicationId, continut, file)
+ * @param {Function} [onRead] - Called once the thread was loaded, and therefore marked read
+ */
+export const ApplicationMessages = ({ applicationId, getMessages, sendMessage, onRead }) => {
+  const [messages, setMessages] = useState([])
+  const [isLoading, setIsLoading] = useState(true)
+  const [error, setError] = useState('')
+  const [draft, setDraft] = useState('')
+  const [attachment, setAttachment] = useState(null)
+  const [fileInputKey, setFileInputKey] = useState(0)
+  const [isSending, setIsSending] = useState(false)
+
+  useEffect(() => {
+    const loadMessages = async () => {
+      try {
+        setIsLoading(true)
+        const response = await getMessages(applicationId)
+        setMessages(response.data || [])
+        setError('')
+        onRead?.()
+      } catch (err) {
+        setError(err.message || 'Failed to load messages')
+      } finally {
+        setIsLoading(false)
+      }
+    }
+
+    loadMessages()
+  }, [applicationId])
+
+  const handleFileChange = (event) => {
+    const file = event.target.files?.[0]
+    if (file && file.type !== 'application/pdf') {
+      setError('Attachments must be PDF files')
+      setFileInputKey((key) => key + 1)
+      return
+    }
+    setError('')
+    setAttachment(file || null)
+  }
+
+  const handleSend = async () => {
+    if (!draft.trim() && !attachment) {
+      setError('Write a message or attach a file')
+      return
+    }
+
+    setIsSending(true)
+    try {
+      const response = await sendMessage(applicationId, draft.trim(), attachment)
+      setMessages((current) => [...current, response.data])
+      setDraft('')
+      setAttachment(null)
+      setFileInputKey((key) => key + 1)
+      setError('')
+    } catch (err) {
+      setError(err.message || 'Failed to send message')
+    } finally {
+      setIsSending(false)
+    }
+  }
+
+  if (isLoading) {
+    return (
+      <HStack>
+        <Spinner size="sm" />
+        <Text fontSize="sm">Loading messages...</Text>
+      </HStack>
+    )
+  }
+
+  return (
+    <VStack align="stretch" spacing={3}>
+      {messages.length === 0 ? (
+        <Text fontSize="sm" color="gray.600">No messages yet. Ask a question or clarify your proposal here.</Text>
+      ) : (
+        <VStack align="stretch" spacing={2} maxH="320px" overflowY="auto">
+          {messages.map((message) => (
+            <Box
+              key={message.id}
+              alignSelf={message.own ? 'flex-end' : 'flex-start'}
+              maxW="80%"
+              p={3}
+              borderRadius="md"
+              bg={message.own ? 'blue.50' : 'gray.100'}
+            >
+              <Text fontSize="xs" color="gray.600">
+                {message.own ? 'You' : message.autor?.name || 'Deleted user'} · {new Date(message.createdAt).toLocaleString()}
+              </Text>
+              {message.continut && (
+                <Text fontSize="sm" whiteSpace="pre-wrap">{message.continut}</Text>
+              )}
+              {message.fisierUrl && (
+                <Button
+                  mt={1}
+                  size="xs"
+                  variant="link"
+                  colorScheme="blue"
+                  as="a"
+                  href={`http://localhost:3000${message.fisierUrl}`}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                >
+                  📎 {message.fisierNume || 'Attachment'}
+                </Button>
+              )}
+            </Box>
+          ))}
+        </VStack>
+      )}
+
+      <Textarea
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        placeholder="Write a message..."
+        maxLength={MESSAGE_MAX_LENGTH}
+        rows={3}
+      />
+      <HStack justify="space-between">
+        <Input key={fileInputKey} type="file" accept=".pdf" size="sm" maxW="260px" p={1} onChange={handleFileChange} />
+        <Button size="sm" colorScheme="blue" onClick={handleSend} isLoading={isSending}>
+          Send
+        </Button>
+      </HStack>
+      {error && <Text fontSize="sm" color="red.500">{error}</Text>}
+    </VStack>
+  )
+}
+
+export default ApplicationMessages
@@ -0,0 +1,81 @@
+import { useEffect, useState } from 'react'
+import { Badge, Box, HStack, Spinner, Text, VStack } from '@chakra-ui/react'
+import { STATUS_COLORS, STATUS_LABELS } from '../utils/applicationStatus'
+
+/**
+ * ApplicationTimeline Component
+ * Renders the status history of an application, oldest change first
+ * @param {number} applicationId - Application ID
+ * @param {Function} getHistory - Service call returning the history response for an application ID
+ */
+export const ApplicationTimeline = ({ applicationId, getHistory }) => {
+  const [history, setHistory] = useState([])
+  const [isLoading, setIsLoading] = useState(true)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    const loadHistory = async () => {
+      try {
+        setIsLoading(true)
+        const response = await getHistory(applicationId)
+        setHistory(response.data || [])
+        setError('')
+      } catch (err) {
+        setError(err.message || 'Failed to load history')
+      } finally {
+        setIsLoading(false)
+      }
+    }
+
+    loadHistory()
+  }, [applicationId])
+
+  if (isLoading) {
+    return (
+      <HStack>
+        <Spinner size="sm" />
+        <Text fontSize="sm">Loading history...</Text>
+      </HStack>
+    )
+  }
+
+  if (error) {
+    return <Text fontSize="sm" color="red.500">{error}</Text>
+  }
+
+  if (history.length === 0) {
+    return <Text fontSize="sm" color="gray.600">No status changes recorded.</Text>
+  }
+
+  return (
+    <VStack align="stretch" spacing={0}>
+      {history.map((entry, index) => (
+        <HStack key={entry.id} align="stretch" spacing={3}>
+          <VStack spacing={0} align="center" w="12px">
+            <Box w="10px" h="10px" mt={1} borderRadius="full" bg={`${STATUS_COLORS[entry.statusNou] || 'gray'}.400`} />
+            {index < history.length - 1 && <Box flex={1} w="2px" bg="gray.200" />}
+          </VStack>
+          <Box pb={3}>
+            <HStack spacing={2}>
+              {entry.statusAnterior && (
+                <>
+                  <Badge colorScheme={STATUS_COLORS[entry.statusAnterior] || 'gray'} variant="outline">
+                    {STATUS_LABELS[entry.statusAnterior] || entry.statusAnterior}
+                  </Badge>
+                  <Text fontSize="sm">→</Text>
+                </>
+              )}
+              <Badge colorScheme={STATUS_COLORS[entry.statusNou] || 'gray'}>{STATUS_LABELS[entry.statusNou] || entry.statusNou}</Badge>
+            </HStack>
+            <Text fontSize="xs" color="gray.600">
+              {new Date(entry.createdAt).toLocaleString()} · {entry.actor ? `${entry.actor.name} (${entry.actor.role})` : 'automatic'}
+            </Text>
+            {entry.motiv && <Text fontSize="sm" color="gray.700">{entry.motiv}</Text>}
+          </Box>
+        </HStack>
+      ))}
+    </VStack>
+  )
+}
+
+export default ApplicationTimeline
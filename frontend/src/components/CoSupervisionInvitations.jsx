@@ -0,0 +1,98 @@
+import { useEffect, useState } from 'react'
+import { Alert, AlertIcon, Box, Button, Heading, HStack, Text, VStack } from '@chakra-ui/react'
+
+/**
+ * CoSupervisionInvitations Component
+ * Open invitations to co-supervise other professors' students, with accept and decline
+ * Renders nothing while there are none
+ * @param {Function} getCoSupervisions - Service call returning the invitations for a status
+ * @param {Function} respondToCoSupervision - Service call patching (invitationId, accept)
+ * @param {Function} [onResponded] - Called after an invitation was accepted or declined
+ */
+export const CoSupervisionInvitations = ({ getCoSupervisions, respondToCoSupervision, onResponded }) => {
+  const [invitations, setInvitations] = useState([])
+  const [error, setError] = useState('')
+  const [respondingId, setRespondingId] = useState(null)
+
+  const loadInvitations = async () => {
+    try {
+      const response = await getCoSupervisions('invited')
+      setInvitations(response.data || [])
+    } catch (err) {
+      setError(err.message || 'Failed to load co-supervision invitations')
+    }
+  }
+
+  useEffect(() => {
+    loadInvitations()
+  }, [])
+
+  const handleRespond = async (invitationId, accept) => {
+    setRespondingId(invitationId)
+    try {
+      await respondToCoSupervision(invitationId, accept)
+      setError('')
+      await loadInvitations()
+      onResponded?.()
+    } catch (err) {
+      setError(err.message || 'Failed to answer the invitation')
+    } finally {
+      setRespondingId(null)
+    }
+  }
+
+  if (invitations.length === 0 && !error) {
+    return null
+  }
+
+  return (
+    <Box>
+      <Heading size="lg" mb={4}>Co-supervision Invitations ({invitations.length})</Heading>
+      {error && (
+        <Alert status="error" borderRadius="md" mb={4}>
+          <AlertIcon />
+          <Text>{error}</Text>
+        </Alert>
+      )}
+      <VStack spacing={3} align="stretch">
+        {invitations.map((invitation) => (
+          <Box key={invitation.id} borderWidth={1} borderRadius="lg" p={4} bg="yellow.50" borderColor="yellow.300">
+            <HStack justify="space-between" align="flex-start">
+              <Box>
+                <Text fontWeight="bold">
+                  {invitation.application.student.prenume} {invitation.application.student.nume}
+                </Text>
+                <Text fontSize="sm">
+                  {invitation.application.titluFinal || invitation.application.titluPropus || 'No title yet'}
+                </Text>
+                <Text fontSize="sm" color="gray.600">
+                  Supervised by Prof. {invitation.application.profesor.prenume} {invitation.application.profesor.nume}
+                </Text>
+              </Box>
+              <HStack>
+                <Button
+                  size="sm"
+                  colorScheme="green"
+                  onClick={() => handleRespond(invitation.id, true)}
+                  isLoading={respondingId === invitation.id}
+                >
+                  Accept
+                </Button>
+                <Button
+                  size="sm"
+                  variant="outline"
+                  onClick={() => handleRespond(invitation.id, false)}
+                  isDisabled={respondingId === invitation.id}
+                >
+                  Decline
+                </Button>
+              </HStack>
+            </HStack>
+          </Box>
+        ))}
+      </VStack>
+    </Box>
+  )
+}
+
+export default CoSupervisionInvitations
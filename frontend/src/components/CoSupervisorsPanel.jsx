@@ -0,0 +1,97 @@
+import { useState } from 'react'
+import { Badge, Button, HStack, Input, Text, VStack } from '@chakra-ui/react'
+
+const CO_SUPERVISION_COLORS = {
+  invited: 'yellow',
+  accepted: 'green',
+  declined: 'gray',
+}
+
+/**
+ * CoSupervisorsPanel Component
+ * Co-supervisors of an approved application, with inviting by email and removing
+ * @param {Object} application - Application with id and coSupervisors
+ * @param {Function} inviteCoSupervisor - Service call posting (applicationId, email)
+ * @param {Function} removeCoSupervisor - Service call deleting (applicationId, profesorId)
+ * @param {Function} [onChange] - Called after an invitation was sent or a co-supervisor removed
+ */
+export const CoSupervisorsPanel = ({ application, inviteCoSupervisor, removeCoSupervisor, onChange }) => {
+  const [email, setEmail] = useState('')
+  const [error, setError] = useState('')
+  const [isSaving, setIsSaving] = useState(false)
+
+  const coSupervisors = application.coSupervisors || []
+
+  const handleInvite = async () => {
+    if (!email.trim()) {
+      setError('Enter the email of the professor to invite')
+      return
+    }
+
+    setIsSaving(true)
+    try {
+      await inviteCoSupervisor(application.id, email.trim())
+      setEmail('')
+      setError('')
+      onChange?.()
+    } catch (err) {
+      setError(err.message || 'Failed to invite co-supervisor')
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  const handleRemove = async (profesorId) => {
+    setIsSaving(true)
+    try {
+      await removeCoSupervisor(application.id, profesorId)
+      setError('')
+      onChange?.()
+    } catch (err) {
+      setError(err.message || 'Failed to remove co-supervisor')
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  return (
+    <VStack align="stretch" spacing={2}>
+      {coSupervisors.length === 0 ? (
+        <Text fontSize="sm" color="gray.600">No co-supervisors.</Text>
+      ) : (
+        coSupervisors.map((coSupervisor) => (
+          <HStack key={coSupervisor.id} justify="space-between">
+            <HStack spacing={2}>
+              <Text fontSize="sm">Prof. {coSupervisor.profesor.prenume} {coSupervisor.profesor.nume}</Text>
+              <Badge colorScheme={CO_SUPERVISION_COLORS[coSupervisor.status] || 'gray'}>{coSupervisor.status}</Badge>
+            </HStack>
+            <Button
+              size="xs"
+              variant="ghost"
+              colorScheme="red"
+              onClick={() => handleRemove(coSupervisor.profesorId)}
+              isDisabled={isSaving}
+            >
+              Remove
+            </Button>
+          </HStack>
+        ))
+      )}
+      <HStack>
+        <Input
+          size="sm"
+          type="email"
+          placeholder="Professor email"
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+        />
+        <Button size="sm" colorScheme="blue" onClick={handleInvite} isLoading={isSaving}>
+          Invite
+        </Button>
+      </HStack>
+      {error && <Text fontSize="sm" color="red.500">{error}</Text>}
+    </VStack>
+  )
+}
+
+export default CoSupervisorsPanel
@@ -0,0 +1,57 @@
+import { useState } from 'react'
+import { Alert, AlertIcon, Box, Button, Text, useToast } from '@chakra-ui/react'
+import authService from '../services/authService'
+
+/**
+ * EmailVerificationBanner Component
+ * Reminds users with an unverified email address to confirm it and lets them request a new link
+ */
+export const EmailVerificationBanner = ({ user }) => {
+  const toast = useToast()
+  const [isSending, setIsSending] = useState(false)
+
+  if (!user || user.emailVerifiedAt) {
+    return null
+  }
+
+  const handleResend = async () => {
+    setIsSending(true)
+    try {
+      const response = await authService.resendVerification()
+      toast({
+        title: 'Verification email sent',
+        description: response.message,
+        status: 'success',
+        duration: 4,
+        isClosable: true,
+      })
+    } catch (error) {
+      toast({
+        title: 'Could not send verification email',
+        description: error.response?.data?.message || error.message,
+        status: 'error',
+        duration: 5,
+        isClosable: true,
+      })
+    } finally {
+      setIsSending(false)
+    }
+  }
+
+  return (
+    <Alert status="warning" borderRadius="md">
+      <AlertIcon />
+      <Box flex="1">
+        <Text fontWeight="bold">Please verify your email address</Text>
+        <Text fontSize="sm">
+          We sent a confirmation link to {user.email}. Until it is confirmed you can browse but not submit or review applications.
+        </Text>
+      </Box>
+      <Button size="sm" colorScheme="orange" onClick={handleResend} isLoading={isSending}>
+        Resend Link
+      </Button>
+    </Alert>
+  )
+}
+
+export default EmailVerificationBanner
@@ -0,0 +1,256 @@
+import { useEffect, useState } from 'react'
+import {
+  Alert,
+  AlertIcon,
+  Badge,
+  Box,
+  Button,
+  FormControl,
+  FormLabel,
+  HStack,
+  Input,
+  Modal,
+  ModalBody,
+  ModalCloseButton,
+  ModalContent,
+  ModalFooter,
+  ModalHeader,
+  ModalOverlay,
+  Spinner,
+  Text,
+  Textarea,
+  VStack,
+  useToast,
+} from '@chakra-ui/react'
+import profesorService from '../services/profesorService'
+
+const EMPTY_TOPIC = { titlu: '', descriere: '', competente: '', limitaStudenti: '' }
+
+/**
+ * SessionTopicsModal Component
+ * Lets a professor list, add, edit and delete the dissertation topics of a session
+ */
+export const SessionTopicsModal = ({ session, isOpen, onClose }) => {
+  const toast = useToast()
+  const [topics, setTopics] = useState([])
+  const [isLoading, setIsLoading] = useState(false)
+  const [isSaving, setIsSaving] = useState(false)
+  const [editingTopicId, setEditingTopicId] = useState(null)
+  const [form, setForm] = useState(EMPTY_TOPIC)
+  const [formError, setFormError] = useState('')
+
+  useEffect(() => {
+    if (isOpen && session) {
+      resetForm()
+      loadTopics()
+    }
+  }, [isOpen, session])
+
+  const loadTopics = async () => {
+    try {
+      setIsLoading(true)
+      const response = await profesorService.getTopics(session.id)
+      setTopics(response.data || [])
+    } catch (error) {
+      toast({
+        title: 'Error loading topics',
+        description: error.message || 'Failed to load topics',
+        status: 'error',
+        duration: 5,
+        isClosable: true,
+      })
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  const resetForm = () => {
+    setEditingTopicId(null)
+    setForm(EMPTY_TOPIC)
+    setFormError('')
+  }
+
+  const handleChange = (e) => {
+    const { name, value } = e.target
+    setForm((prev) => ({ ...prev, [name]: value }))
+  }
+
+  const handleEdit = (topic) => {
+    setEditingTopicId(topic.id)
+    setForm({
+      titlu: topic.titlu,
+      descriere: topic.descriere || '',
+      competente: topic.competente || '',
+      limitaStudenti: String(topic.limitaStudenti),
+    })
+    setFormError('')
+  }
+
+  /**
+   * Creates a new topic or saves the one being edited
+   */
+  const handleSave = async () => {
+    if (!form.titlu.trim() || !form.limitaStudenti) {
+      setFormError('Title and student limit are required')
+      return
+    }
+
+    const data = {
+      titlu: form.titlu.trim(),
+      descriere: form.descriere,
+      competente: form.competente,
+      limitaStudenti: parseInt(form.limitaStudenti),
+    }
+
+    setIsSaving(true)
+    setFormError('')
+    try {
+      if (editingTopicId) {
+        await profesorService.updateTopic(session.id, editingTopicId, data)
+      } else {
+        await profesorService.createTopic(session.id, data)
+      }
+      resetForm()
+      loadTopics()
+    } catch (error) {
+      setFormError(error.message || 'Failed to save topic')
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  const handleDelete = async (topicId) => {
+    try {
+      await profesorService.deleteTopic(session.id, topicId)
+      if (editingTopicId === topicId) {
+        resetForm()
+      }
+      loadTopics()
+    } catch (error) {
+      toast({
+        title: 'Error deleting topic',
+        description: error.message || 'Failed to delete topic',
+        status: 'error',
+        duration: 5,
+        isClosable: true,
+      })
+    }
+  }
+
+  if (!session) {
+    return null
+  }
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} isCentered size="xl" scrollBehavior="inside">
+      <ModalOverlay />
+      <ModalContent>
+        <ModalHeader>Topics - Session #{session.id}</ModalHeader>
+        <ModalCloseButton />
+        <ModalBody>
+          <VStack spacing={4} align="stretch">
+            <Text fontSize="sm" color="gray.600">
+              Students applying to this session must choose one of these topics. Each topic accepts at most its own
+              number of students, within the session limit of {session.limitaStudenti}.
+            </Text>
+
+            {isLoading ? (
+              <HStack>
+                <Spinner size="sm" />
+                <Text>Loading topics...</Text>
+              </HStack>
+            ) : topics.length === 0 ? (
+              <Alert status="info" borderRadius="md">
+                <AlertIcon />
+                <Text fontSize="sm">No topics yet. Students can apply without choosing a topic.</Text>
+              </Alert>
+            ) : (
+              <VStack spacing={2} align="stretch">
+                {topics.map((topic) => (
+                  <Box key={topic.id} p={3} borderWidth={1} borderRadius="md">
+                    <HStack justify="space-between" align="start">
+                      <Box>
+                        <Text fontWeight="bold">{topic.titlu}</Text>
+                        {topic.descriere && <Text fontSize="sm" color="gray.600">{topic.descriere}</Text>}
+                        {topic.competente && (
+                          <Text fontSize="sm" color="gray.600">Skills: {topic.competente}</Text>
+                        )}
+                      </Box>
+                      <VStack spacing={1} align="end">
+                        <Badge colorScheme={topic.availableSlots > 0 ? 'green' : 'red'}>
+                          {topic.approvedCount} / {topic.limitaStudenti}
+                        </Badge>
+                        <HStack spacing={1}>
+                          <Button size="xs" variant="outline" onClick={() => handleEdit(topic)}>
+                            Edit
+                          </Button>
+                          <Button size="xs" colorScheme="red" variant="outline" onClick={() => handleDelete(topic.id)}>
+                            Delete
+                          </Button>
+                        </HStack>
+                      </VStack>
+                    </HStack>
+                  </Box>
+                ))}
+              </VStack>
+            )}
+
+            <Box borderTop="1px" borderColor="gray.200" pt={4}>
+              <Text fontWeight="bold" mb={3}>{editingTopicId ? 'Edit Topic' : 'New Topic'}</Text>
+              <VStack spacing={3}>
+                {formError && (
+                  <Alert status="error" borderRadius="md">
+                    <AlertIcon />
+                    {formError}
+                  </Alert>
+                )}
+                <FormControl isRequired>
+                  <FormLabel>Title</FormLabel>
+                  <Input name="titlu" value={form.titlu} onChange={handleChange} />
+                </FormControl>
+                <FormControl>
+                  <FormLabel>Description</FormLabel>
+                  <Textarea name="descriere" value={form.descriere} onChange={handleChange} rows={3} />
+                </FormControl>
+                <FormControl>
+                  <FormLabel>Required Skills</FormLabel>
+                  <Input
+                    name="competente"
+                    placeholder="e.g. Python, machine learning"
+                    value={form.competente}
+                    onChange={handleChange}
+                  />
+                </FormControl>
+                <FormControl isRequired>
+                  <FormLabel>Max Students</FormLabel>
+                  <Input
+                    name="limitaStudenti"
+                    type="number"
+                    min={1}
+                    max={session.limitaStudenti}
+                    value={form.limitaStudenti}
+                    onChange={handleChange}
+                  />
+                </FormControl>
+              </VStack>
+            </Box>
+          </VStack>
+        </ModalBody>
+        <ModalFooter>
+          <HStack spacing={3}>
+            {editingTopicId && (
+              <Button variant="outline" onClick={resetForm}>
+                Cancel Edit
+              </Button>
+            )}
+            <Button colorScheme="blue" onClick={handleSave} isLoading={isSaving}>
+              {editingTopicId ? 'Save Topic' : 'Add Topic'}
+            </Button>
+          </HStack>
+        </ModalFooter>
+      </ModalContent>
+    </Modal>
+  )
+}
+
+export default SessionTopicsModal
@@ -1,2 +1,9 @@
 export { InputField } from './InputField'
 export { PrimaryButton } from './PrimaryButton'
+export { EmailVerificationBanner } from './EmailVerificationBanner'
+export { SessionTopicsModal } from './SessionTopicsModal'
+export { ApplicantRankingModal } from './ApplicantRankingModal'
+export { ApplicationTimeline } from './ApplicationTimeline'
+export { ApplicationMessages } from './ApplicationMessages'
+export { CoSupervisorsPanel } from './CoSupervisorsPanel'
+export { CoSupervisionInvitations } from './CoSupervisionInvitations'
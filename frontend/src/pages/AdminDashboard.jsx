@@ -0,0 +1,1295 @@
+import { useEffect, useState } from 'react'
+import { useNavigate } from 'react-router-dom'
+import {
+  Container,
+  VStack,
+  HStack,
+  Heading,
+  Text,
+  Button,
+  Box,
+  Alert,
+  AlertIcon,
+  Spinner,
+  Badge,
+  Divider,
+  Grid,
+  useToast,
+  FormControl,
+  FormLabel,
+  Input,
+  Textarea,
+  Switch,
+  Checkbox,
+  CheckboxGroup,
+  Wrap,
+  WrapItem,
+} from '@chakra-ui/react'
+import authService from '../services/authService'
+import adminService from '../services/adminService'
+
+// Shortest reason accepted when deciding an appeal, as enforced by the backend
+const APPEAL_DECISION_MIN_LENGTH = 10
+
+export const AdminDashboard = () => {
+  const navigate = useNavigate()
+  const toast = useToast()
+
+  const [user, setUser] = useState(null)
+  const [schedulerStatus, setSchedulerStatus] = useState(null)
+  const [isLoadingStatus, setIsLoadingStatus] = useState(true)
+  const [isRunningCleanup, setIsRunningCleanup] = useState(false)
+  const [isRunningExpiry, setIsRunningExpiry] = useState(false)
+  const [lockedAccounts, setLockedAccounts] = useState([])
+  const [twoFactorPolicy, setTwoFactorPolicy] = useState([])
+  const [invitations, setInvitations] = useState([])
+  const [isLoadingInvitations, setIsLoadingInvitations] = useState(true)
+  const [isCreatingInvitation, setIsCreatingInvitation] = useState(false)
+  const [createdInvitation, setCreatedInvitation] = useState(null)
+  const [invitationForm, setInvitationForm] = useState({
+    email: '',
+    limitaStudenti: '',
+    expiresInDays: '14',
+  })
+  const [apiKeys, setApiKeys] = useState([])
+  const [apiKeyScopes, setApiKeyScopes] = useState([])
+  const [isCreatingApiKey, setIsCreatingApiKey] = useState(false)
+  const [createdApiKey, setCreatedApiKey] = useState(null)
+  const [apiKeyForm, setApiKeyForm] = useState({
+    name: '',
+    scopes: [],
+    expiresInDays: '',
+  })
+  const [students, setStudents] = useState([])
+  const [gradeDrafts, setGradeDrafts] = useState({})
+  const [professors, setProfessors] = useState([])
+  const [limitDrafts, setLimitDrafts] = useState({})
+  const [appeals, setAppeals] = useState([])
+  const [appealFilter, setAppealFilter] = useState('open')
+  const [appealReasons, setAppealReasons] = useState({})
+  const [decidingAppealId, setDecidingAppealId] = useState(null)
+  const [allocationRuns, setAllocationRuns] = useState([])
+  const [allocationRun, setAllocationRun] = useState(null)
+  const [isPreviewingAllocation, setIsPreviewingAllocation] = useState(false)
+  const [isCommittingAllocation, setIsCommittingAllocation] = useState(false)
+
+  useEffect(() => {
+    const savedUser = authService.getUser()
+    if (!savedUser) {
+      navigate('/login')
+      return
+    }
+    if (!['admin', 'secretariat'].includes(savedUser.role)) {
+      navigate(authService.getDashboardPath(savedUser.role))
+      return
+    }
+    setUser(savedUser)
+
+    if (savedUser.role === 'admin') {
+      loadSchedulerStatus()
+      loadLockedAccounts()
+      loadTwoFactorPolicy()
+      loadApiKeys()
+      loadAllocationRuns()
+    }
+    loadInvitations()
+    loadStudents()
+    loadProfessors()
+    loadAppeals('open')
+  }, [navigate])
+
+  const loadInvitations = async () => {
+    try {
+      setIsLoadingInvitations(true)
+      const response = await adminService.getInvitations()
+      if (response.success) {
+        setInvitations(response.data || [])
+      }
+    } catch (error) {
+      toast({
+        title: 'Error loading invitations',
+        description: error.message || 'Failed to load invitations',
+        status: 'error',
+        duration: 5,
+        isClosable: true,
+      })
+    } finally {
+      setIsLoadingInvitations(false)
+    }
+  }
+
+  const handleInvitationChange = (e) => {
+    const { name, value } = e.target
+    setInvitationForm((prev) => ({
+      ...prev,
+      [name]: value,
+    }))
+  }
+
+  /**
+   * Issues a professor invitation and shows its one-time code
+   */
+  const handleCreateInvitation = async () => {
+    if (!invitationForm.email || !invitationForm.limitaStudenti) {
+      toast({
+        title: 'Missing fields',
+        description: 'Email and student limit are required',
+        status: 'error',
+        duration: 4,
+        isClosable: true,
+      })
+      return
+    }
+
+    setIsCreatingInvitation(true)
+    try {
+      const response = await adminService.createInvitation(
+        invitationForm.email,
+        parseInt(invitationForm.limitaStudenti),
+        parseInt(invitationForm.expiresInDays)
+      )
+      if (response.success) {
+        setCreatedInvitation(response.data)
+        setInvitationForm({ email: '', limitaStudenti: '', expiresInDays: '14' })
+        loadInvitations()
+      }
+    } catch (error) {
+      toast({
+        title: 'Error creating invitation',
+        description: error.message || 'Failed to create invitation',
+        status: 'error',
+        duration: 5,
+        isClosable: true,
+      })
+    } finally {
+      setIsCreatingInvitation(false)
+    }
+  }
+
+  const handleRevokeInvitation = async (invitationId) => {
+    try {
+      await adminService.revokeInvitation(invitationId)
+      loadInvitations()
+    } catch (error) {
+      toast({
+        title: 'Error revoking invitation',
+        description: error.message || 'Failed to revoke invitation',
+        status: 'error',
+        duration: 5,
+        isClosable: true,
+      })
+    }
+  }
+
+  /**
+   * Returns the Chakra UI color scheme for an invitation or API key status
+   * @param {string} status - active, used, expired or revoked
+   * @returns {string} The color scheme name
+   */
+  const getStatusColor = (status) => {
+    switch (status) {
+      case 'active':
+        return 'green'
+      case 'used':
+        return 'blue'
+      case 'expired':
+        return 'orange'
+      default:
+        return 'gray'
+    }
+  }
+
+  const loadApiKeys = async () => {
+    try {
+      const [keysResponse, scopesResponse] = await Promise.all([
+        adminService.getApiKeys(),
+        adminService.getApiKeyScopes(),
+      ])
+      setApiKeys(keysResponse.data || [])
+      setApiKeyScopes(scopesResponse.data || [])
+    } catch (error) {
+      toast({
+        title: 'Error loading API keys',
+        description: error.message || 'Failed to load API keys',
+        status: 'error',
+        duration: 5,
+        isClosable: true,
+      })
+    }
+  }
+
+  /**
+   * Creates an API key and shows its one-time secret
+   */
+  const handleCreateApiKey = async () => {
+    if (!apiKeyForm.name.trim() || apiKeyForm.scopes.length === 0) {
+      toast({
+        title: 'Missing fields',
+        description: 'Name and at least one scope are required',
+        status: 'error',
+        duration: 4,
+        isClosable: true,
+      })
+      return
+    }
+
+    setIsCreatingApiKey(true)
+    try {
+      const response = await adminService.createApiKey(
+        apiKeyForm.name.trim(),
+        apiKeyForm.scopes,
+        apiKeyForm.expiresInDays ? parseInt(apiKeyForm.expiresInDays) : null
+      )
+      if (response.success) {
+        setCreatedApiKey(response.data)
+        setApiKeyForm({ name: '', scopes: [], expiresInDays: '' })
+        loadApiKeys()
+      }
+    } catch (error) {
+      toast({
+        title: 'Error creating API key',
+        description: error.message || 'Failed to create API key',
+        status: 'error',
+        duration: 5,
+        isClosable: true,
+      })
+    } finally {
+      setIsCreatingApiKey(false)
+    }
+  }
+
+  const handleRevokeApiKey = async (apiKeyId) => {
+    try {
+      await adminService.revokeApiKey(apiKeyId)
+      loadApiKeys()
+    } catch (error) {
+      toast({
+        title: 'Error revoking API key',
+        description: error.message || 'Failed to revoke API key',
+        status: 'error',
+        duration: 5,
+        isClosable: true,
+      })
+    }
+  }
+
+  const loadStudents = async () => {
+    try {
+      const response = await adminService.getStudents()
+      if (response.success) {
+        setStudents(response.data || [])
+        setGradeDrafts({})
+      }
+    } catch (error) {
+      toast({
+        title: 'Error loading students',
+        description: error.message || 'Failed to load students',
+        status: 'error',
+        duration: 5,
+        isClosable: true,
+      })
+    }
+  }
+
+  /**
+   * Saves the edited grade average of a student (an empty value clears it)
+   * @param {number} studentId - Student ID
+   */
+  const handleSaveGrade = async (studentId) => {
+    const draft = gradeDrafts[studentId]
+    try {
+      await adminService.updateStudentGrade(studentId, draft === '' ? null : parseFloat(draft))
+      toast({
+        title: 'Grade saved',
+        status: 'success',
+        duration: 3,
+        isClosable: true,
+      })
+      loadStudents()
+    } catch (error) {
+      toast({
+        title: 'Error saving grade',
+        description: error.message || 'Failed to save grade',
+        status: 'error',
+        duration: 5,
+        isClosable: true,
+      })
+    }
+  }
+
+  const loadProfessors = async () => {
+    try {
+      const response = await adminService.getProfessors()
+      if (response.success) {
+        setProfessors(response.data || [])
+        setLimitDrafts({})
+      }
+    } catch (error) {
+      toast({
+        title: 'Error loading professors',
+        description: error.message || 'Failed to load professors',
+        status: 'error',
+        duration: 5,
+        isClosable: true,
+      })
+    }
+  }
+
+  /**
+   * Saves the edited student limit of a professor (0 removes the overall limit)
+   * @param {number} profesorId - Professor ID
+   */
+  const handleSaveLimit = async (profesorId) => {
+    try {
+      await adminService.updateProfessorLimit(profesorId, parseInt(limitDrafts[profesorId]))
+      toast({
+        title: 'Student limit saved',
+        status: 'success',
+        duration: 3,
+        isClosable: true,
+      })
+      loadProfessors()
+    } catch (error) {
+      toast({
+        title: 'Error saving student limit',
+        description: error.message || 'Failed to save student limit',
+        status: 'error',
+        duration: 5,
+        isClosable: true,
+      })
+    }
+  }
+
+  /**
+   * Loads open or decided appeals
+   * @param {string} status - open or decided
+   */
+  const loadAppeals = async (status) => {
+    try {
+      const response = await adminService.getAppeals(status)
+      if (response.success) {
+        setAppeals(response.data || [])
+        setAppealFilter(status)
+      }
+    } catch (error) {
+      toast({
+        title: 'Error loading appeals',
+        description: error.message || 'Failed to load appeals',
+        status: 'error',
+        duration: 5,
+        isClosable: true,
+      })
+    }
+  }
+
+  /**
+   * Upholds or overturns the rejection under appeal
+   * @param {number} appealId - Appeal ID
+   * @param {boolean} overturn - True to approve the application
+   */
+  const handleDecideAppeal = async (appealId, overturn) => {
+    const motiv = (appealReasons[appealId] || '').trim()
+    if (motiv.length < APPEAL_DECISION_MIN_LENGTH) {
+      toast({
+        title: 'Reason required',
+        description: `Explain the decision in at least ${APPEAL_DECISION_MIN_LENGTH} characters`,
+        status: 'warning',
+        duration: 3,
+        isClosable: true,
+      })
+      return
+    }
+
+    setDecidingAppealId(appealId)
+    try {
+      const response = await adminService.decideAppeal(appealId, overturn, motiv)
+      toast({
+        title: response.message,
+        description: 'The student and the professor were notified by email',
+        status: 'success',
+        duration: 4,
+        isClosable: true,
+      })
+      setAppealReasons((prev) => ({ ...prev, [appealId]: '' }))
+      loadAppeals(appealFilter)
+    } catch (error) {
+      toast({
+        title: 'Error deciding appeal',
+        description: error.message || 'Failed to decide appeal',
+        status: 'error',
+        duration: 5,
+        isClosable: true,
+      })
+    } finally {
+      setDecidingAppealId(null)
+    }
+  }
+
+  const loadAllocationRuns = async () => {
+    try {
+      const response = await adminService.getAllocationRuns()
+      if (response.success) {
+        setAllocationRuns(response.data || [])
+      }
+    } catch (error) {
+      toast({
+        title: 'Error loading allocation runs',
+        description: error.message || 'Failed to load allocation runs',
+        status: 'error',
+        duration: 5,
+        isClosable: true,
+      })
+    }
+  }
+
+  const handleViewAllocationRun = async (runId) => {
+    try {
+      const response = await adminService.getAllocationRun(runId)
+      if (response.success) {
+        setAllocationRun(response.data)
+      }
+    } catch (error) {
+      toast({
+        title: 'Error loading allocation run',
+        description: error.message || 'Failed to load allocation run',
+        status: 'error',
+        duration: 5,
+        isClosable: true,
+      })
+    }
+  }
+
+  /**
+   * Computes the stable matching without applying it and shows the result
+   */
+  const handlePreviewAllocation = async () => {
+    setIsPreviewingAllocation(true)
+    try {
+      const response = await adminService.previewAllocation()
+      if (response.success) {
+        setAllocationRun(response.data)
+        loadAllocationRuns()
+      }
+    } catch (error) {
+      toast({
+        title: 'Preview failed',
+        description: error.message || 'Failed to preview allocation',
+        status: 'error',
+        duration: 5,
+        isClosable: true,
+      })
+    } finally {
+      setIsPreviewingAllocation(false)
+    }
+  }
+
+  /**
+   * Applies the previewed run: assigned applications are approved, the others rejected
+   */
+  const handleCommitAllocation = async () => {
+    setIsCommittingAllocation(true)
+    try {
+      const response = await adminService.commitAllocation(allocationRun.id)
+      setAllocationRun(response.data)
+      toast({
+        title: 'Allocation committed',
+        description: response.message,
+        status: 'success',
+        duration: 4,
+        isClosable: true,
+      })
+      loadAllocationRuns()
+    } catch (error) {
+      toast({
+        title: 'Commit failed',
+        description: error.message || 'Failed to commit allocation',
+        status: 'error',
+        duration: 5,
+        isClosable: true,
+      })
+    } finally {
+      setIsCommittingAllocation(false)
+    }
+  }
+
+  const loadLockedAccounts = async () => {
+    try {
+      const response = await adminService.getLockedAccounts()
+      if (response.success) {
+        setLockedAccounts(response.data || [])
+      }
+    } catch (error) {
+      toast({
+        title: 'Error loading locked accounts',
+        description: error.message || 'Failed to load locked accounts',
+        status: 'error',
+        duration: 5,
+        isClosable: true,
+      })
+    }
+  }
+
+  const handleUnlockAccount = async (userId) => {
+    try {
+      await adminService.unlockAccount(userId)
+      toast({
+        title: 'Account unlocked',
+        status: 'success',
+        duration: 3,
+        isClosable: true,
+      })
+      loadLockedAccounts()
+      loadTwoFactorPolicy()
+    } catch (error) {
+      toast({
+        title: 'Error unlocking account',
+        description: error.message || 'Failed to unlock account',
+        status: 'error',
+        duration: 5,
+        isClosable: true,
+      })
+    }
+  }
+
+  const loadTwoFactorPolicy = async () => {
+    try {
+      const response = await adminService.getTwoFactorPolicy()
+      if (response.success) {
+        setTwoFactorPolicy(response.data || [])
+      }
+    } catch (error) {
+      toast({
+        title: 'Error loading two-factor policy',
+        description: error.message || 'Failed to load two-factor policy',
+        status: 'error',
+        duration: 5,
+        isClosable: true,
+      })
+    }
+  }
+
+  const handleToggleTwoFactorPolicy = async (role, required) => {
+    try {
+      await adminService.updateTwoFactorPolicy(role, required)
+      loadTwoFactorPolicy()
+    } catch (error) {
+      toast({
+        title: 'Error updating two-factor policy',
+        description: error.message || 'Failed to update two-factor policy',
+        status: 'error',
+        duration: 5,
+        isClosable: true,
+      })
+    }
+  }
+
+  const loadSchedulerStatus = async () => {
+    try {
+      setIsLoadingStatus(true)
+      const response = await adminService.getSchedulerStatus()
+      if (response.success) {
+        setSchedulerStatus(response.data)
+      }
+    } catch (error) {
+      toast({
+        title: 'Error loading scheduler status',
+        description: error.message || 'Failed to load scheduler status',
+        status: 'error',
+        duration: 5,
+        isClosable: true,
+      })
+    } finally {
+      setIsLoadingStatus(false)
+    }
+  }
+
+  /**
+   * Runs the file cleanup job immediately and reports the number of deleted files
+   */
+  const handleTriggerCleanup = async () => {
+    setIsRunningCleanup(true)
+    try {
+      const response = await adminService.triggerCleanup()
+      toast({
+        title: 'Cleanup completed',
+        description: `${response.data?.totalFilesDeleted || 0} file(s) deleted`,
+        status: 'success',
+        duration: 4,
+        isClosable: true,
+      })
+    } catch (error) {
+      toast({
+        title: 'Cleanup failed',
+        description: error.message || 'Failed to run cleanup job',
+        status: 'error',
+        duration: 5,
+        isClosable: true,
+      })
+    } finally {
+      setIsRunningCleanup(false)
+    }
+  }
+
+  /**
+   * Runs the expiry job immediately and reports the reminders sent and applications expired
+   */
+  const handleTriggerExpiry = async () => {
+    setIsRunningExpiry(true)
+    try {
+      const response = await adminService.triggerExpiry()
+      toast({
+        title: 'Expiry completed',
+        description: `${response.data?.applicationsExpired || 0} application(s) expired, ${response.data?.remindersSent || 0} reminder(s) sent, ${response.data?.applicationsPromoted || 0} promoted from waitlists`,
+        status: 'success',
+        duration: 4,
+        isClosable: true,
+      })
+    } catch (error) {
+      toast({
+        title: 'Expiry failed',
+        description: error.message || 'Failed to run expiry job',
+        status: 'error',
+        duration: 5,
+        isClosable: true,
+      })
+    } finally {
+      setIsRunningExpiry(false)
+    }
+  }
+
+  const handleLogout = () => {
+    authService.logout()
+    navigate('/login')
+  }
+
+  if (!user) {
+    return null
+  }
+
+  return (
+    <Container maxW="container.xl" py={8}>
+      <VStack spacing={8} align="stretch">
+        {/* Header */}
+        <Box>
+          <HStack justify="space-between" align="start">
+            <Box>
+              <Heading as="h1" size="2xl" mb={2}>
+                {user.role === 'admin' ? 'Administration' : 'Secretariat'}
+              </Heading>
+              <Text color="gray.600">Signed in as {user.email}</Text>
+            </Box>
+            <HStack spacing={3}>
+              <Button onClick={() => navigate('/profile')}>
+                Profile
+              </Button>
+              <Button colorScheme="red" onClick={handleLogout}>
+                Logout
+              </Button>
+            </HStack>
+          </HStack>
+        </Box>
+
+        <Divider />
+
+        {/* Professor Invitations */}
+        <Box>
+          <Heading size="lg" mb={4}>Professor Invitations</Heading>
+
+          <Box borderWidth={1} borderRadius="lg" p={6} mb={4}>
+            <Grid templateColumns={{ base: '1fr', md: '2fr 1fr 1fr auto' }} gap={4} alignItems="end">
+              <FormControl isRequired>
+                <FormLabel>Email</FormLabel>
+                <Input
+                  name="email"
+                  type="email"
+                  placeholder="professor@university.edu"
+                  value={invitationForm.email}
+                  onChange={handleInvitationChange}
+                />
+              </FormControl>
+              <FormControl isRequired>
+                <FormLabel>Max Students</FormLabel>
+                <Input
+                  name="limitaStudenti"
+                  type="number"
+                  min={1}
+                  value={invitationForm.limitaStudenti}
+                  onChange={handleInvitationChange}
+                />
+              </FormControl>
+              <FormControl>
+                <FormLabel>Valid (days)</FormLabel>
+                <Input
+                  name="expiresInDays"
+                  type="number"
+                  min={1}
+                  value={invitationForm.expiresInDays}
+                  onChange={handleInvitationChange}
+                />
+              </FormControl>
+              <Button colorScheme="blue" onClick={handleCreateInvitation} isLoading={isCreatingInvitation}>
+                Send Invitation
+              </Button>
+            </Grid>
+
+            {createdInvitation && (
+              <Alert status="success" borderRadius="md" mt={4}>
+                <AlertIcon />
+                <Box>
+                  <Text fontSize="sm">
+                    Invitation sent to <strong>{createdInvitation.email}</strong>. The code is shown only once:
+                  </Text>
+                  <Text fontFamily="mono" fontWeight="bold">{createdInvitation.code}</Text>
+                </Box>
+              </Alert>
+            )}
+          </Box>
+
+          {isLoadingInvitations ? (
+            <HStack justify="center" py={8}>
+              <Spinner />
+              <Text>Loading invitations...</Text>
+            </HStack>
+          ) : invitations.length === 0 ? (
+            <Alert status="info" borderRadius="md">
+              <AlertIcon />
+              <Text>No invitations issued yet.</Text>
+            </Alert>
+          ) : (
+            <VStack spacing={3} align="stretch">
+              {invitations.map((invitation) => (
+                <Box key={invitation.id} borderWidth={1} borderRadius="lg" p={4}>
+                  <HStack justify="space-between">
+                    <Box>
+                      <Text fontWeight="bold">{invitation.email}</Text>
+                      <Text fontSize="sm" color="gray.600">
+                        Max students: {invitation.limitaStudenti} · Expires: {new Date(invitation.expiresAt).toLocaleDateString()}
+                      </Text>
+                    </Box>
+                    <HStack spacing={3}>
+                      <Badge colorScheme={getStatusColor(invitation.status)}>
+                        {invitation.status}
+                      </Badge>
+                      {invitation.status === 'active' && (
+                        <Button size="sm" colorScheme="red" variant="outline" onClick={() => handleRevokeInvitation(invitation.id)}>
+                          Revoke
+                        </Button>
+                      )}
+                    </HStack>
+                  </HStack>
+                </Box>
+              ))}
+            </VStack>
+          )}
+        </Box>
+
+        {/* Student Grades */}
+        <Box>
+          <Heading size="lg" mb={2}>Student Grades</Heading>
+          <Text color="gray.600" mb={4}>
+            Grade averages rank applicants in stable-matching sessions that use the grade criterion.
+          </Text>
+          {students.length === 0 ? (
+            <Alert status="info" borderRadius="md">
+              <AlertIcon />
+              <Text>No students registered yet.</Text>
+            </Alert>
+          ) : (
+            <VStack spacing={2} align="stretch" maxH="400px" overflowY="auto">
+              {students.map((student) => (
+                <HStack key={student.id} justify="space-between" borderWidth={1} borderRadius="lg" p={3}>
+                  <Box>
+                    <Text fontWeight="bold">{student.prenume} {student.nume}</Text>
+                    <Text fontSize="sm" color="gray.600">{student.email}</Text>
+                  </Box>
+                  <HStack spacing={3}>
+                    <Input
+                      type="number"
+                      step="0.01"
+                      min={1}
+                      max={10}
+                      w="100px"
+                      placeholder="—"
+                      value={gradeDrafts[student.id] ?? (student.medie ?? '')}
+                      onChange={(e) => setGradeDrafts((prev) => ({ ...prev, [student.id]: e.target.value }))}
+                    />
+                    <Button
+                      size="sm"
+                      colorScheme="blue"
+                      variant="outline"
+                      isDisabled={gradeDrafts[student.id] === undefined}
+                      onClick={() => handleSaveGrade(student.id)}
+                    >
+                      Save
+                    </Button>
+                  </HStack>
+                </HStack>
+              ))}
+            </VStack>
+          )}
+        </Box>
+
+        {/* Professor Limits */}
+        <Box>
+          <Heading size="lg" mb={2}>Professor Limits</Heading>
+          <Text color="gray.600" mb={4}>
+            Students a professor can supervise across all of their sessions. 0 means no overall limit, only the session limits apply.
+          </Text>
+          {professors.length === 0 ? (
+            <Alert status="info" borderRadius="md">
+              <AlertIcon />
+              <Text>No professors registered yet.</Text>
+            </Alert>
+          ) : (
+            <VStack spacing={2} align="stretch" maxH="400px" overflowY="auto">
+              {professors.map((profesor) => (
+                <HStack key={profesor.id} justify="space-between" borderWidth={1} borderRadius="lg" p={3}>
+                  <Box>
+                    <Text fontWeight="bold">{profesor.prenume} {profesor.nume}</Text>
+                    <Text fontSize="sm" color="gray.600">
+                      {profesor.email} · {profesor.approvedSeats} enrolled
+                      {profesor.coSupervisedSeats > 0 && `, ${profesor.coSupervisedSeats} co-supervised`}
+                      {profesor.freeSeats !== null && ` · ${profesor.freeSeats} free`}
+                    </Text>
+                  </Box>
+                  <HStack spacing={3}>
+                    <Input
+                      type="number"
+                      min={0}
+                      w="100px"
+                      value={limitDrafts[profesor.id] ?? profesor.limitaStudenti}
+                      onChange={(e) => setLimitDrafts((prev) => ({ ...prev, [profesor.id]: e.target.value }))}
+                    />
+                    <Button
+                      size="sm"
+                      colorScheme="blue"
+                      variant="outline"
+                      isDisabled={limitDrafts[profesor.id] === undefined || limitDrafts[profesor.id] === ''}
+                      onClick={() => handleSaveLimit(profesor.id)}
+                    >
+                      Save
+                    </Button>
+                  </HStack>
+                </HStack>
+              ))}
+            </VStack>
+          )}
+        </Box>
+
+        {/* Appeals */}
+        <Box>
+          <HStack justify="space-between" align="center" mb={2}>
+            <Heading size="lg">Appeals</Heading>
+            <HStack spacing={2}>
+              <Button
+                size="sm"
+                variant={appealFilter === 'open' ? 'solid' : 'outline'}
+                onClick={() => loadAppeals('open')}
+              >
+                Open
+              </Button>
+              <Button
+                size="sm"
+                variant={appealFilter === 'decided' ? 'solid' : 'outline'}
+                onClick={() => loadAppeals('decided')}
+              >
+                Decided
+              </Button>
+            </HStack>
+          </HStack>
+          <Text color="gray.600" mb={4}>
+            Students can appeal a professor&apos;s rejection once. Overturning approves the application if places are left.
+          </Text>
+          {appeals.length === 0 ? (
+            <Alert status="info" borderRadius="md">
+              <AlertIcon />
+              <Text>{appealFilter === 'open' ? 'No appeals waiting for a decision.' : 'No appeals decided yet.'}</Text>
+            </Alert>
+          ) : (
+            <VStack spacing={3} align="stretch">
+              {appeals.map((appeal) => (
+                <Box key={appeal.id} borderWidth={1} borderRadius="lg" p={4}>
+                  <HStack justify="space-between" align="start" mb={2}>
+                    <Box>
+                      <Text fontWeight="bold">
+                        {appeal.application.student.prenume} {appeal.application.student.nume}
+                      </Text>
+                      <Text fontSize="sm" color="gray.600">
+                        Prof. {appeal.application.profesor.prenume} {appeal.application.profesor.nume}
+                        {(appeal.application.titluPropus || appeal.application.tema) &&
+                          ` · ${appeal.application.titluPropus || appeal.application.tema.titlu}`}
+                      </Text>
+                      <Text fontSize="xs" color="gray.500">
+                        Filed on {new Date(appeal.createdAt).toLocaleDateString()}
+                      </Text>
+                    </Box>
+                    {appeal.rezultat && (
+                      <Badge colorScheme={appeal.rezultat === 'overturned' ? 'green' : 'red'}>
+                        {appeal.rezultat === 'overturned' ? 'Overturned' : 'Upheld'}
+                      </Badge>
+                    )}
+                  </HStack>
+                  {appeal.justificareRespingere && (
+                    <Text fontSize="sm" mb={1}>
+                      <Text as="span" fontWeight="bold">Rejection reason: </Text>
+                      {appeal.justificareRespingere}
+                    </Text>
+                  )}
+                  <Text fontSize="sm" fontWeight="bold">Arguments:</Text>
+                  <Text fontSize="sm" whiteSpace="pre-wrap" mb={3}>{appeal.argumente}</Text>
+                  {appeal.rezultat ? (
+                    <Text fontSize="sm" color="gray.600">
+                      Decided on {new Date(appeal.decisLa).toLocaleDateString()}
+                      {appeal.decident && ` by ${appeal.decident.email}`}: {appeal.motivDecizie}
+                    </Text>
+                  ) : (
+                    <VStack spacing={2} align="stretch">
+                      <Textarea
+                        size="sm"
+                        placeholder="Reason for the decision (sent to the student and the professor)"
+                        value={appealReasons[appeal.id] || ''}
+                        onChange={(e) => setAppealReasons((prev) => ({ ...prev, [appeal.id]: e.target.value }))}
+                      />
+                      <HStack justify="flex-end" spacing={2}>
+                        <Button
+                          size="sm"
+                          colorScheme="red"
+                          variant="outline"
+                          onClick={() => handleDecideAppeal(appeal.id, false)}
+                          isDisabled={decidingAppealId !== null && decidingAppealId !== appeal.id}
+                          isLoading={decidingAppealId === appeal.id}
+                        >
+                          Uphold Rejection
+                        </Button>
+                        <Button
+                          size="sm"
+                          colorScheme="green"
+                          onClick={() => handleDecideAppeal(appeal.id, true)}
+                          isDisabled={decidingAppealId !== null && decidingAppealId !== appeal.id}
+                          isLoading={decidingAppealId === appeal.id}
+                        >
+                          Overturn
+                        </Button>
+                      </HStack>
+                    </VStack>
+                  )}
+                </Box>
+              ))}
+            </VStack>
+          )}
+        </Box>
+
+        {/* Stable-Matching Allocation */}
+        {user.role === 'admin' && (
+          <Box>
+            <HStack justify="space-between" align="center" mb={2}>
+              <Heading size="lg">Stable-Matching Allocation</Heading>
+              <Button colorScheme="blue" onClick={handlePreviewAllocation} isLoading={isPreviewingAllocation}>
+                Run Preview
+              </Button>
+            </HStack>
+            <Text color="gray.600" mb={4}>
+              Assigns students of sessions in matching mode from their ranked preferences and the professors&apos; rankings.
+              A preview changes nothing until it is committed.
+            </Text>
+
+            {allocationRun && (
+              <Box borderWidth={1} borderRadius="lg" p={6} mb={4}>
+                <HStack justify="space-between" mb={4}>
+                  <Box>
+                    <Heading size="md">Run #{allocationRun.id}</Heading>
+                    <Text fontSize="sm" color="gray.600">
+                      {allocationRun.assignedCount} assigned · {allocationRun.unmatchedCount} without a place ·{' '}
+                      {new Date(allocationRun.createdAt).toLocaleString()}
+                    </Text>
+                  </Box>
+                  {allocationRun.status === 'preview' ? (
+                    <Button
+                      colorScheme="green"
+                      onClick={handleCommitAllocation}
+                      isLoading={isCommittingAllocation}
+                      isDisabled={allocationRun.assignedCount === 0 && allocationRun.unmatchedCount === 0}
+                    >
+                      Commit Allocation
+                    </Button>
+                  ) : (
+                    <Badge colorScheme="green">committed</Badge>
+                  )}
+                </HStack>
+
+                <VStack spacing={2} align="stretch">
+                  {allocationRun.result.sessions.map((session) => (
+                    <Text key={session.id} fontSize="sm">
+                      Prof. {session.profesor.prenume} {session.profesor.nume}: {session.assigned}/{session.availablePlaces} free places filled
+                      {' '}(ranked by {session.criteriuClasament === 'grade' ? 'grade' : 'professor'})
+                    </Text>
+                  ))}
+                </VStack>
+
+                <Divider my={4} />
+
+                {allocationRun.result.assignments.length === 0 ? (
+                  <Text color="gray.600">No student was assigned.</Text>
+                ) : (
+                  <VStack spacing={2} align="stretch">
+                    {allocationRun.result.assignments.map((assignment) => (
+                      <HStack key={assignment.applicationId} justify="space-between">
+                        <Text>
+                          <strong>{assignment.studentName}</strong> → Prof. {assignment.profesor.prenume} {assignment.profesor.nume}
+                          {assignment.titluFinal && ` · ${assignment.titluFinal}`}
+                        </Text>
+                        <Badge colorScheme={assignment.preference === 1 ? 'green' : 'blue'}>
+                          choice #{assignment.preference}
+                        </Badge>
+                      </HStack>
+                    ))}
+                  </VStack>
+                )}
+
+                {allocationRun.result.unmatched.length > 0 && (
+                  <Alert status="warning" borderRadius="md" mt={4}>
+                    <AlertIcon />
+                    <Text fontSize="sm">
+                      Without a place: {allocationRun.result.unmatched.map((student) => student.studentName).join(', ')}
+                    </Text>
+                  </Alert>
+                )}
+              </Box>
+            )}
+
+            {allocationRuns.length > 0 && (
+              <VStack spacing={2} align="stretch">
+                {allocationRuns.map((run) => (
+                  <HStack key={run.id} justify="space-between" borderWidth={1} borderRadius="lg" p={3}>
+                    <Text fontSize="sm">
+                      Run #{run.id} · {new Date(run.createdAt).toLocaleString()} · {run.assignedCount} assigned, {run.unmatchedCount} without a place
+                    </Text>
+                    <HStack spacing={3}>
+                      <Badge colorScheme={run.status === 'committed' ? 'green' : 'gray'}>{run.status}</Badge>
+                      <Button size="sm" variant="outline" onClick={() => handleViewAllocationRun(run.id)}>
+                        View
+                      </Button>
+                    </HStack>
+                  </HStack>
+                ))}
+              </VStack>
+            )}
+          </Box>
+        )}
+
+        {/* Two-Factor Policy */}
+        {user.role === 'admin' && (
+          <Box>
+            <Heading size="lg" mb={2}>Two-Factor Authentication</Heading>
+            <Text color="gray.600" mb={4}>
+              When required, accounts of that role cannot make changes until they enable two-factor authentication.
+            </Text>
+            <VStack spacing={3} align="stretch">
+              {twoFactorPolicy.map((policy) => (
+                <HStack key={policy.role} justify="space-between" borderWidth={1} borderRadius="lg" p={4}>
+                  <Text fontWeight="bold" textTransform="capitalize">{policy.role}</Text>
+                  <HStack spacing={3}>
+                    <Text fontSize="sm" color="gray.600">Required</Text>
+                    <Switch
+                      isChecked={policy.required}
+                      onChange={(e) => handleToggleTwoFactorPolicy(policy.role, e.target.checked)}
+                    />
+                  </HStack>
+                </HStack>
+              ))}
+            </VStack>
+          </Box>
+        )}
+
+        {/* API Keys */}
+        {user.role === 'admin' && (
+          <Box>
+            <Heading size="lg" mb={2}>API Keys</Heading>
+            <Text color="gray.600" mb={4}>
+              Read-only keys for university systems. Send them in the <code>X-API-Key</code> header to{' '}
+              <code>/api/integrations/*</code>.
+            </Text>
+
+            <Box borderWidth={1} borderRadius="lg" p={6} mb={4}>
+              <Grid templateColumns={{ base: '1fr', md: '2fr 1fr auto' }} gap={4} alignItems="end">
+                <FormControl isRequired>
+                  <FormLabel>Name</FormLabel>
+                  <Input
+                    placeholder="Registrar export"
+                    value={apiKeyForm.name}
+                    onChange={(e) => setApiKeyForm((prev) => ({ ...prev, name: e.target.value }))}
+                  />
+                </FormControl>
+                <FormControl>
+                  <FormLabel>Valid (days)</FormLabel>
+                  <Input
+                    type="number"
+                    min={1}
+                    placeholder="No expiry"
+                    value={apiKeyForm.expiresInDays}
+                    onChange={(e) => setApiKeyForm((prev) => ({ ...prev, expiresInDays: e.target.value }))}
+                  />
+                </FormControl>
+                <Button colorScheme="blue" onClick={handleCreateApiKey} isLoading={isCreatingApiKey}>
+                  Create Key
+                </Button>
+              </Grid>
+
+              <FormControl mt={4} isRequired>
+                <FormLabel>Scopes</FormLabel>
+                <CheckboxGroup
+                  value={apiKeyForm.scopes}
+                  onChange={(scopes) => setApiKeyForm((prev) => ({ ...prev, scopes }))}
+                >
+                  <Wrap spacing={4}>
+                    {apiKeyScopes.map(({ scope, description }) => (
+                      <WrapItem key={scope}>
+                        <Checkbox value={scope}>
+                          <Text as="span" fontFamily="mono" fontSize="sm">{scope}</Text>
+                          <Text as="span" fontSize="sm" color="gray.600"> – {description}</Text>
+                        </Checkbox>
+                      </WrapItem>
+                    ))}
+                  </Wrap>
+                </CheckboxGroup>
+              </FormControl>
+
+              {createdApiKey && (
+                <Alert status="success" borderRadius="md" mt={4}>
+                  <AlertIcon />
+                  <Box>
+                    <Text fontSize="sm">
+                      Key <strong>{createdApiKey.name}</strong> created. Copy it now, it is shown only once:
+                    </Text>
+                    <Text fontFamily="mono" fontWeight="bold" wordBreak="break-all">{createdApiKey.key}</Text>
+                  </Box>
+                </Alert>
+              )}
+            </Box>
+
+            {apiKeys.length === 0 ? (
+              <Alert status="info" borderRadius="md">
+                <AlertIcon />
+                <Text>No API keys created yet.</Text>
+              </Alert>
+            ) : (
+              <VStack spacing={3} align="stretch">
+                {apiKeys.map((apiKey) => (
+                  <Box key={apiKey.id} borderWidth={1} borderRadius="lg" p={4}>
+                    <HStack justify="space-between" align="start">
+                      <Box>
+                        <Text fontWeight="bold">
+                          {apiKey.name}{' '}
+                          <Text as="span" fontFamily="mono" fontSize="sm" color="gray.500">{apiKey.keyPrefix}…</Text>
+                        </Text>
+                        <Text fontSize="sm" color="gray.600">
+                          Scopes: {apiKey.scopes.join(', ')} · Expires:{' '}
+                          {apiKey.expiresAt ? new Date(apiKey.expiresAt).toLocaleDateString() : 'never'}
+                        </Text>
+                        <Text fontSize="sm" color="gray.600">
+                          Last used:{' '}
+                          {apiKey.lastUsedAt
+                            ? `${new Date(apiKey.lastUsedAt).toLocaleString()}${apiKey.lastUsedIp ? ` from ${apiKey.lastUsedIp}` : ''}`
+                            : 'never'}
+                        </Text>
+                      </Box>
+                      <HStack spacing={3}>
+                        <Badge colorScheme={getStatusColor(apiKey.status)}>
+                          {apiKey.status}
+                        </Badge>
+                        {apiKey.status === 'active' && (
+                          <Button size="sm" colorScheme="red" variant="outline" onClick={() => handleRevokeApiKey(apiKey.id)}>
+                            Revoke
+                          </Button>
+                        )}
+                      </HStack>
+                    </HStack>
+                  </Box>
+                ))}
+              </VStack>
+            )}
+          </Box>
+        )}
+
+        {/* Locked Accounts */}
+        {user.role === 'admin' && (
+          <Box>
+            <Heading size="lg" mb={4}>Locked Accounts</Heading>
+            {lockedAccounts.length === 0 ? (
+              <Alert status="info" borderRadius="md">
+                <AlertIcon />
+                <Text>No accounts are currently locked.</Text>
+              </Alert>
+            ) : (
+              <VStack spacing={3} align="stretch">
+                {lockedAccounts.map((account) => (
+                  <Box key={account.id} borderWidth={1} borderRadius="lg" p={4}>
+                    <HStack justify="space-between">
+                      <Box>
+                        <Text fontWeight="bold">{account.email}</Text>
+                        <Text fontSize="sm" color="gray.600">
+                          {account.failedLoginAttempts} failed attempts · Locked until: {new Date(account.lockedUntil).toLocaleString()}
+                        </Text>
+                      </Box>
+                      <Button size="sm" colorScheme="blue" variant="outline" onClick={() => handleUnlockAccount(account.id)}>
+                        Unlock
+                      </Button>
+                    </HStack>
+                  </Box>
+                ))}
+              </VStack>
+            )}
+          </Box>
+        )}
+
+        {/* Background Jobs */}
+        {user.role === 'admin' && (
+          <Box>
+            <HStack justify="space-between" align="center" mb={4}>
+              <Heading size="lg">Background Jobs</Heading>
+              <HStack spacing={2}>
+                <Button colorScheme="blue" variant="outline" onClick={handleTriggerExpiry} isLoading={isRunningExpiry}>
+                  Run Expiry Now
+                </Button>
+                <Button colorScheme="blue" onClick={handleTriggerCleanup} isLoading={isRunningCleanup}>
+                  Run Cleanup Now
+                </Button>
+              </HStack>
+            </HStack>
+
+            {isLoadingStatus ? (
+              <HStack justify="center" py={8}>
+                <Spinner />
+                <Text>Loading scheduler status...</Text>
+              </HStack>
+            ) : !schedulerStatus || schedulerStatus.jobs.length === 0 ? (
+              <Alert status="warning" borderRadius="md">
+                <AlertIcon />
+                <Text>No scheduled jobs are registered.</Text>
+              </Alert>
+            ) : (
+              <VStack spacing={4} align="stretch">
+                {schedulerStatus.jobs.map((job) => (
+                  <Box key={job.name} borderWidth={1} borderRadius="lg" p={4}>
+                    <HStack justify="space-between">
+                      <Box>
+                        <Heading size="sm">{job.name}</Heading>
+                        <Text fontSize="sm" color="gray.600">{job.description}</Text>
+                        <Text fontSize="sm" color="gray.600">Schedule: {job.schedule}</Text>
+                      </Box>
+                      <Badge colorScheme={job.running ? 'green' : 'gray'}>
+                        {job.running ? 'Running' : 'Stopped'}
+                      </Badge>
+                    </HStack>
+                  </Box>
+                ))}
+              </VStack>
+            )}
+          </Box>
+        )}
+      </VStack>
+    </Container>
+  )
+}
+
+export default AdminDashboard
@@ -0,0 +1,88 @@
+import { useEffect, useState } from 'react'
+import { useSearchParams, Link } from 'react-router-dom'
+import {
+  Container,
+  VStack,
+  Box,
+  Heading,
+  Text,
+  Alert,
+  AlertIcon,
+  Spinner,
+} from '@chakra-ui/react'
+import authService from '../services/authService'
+import profileService from '../services/profileService'
+
+export const ConfirmEmailChangePage = () => {
+  const [searchParams] = useSearchParams()
+  const token = searchParams.get('token')
+  const [status, setStatus] = useState(token ? 'verifying' : 'error')
+  const [message, setMessage] = useState(token ? '' : 'This confirmation link is invalid.')
+
+  useEffect(() => {
+    if (!token) return
+
+    const verify = async () => {
+      try {
+        const response = await profileService.confirmEmailChange(token)
+
+        // Keep the stored user in sync if the link was opened while signed in
+        const savedUser = authService.getUser()
+        if (savedUser && savedUser.userId === response.data.userId) {
+          authService.saveUser({
+            ...savedUser,
+            email: response.data.email,
+            emailVerifiedAt: response.data.emailVerifiedAt,
+          })
+        }
+
+        setStatus('success')
+        setMessage(response.message)
+      } catch (error) {
+        setStatus('error')
+        setMessage(error.message || 'Failed to confirm email change')
+      }
+    }
+
+    verify()
+  }, [token])
+
+  const savedUser = authService.getUser()
+  const continuePath = savedUser ? authService.getDashboardPath(savedUser.role) : '/login'
+
+  return (
+    <Container maxW="sm" py={{ base: '12', md: '24' }}>
+      <VStack spacing={8}>
+        <Box textAlign="center">
+          <Heading as="h1" size="2xl" mb={2}>
+            Email Change
+          </Heading>
+        </Box>
+
+        {status === 'verifying' && (
+          <VStack spacing={4}>
+            <Spinner />
+            <Text color="gray.600">Confirming your new email address...</Text>
+          </VStack>
+        )}
+
+        {status !== 'verifying' && (
+          <Alert status={status === 'success' ? 'success' : 'error'} borderRadius="md">
+            <AlertIcon />
+            {message}
+          </Alert>
+        )}
+
+        {status !== 'verifying' && (
+          <Box textAlign="center">
+            <Link to={continuePath} style={{ color: '#3182ce', fontWeight: 'bold' }}>
+              {savedUser ? 'Go to your dashboard' : 'Sign in'}
+            </Link>
+          </Box>
+        )}
+      </VStack>
+    </Container>
+  )
+}
+
+export default ConfirmEmailChangePage
@@ -0,0 +1,139 @@
+import { useState } from 'react'
+import { Link } from 'react-router-dom'
+import {
+  Container,
+  VStack,
+  Box,
+  Heading,
+  Text,
+  Alert,
+  AlertIcon,
+} from '@chakra-ui/react'
+import { InputField, PrimaryButton } from '../components'
+import authService from '../services/authService'
+import { validateForgotPasswordForm } from '../utils/validation'
+
+export const ForgotPasswordPage = () => {
+  const [isLoading, setIsLoading] = useState(false)
+  const [requestError, setRequestError] = useState('')
+  const [confirmation, setConfirmation] = useState('')
+  const [formData, setFormData] = useState({
+    email: '',
+  })
+  const [errors, setErrors] = useState({})
+
+  const handleChange = (e) => {
+    const { name, value } = e.target
+    setFormData((prev) => ({
+      ...prev,
+      [name]: value,
+    }))
+    // Clear error for this field when user starts typing
+    if (errors[name]) {
+      setErrors((prev) => ({
+        ...prev,
+        [name]: '',
+      }))
+    }
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+
+    setRequestError('')
+
+    // Validate form
+    const validation = validateForgotPasswordForm(formData)
+    if (!validation.isValid) {
+      setErrors(validation.errors)
+      return
+    }
+
+    setIsLoading(true)
+    try {
+      const response = await authService.forgotPassword(formData.email)
+      setConfirmation(response.message)
+    } catch (error) {
+      const errorMessage =
+        error.response?.data?.message ||
+        error.message ||
+        'Failed to request a password reset'
+
+      setRequestError(errorMessage)
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  return (
+    <Container maxW="sm" py={{ base: '12', md: '24' }}>
+      <VStack spacing={8}>
+        <Box textAlign="center">
+          <Heading as="h1" size="2xl" mb={2}>
+            Forgot Password
+          </Heading>
+          <Text color="gray.600">
+            We will email you a link to choose a new password
+          </Text>
+        </Box>
+
+        <Box
+          as="form"
+          onSubmit={handleSubmit}
+          w="full"
+          borderWidth={1}
+          borderRadius="lg"
+          p={8}
+          boxShadow="sm"
+        >
+          <VStack spacing={6}>
+            {requestError && (
+              <Alert status="error" borderRadius="md" mb={2}>
+                <AlertIcon />
+                {requestError}
+              </Alert>
+            )}
+
+            {confirmation ? (
+              <Alert status="success" borderRadius="md">
+                <AlertIcon />
+                {confirmation}
+              </Alert>
+            ) : (
+              <>
+                <InputField
+                  label="Email"
+                  name="email"
+                  type="email"
+                  placeholder="your.email@example.com"
+                  value={formData.email}
+                  onChange={handleChange}
+                  error={errors.email}
+                  isRequired
+                />
+
+                <PrimaryButton
+                  type="submit"
+                  isLoading={isLoading}
+                >
+                  Send Reset Link
+                </PrimaryButton>
+              </>
+            )}
+          </VStack>
+        </Box>
+
+        <Box textAlign="center">
+          <Text color="gray.600">
+            Remembered your password?{' '}
+            <Link to="/login" style={{ color: '#3182ce', fontWeight: 'bold' }}>
+              Sign in here
+            </Link>
+          </Text>
+        </Box>
+      </VStack>
+    </Container>
+  )
+}
+
+export default ForgotPasswordPage
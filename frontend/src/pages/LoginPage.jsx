@@ -1,5 +1,5 @@
-import { useState } from 'react'
-import { useNavigate, Link } from 'react-router-dom'
+import { useEffect, useState } from 'react'
+import { useNavigate, useLocation, useSearchParams, Link } from 'react-router-dom'
 import {
   Container,
   VStack,
@@ -8,23 +8,53 @@ import {
   Text,
   Alert,
   AlertIcon,
+  AlertDescription,
+  Button,
+  Divider,
   useToast,
 } from '@chakra-ui/react'
 import { InputField, PrimaryButton } from '../components'
 import authService from '../services/authService'
 import { validateLoginForm } from '../utils/validation'
 
+/**
+ * Format a wait time in seconds as a short human readable string
+ * @param {number} seconds - Seconds to wait
+ * @returns {string}
+ */
+const formatWaitTime = (seconds) => {
+  if (seconds < 60) {
+    return `${seconds} second${seconds === 1 ? '' : 's'}`
+  }
+  const minutes = Math.ceil(seconds / 60)
+  return `${minutes} minute${minutes === 1 ? '' : 's'}`
+}
+
 export const LoginPage = () => {
   const navigate = useNavigate()
+  const location = useLocation()
+  const [searchParams] = useSearchParams()
   const toast = useToast()
   const [isLoading, setIsLoading] = useState(false)
-  const [loginError, setLoginError] = useState('')
+  const [loginError, setLoginError] = useState(searchParams.get('ssoError') || '')
+  const [loginBlock, setLoginBlock] = useState(null)
+  const [ssoConfig, setSsoConfig] = useState(null)
+  // Single sign-on of an account with two-factor enabled continues here with the code prompt
+  const [challengeToken, setChallengeToken] = useState(location.state?.challengeToken || '')
+  const [twoFactorCode, setTwoFactorCode] = useState('')
   const [formData, setFormData] = useState({
     email: '',
     password: '',
   })
   const [errors, setErrors] = useState({})
 
+  useEffect(() => {
+    authService
+      .getSsoConfig()
+      .then((response) => setSsoConfig(response.data))
+      .catch(() => setSsoConfig(null))
+  }, [])
+
   const handleChange = (e) => {
     const { name, value } = e.target
     setFormData((prev) => ({
@@ -45,6 +75,7 @@ export const LoginPage = () => {
 
     // Clear previous error
     setLoginError('')
+    setLoginBlock(null)
 
     // Validate form
     const validation = validateLoginForm(formData)
@@ -57,47 +88,109 @@ export const LoginPage = () => {
     try {
       const response = await authService.login(formData.email, formData.password)
 
-      // Save token
-      authService.saveToken(response.data.token)
-      
-      // Create normalized user object from response data
-      const userInfo = {
-        userId: response.data.userId,
-        email: response.data.email,
-        role: response.data.role,
-        nome: response.data.student?.prenume || response.data.profesor?.prenume || '',
-        prenume: response.data.student?.nume || response.data.profesor?.nume || '',
-        profesor: response.data.profesor || null,
-        student: response.data.student || null,
+      // Accounts with two-factor enabled continue with the code prompt
+      if (response.data.twoFactorRequired) {
+        setChallengeToken(response.data.challengeToken)
+        return
       }
-      authService.saveUser(userInfo)
-
-      toast({
-        title: 'Login successful',
-        description: 'Welcome back!',
-        status: 'success',
-        duration: 3,
-        isClosable: true,
-      })
 
-      // Redirect based on role
-      const redirectPath = response.data.role === 'profesor' 
-        ? '/profesor/dashboard' 
-        : '/student/dashboard'
-      navigate(redirectPath)
+      completeLogin(response.data)
     } catch (error) {
-      // Extract error message from Axios error response structure
-      const errorMessage = 
-        error.response?.data?.message ||    // Backend error message (HTTP 4xx)
-        error.message ||                     // Network or Error object message
-        'Invalid email or password'          // Default fallback
-      
-      setLoginError(errorMessage)
+      handleLoginError(error)
     } finally {
       setIsLoading(false)
     }
   }
 
+  const handleTwoFactorSubmit = async (e) => {
+    e.preventDefault()
+
+    setLoginError('')
+    setLoginBlock(null)
+
+    if (!twoFactorCode.trim()) {
+      setLoginError('Enter the code from your authenticator app')
+      return
+    }
+
+    setIsLoading(true)
+    try {
+      const response = await authService.verifyTwoFactorLogin(challengeToken, twoFactorCode.trim())
+      completeLogin(response.data)
+    } catch (error) {
+      handleLoginError(error)
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  /**
+   * Leave the code prompt and start over with email and password
+   */
+  const handleCancelTwoFactor = () => {
+    setChallengeToken('')
+    setTwoFactorCode('')
+    setLoginError('')
+    setFormData((prev) => ({ ...prev, password: '' }))
+  }
+
+  /**
+   * Store the session returned by the server and go to the user's dashboard
+   * @param {Object} data - Login response data
+   */
+  const completeLogin = (data) => {
+    // Save tokens and normalized user object
+    authService.saveLogin(data)
+
+    toast({
+      title: 'Login successful',
+      description: data.recoveryCodesRemaining !== undefined
+        ? `Recovery code used. ${data.recoveryCodesRemaining} recovery code(s) left.`
+        : 'Welcome back!',
+      status: 'success',
+      duration: 3,
+      isClosable: true,
+    })
+
+    // Roles with mandatory two-factor are sent to enroll first
+    if (data.twoFactorSetupRequired) {
+      navigate('/security')
+      return
+    }
+
+    // Redirect based on role
+    navigate(authService.getDashboardPath(data.role))
+  }
+
+  /**
+   * Show the error of a failed login step
+   * @param {Error} error - Axios error
+   */
+  const handleLoginError = (error) => {
+    const status = error.response?.status
+    const data = error.response?.data?.data
+
+    // Too many attempts from this device (429) or account locked (423)
+    if (status === 429 || status === 423) {
+      const retryAfterSeconds =
+        data?.retryAfterSeconds || parseInt(error.response.headers?.['retry-after']) || 60
+      setLoginBlock({
+        status,
+        retryAfterSeconds,
+        lockedUntil: data?.lockedUntil || null,
+      })
+      return
+    }
+
+    // Extract error message from Axios error response structure
+    const errorMessage = 
+      error.response?.data?.message ||    // Backend error message (HTTP 4xx)
+      error.message ||                     // Network or Error object message
+      'Invalid email or password'          // Default fallback
+    
+    setLoginError(errorMessage)
+  }
+
   return (
     <Container maxW="sm" py={{ base: '12', md: '24' }}>
       <VStack spacing={8}>
@@ -112,7 +205,7 @@ export const LoginPage = () => {
 
         <Box
           as="form"
-          onSubmit={handleSubmit}
+          onSubmit={challengeToken ? handleTwoFactorSubmit : handleSubmit}
           w="full"
           borderWidth={1}
           borderRadius="lg"
@@ -120,6 +213,30 @@ export const LoginPage = () => {
           boxShadow="sm"
         >
           <VStack spacing={6}>
+            {loginBlock?.status === 429 && (
+              <Alert status="warning" borderRadius="md" mb={2}>
+                <AlertIcon />
+                <AlertDescription>
+                  Too many failed login attempts. Please wait{' '}
+                  {formatWaitTime(loginBlock.retryAfterSeconds)} before trying again.
+                </AlertDescription>
+              </Alert>
+            )}
+
+            {loginBlock?.status === 423 && (
+              <Alert status="warning" borderRadius="md" mb={2}>
+                <AlertIcon />
+                <AlertDescription>
+                  This account is temporarily locked after too many failed login attempts.
+                  Try again{' '}
+                  {loginBlock.lockedUntil
+                    ? `after ${new Date(loginBlock.lockedUntil).toLocaleTimeString()}`
+                    : `in ${formatWaitTime(loginBlock.retryAfterSeconds)}`}
+                  , reset your password, or contact an administrator to unlock it.
+                </AlertDescription>
+              </Alert>
+            )}
+
             {loginError && (
               <Alert status="error" borderRadius="md" mb={2}>
                 <AlertIcon />
@@ -127,34 +244,85 @@ export const LoginPage = () => {
               </Alert>
             )}
             
-            <InputField
-              label="Email"
-              name="email"
-              type="email"
-              placeholder="your.email@example.com"
-              value={formData.email}
-              onChange={handleChange}
-              error={errors.email}
-              isRequired
-            />
-
-            <InputField
-              label="Password"
-              name="password"
-              type="password"
-              placeholder="••••••••"
-              value={formData.password}
-              onChange={handleChange}
-              error={errors.password}
-              isRequired
-            />
-
-            <PrimaryButton
-              type="submit"
-              isLoading={isLoading}
-            >
-              Sign In
-            </PrimaryButton>
+            {challengeToken ? (
+              <>
+                <Text color="gray.600" fontSize="sm">
+                  Enter the 6-digit code from your authenticator app, or one of your recovery codes.
+                </Text>
+
+                <InputField
+                  label="Authentication Code"
+                  name="twoFactorCode"
+                  placeholder="123456"
+                  value={twoFactorCode}
+                  onChange={(e) => setTwoFactorCode(e.target.value)}
+                  autoComplete="one-time-code"
+                  autoFocus
+                  isRequired
+                />
+
+                <PrimaryButton
+                  type="submit"
+                  isLoading={isLoading}
+                >
+                  Verify
+                </PrimaryButton>
+
+                <Button variant="link" size="sm" onClick={handleCancelTwoFactor}>
+                  Back to sign in
+                </Button>
+              </>
+            ) : (
+              <>
+                <InputField
+                  label="Email"
+                  name="email"
+                  type="email"
+                  placeholder="your.email@example.com"
+                  value={formData.email}
+                  onChange={handleChange}
+                  error={errors.email}
+                  isRequired
+                />
+
+                <InputField
+                  label="Password"
+                  name="password"
+                  type="password"
+                  placeholder="••••••••"
+                  value={formData.password}
+                  onChange={handleChange}
+                  error={errors.password}
+                  isRequired
+                />
+
+                <PrimaryButton
+                  type="submit"
+                  isLoading={isLoading}
+                >
+                  Sign In
+                </PrimaryButton>
+
+                <Link to="/forgot-password" style={{ color: '#3182ce', fontSize: '0.875rem' }}>
+                  Forgot your password?
+                </Link>
+
+                {ssoConfig?.enabled && (
+                  <>
+                    <Divider />
+                    <Button
+                      as="a"
+                      href={authService.getSsoLoginUrl()}
+                      variant="outline"
+                      colorScheme="blue"
+                      w="full"
+                    >
+                      Sign in with {ssoConfig.providerName}
+                    </Button>
+                  </>
+                )}
+              </>
+            )}
           </VStack>
         </Box>
 
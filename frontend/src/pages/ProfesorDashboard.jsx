@@ -8,6 +8,7 @@ import {
   Text,
   Button,
   Box,
+  Checkbox,
   Alert,
   AlertIcon,
   Spinner,
@@ -27,10 +28,21 @@ import {
   FormControl,
   FormLabel,
   Input,
+  Select,
   Textarea,
 } from '@chakra-ui/react'
+import {
+  ApplicantRankingModal,
+  ApplicationMessages,
+  ApplicationTimeline,
+  CoSupervisionInvitations,
+  CoSupervisorsPanel,
+  EmailVerificationBanner,
+  SessionTopicsModal,
+} from '../components'
 import authService from '../services/authService'
 import profesorService from '../services/profesorService'
+import { ENROLLED_STATUSES, STATUS_COLORS, STATUS_LABELS } from '../utils/applicationStatus'
 
 export const ProfesorDashboard = () => {
   const navigate = useNavigate()
@@ -51,6 +63,11 @@ export const ProfesorDashboard = () => {
   const [isLoadingApps, setIsLoadingApps] = useState(true)
   const [isSubmittingSession, setIsSubmittingSession] = useState(false)
   const [isProcessingApp, setIsProcessingApp] = useState(false)
+  const [selectedApplicationIds, setSelectedApplicationIds] = useState([])
+  const [bulkFailures, setBulkFailures] = useState([])
+  const [bulkRejectReason, setBulkRejectReason] = useState('')
+  const [bulkRejectError, setBulkRejectError] = useState('')
+  const { isOpen: isBulkRejectOpen, onOpen: onBulkRejectOpen, onClose: onBulkRejectClose } = useDisclosure()
   const [isUploadingResponse, setIsUploadingResponse] = useState(false)
   const [isRejectingApproved, setIsRejectingApproved] = useState(false)
   const [selectedApprovedApp, setSelectedApprovedApp] = useState(null)
@@ -59,11 +76,26 @@ export const ProfesorDashboard = () => {
   const [approvedRejectErrors, setApprovedRejectErrors] = useState({})
   const { isOpen: isUploadResponseOpen, onOpen: onUploadResponseOpen, onClose: onUploadResponseClose } = useDisclosure()
   const { isOpen: isRejectApprovedOpen, onOpen: onRejectApprovedOpen, onClose: onRejectApprovedClose } = useDisclosure()
+  const { isOpen: isReturnSignedOpen, onOpen: onReturnSignedOpen, onClose: onReturnSignedClose } = useDisclosure()
+  const [returnSignedReason, setReturnSignedReason] = useState('')
+  const [returnSignedError, setReturnSignedError] = useState('')
+  const [reviewingApplicationId, setReviewingApplicationId] = useState(null)
+  const { isOpen: isTopicsOpen, onOpen: onTopicsOpen, onClose: onTopicsClose } = useDisclosure()
+  const [selectedSessionForTopics, setSelectedSessionForTopics] = useState(null)
+  const { isOpen: isRankingOpen, onOpen: onRankingOpen, onClose: onRankingClose } = useDisclosure()
+  const [selectedSessionForRanking, setSelectedSessionForRanking] = useState(null)
+  const [historyApplicationId, setHistoryApplicationId] = useState(null)
+  const [messagesApplicationId, setMessagesApplicationId] = useState(null)
+  const { isOpen: isCounterProposeOpen, onOpen: onCounterProposeOpen, onClose: onCounterProposeClose } = useDisclosure()
+  const [counterProposedTitle, setCounterProposedTitle] = useState('')
+  const [counterProposeError, setCounterProposeError] = useState('')
 
   const [sessionForm, setSessionForm] = useState({
     dataInceput: '',
     dataSfarsit: '',
     limitaStudenti: '',
+    modAlocare: 'manual',
+    criteriuClasament: 'manual',
   })
   const [sessionErrors, setSessionErrors] = useState({})
 
@@ -81,7 +113,7 @@ export const ProfesorDashboard = () => {
       return
     }
     if (savedUser.role !== 'profesor') {
-      navigate('/student/dashboard')
+      navigate(authService.getDashboardPath(savedUser.role))
       return
     }
     setUser(savedUser)
@@ -121,11 +153,14 @@ export const ProfesorDashboard = () => {
       setIsLoadingApps(true)
       const [pendingResponse, approvedResponse] = await Promise.all([
         profesorService.getApplications('pending'),
-        profesorService.getApplications('approved'),
+        profesorService.getApplications(ENROLLED_STATUSES.join(',')),
       ])
       
       if (pendingResponse.success) {
-        setApplications(pendingResponse.data || [])
+        const pending = pendingResponse.data || []
+        setApplications(pending)
+        // Keep only selections that are still pending
+        setSelectedApplicationIds((ids) => ids.filter((id) => pending.some((app) => app.id === id)))
       }
       if (approvedResponse.success) {
         setApprovedApplications(approvedResponse.data || [])
@@ -197,7 +232,11 @@ export const ProfesorDashboard = () => {
       const response = await profesorService.createSession(
         sessionForm.dataInceput,
         sessionForm.dataSfarsit,
-        parseInt(sessionForm.limitaStudenti)
+        parseInt(sessionForm.limitaStudenti),
+        {
+          modAlocare: sessionForm.modAlocare,
+          criteriuClasament: sessionForm.criteriuClasament,
+        }
       )
 
       if (response.success) {
@@ -214,6 +253,8 @@ export const ProfesorDashboard = () => {
           dataInceput: '',
           dataSfarsit: '',
           limitaStudenti: '',
+          modAlocare: 'manual',
+          criteriuClasament: 'manual',
         })
         setSessionErrors({})
         onSessionClose()
@@ -255,6 +296,48 @@ export const ProfesorDashboard = () => {
     onRejectOpen()
   }
 
+  /**
+   * Opens the counter-proposal modal, prefilled with the current title
+   * @param {Object} application - The pending application
+   */
+  const handleCounterProposeClick = (application) => {
+    setSelectedApplication(application)
+    setCounterProposedTitle(application.titluPropus || application.tema?.titlu || '')
+    setCounterProposeError('')
+    onCounterProposeOpen()
+  }
+
+  /**
+   * Sends an edited title to the student, who has to accept or decline it before approval
+   */
+  const handleCounterPropose = async () => {
+    if (!counterProposedTitle.trim()) {
+      setCounterProposeError('Title is required')
+      return
+    }
+
+    setIsProcessingApp(true)
+    try {
+      const response = await profesorService.counterProposeTitle(selectedApplication.id, counterProposedTitle.trim())
+
+      if (response.success) {
+        toast({
+          title: 'Title counter-proposed',
+          description: 'The student has to accept or decline it before you can approve',
+          status: 'success',
+          duration: 4,
+          isClosable: true,
+        })
+        onCounterProposeClose()
+        await loadApplications()
+      }
+    } catch (error) {
+      setCounterProposeError(error.message || 'Failed to counter-propose title')
+    } finally {
+      setIsProcessingApp(false)
+    }
+  }
+
   /**
    * Approves a pending application
    * Reloads both applications and sessions to update enrolled count in real-time
@@ -290,6 +373,87 @@ export const ProfesorDashboard = () => {
     }
   }
 
+  /**
+   * Selects or unselects a pending application for a bulk decision
+   * @param {number} applicationId - The application ID
+   */
+  const handleToggleSelected = (applicationId) => {
+    setSelectedApplicationIds((ids) =>
+      ids.includes(applicationId) ? ids.filter((id) => id !== applicationId) : [...ids, applicationId]
+    )
+  }
+
+  const handleToggleSelectAll = () => {
+    setSelectedApplicationIds((ids) =>
+      ids.length === applications.length ? [] : applications.map((application) => application.id)
+    )
+  }
+
+  /**
+   * Approves or rejects all selected applications in one request
+   * Failed items stay selected and are listed with their reason
+   * @param {string} action - 'approve' or 'reject'
+   * @param {string} [justificare] - Shared rejection reason
+   */
+  const handleBulkDecision = async (action, justificare) => {
+    setIsProcessingApp(true)
+    setApprovalsError('')
+    setBulkFailures([])
+    try {
+      const response = await profesorService.bulkDecideApplications(selectedApplicationIds, action, justificare)
+
+      if (response.success) {
+        const { results, summary } = response.data
+        const failures = results.filter((result) => !result.success)
+
+        toast({
+          title: action === 'approve' ? 'Applications approved' : 'Applications rejected',
+          description: response.message,
+          status: summary.failed > 0 ? 'warning' : 'success',
+          duration: 5,
+          isClosable: true,
+        })
+
+        setBulkFailures(failures.map((failure) => ({
+          ...failure,
+          application: applications.find((application) => application.id === failure.id),
+        })))
+        setSelectedApplicationIds(failures.map((failure) => failure.id))
+
+        if (action === 'reject') {
+          setBulkRejectReason('')
+          setBulkRejectError('')
+          onBulkRejectClose()
+        }
+
+        await Promise.all([loadApplications(), loadSessions()])
+      }
+    } catch (error) {
+      if (action === 'reject') {
+        setBulkRejectError(error.message || 'Failed to reject applications')
+      } else {
+        setApprovalsError(error.message || 'Failed to approve applications')
+      }
+    } finally {
+      setIsProcessingApp(false)
+    }
+  }
+
+  const handleBulkRejectClick = () => {
+    setBulkRejectReason('')
+    setBulkRejectError('')
+    onBulkRejectOpen()
+  }
+
+  const handleSubmitBulkReject = () => {
+    if (bulkRejectReason.trim().length < 10) {
+      setBulkRejectError('Rejection reason must be at least 10 characters')
+      return
+    }
+
+    handleBulkDecision('reject', bulkRejectReason.trim())
+  }
+
   /**
    * Rejects a pending application with validation
    * Validates rejection reason before submission
@@ -354,6 +518,47 @@ export const ProfesorDashboard = () => {
    * Opens the session termination confirmation modal
    * @param {Object} session - The session to terminate
    */
+  const handleTopicsClick = (session) => {
+    setSelectedSessionForTopics(session)
+    onTopicsOpen()
+  }
+
+  /**
+   * Shows or hides the status timeline of an application
+   * @param {number} applicationId - Application ID
+   */
+  const handleToggleHistory = (applicationId) => {
+    setHistoryApplicationId((current) => (current === applicationId ? null : applicationId))
+  }
+
+  /**
+   * Shows or hides the message thread of an application
+   * @param {number} applicationId - Application ID
+   */
+  const handleToggleMessages = (applicationId) => {
+    setMessagesApplicationId((current) => (current === applicationId ? null : applicationId))
+  }
+
+  /**
+   * Clears the unread marker once a thread was opened
+   * @param {number} applicationId - Application ID
+   */
+  const handleMessagesRead = (applicationId) => {
+    const markRead = (current) =>
+      current.map((application) => (application.id === applicationId ? { ...application, mesajeNecitite: 0 } : application))
+    setApplications(markRead)
+    setApprovedApplications(markRead)
+  }
+
+  /**
+   * Opens the applicant ranking of a stable-matching session
+   * @param {Object} session - The session to rank
+   */
+  const handleRankingClick = (session) => {
+    setSelectedSessionForRanking(session)
+    onRankingOpen()
+  }
+
   const handleTerminateSessionClick = (session) => {
     setSelectedSessionForTerminate(session)
     onTerminateOpen()
@@ -518,7 +723,7 @@ export const ProfesorDashboard = () => {
       if (response.success) {
         toast({
           title: 'Application rejected',
-          description: 'The student must resubmit their signed file',
+          description: 'The place is free again',
           status: 'success',
           duration: 4,
           isClosable: true,
@@ -543,6 +748,63 @@ export const ProfesorDashboard = () => {
     }
   }
 
+  /**
+   * Accepts or returns a submitted signed file
+   * @param {Object} application - Application with a submitted signed file
+   * @param {boolean} accept - True to accept, false to return with returnSignedReason
+   */
+  const handleReviewSignedFile = async (application, accept) => {
+    if (!accept && returnSignedReason.trim().length < 10) {
+      setReturnSignedError('Reason must be at least 10 characters')
+      return
+    }
+
+    setReviewingApplicationId(application.id)
+    try {
+      const response = await profesorService.reviewSignedFile(
+        application.id,
+        accept,
+        accept ? undefined : returnSignedReason.trim()
+      )
+
+      if (response.success) {
+        toast({
+          title: accept ? 'Signed file accepted' : 'Signed file returned',
+          description: accept
+            ? 'You can now upload your response'
+            : 'The student will upload a corrected file',
+          status: 'success',
+          duration: 4,
+          isClosable: true,
+        })
+
+        if (!accept) {
+          setReturnSignedReason('')
+          setReturnSignedError('')
+          onReturnSignedClose()
+        }
+        loadApplications()
+      }
+    } catch (error) {
+      toast({
+        title: 'Error reviewing signed file',
+        description: error.message || 'Failed to review signed file',
+        status: 'error',
+        duration: 5,
+        isClosable: true,
+      })
+    } finally {
+      setReviewingApplicationId(null)
+    }
+  }
+
+  const handleReturnSignedClick = (application) => {
+    setSelectedApprovedApp(application)
+    setReturnSignedReason('')
+    setReturnSignedError('')
+    onReturnSignedOpen()
+  }
+
   const handleToggleEnrolledStudents = async (sessionId) => {
     // If already expanded and clicked again, collapse it
     if (expandedSessionId === sessionId) {
@@ -598,12 +860,19 @@ export const ProfesorDashboard = () => {
               </Heading>
               <Text color="gray.600">Welcome, Prof. {user.nome} {user.prenume}!</Text>
             </Box>
-            <Button colorScheme="red" onClick={handleLogout}>
-              Logout
-            </Button>
+            <HStack spacing={3}>
+              <Button onClick={() => navigate('/profile')}>
+                Profile
+              </Button>
+              <Button colorScheme="red" onClick={handleLogout}>
+                Logout
+              </Button>
+            </HStack>
           </HStack>
         </Box>
 
+        <EmailVerificationBanner user={user} />
+
         {/* Account Info */}
         <Box borderWidth={1} borderRadius="lg" p={6} bg="purple.50">
           <VStack spacing={3} align="start">
@@ -660,6 +929,14 @@ export const ProfesorDashboard = () => {
                         <Box>
                           <Text fontSize="sm" color="gray.600">Enrolled</Text>
                           <Text fontSize="3xl" fontWeight="bold">{session.enrolledCount} / {session.limitaStudenti}</Text>
+                          {session.capacity && (
+                            <Text fontSize="xs" color="gray.600">
+                              {session.capacity.reservedSeats} reserved by pending, {session.capacity.freeSeats} free
+                              {' '}({session.capacity.profesor.limitaStudenti > 0
+                                ? `your overall limit: ${session.capacity.profesor.approvedSeats} / ${session.capacity.profesor.limitaStudenti}`
+                                : 'no overall limit'})
+                            </Text>
+                          )}
                         </Box>
                         <Grid templateColumns="repeat(5, 1fr)" gap={3} w="full">
                           <GridItem>
@@ -685,6 +962,9 @@ export const ProfesorDashboard = () => {
                           <GridItem>
                             <Text fontSize="sm" color="gray.600">Status</Text>
                             <Badge colorScheme="blue" mt={1} display="inline-block" fontSize="sm">ACTIVE</Badge>
+                            {session.modAlocare === 'matching' && (
+                              <Badge colorScheme="teal" mt={1} ml={1} display="inline-block" fontSize="sm">MATCHING</Badge>
+                            )}
                           </GridItem>
                         </Grid>
                       </VStack>
@@ -701,6 +981,26 @@ export const ProfesorDashboard = () => {
                         >
                           {expandedSessionId === session.id ? 'Hide' : 'Show'} Students
                         </Button>
+                        <Button
+                          size="sm"
+                          colorScheme="blue"
+                          variant="outline"
+                          onClick={() => handleTopicsClick(session)}
+                          w="full"
+                        >
+                          Topics
+                        </Button>
+                        {session.modAlocare === 'matching' && (
+                          <Button
+                            size="sm"
+                            colorScheme="teal"
+                            variant="outline"
+                            onClick={() => handleRankingClick(session)}
+                            w="full"
+                          >
+                            Rank Applicants
+                          </Button>
+                        )}
                         <Button
                           size="sm"
                           colorScheme="red"
@@ -736,6 +1036,16 @@ export const ProfesorDashboard = () => {
                                     <Text fontSize="sm" color="gray.600">
                                       {student.studentEmail}
                                     </Text>
+                                    {student.tema && (
+                                      <Text fontSize="sm" color="gray.600">
+                                        Topic: {student.tema.titlu}
+                                      </Text>
+                                    )}
+                                    {student.titluFinal && (
+                                      <Text fontSize="sm" color="gray.600">
+                                        Title: {student.titluFinal}
+                                      </Text>
+                                    )}
                                     <Text fontSize="sm" color="gray.600">
                                       Enrolled: {new Date(student.enrolledDate).toLocaleDateString()}
                                     </Text>
@@ -772,6 +1082,55 @@ export const ProfesorDashboard = () => {
             </Alert>
           )}
 
+          {bulkFailures.length > 0 && (
+            <Alert status="warning" borderRadius="md" mb={4} alignItems="start">
+              <AlertIcon />
+              <Box>
+                <Text fontWeight="bold">Some applications were not processed:</Text>
+                {bulkFailures.map((failure) => (
+                  <Text key={failure.id} fontSize="sm">
+                    {failure.application
+                      ? `${failure.application.student.prenume} ${failure.application.student.nume}`
+                      : `Application #${failure.id}`}
+                    : {failure.message}
+                  </Text>
+                ))}
+              </Box>
+            </Alert>
+          )}
+
+          {!isLoadingApps && applications.length > 0 && (
+            <HStack justify="space-between" mb={4} p={3} borderWidth={1} borderRadius="md">
+              <Checkbox
+                isChecked={selectedApplicationIds.length === applications.length}
+                isIndeterminate={selectedApplicationIds.length > 0 && selectedApplicationIds.length < applications.length}
+                onChange={handleToggleSelectAll}
+              >
+                Select all ({selectedApplicationIds.length} selected)
+              </Checkbox>
+              <HStack spacing={2}>
+                <Button
+                  size="sm"
+                  colorScheme="green"
+                  onClick={() => handleBulkDecision('approve')}
+                  isLoading={isProcessingApp}
+                  isDisabled={selectedApplicationIds.length === 0}
+                >
+                  Approve Selected
+                </Button>
+                <Button
+                  size="sm"
+                  colorScheme="red"
+                  variant="outline"
+                  onClick={handleBulkRejectClick}
+                  isDisabled={isProcessingApp || selectedApplicationIds.length === 0}
+                >
+                  Reject Selected
+                </Button>
+              </HStack>
+            </HStack>
+          )}
+
           {isLoadingApps ? (
             <HStack justify="center" py={8}>
               <Spinner />
@@ -790,9 +1149,14 @@ export const ProfesorDashboard = () => {
                     <GridItem>
                       <VStack align="start" spacing={3}>
                         <Box>
-                          <Heading size="md">
-                            {application.student.prenume} {application.student.nume}
-                          </Heading>
+                          <Checkbox
+                            isChecked={selectedApplicationIds.includes(application.id)}
+                            onChange={() => handleToggleSelected(application.id)}
+                          >
+                            <Heading size="md">
+                              {application.student.prenume} {application.student.nume}
+                            </Heading>
+                          </Checkbox>
                           <Text fontSize="sm" color="gray.600">
                             Applied on: {new Date(application.createdAt).toLocaleDateString()}
                           </Text>
@@ -809,8 +1173,35 @@ export const ProfesorDashboard = () => {
                           <Text fontSize="sm">
                             Capacity: {application.sesiune.limitaStudenti} students
                           </Text>
+                          {application.tema && (
+                            <Text fontSize="sm">
+                              Topic: {application.tema.titlu}
+                            </Text>
+                          )}
                         </Box>
 
+                        {application.titluPropus && (
+                          <Box>
+                            <Text fontSize="sm" fontWeight="bold" color="gray.700">Student's Proposal:</Text>
+                            <Text fontSize="sm" fontWeight="semibold">{application.titluPropus}</Text>
+                            {application.rezumat && (
+                              <Text fontSize="sm" color="gray.600" whiteSpace="pre-wrap">{application.rezumat}</Text>
+                            )}
+                            {application.cuvinteCheie && (
+                              <Text fontSize="sm" color="gray.600">Keywords: {application.cuvinteCheie}</Text>
+                            )}
+                          </Box>
+                        )}
+
+                        {application.titluContrapropus && (
+                          <Box p={2} bg="yellow.100" borderRadius="md">
+                            <Text fontSize="sm" fontWeight="bold" color="yellow.800">
+                              Your counter-proposal (waiting for the student):
+                            </Text>
+                            <Text fontSize="sm" color="yellow.900">{application.titluContrapropus}</Text>
+                          </Box>
+                        )}
+
                         <Badge colorScheme="orange">Pending Review</Badge>
                       </VStack>
                     </GridItem>
@@ -822,10 +1213,28 @@ export const ProfesorDashboard = () => {
                           w="full"
                           onClick={() => handleApproveApplication(application.id)}
                           isLoading={isProcessingApp}
-                          isDisabled={isProcessingApp}
+                          isDisabled={
+                            isProcessingApp
+                            || !!application.titluContrapropus
+                            || application.sesiune.modAlocare === 'matching'
+                          }
+                          title={
+                            application.sesiune.modAlocare === 'matching'
+                              ? 'Allocated by the stable matching: rank your applicants instead'
+                              : undefined
+                          }
                         >
                           Approve
                         </Button>
+                        <Button
+                          colorScheme="yellow"
+                          variant="outline"
+                          w="full"
+                          onClick={() => handleCounterProposeClick(application)}
+                          isDisabled={isProcessingApp}
+                        >
+                          Counter-propose Title
+                        </Button>
                         <Button
                           colorScheme="red"
                           variant="outline"
@@ -835,9 +1244,38 @@ export const ProfesorDashboard = () => {
                         >
                           Reject
                         </Button>
+                        <Button variant="ghost" size="sm" w="full" onClick={() => handleToggleHistory(application.id)}>
+                          {historyApplicationId === application.id ? 'Hide' : 'Show'} History
+                        </Button>
+                        <Button variant="ghost" size="sm" w="full" onClick={() => handleToggleMessages(application.id)}>
+                          Messages
+                          {application.mesajeNecitite > 0 && (
+                            <Badge ml={1} colorScheme="red" borderRadius="full">{application.mesajeNecitite}</Badge>
+                          )}
+                        </Button>
                       </VStack>
                     </GridItem>
                   </Grid>
+                  {historyApplicationId === application.id && (
+                    <Box mt={4} pt={4} borderTop="1px" borderColor="gray.200">
+                      <Heading size="xs" mb={3}>Status History</Heading>
+                      <ApplicationTimeline
+                        applicationId={application.id}
+                        getHistory={profesorService.getApplicationHistory}
+                      />
+                    </Box>
+                  )}
+                  {messagesApplicationId === application.id && (
+                    <Box mt={4} pt={4} borderTop="1px" borderColor="gray.200">
+                      <Heading size="xs" mb={3}>Messages</Heading>
+                      <ApplicationMessages
+                        applicationId={application.id}
+                        getMessages={profesorService.getApplicationMessages}
+                        sendMessage={profesorService.sendApplicationMessage}
+                        onRead={() => handleMessagesRead(application.id)}
+                      />
+                    </Box>
+                  )}
                 </Box>
               ))}
             </VStack>
@@ -846,6 +1284,13 @@ export const ProfesorDashboard = () => {
 
         <Divider />
 
+        {/* Invitations to co-supervise other professors' students */}
+        <CoSupervisionInvitations
+          getCoSupervisions={profesorService.getCoSupervisions}
+          respondToCoSupervision={profesorService.respondToCoSupervision}
+          onResponded={loadApplications}
+        />
+
         {/* Approved Applications Section */}
         <Box>
           <Heading size="lg" mb={4}>Approved Applications ({approvedApplications.length})</Heading>
@@ -868,12 +1313,23 @@ export const ProfesorDashboard = () => {
                     <GridItem>
                       <VStack align="start" spacing={3}>
                         <Box>
-                          <Heading size="md">
-                            {application.student.prenume} {application.student.nume}
-                          </Heading>
+                          <HStack spacing={2}>
+                            <Heading size="md">
+                              {application.student.prenume} {application.student.nume}
+                            </Heading>
+                            <Badge colorScheme={STATUS_COLORS[application.status] || 'gray'}>
+                              {STATUS_LABELS[application.status] || application.status}
+                            </Badge>
+                            {application.isCoSupervisor && <Badge colorScheme="cyan">Co-supervisor</Badge>}
+                          </HStack>
                           <Text fontSize="sm" color="gray.600">
-                            Approved on: {new Date(application.updatedAt).toLocaleDateString()}
+                            Last updated: {new Date(application.updatedAt).toLocaleDateString()}
                           </Text>
+                          {application.isCoSupervisor && (
+                            <Text fontSize="sm" color="gray.600">
+                              Supervised by Prof. {application.profesor.prenume} {application.profesor.nume}
+                            </Text>
+                          )}
                         </Box>
 
                         <Box>
@@ -886,6 +1342,13 @@ export const ProfesorDashboard = () => {
                           </Text>
                         </Box>
 
+                        {application.titluFinal && (
+                          <Box>
+                            <Text fontSize="sm" fontWeight="bold" color="gray.700">Agreed Title:</Text>
+                            <Text fontSize="sm">{application.titluFinal}</Text>
+                          </Box>
+                        )}
+
                         {application.fisierSemnatUrl && (
                           <Box>
                             <Text fontSize="sm" fontWeight="bold" color="gray.700" mb={1}>Student's Signed File:</Text>
@@ -903,9 +1366,30 @@ export const ProfesorDashboard = () => {
                           </Box>
                         )}
 
+                        {application.status === 'signed_returned' && application.motivReturnare && (
+                          <Box>
+                            <Text fontSize="sm" fontWeight="bold" color="gray.700">Returned With:</Text>
+                            <Text fontSize="sm">{application.motivReturnare}</Text>
+                          </Box>
+                        )}
+
+                        {!application.isCoSupervisor && (
+                          <Box w="full">
+                            <Text fontSize="sm" fontWeight="bold" color="gray.700" mb={1}>Co-supervisors:</Text>
+                            <CoSupervisorsPanel
+                              application={application}
+                              inviteCoSupervisor={profesorService.inviteCoSupervisor}
+                              removeCoSupervisor={profesorService.removeCoSupervisor}
+                              onChange={loadApplications}
+                            />
+                          </Box>
+                        )}
+
                         {application.fisierRaspunsUrl && (
                           <Box>
-                            <Text fontSize="sm" fontWeight="bold" color="gray.700" mb={1}>Your Response File:</Text>
+                            <Text fontSize="sm" fontWeight="bold" color="gray.700" mb={1}>
+                              {application.isCoSupervisor ? 'Supervisor\'s Response File:' : 'Your Response File:'}
+                            </Text>
                             <Button
                               size="sm"
                               colorScheme="purple"
@@ -924,31 +1408,93 @@ export const ProfesorDashboard = () => {
 
                     <GridItem>
                       <VStack spacing={2} w="200px">
-                        
-                        <Button
-                          colorScheme="purple"
-                          w="full"
-                          size="sm"
-                          onClick={() => handleUploadResponseClick(application)}
-                          isLoading={isUploadingResponse}
-                          isDisabled={!application.fisierSemnatUrl}
-                          title={!application.fisierSemnatUrl ? 'Student must upload signed file first' : 'Upload your response'}
-                        >
-                          {application.fisierRaspunsUrl ? 'Update Response' : 'Upload Response'}
+                        {!application.isCoSupervisor && (
+                          <>
+                            {application.status === 'signed_submitted' && (
+                              <>
+                                <Button
+                                  colorScheme="green"
+                                  w="full"
+                                  size="sm"
+                                  onClick={() => handleReviewSignedFile(application, true)}
+                                  isLoading={reviewingApplicationId === application.id}
+                                >
+                                  Accept Signed File
+                                </Button>
+                                <Button
+                                  colorScheme="yellow"
+                                  variant="outline"
+                                  w="full"
+                                  size="sm"
+                                  onClick={() => handleReturnSignedClick(application)}
+                                  isDisabled={reviewingApplicationId === application.id}
+                                >
+                                  Return Signed File
+                                </Button>
+                              </>
+                            )}
+                            <Button
+                              colorScheme="purple"
+                              w="full"
+                              size="sm"
+                              onClick={() => handleUploadResponseClick(application)}
+                              isLoading={isUploadingResponse}
+                              isDisabled={!['signed_accepted', 'finalized'].includes(application.status)}
+                              title={
+                                !['signed_accepted', 'finalized'].includes(application.status)
+                                  ? 'Accept the student\'s signed file first'
+                                  : 'Upload your response'
+                              }
+                            >
+                              {application.fisierRaspunsUrl ? 'Update Response' : 'Upload Response'}
+                            </Button>
+                            <Button
+                              colorScheme="red"
+                              variant="outline"
+                              w="full"
+                              size="sm"
+                              onClick={() => handleRejectApprovedClick(application)}
+                              isDisabled={
+                                isRejectingApproved
+                                || !['approved', 'signed_submitted', 'signed_returned'].includes(application.status)
+                              }
+                            >
+                              Reject
+                            </Button>
+                          </>
+                        )}
+                        <Button variant="ghost" size="sm" w="full" onClick={() => handleToggleHistory(application.id)}>
+                          {historyApplicationId === application.id ? 'Hide' : 'Show'} History
                         </Button>
-                        <Button
-                          colorScheme="red"
-                          variant="outline"
-                          w="full"
-                          size="sm"
-                          onClick={() => handleRejectApprovedClick(application)}
-                          isDisabled={isRejectingApproved}
-                        >
-                          Reject
+                        <Button variant="ghost" size="sm" w="full" onClick={() => handleToggleMessages(application.id)}>
+                          Messages
+                          {application.mesajeNecitite > 0 && (
+                            <Badge ml={1} colorScheme="red" borderRadius="full">{application.mesajeNecitite}</Badge>
+                          )}
                         </Button>
                       </VStack>
                     </GridItem>
                   </Grid>
+                  {historyApplicationId === application.id && (
+                    <Box mt={4} pt={4} borderTop="1px" borderColor="gray.200">
+                      <Heading size="xs" mb={3}>Status History</Heading>
+                      <ApplicationTimeline
+                        applicationId={application.id}
+                        getHistory={profesorService.getApplicationHistory}
+                      />
+                    </Box>
+                  )}
+                  {messagesApplicationId === application.id && (
+                    <Box mt={4} pt={4} borderTop="1px" borderColor="gray.200">
+                      <Heading size="xs" mb={3}>Messages</Heading>
+                      <ApplicationMessages
+                        applicationId={application.id}
+                        getMessages={profesorService.getApplicationMessages}
+                        sendMessage={profesorService.sendApplicationMessage}
+                        onRead={() => handleMessagesRead(application.id)}
+                      />
+                    </Box>
+                  )}
                 </Box>
               ))}
             </VStack>
@@ -956,6 +1502,20 @@ export const ProfesorDashboard = () => {
         </Box>
       </VStack>
 
+      {/* Session Topics Modal */}
+      <SessionTopicsModal
+        session={selectedSessionForTopics}
+        isOpen={isTopicsOpen}
+        onClose={onTopicsClose}
+      />
+
+      {/* Applicant Ranking Modal */}
+      <ApplicantRankingModal
+        session={selectedSessionForRanking}
+        isOpen={isRankingOpen}
+        onClose={onRankingClose}
+      />
+
       {/* New Session Modal */}
       <Modal isOpen={isSessionOpen} onClose={onSessionClose} isCentered size="md">
         <ModalOverlay />
@@ -1011,6 +1571,24 @@ export const ProfesorDashboard = () => {
                 )}
               </FormControl>
 
+              <FormControl>
+                <FormLabel>Allocation</FormLabel>
+                <Select name="modAlocare" value={sessionForm.modAlocare} onChange={handleSessionChange}>
+                  <option value="manual">Manual - I approve applications myself</option>
+                  <option value="matching">Stable matching - assigned by the administration</option>
+                </Select>
+              </FormControl>
+
+              {sessionForm.modAlocare === 'matching' && (
+                <FormControl>
+                  <FormLabel>Rank Applicants By</FormLabel>
+                  <Select name="criteriuClasament" value={sessionForm.criteriuClasament} onChange={handleSessionChange}>
+                    <option value="manual">My own ranking</option>
+                    <option value="grade">Grade average</option>
+                  </Select>
+                </FormControl>
+              )}
+
               <Alert status="info" borderRadius="md">
                 <AlertIcon />
                 <Text fontSize="sm">
@@ -1103,6 +1681,103 @@ export const ProfesorDashboard = () => {
         </ModalContent>
       </Modal>
 
+      {/* Bulk Reject Modal */}
+      <Modal isOpen={isBulkRejectOpen} onClose={onBulkRejectClose} isCentered size="md">
+        <ModalOverlay />
+        <ModalContent>
+          <ModalHeader>Reject {selectedApplicationIds.length} Applications</ModalHeader>
+          <ModalCloseButton />
+          <ModalBody>
+            <VStack spacing={4}>
+              <Text fontSize="sm" color="gray.600" w="full">
+                Every selected student receives the same reason.
+              </Text>
+              <FormControl isInvalid={!!bulkRejectError}>
+                <FormLabel>Rejection Reason</FormLabel>
+                <Textarea
+                  value={bulkRejectReason}
+                  onChange={(e) => setBulkRejectReason(e.target.value)}
+                  placeholder="Explain why you are rejecting these applications (min 10 characters)..."
+                  rows={4}
+                />
+                {bulkRejectError && (
+                  <Text color="red.500" fontSize="sm" mt={1}>
+                    {bulkRejectError}
+                  </Text>
+                )}
+              </FormControl>
+            </VStack>
+          </ModalBody>
+          <ModalFooter>
+            <HStack spacing={3}>
+              <Button variant="outline" onClick={onBulkRejectClose}>
+                Cancel
+              </Button>
+              <Button colorScheme="red" onClick={handleSubmitBulkReject} isLoading={isProcessingApp}>
+                Reject Applications
+              </Button>
+            </HStack>
+          </ModalFooter>
+        </ModalContent>
+      </Modal>
+
+      {/* Counter-propose Title Modal */}
+      <Modal isOpen={isCounterProposeOpen} onClose={onCounterProposeClose} isCentered size="md">
+        <ModalOverlay />
+        <ModalContent>
+          <ModalHeader>Counter-propose Title</ModalHeader>
+          <ModalCloseButton />
+          <ModalBody>
+            {selectedApplication && (
+              <VStack spacing={4}>
+                <Box p={4} bg="yellow.50" borderRadius="md" borderLeft="4px" borderColor="yellow.500" w="full">
+                  <Text fontWeight="bold" mb={2}>
+                    {selectedApplication.student.prenume} {selectedApplication.student.nume}
+                  </Text>
+                  <Text fontSize="sm" color="gray.600">
+                    Current title: {selectedApplication.titluPropus || selectedApplication.tema?.titlu || 'none'}
+                  </Text>
+                </Box>
+
+                <FormControl isInvalid={!!counterProposeError}>
+                  <FormLabel>Proposed Title</FormLabel>
+                  <Input
+                    value={counterProposedTitle}
+                    onChange={(e) => {
+                      setCounterProposedTitle(e.target.value)
+                      setCounterProposeError('')
+                    }}
+                    maxLength={255}
+                  />
+                  {counterProposeError && (
+                    <Text color="red.500" fontSize="sm" mt={1}>
+                      {counterProposeError}
+                    </Text>
+                  )}
+                </FormControl>
+
+                <Alert status="info" borderRadius="md">
+                  <AlertIcon />
+                  <Text fontSize="sm">
+                    The student accepts or declines the new title. You can approve the application once they answer.
+                  </Text>
+                </Alert>
+              </VStack>
+            )}
+          </ModalBody>
+          <ModalFooter>
+            <HStack spacing={3}>
+              <Button variant="outline" onClick={onCounterProposeClose}>
+                Cancel
+              </Button>
+              <Button colorScheme="yellow" onClick={handleCounterPropose} isLoading={isProcessingApp}>
+                Send Counter-proposal
+              </Button>
+            </HStack>
+          </ModalFooter>
+        </ModalContent>
+      </Modal>
+
       {/* Terminate Session Modal */}
       <Modal isOpen={isTerminateOpen} onClose={onTerminateClose} isCentered size="md">
         <ModalOverlay />
@@ -1246,7 +1921,7 @@ export const ProfesorDashboard = () => {
                   <Box>
                     <Text fontWeight="bold">Warning!</Text>
                     <Text fontSize="sm">
-                      This action will reject the application and clear the student's signed file. They will need to resubmit a new signed file.
+                      This action will reject the application and free the student's place in the session.
                     </Text>
                   </Box>
                 </Alert>
@@ -1299,6 +1974,53 @@ export const ProfesorDashboard = () => {
           </ModalFooter>
         </ModalContent>
       </Modal>
+
+      {/* Return Signed File Modal */}
+      <Modal isOpen={isReturnSignedOpen} onClose={onReturnSignedClose} isCentered size="md">
+        <ModalOverlay />
+        <ModalContent>
+          <ModalHeader>Return Signed File</ModalHeader>
+          <ModalCloseButton />
+          <ModalBody>
+            {selectedApprovedApp && (
+              <VStack spacing={4}>
+                <Text fontSize="sm" color="gray.600" w="full">
+                  {selectedApprovedApp.student.prenume} {selectedApprovedApp.student.nume} keeps their place and
+                  uploads a corrected file.
+                </Text>
+                <FormControl isInvalid={!!returnSignedError} w="full">
+                  <FormLabel>What needs to be fixed</FormLabel>
+                  <Textarea
+                    placeholder="e.g. The second page is not signed..."
+                    value={returnSignedReason}
+                    onChange={(e) => setReturnSignedReason(e.target.value)}
+                    minH="100px"
+                  />
+                  {returnSignedError && (
+                    <Text color="red.500" fontSize="sm" mt={1}>
+                      {returnSignedError}
+                    </Text>
+                  )}
+                </FormControl>
+              </VStack>
+            )}
+          </ModalBody>
+          <ModalFooter>
+            <HStack spacing={3}>
+              <Button variant="outline" onClick={onReturnSignedClose}>
+                Cancel
+              </Button>
+              <Button
+                colorScheme="yellow"
+                onClick={() => handleReviewSignedFile(selectedApprovedApp, false)}
+                isLoading={!!selectedApprovedApp && reviewingApplicationId === selectedApprovedApp.id}
+              >
+                Return File
+              </Button>
+            </HStack>
+          </ModalFooter>
+        </ModalContent>
+      </Modal>
     </Container>
   )
 }
@@ -0,0 +1,448 @@
+import { useEffect, useState } from 'react'
+import { useNavigate } from 'react-router-dom'
+import {
+  Container,
+  VStack,
+  HStack,
+  Box,
+  Heading,
+  Text,
+  Button,
+  Alert,
+  AlertIcon,
+  Badge,
+  Spinner,
+  useToast,
+} from '@chakra-ui/react'
+import { InputField, PrimaryButton } from '../components'
+import authService from '../services/authService'
+import profileService from '../services/profileService'
+import { validateChangePasswordForm, validateEmailChangeForm } from '../utils/validation'
+
+/**
+ * Short description of a device from its user agent string
+ * @param {string|null} userAgent - User-Agent header recorded at login
+ * @returns {string}
+ */
+const describeDevice = (userAgent) => {
+  if (!userAgent) return 'Unknown device'
+
+  const browser =
+    [['Edg/', 'Edge'], ['OPR/', 'Opera'], ['Firefox/', 'Firefox'], ['Chrome/', 'Chrome'], ['Safari/', 'Safari']]
+      .find(([token]) => userAgent.includes(token))?.[1] || 'Browser'
+  const os =
+    [['Windows', 'Windows'], ['Android', 'Android'], ['iPhone', 'iOS'], ['iPad', 'iOS'], ['Mac OS', 'macOS'], ['Linux', 'Linux']]
+      .find(([token]) => userAgent.includes(token))?.[1]
+
+  return os ? `${browser} on ${os}` : browser
+}
+
+/**
+ * Profile page: name, email address, password and device sessions of the signed-in user
+ */
+export const ProfilePage = () => {
+  const navigate = useNavigate()
+  const toast = useToast()
+  const [user, setUser] = useState(null)
+  const [profile, setProfile] = useState(null)
+  const [isLoading, setIsLoading] = useState(true)
+  const [nameForm, setNameForm] = useState({ nume: '', prenume: '' })
+  const [isSavingName, setIsSavingName] = useState(false)
+  const [emailForm, setEmailForm] = useState({ newEmail: '', password: '' })
+  const [emailErrors, setEmailErrors] = useState({})
+  const [isSavingEmail, setIsSavingEmail] = useState(false)
+  const [passwordForm, setPasswordForm] = useState({
+    currentPassword: '',
+    newPassword: '',
+    confirmPassword: '',
+  })
+  const [passwordErrors, setPasswordErrors] = useState({})
+  const [isSavingPassword, setIsSavingPassword] = useState(false)
+  const [sessions, setSessions] = useState([])
+
+  useEffect(() => {
+    const savedUser = authService.getUser()
+    if (!savedUser) {
+      navigate('/login')
+      return
+    }
+    setUser(savedUser)
+    loadProfile()
+    loadSessions()
+  }, [navigate])
+
+  const loadProfile = async () => {
+    try {
+      setIsLoading(true)
+      const response = await profileService.getProfile()
+      setProfile(response.data)
+      const person = response.data.student || response.data.profesor
+      setNameForm({ nume: person?.nume || '', prenume: person?.prenume || '' })
+    } catch (error) {
+      toast({
+        title: 'Error loading profile',
+        description: error.message || 'Failed to load profile',
+        status: 'error',
+        duration: 5,
+        isClosable: true,
+      })
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  const loadSessions = async () => {
+    try {
+      const response = await profileService.getSessions()
+      setSessions(response.data || [])
+    } catch (error) {
+      toast({
+        title: 'Error loading sessions',
+        description: error.message || 'Failed to load sessions',
+        status: 'error',
+        duration: 5,
+        isClosable: true,
+      })
+    }
+  }
+
+  const handleRevokeSession = async (session) => {
+    try {
+      await profileService.revokeSession(session.id)
+      if (session.current) {
+        authService.logout()
+        navigate('/login')
+        return
+      }
+      loadSessions()
+    } catch (error) {
+      toast({
+        title: 'Error signing out session',
+        description: error.message,
+        status: 'error',
+        duration: 5,
+        isClosable: true,
+      })
+    }
+  }
+
+  const handleRevokeOtherSessions = async () => {
+    try {
+      const response = await profileService.revokeOtherSessions()
+      toast({
+        title: 'Other sessions signed out',
+        description: `${response.data?.revoked || 0} session(s) signed out`,
+        status: 'success',
+        duration: 3,
+        isClosable: true,
+      })
+      loadSessions()
+    } catch (error) {
+      toast({
+        title: 'Error signing out sessions',
+        description: error.message,
+        status: 'error',
+        duration: 5,
+        isClosable: true,
+      })
+    }
+  }
+
+  /**
+   * Keep the stored user in sync with the profile shown on the dashboards
+   * @param {Object} data - Profile response data
+   */
+  const syncStoredUser = (data) => {
+    const updatedUser = {
+      ...authService.getUser(),
+      email: data.email,
+      emailVerifiedAt: data.emailVerifiedAt,
+      nome: data.student?.prenume || data.profesor?.prenume || '',
+      prenume: data.student?.nume || data.profesor?.nume || '',
+      profesor: data.profesor || null,
+      student: data.student || null,
+    }
+    authService.saveUser(updatedUser)
+    setUser(updatedUser)
+  }
+
+  const handleSaveName = async (e) => {
+    e.preventDefault()
+    setIsSavingName(true)
+    try {
+      const response = await profileService.updateProfile(nameForm)
+      setProfile(response.data)
+      syncStoredUser(response.data)
+      toast({
+        title: 'Profile updated',
+        status: 'success',
+        duration: 3,
+        isClosable: true,
+      })
+    } catch (error) {
+      toast({
+        title: 'Error updating profile',
+        description: error.message,
+        status: 'error',
+        duration: 5,
+        isClosable: true,
+      })
+    } finally {
+      setIsSavingName(false)
+    }
+  }
+
+  const handleRequestEmailChange = async (e) => {
+    e.preventDefault()
+
+    const validation = validateEmailChangeForm(emailForm)
+    setEmailErrors(validation.errors)
+    if (!validation.isValid) {
+      return
+    }
+
+    setIsSavingEmail(true)
+    try {
+      const response = await profileService.requestEmailChange(emailForm.newEmail, emailForm.password)
+      setProfile((prev) => ({ ...prev, pendingEmail: response.data.pendingEmail }))
+      setEmailForm({ newEmail: '', password: '' })
+      toast({
+        title: 'Confirmation sent',
+        description: response.message,
+        status: 'success',
+        duration: 5,
+        isClosable: true,
+      })
+    } catch (error) {
+      toast({
+        title: 'Error changing email',
+        description: error.message,
+        status: 'error',
+        duration: 5,
+        isClosable: true,
+      })
+    } finally {
+      setIsSavingEmail(false)
+    }
+  }
+
+  const handleChangePassword = async (e) => {
+    e.preventDefault()
+
+    const validation = validateChangePasswordForm(passwordForm)
+    setPasswordErrors(validation.errors)
+    if (!validation.isValid) {
+      return
+    }
+
+    setIsSavingPassword(true)
+    try {
+      const response = await profileService.changePassword(
+        passwordForm.currentPassword,
+        passwordForm.newPassword
+      )
+      // Other sessions were signed out; keep this one with the new token pair
+      authService.saveToken(response.data.token, response.data.refreshToken)
+      setPasswordForm({ currentPassword: '', newPassword: '', confirmPassword: '' })
+      loadSessions()
+      toast({
+        title: 'Password changed',
+        description: 'Your other sessions have been signed out.',
+        status: 'success',
+        duration: 5,
+        isClosable: true,
+      })
+    } catch (error) {
+      toast({
+        title: 'Error changing password',
+        description: error.message,
+        status: 'error',
+        duration: 5,
+        isClosable: true,
+      })
+    } finally {
+      setIsSavingPassword(false)
+    }
+  }
+
+  if (!user || isLoading || !profile) {
+    return (
+      <Container maxW="container.md" py={8}>
+        <HStack justify="center" py={8}>
+          <Spinner />
+          <Text>Loading profile...</Text>
+        </HStack>
+      </Container>
+    )
+  }
+
+  const hasNameProfile = Boolean(profile.student || profile.profesor)
+
+  return (
+    <Container maxW="container.md" py={8}>
+      <VStack spacing={8} align="stretch">
+        <HStack justify="space-between" align="start">
+          <Box>
+            <Heading as="h1" size="2xl" mb={2}>
+              Profile
+            </Heading>
+            <Text color="gray.600">
+              {profile.role} · member since {new Date(profile.createdAt).toLocaleDateString()}
+            </Text>
+          </Box>
+          <HStack spacing={3}>
+            {profile.role !== 'student' && (
+              <Button onClick={() => navigate('/security')}>
+                Security
+              </Button>
+            )}
+            <Button onClick={() => navigate(authService.getDashboardPath(profile.role))}>
+              Back to Dashboard
+            </Button>
+          </HStack>
+        </HStack>
+
+        {/* Personal Information */}
+        {hasNameProfile && (
+          <Box as="form" onSubmit={handleSaveName} borderWidth={1} borderRadius="lg" p={6}>
+            <Heading size="md" mb={4}>Personal Information</Heading>
+            <VStack spacing={4} align="stretch">
+              <InputField
+                label="Last Name"
+                name="nume"
+                value={nameForm.nume}
+                onChange={(e) => setNameForm((prev) => ({ ...prev, nume: e.target.value }))}
+                isRequired
+              />
+              <InputField
+                label="First Name"
+                name="prenume"
+                value={nameForm.prenume}
+                onChange={(e) => setNameForm((prev) => ({ ...prev, prenume: e.target.value }))}
+                isRequired
+              />
+              <PrimaryButton type="submit" isLoading={isSavingName}>
+                Save
+              </PrimaryButton>
+            </VStack>
+          </Box>
+        )}
+
+        {/* Email */}
+        <Box as="form" onSubmit={handleRequestEmailChange} borderWidth={1} borderRadius="lg" p={6}>
+          <Heading size="md" mb={4}>Email Address</Heading>
+          <VStack spacing={4} align="stretch">
+            <HStack>
+              <Text fontWeight="bold">{profile.email}</Text>
+              <Badge colorScheme={profile.emailVerifiedAt ? 'green' : 'orange'}>
+                {profile.emailVerifiedAt ? 'Verified' : 'Not verified'}
+              </Badge>
+            </HStack>
+
+            {profile.pendingEmail && (
+              <Alert status="info" borderRadius="md">
+                <AlertIcon />
+                <Text>
+                  Waiting for confirmation of <strong>{profile.pendingEmail}</strong>. Open the link sent to that
+                  address to complete the change.
+                </Text>
+              </Alert>
+            )}
+
+            <InputField
+              label="New Email"
+              name="newEmail"
+              type="email"
+              placeholder="new.email@example.com"
+              value={emailForm.newEmail}
+              onChange={(e) => setEmailForm((prev) => ({ ...prev, newEmail: e.target.value }))}
+              error={emailErrors.newEmail}
+            />
+            <InputField
+              label="Current Password"
+              name="emailPassword"
+              type="password"
+              placeholder="••••••••"
+              value={emailForm.password}
+              onChange={(e) => setEmailForm((prev) => ({ ...prev, password: e.target.value }))}
+              error={emailErrors.password}
+            />
+            <PrimaryButton type="submit" isLoading={isSavingEmail}>
+              Change Email
+            </PrimaryButton>
+          </VStack>
+        </Box>
+
+        {/* Password */}
+        <Box as="form" onSubmit={handleChangePassword} borderWidth={1} borderRadius="lg" p={6}>
+          <Heading size="md" mb={4}>Password</Heading>
+          <VStack spacing={4} align="stretch">
+            <InputField
+              label="Current Password"
+              name="currentPassword"
+              type="password"
+              placeholder="••••••••"
+              value={passwordForm.currentPassword}
+              onChange={(e) => setPasswordForm((prev) => ({ ...prev, currentPassword: e.target.value }))}
+              error={passwordErrors.currentPassword}
+            />
+            <InputField
+              label="New Password"
+              name="newPassword"
+              type="password"
+              placeholder="••••••••"
+              value={passwordForm.newPassword}
+              onChange={(e) => setPasswordForm((prev) => ({ ...prev, newPassword: e.target.value }))}
+              error={passwordErrors.newPassword}
+            />
+            <InputField
+              label="Confirm New Password"
+              name="confirmPassword"
+              type="password"
+              placeholder="••••••••"
+              value={passwordForm.confirmPassword}
+              onChange={(e) => setPasswordForm((prev) => ({ ...prev, confirmPassword: e.target.value }))}
+              error={passwordErrors.confirmPassword}
+            />
+            <PrimaryButton type="submit" isLoading={isSavingPassword}>
+              Change Password
+            </PrimaryButton>
+          </VStack>
+        </Box>
+
+        {/* Device Sessions */}
+        <Box borderWidth={1} borderRadius="lg" p={6}>
+          <HStack justify="space-between" mb={4}>
+            <Heading size="md">Where You're Signed In</Heading>
+            {sessions.length > 1 && (
+              <Button size="sm" colorScheme="red" variant="outline" onClick={handleRevokeOtherSessions}>
+                Sign Out Other Sessions
+              </Button>
+            )}
+          </HStack>
+          <VStack spacing={3} align="stretch">
+            {sessions.map((session) => (
+              <HStack key={session.id} justify="space-between" borderWidth={1} borderRadius="md" p={3}>
+                <Box>
+                  <HStack>
+                    <Text fontWeight="bold">{describeDevice(session.userAgent)}</Text>
+                    {session.current && <Badge colorScheme="green">This device</Badge>}
+                  </HStack>
+                  <Text fontSize="sm" color="gray.600">
+                    {session.ip || 'Unknown IP'} · Signed in {new Date(session.createdAt).toLocaleString()} · Last
+                    active {new Date(session.lastSeenAt).toLocaleString()}
+                  </Text>
+                </Box>
+                <Button size="sm" variant="outline" onClick={() => handleRevokeSession(session)}>
+                  Sign Out
+                </Button>
+              </HStack>
+            ))}
+          </VStack>
+        </Box>
+      </VStack>
+    </Container>
+  )
+}
+
+export default ProfilePage
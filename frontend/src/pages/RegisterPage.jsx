@@ -1,5 +1,5 @@
-import { useState } from 'react'
-import { useNavigate, Link } from 'react-router-dom'
+import { useEffect, useState } from 'react'
+import { useNavigate, useSearchParams, Link } from 'react-router-dom'
 import {
   Container,
   VStack,
@@ -7,6 +7,7 @@ import {
   Heading,
   Text,
   Select,
+  Button,
   useToast,
 } from '@chakra-ui/react'
 import { InputField, PrimaryButton } from '../components'
@@ -16,16 +17,27 @@ import { validateRegisterForm } from '../utils/validation'
 export const RegisterPage = () => {
   const navigate = useNavigate()
   const toast = useToast()
+  const [searchParams] = useSearchParams()
+  // Invitation links prefill the professor registration
+  const invitationFromLink = searchParams.get('invitation') || ''
   const [isLoading, setIsLoading] = useState(false)
   const [formData, setFormData] = useState({
-    email: '',
+    email: searchParams.get('email') || '',
     password: '',
     nume: '',
     prenume: '',
-    role: '',
-    limitaStudenti: '',
+    role: invitationFromLink ? 'profesor' : '',
+    invitationCode: invitationFromLink,
   })
   const [errors, setErrors] = useState({})
+  const [ssoConfig, setSsoConfig] = useState(null)
+
+  useEffect(() => {
+    authService
+      .getSsoConfig()
+      .then((response) => setSsoConfig(response.data))
+      .catch(() => setSsoConfig(null))
+  }, [])
 
   const handleChange = (e) => {
     const { name, value } = e.target
@@ -60,18 +72,19 @@ export const RegisterPage = () => {
         formData.nume,
         formData.prenume,
         formData.role,
-        formData.limitaStudenti
+        formData.invitationCode
       )
 
       if (response.success) {
         // Save token
-        authService.saveToken(response.data.token)
+        authService.saveToken(response.data.token, response.data.refreshToken)
         
         // Create normalized user object from response data
         const userInfo = {
           userId: response.data.userId,
           email: response.data.email,
           role: response.data.role,
+          emailVerifiedAt: response.data.emailVerifiedAt || null,
           nome: formData.prenume,
           prenume: formData.nume,
           profesor: response.data.profesor || null,
@@ -81,7 +94,7 @@ export const RegisterPage = () => {
 
         toast({
           title: 'Account created successfully',
-          description: 'Welcome to Dissertation Manager!',
+          description: 'Check your email to verify your address before applying or reviewing applications.',
           status: 'success',
           duration: 3,
           isClosable: true,
@@ -124,6 +137,22 @@ export const RegisterPage = () => {
           </Text>
         </Box>
 
+        {ssoConfig?.enabled && !invitationFromLink && (
+          <VStack w="full" spacing={2}>
+            <Button
+              as="a"
+              href={authService.getSsoLoginUrl()}
+              colorScheme="blue"
+              w="full"
+            >
+              Continue with {ssoConfig.providerName}
+            </Button>
+            <Text color="gray.600" fontSize="sm">
+              No new password needed. Or create an account with your email below.
+            </Text>
+          </VStack>
+        )}
+
         <Box
           as="form"
           onSubmit={handleSubmit}
@@ -178,7 +207,7 @@ export const RegisterPage = () => {
                 placeholder="Select your role"
               >
                 <option value="student">Student</option>
-                <option value="profesor">Professor</option>
+                <option value="profesor">Professor (invitation required)</option>
               </Select>
               {errors.role && (
                 <Text color="red.500" fontSize="sm" mt={1}>
@@ -188,15 +217,21 @@ export const RegisterPage = () => {
             </Box>
 
             {formData.role === 'profesor' && (
-              <InputField
-                label="Max Students"
-                name="limitaStudenti"
-                type="number"
-                placeholder="e.g., 5"
-                value={formData.limitaStudenti}
-                onChange={handleChange}
-                error={errors.limitaStudenti}
-              />
+              <Box w="full">
+                <InputField
+                  label="Invitation Code"
+                  name="invitationCode"
+                  type="text"
+                  placeholder="Code from your invitation email"
+                  value={formData.invitationCode}
+                  onChange={handleChange}
+                  error={errors.invitationCode}
+                  isRequired
+                />
+                <Text fontSize="xs" color="gray.600" mt={1}>
+                  Professor accounts are created by invitation from the faculty administration. Use the email address the invitation was sent to.
+                </Text>
+              </Box>
             )}
 
             <InputField
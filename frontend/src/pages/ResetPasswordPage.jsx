@@ -0,0 +1,162 @@
+import { useState } from 'react'
+import { useNavigate, useSearchParams, Link } from 'react-router-dom'
+import {
+  Container,
+  VStack,
+  Box,
+  Heading,
+  Text,
+  Alert,
+  AlertIcon,
+  useToast,
+} from '@chakra-ui/react'
+import { InputField, PrimaryButton } from '../components'
+import authService from '../services/authService'
+import { validateResetPasswordForm } from '../utils/validation'
+
+export const ResetPasswordPage = () => {
+  const navigate = useNavigate()
+  const toast = useToast()
+  const [searchParams] = useSearchParams()
+  const token = searchParams.get('token')
+  const [isLoading, setIsLoading] = useState(false)
+  const [resetError, setResetError] = useState('')
+  const [formData, setFormData] = useState({
+    password: '',
+    confirmPassword: '',
+  })
+  const [errors, setErrors] = useState({})
+
+  const handleChange = (e) => {
+    const { name, value } = e.target
+    setFormData((prev) => ({
+      ...prev,
+      [name]: value,
+    }))
+    // Clear error for this field when user starts typing
+    if (errors[name]) {
+      setErrors((prev) => ({
+        ...prev,
+        [name]: '',
+      }))
+    }
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+
+    setResetError('')
+
+    // Validate form
+    const validation = validateResetPasswordForm(formData)
+    if (!validation.isValid) {
+      setErrors(validation.errors)
+      return
+    }
+
+    setIsLoading(true)
+    try {
+      await authService.resetPassword(token, formData.password)
+
+      toast({
+        title: 'Password changed',
+        description: 'Please sign in with your new password',
+        status: 'success',
+        duration: 4,
+        isClosable: true,
+      })
+
+      navigate('/login')
+    } catch (error) {
+      const errorMessage =
+        error.response?.data?.message ||
+        error.message ||
+        'Failed to reset password'
+
+      setResetError(errorMessage)
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  return (
+    <Container maxW="sm" py={{ base: '12', md: '24' }}>
+      <VStack spacing={8}>
+        <Box textAlign="center">
+          <Heading as="h1" size="2xl" mb={2}>
+            Reset Password
+          </Heading>
+          <Text color="gray.600">
+            Choose a new password for your account
+          </Text>
+        </Box>
+
+        {!token ? (
+          <Alert status="error" borderRadius="md">
+            <AlertIcon />
+            This password reset link is invalid. Please request a new one.
+          </Alert>
+        ) : (
+          <Box
+            as="form"
+            onSubmit={handleSubmit}
+            w="full"
+            borderWidth={1}
+            borderRadius="lg"
+            p={8}
+            boxShadow="sm"
+          >
+            <VStack spacing={6}>
+              {resetError && (
+                <Alert status="error" borderRadius="md" mb={2}>
+                  <AlertIcon />
+                  {resetError}
+                </Alert>
+              )}
+
+              <InputField
+                label="New Password"
+                name="password"
+                type="password"
+                placeholder="••••••••"
+                value={formData.password}
+                onChange={handleChange}
+                error={errors.password}
+                isRequired
+              />
+
+              <InputField
+                label="Confirm New Password"
+                name="confirmPassword"
+                type="password"
+                placeholder="••••••••"
+                value={formData.confirmPassword}
+                onChange={handleChange}
+                error={errors.confirmPassword}
+                isRequired
+              />
+
+              <PrimaryButton
+                type="submit"
+                isLoading={isLoading}
+              >
+                Set New Password
+              </PrimaryButton>
+            </VStack>
+          </Box>
+        )}
+
+        <Box textAlign="center">
+          <Text color="gray.600">
+            Link expired?{' '}
+            <Link to="/forgot-password" style={{ color: '#3182ce', fontWeight: 'bold' }}>
+              Request a new one
+            </Link>
+          </Text>
+        </Box>
+      </VStack>
+    </Container>
+  )
+}
+
+export default ResetPasswordPage
@@ -0,0 +1,310 @@
+import { useEffect, useState } from 'react'
+import { useNavigate } from 'react-router-dom'
+import {
+  Container,
+  VStack,
+  HStack,
+  Box,
+  Heading,
+  Text,
+  Button,
+  Alert,
+  AlertIcon,
+  Badge,
+  Image,
+  Code,
+  SimpleGrid,
+  Spinner,
+  useToast,
+} from '@chakra-ui/react'
+import { InputField, PrimaryButton } from '../components'
+import authService from '../services/authService'
+
+/**
+ * Security settings: two-factor enrollment, recovery codes and disabling two-factor
+ */
+export const SecurityPage = () => {
+  const navigate = useNavigate()
+  const toast = useToast()
+  const [user, setUser] = useState(null)
+  const [status, setStatus] = useState(null)
+  const [isLoading, setIsLoading] = useState(true)
+  const [isSubmitting, setIsSubmitting] = useState(false)
+  const [setup, setSetup] = useState(null)
+  const [recoveryCodes, setRecoveryCodes] = useState([])
+  const [code, setCode] = useState('')
+  const [password, setPassword] = useState('')
+  const [actionError, setActionError] = useState('')
+
+  useEffect(() => {
+    const savedUser = authService.getUser()
+    if (!savedUser) {
+      navigate('/login')
+      return
+    }
+    setUser(savedUser)
+    loadStatus()
+  }, [navigate])
+
+  const loadStatus = async () => {
+    try {
+      setIsLoading(true)
+      const response = await authService.getTwoFactorStatus()
+      setStatus(response.data)
+    } catch (error) {
+      toast({
+        title: 'Error loading security settings',
+        description: error.response?.data?.message || error.message,
+        status: 'error',
+        duration: 5,
+        isClosable: true,
+      })
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  /**
+   * Keep the stored user in sync so dashboards stop asking for enrollment
+   * @param {boolean} enabled - Whether two-factor is now enabled
+   */
+  const updateStoredUser = (enabled) => {
+    const updatedUser = {
+      ...user,
+      twoFactorEnabled: enabled,
+      twoFactorSetupRequired: !enabled && Boolean(status?.required),
+    }
+    authService.saveUser(updatedUser)
+    setUser(updatedUser)
+  }
+
+  /**
+   * Run a two-factor action and show its error inline
+   * @param {Function} action - Async function performing the request
+   */
+  const runAction = async (action) => {
+    setActionError('')
+    setIsSubmitting(true)
+    try {
+      await action()
+    } catch (error) {
+      setActionError(error.response?.data?.message || error.message || 'Request failed')
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  const handleStartSetup = () =>
+    runAction(async () => {
+      const response = await authService.setupTwoFactor()
+      setSetup(response.data)
+      setRecoveryCodes([])
+      setCode('')
+    })
+
+  const handleEnable = (e) => {
+    e.preventDefault()
+    return runAction(async () => {
+      const response = await authService.enableTwoFactor(code.trim())
+      setRecoveryCodes(response.data.recoveryCodes)
+      setSetup(null)
+      setCode('')
+      updateStoredUser(true)
+      await loadStatus()
+      toast({
+        title: 'Two-factor authentication enabled',
+        status: 'success',
+        duration: 3,
+        isClosable: true,
+      })
+    })
+  }
+
+  const handleRegenerate = () =>
+    runAction(async () => {
+      const response = await authService.regenerateRecoveryCodes(code.trim())
+      setRecoveryCodes(response.data.recoveryCodes)
+      setCode('')
+      await loadStatus()
+    })
+
+  const handleDisable = () =>
+    runAction(async () => {
+      await authService.disableTwoFactor(password, code.trim())
+      setCode('')
+      setPassword('')
+      setRecoveryCodes([])
+      updateStoredUser(false)
+      await loadStatus()
+      toast({
+        title: 'Two-factor authentication disabled',
+        status: 'info',
+        duration: 3,
+        isClosable: true,
+      })
+    })
+
+  if (!user || isLoading) {
+    return (
+      <Container maxW="container.md" py={8}>
+        <HStack justify="center" py={8}>
+          <Spinner />
+          <Text>Loading security settings...</Text>
+        </HStack>
+      </Container>
+    )
+  }
+
+  return (
+    <Container maxW="container.md" py={8}>
+      <VStack spacing={8} align="stretch">
+        <HStack justify="space-between" align="start">
+          <Box>
+            <Heading as="h1" size="2xl" mb={2}>
+              Security
+            </Heading>
+            <Text color="gray.600">Signed in as {user.email}</Text>
+          </Box>
+          <Button onClick={() => navigate(authService.getDashboardPath(user.role))}>
+            Back to Dashboard
+          </Button>
+        </HStack>
+
+        <Box borderWidth={1} borderRadius="lg" p={6}>
+          <HStack justify="space-between" mb={4}>
+            <Heading size="lg">Two-Factor Authentication</Heading>
+            {status?.available && (
+              <Badge colorScheme={status.enabled ? 'green' : 'gray'}>
+                {status.enabled ? 'Enabled' : 'Disabled'}
+              </Badge>
+            )}
+          </HStack>
+
+          {!status?.available ? (
+            <Alert status="info" borderRadius="md">
+              <AlertIcon />
+              <Text>Two-factor authentication is available for professor and staff accounts.</Text>
+            </Alert>
+          ) : (
+            <VStack spacing={4} align="stretch">
+              {status.required && !status.enabled && (
+                <Alert status="warning" borderRadius="md">
+                  <AlertIcon />
+                  <Text>
+                    Two-factor authentication is mandatory for your role. You cannot make changes until it is enabled.
+                  </Text>
+                </Alert>
+              )}
+
+              {actionError && (
+                <Alert status="error" borderRadius="md">
+                  <AlertIcon />
+                  {actionError}
+                </Alert>
+              )}
+
+              {recoveryCodes.length > 0 && (
+                <Alert status="success" borderRadius="md" alignItems="start">
+                  <AlertIcon />
+                  <Box>
+                    <Text mb={2}>
+                      Save these recovery codes somewhere safe. Each one can be used once if you lose access to your
+                      authenticator app. They will not be shown again.
+                    </Text>
+                    <SimpleGrid columns={2} spacing={2}>
+                      {recoveryCodes.map((recoveryCode) => (
+                        <Code key={recoveryCode}>{recoveryCode}</Code>
+                      ))}
+                    </SimpleGrid>
+                  </Box>
+                </Alert>
+              )}
+
+              {!status.enabled && !setup && (
+                <>
+                  <Text color="gray.600">
+                    Protect your account with a code from an authenticator app (Google Authenticator, Microsoft
+                    Authenticator, Aegis...) in addition to your password.
+                  </Text>
+                  <Button colorScheme="blue" onClick={handleStartSetup} isLoading={isSubmitting}>
+                    Set Up Two-Factor Authentication
+                  </Button>
+                </>
+              )}
+
+              {!status.enabled && setup && (
+                <Box as="form" onSubmit={handleEnable}>
+                  <VStack spacing={4} align="stretch">
+                    <Text>Scan this QR code with your authenticator app:</Text>
+                    <Image src={setup.qrCode} alt="Two-factor QR code" boxSize="200px" alignSelf="center" />
+                    <Text fontSize="sm" color="gray.600">
+                      Or enter this key manually: <Code>{setup.secret}</Code>
+                    </Text>
+                    <InputField
+                      label="Code from the app"
+                      name="code"
+                      placeholder="123456"
+                      value={code}
+                      onChange={(e) => setCode(e.target.value)}
+                      autoComplete="one-time-code"
+                      isRequired
+                    />
+                    <PrimaryButton type="submit" isLoading={isSubmitting}>
+                      Enable
+                    </PrimaryButton>
+                  </VStack>
+                </Box>
+              )}
+
+              {status.enabled && (
+                <>
+                  <Text color="gray.600">
+                    Enabled on {new Date(status.enabledAt).toLocaleDateString()} ·{' '}
+                    {status.recoveryCodesRemaining} recovery code(s) left
+                  </Text>
+
+                  <InputField
+                    label="Current code"
+                    name="code"
+                    placeholder="123456"
+                    value={code}
+                    onChange={(e) => setCode(e.target.value)}
+                    autoComplete="one-time-code"
+                  />
+
+                  <Button onClick={handleRegenerate} isLoading={isSubmitting} isDisabled={!code.trim()}>
+                    Generate New Recovery Codes
+                  </Button>
+
+                  {!status.required && (
+                    <>
+                      <InputField
+                        label="Password"
+                        name="password"
+                        type="password"
+                        placeholder="••••••••"
+                        value={password}
+                        onChange={(e) => setPassword(e.target.value)}
+                      />
+                      <Button
+                        colorScheme="red"
+                        variant="outline"
+                        onClick={handleDisable}
+                        isLoading={isSubmitting}
+                        isDisabled={!code.trim() || !password}
+                      >
+                        Disable Two-Factor Authentication
+                      </Button>
+                    </>
+                  )}
+                </>
+              )}
+            </VStack>
+          )}
+        </Box>
+      </VStack>
+    </Container>
+  )
+}
+
+export default SecurityPage
@@ -0,0 +1,92 @@
+import { useEffect, useRef, useState } from 'react'
+import { useNavigate, useSearchParams, Link } from 'react-router-dom'
+import {
+  Container,
+  VStack,
+  Box,
+  Heading,
+  Text,
+  Alert,
+  AlertIcon,
+  Spinner,
+  useToast,
+} from '@chakra-ui/react'
+import authService from '../services/authService'
+
+/**
+ * Landing page of the single sign-on redirect: exchanges the one-time code for a session
+ */
+export const SsoCallbackPage = () => {
+  const navigate = useNavigate()
+  const toast = useToast()
+  const [searchParams] = useSearchParams()
+  const code = searchParams.get('code')
+  const [errorMessage, setErrorMessage] = useState(code ? '' : 'This sign-in link is invalid.')
+  // The code is single use: do not exchange it twice when effects run twice in development
+  const exchanged = useRef(false)
+
+  useEffect(() => {
+    if (!code || exchanged.current) return
+    exchanged.current = true
+
+    const exchange = async () => {
+      try {
+        const response = await authService.exchangeSsoCode(code)
+
+        if (response.data.twoFactorRequired) {
+          navigate('/login', { replace: true, state: { challengeToken: response.data.challengeToken } })
+          return
+        }
+
+        const user = authService.saveLogin(response.data)
+        toast({
+          title: 'Login successful',
+          description: 'Welcome!',
+          status: 'success',
+          duration: 3,
+          isClosable: true,
+        })
+        navigate(user.twoFactorSetupRequired ? '/security' : authService.getDashboardPath(user.role), {
+          replace: true,
+        })
+      } catch (error) {
+        setErrorMessage(error.response?.data?.message || error.message || 'Single sign-on failed')
+      }
+    }
+
+    exchange()
+  }, [code, navigate, toast])
+
+  return (
+    <Container maxW="sm" py={{ base: '12', md: '24' }}>
+      <VStack spacing={8}>
+        <Box textAlign="center">
+          <Heading as="h1" size="2xl" mb={2}>
+            Single Sign-On
+          </Heading>
+        </Box>
+
+        {errorMessage ? (
+          <>
+            <Alert status="error" borderRadius="md">
+              <AlertIcon />
+              {errorMessage}
+            </Alert>
+            <Box textAlign="center">
+              <Link to="/login" style={{ color: '#3182ce', fontWeight: 'bold' }}>
+                Back to sign in
+              </Link>
+            </Box>
+          </>
+        ) : (
+          <VStack spacing={4}>
+            <Spinner />
+            <Text color="gray.600">Signing you in...</Text>
+          </VStack>
+        )}
+      </VStack>
+    </Container>
+  )
+}
+
+export default SsoCallbackPage
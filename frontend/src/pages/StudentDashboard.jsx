@@ -23,16 +23,33 @@ import {
   ModalFooter,
   ModalBody,
   ModalCloseButton,
+  Radio,
+  RadioGroup,
+  FormControl,
+  FormLabel,
+  FormHelperText,
+  Input,
+  Textarea,
   useDisclosure,
 } from '@chakra-ui/react'
+import { ApplicationMessages, ApplicationTimeline, EmailVerificationBanner } from '../components'
 import authService from '../services/authService'
 import studentService from '../services/studentService'
+import { STATUS_COLORS, STATUS_LABELS, isEnrolled } from '../utils/applicationStatus'
+
+const EMPTY_PROPOSAL = { titluPropus: '', rezumat: '', cuvinteCheie: '' }
+const MIN_ABSTRACT_LENGTH = 50
+// Argument length limits of an appeal, as enforced by the backend
+const APPEAL_MIN_LENGTH = 20
+const APPEAL_MAX_LENGTH = 3000
 
 export const StudentDashboard = () => {
   const navigate = useNavigate()
   const toast = useToast()
   const { isOpen, onOpen, onClose } = useDisclosure()
   const { isOpen: isUploadOpen, onOpen: onUploadOpen, onClose: onUploadClose } = useDisclosure()
+  const { isOpen: isWithdrawOpen, onOpen: onWithdrawOpen, onClose: onWithdrawClose } = useDisclosure()
+  const { isOpen: isAppealOpen, onOpen: onAppealOpen, onClose: onAppealClose } = useDisclosure()
   
   const [user, setUser] = useState(null)
   const [sessions, setSessions] = useState([])
@@ -41,9 +58,23 @@ export const StudentDashboard = () => {
   const [isLoadingApps, setIsLoadingApps] = useState(true)
   const [isSubmitting, setIsSubmitting] = useState(false)
   const [selectedSession, setSelectedSession] = useState(null)
+  const [selectedTopicId, setSelectedTopicId] = useState('')
+  const [proposal, setProposal] = useState(EMPTY_PROPOSAL)
+  const [answeringApplicationId, setAnsweringApplicationId] = useState(null)
   const [selectedApplicationForUpload, setSelectedApplicationForUpload] = useState(null)
   const [uploadFile, setUploadFile] = useState(null)
   const [isUploading, setIsUploading] = useState(false)
+  const [selectedApplicationForWithdraw, setSelectedApplicationForWithdraw] = useState(null)
+  const [withdrawReason, setWithdrawReason] = useState('')
+  const [isWithdrawing, setIsWithdrawing] = useState(false)
+  const [selectedApplicationForAppeal, setSelectedApplicationForAppeal] = useState(null)
+  const [appealArguments, setAppealArguments] = useState('')
+  const [isAppealing, setIsAppealing] = useState(false)
+  const [historyApplicationId, setHistoryApplicationId] = useState(null)
+  const [messagesApplicationId, setMessagesApplicationId] = useState(null)
+  const [preferences, setPreferences] = useState([])
+  const [isPreferenceOrderChanged, setIsPreferenceOrderChanged] = useState(false)
+  const [isSavingPreferences, setIsSavingPreferences] = useState(false)
 
   useEffect(() => {
     const savedUser = authService.getUser()
@@ -51,11 +82,16 @@ export const StudentDashboard = () => {
       navigate('/login')
       return
     }
+    if (savedUser.role !== 'student') {
+      navigate(authService.getDashboardPath(savedUser.role))
+      return
+    }
     setUser(savedUser)
     
     // Fetch sessions and applications
     loadSessions()
     loadApplications()
+    loadPreferences()
   }, [navigate])
 
   const loadSessions = async () => {
@@ -98,6 +134,63 @@ export const StudentDashboard = () => {
     }
   }
 
+  const loadPreferences = async () => {
+    try {
+      const response = await studentService.getPreferences()
+      if (response.success) {
+        setPreferences(response.data || [])
+        setIsPreferenceOrderChanged(false)
+      }
+    } catch (error) {
+      toast({
+        title: 'Error loading preferences',
+        description: error.message || 'Failed to load your preferences',
+        status: 'error',
+        duration: 5,
+        isClosable: true,
+      })
+    }
+  }
+
+  /**
+   * Moves a preference one place up or down in the local order
+   * @param {number} index - Current position in the list
+   * @param {number} offset - -1 to move up, 1 to move down
+   */
+  const handleMovePreference = (index, offset) => {
+    const target = index + offset
+    if (target < 0 || target >= preferences.length) return
+
+    const reordered = [...preferences]
+    ;[reordered[index], reordered[target]] = [reordered[target], reordered[index]]
+    setPreferences(reordered)
+    setIsPreferenceOrderChanged(true)
+  }
+
+  const handleSavePreferences = async () => {
+    setIsSavingPreferences(true)
+    try {
+      await studentService.savePreferences(preferences.map((pref) => pref.applicationId))
+      toast({
+        title: 'Preferences saved',
+        status: 'success',
+        duration: 4,
+        isClosable: true,
+      })
+      loadPreferences()
+    } catch (error) {
+      toast({
+        title: 'Error saving preferences',
+        description: error.message || 'Failed to save your preferences',
+        status: 'error',
+        duration: 5,
+        isClosable: true,
+      })
+    } finally {
+      setIsSavingPreferences(false)
+    }
+  }
+
   /**
    * Opens the application submission modal for a session
    * Validates that user hasn't already applied to this session
@@ -118,9 +211,24 @@ export const StudentDashboard = () => {
     }
     
     setSelectedSession(session)
+    setSelectedTopicId('')
+    setProposal(EMPTY_PROPOSAL)
     onOpen()
   }
 
+  const handleProposalChange = (e) => {
+    const { name, value } = e.target
+    setProposal((prev) => ({ ...prev, [name]: value }))
+  }
+
+  // Sessions with a catalogue offer an extra "own" choice; without one the proposal is optional
+  const isProposingOwnTopic = selectedSession?.topics?.length > 0
+    ? selectedTopicId === 'own'
+    : Boolean(proposal.titluPropus.trim() || proposal.rezumat.trim() || proposal.cuvinteCheie.trim())
+
+  const isProposalValid =
+    Boolean(proposal.titluPropus.trim()) && proposal.rezumat.trim().length >= MIN_ABSTRACT_LENGTH
+
   /**
    * Submits an application to a selected session
    * Reloads applications list after successful submission
@@ -132,20 +240,33 @@ export const StudentDashboard = () => {
     try {
       const response = await studentService.submitApplication(
         selectedSession.id,
-        selectedSession.profesorId
+        selectedSession.profesorId,
+        selectedTopicId && selectedTopicId !== 'own' ? parseInt(selectedTopicId) : undefined,
+        isProposingOwnTopic ? proposal : undefined
       )
       
       if (response.success) {
-        toast({
-          title: 'Application submitted',
-          description: `Successfully applied to Prof. ${selectedSession.profesor.prenume} ${selectedSession.profesor.nume}'s session`,
-          status: 'success',
-          duration: 4,
-          isClosable: true,
-        })
+        toast(
+          response.data.status === 'waitlisted'
+            ? {
+                title: 'Added to the waitlist',
+                description: response.message,
+                status: 'info',
+                duration: 5,
+                isClosable: true,
+              }
+            : {
+                title: 'Application submitted',
+                description: `Successfully applied to Prof. ${selectedSession.profesor.prenume} ${selectedSession.profesor.nume}'s session`,
+                status: 'success',
+                duration: 4,
+                isClosable: true,
+              }
+        )
         
         // Reload applications
         loadApplications()
+        loadPreferences()
         onClose()
       }
     } catch (error) {
@@ -162,48 +283,193 @@ export const StudentDashboard = () => {
   }
 
   /**
-   * Returns the Chakra UI color scheme for application status
-   * @param {string} status - The application status (pending, approved, rejected)
-   * @returns {string} The color scheme name
+   * Accepts or declines the title counter-proposed by the professor
+   * @param {Object} application - The pending application with a counter-proposal
+   * @param {boolean} accept - Whether the student accepts the new title
    */
-  const getStatusColor = (status) => {
-    switch (status) {
-      case 'pending':
-        return 'orange'
-      case 'approved':
-        return 'green'
-      case 'rejected':
-        return 'red'
-      default:
-        return 'gray'
+  const handleAnswerCounterProposal = async (application, accept) => {
+    setAnsweringApplicationId(application.id)
+    try {
+      const response = await studentService.answerCounterProposal(application.id, accept)
+      if (response.success) {
+        toast({
+          title: response.message,
+          status: 'success',
+          duration: 4,
+          isClosable: true,
+        })
+        loadApplications()
+      }
+    } catch (error) {
+      toast({
+        title: 'Error',
+        description: error.message || 'Failed to answer counter-proposal',
+        status: 'error',
+        duration: 5,
+        isClosable: true,
+      })
+    } finally {
+      setAnsweringApplicationId(null)
     }
   }
 
   /**
-   * Returns the human-readable label for application status
-   * @param {string} status - The application status (pending, approved, rejected)
-   * @returns {string} The formatted status label
+   * Shows or hides the status timeline of an application
+   * @param {number} applicationId - Application ID
+   */
+  const handleToggleHistory = (applicationId) => {
+    setHistoryApplicationId((current) => (current === applicationId ? null : applicationId))
+  }
+
+  /**
+   * Shows or hides the message thread of an application
+   * @param {number} applicationId - Application ID
    */
-  const getStatusLabel = (status) => {
-    switch (status) {
-      case 'approved':
-        return 'Approved'
-      case 'rejected':
-        return 'Rejected'
-      case 'pending':
-        return 'Pending'
-      default:
-        return status
+  const handleToggleMessages = (applicationId) => {
+    setMessagesApplicationId((current) => (current === applicationId ? null : applicationId))
+  }
+
+  /**
+   * Clears the unread marker once a thread was opened
+   * @param {number} applicationId - Application ID
+   */
+  const handleMessagesRead = (applicationId) => {
+    setApplications((current) =>
+      current.map((app) => (app.id === applicationId ? { ...app, mesajeNecitite: 0 } : app))
+    )
+  }
+
+  /**
+   * Opens the withdrawal confirmation modal for an application
+   * @param {Object} application - The application to withdraw
+   */
+  const handleWithdrawClick = (application) => {
+    setSelectedApplicationForWithdraw(application)
+    setWithdrawReason('')
+    onWithdrawOpen()
+  }
+
+  const handleConfirmWithdraw = async () => {
+    if (!selectedApplicationForWithdraw) return
+
+    setIsWithdrawing(true)
+    try {
+      const response = await studentService.withdrawApplication(
+        selectedApplicationForWithdraw.id,
+        withdrawReason.trim()
+      )
+      if (response.success) {
+        toast({
+          title: 'Application withdrawn',
+          description: 'You can apply to this session again while it is open',
+          status: 'success',
+          duration: 4,
+          isClosable: true,
+        })
+        onWithdrawClose()
+        loadApplications()
+        loadSessions()
+        loadPreferences()
+      }
+    } catch (error) {
+      toast({
+        title: 'Withdrawal failed',
+        description: error.message || 'Failed to withdraw application',
+        status: 'error',
+        duration: 5,
+        isClosable: true,
+      })
+    } finally {
+      setIsWithdrawing(false)
     }
   }
 
+  /**
+   * Opens the appeal modal for a rejected application
+   * @param {Object} application - The application to appeal
+   */
+  const handleAppealClick = (application) => {
+    setSelectedApplicationForAppeal(application)
+    setAppealArguments('')
+    onAppealOpen()
+  }
+
+  const handleConfirmAppeal = async () => {
+    if (!selectedApplicationForAppeal) return
+
+    if (appealArguments.trim().length < APPEAL_MIN_LENGTH) {
+      toast({
+        title: 'Arguments too short',
+        description: `Explain why the decision should change in at least ${APPEAL_MIN_LENGTH} characters`,
+        status: 'warning',
+        duration: 3,
+        isClosable: true,
+      })
+      return
+    }
+
+    setIsAppealing(true)
+    try {
+      const response = await studentService.appealApplication(
+        selectedApplicationForAppeal.id,
+        appealArguments.trim()
+      )
+      if (response.success) {
+        toast({
+          title: 'Appeal filed',
+          description: 'The secretariat reviews it and you get an email with the outcome',
+          status: 'success',
+          duration: 4,
+          isClosable: true,
+        })
+        onAppealClose()
+        loadApplications()
+      }
+    } catch (error) {
+      toast({
+        title: 'Appeal failed',
+        description: error.message || 'Failed to file appeal',
+        status: 'error',
+        duration: 5,
+        isClosable: true,
+      })
+    } finally {
+      setIsAppealing(false)
+    }
+  }
+
+  /**
+   * Returns the dissertation title to show for an application
+   * The agreed title once approved, otherwise the student's proposal or the chosen topic
+   * @param {Object} application - The application object
+   * @returns {string|null} The title or null if none was given
+   */
+  const getApplicationTitle = (application) => {
+    return application.titluFinal || application.titluPropus || application.tema?.titlu || null
+  }
+
+  /**
+   * Returns the Chakra UI color scheme for application status
+   * @param {string} status - The application status
+   * @returns {string} The color scheme name
+   */
+  const getStatusColor = (status) => STATUS_COLORS[status] || 'gray'
+
+  /**
+   * Returns the human-readable label for application status
+   * @param {string} status - The application status
+   * @returns {string} The formatted status label
+   */
+  const getStatusLabel = (status) => STATUS_LABELS[status] || status
+
   /**
    * Checks if student has already applied to a session
+   * Withdrawn applications don't count, the student can apply again
    * @param {number} sessionId - The session ID to check
    * @returns {boolean} True if student has an application to this session
    */
   const hasAppliedToSession = (sessionId) => {
-    return applications.some(app => app.sesiuneId === sessionId)
+    return applications.some(app => app.sesiuneId === sessionId && app.status !== 'withdrawn')
   }
 
   /**
@@ -212,7 +478,7 @@ export const StudentDashboard = () => {
    * @returns {Object|undefined} The application object or undefined if not found
    */
   const getApplicationForSession = (sessionId) => {
-    return applications.find(app => app.sesiuneId === sessionId)
+    return applications.find(app => app.sesiuneId === sessionId && app.status !== 'withdrawn')
   }
 
   const handleLogout = () => {
@@ -317,12 +583,19 @@ export const StudentDashboard = () => {
               </Heading>
               <Text color="gray.600">Welcome, {user.nome} {user.prenume}!</Text>
             </Box>
-            <Button colorScheme="red" onClick={handleLogout}>
-              Logout
-            </Button>
+            <HStack spacing={3}>
+              <Button onClick={() => navigate('/profile')}>
+                Profile
+              </Button>
+              <Button colorScheme="red" onClick={handleLogout}>
+                Logout
+              </Button>
+            </HStack>
           </HStack>
         </Box>
 
+        <EmailVerificationBanner user={user} />
+
         {/* Account Info */}
         <Box borderWidth={1} borderRadius="lg" p={6} bg="blue.50">
           <VStack spacing={3} align="start">
@@ -365,34 +638,161 @@ export const StudentDashboard = () => {
                       <Heading size="sm">
                         Prof. {app.profesor?.prenume || 'Unknown'} {app.profesor?.nume || 'Professor'}
                       </Heading>
+                      {app.coSupervisors?.length > 0 && (
+                        <Text fontSize="sm" color="gray.600">
+                          Co-supervised by: {app.coSupervisors.map((p) => `Prof. ${p.prenume} ${p.nume}`).join(', ')}
+                        </Text>
+                      )}
                       <Text fontSize="sm" color="gray.600">
                         Session: {app.sesiune?.dataInceput ? new Date(app.sesiune.dataInceput).toLocaleDateString() : 'N/A'} - {app.sesiune?.dataSfarsit ? new Date(app.sesiune.dataSfarsit).toLocaleDateString() : 'N/A'}
                       </Text>
+                      {app.tema && (
+                        <Text fontSize="sm" color="gray.600">
+                          Topic: {app.tema.titlu}
+                        </Text>
+                      )}
+                      {getApplicationTitle(app) && (
+                        <Text fontSize="sm" color="gray.600">
+                          {app.titluFinal ? 'Agreed title' : 'Proposed title'}: {getApplicationTitle(app)}
+                        </Text>
+                      )}
+                    </VStack>
+                    <VStack align="end" spacing={2}>
+                      <Badge colorScheme={getStatusColor(app.status)} fontSize="md" px={3} py={1}>
+                        {getStatusLabel(app.status)}
+                      </Badge>
+                      <HStack spacing={1}>
+                        <Button size="xs" variant="ghost" onClick={() => handleToggleHistory(app.id)}>
+                          {historyApplicationId === app.id ? 'Hide' : 'Show'} History
+                        </Button>
+                        <Button size="xs" variant="ghost" onClick={() => handleToggleMessages(app.id)}>
+                          Messages
+                          {app.mesajeNecitite > 0 && (
+                            <Badge ml={1} colorScheme="red" borderRadius="full">{app.mesajeNecitite}</Badge>
+                          )}
+                        </Button>
+                        {app.canWithdraw && (
+                          <Button size="xs" colorScheme="red" variant="ghost" onClick={() => handleWithdrawClick(app)}>
+                            Withdraw
+                          </Button>
+                        )}
+                        {app.canAppeal && (
+                          <Button size="xs" colorScheme="pink" variant="ghost" onClick={() => handleAppealClick(app)}>
+                            Appeal
+                          </Button>
+                        )}
+                      </HStack>
                     </VStack>
-                    <Badge colorScheme={getStatusColor(app.status)} fontSize="md" px={3} py={1}>
-                      {getStatusLabel(app.status)}
-                    </Badge>
                   </HStack>
-                  {app.status === 'rejected' && app.justificareRespingere && (
+                  {historyApplicationId === app.id && (
+                    <Box mt={3} p={3} bg="white" borderRadius="md">
+                      <ApplicationTimeline applicationId={app.id} getHistory={studentService.getApplicationHistory} />
+                    </Box>
+                  )}
+                  {messagesApplicationId === app.id && (
+                    <Box mt={3} p={3} bg="white" borderRadius="md">
+                      <ApplicationMessages
+                        applicationId={app.id}
+                        getMessages={studentService.getApplicationMessages}
+                        sendMessage={studentService.sendApplicationMessage}
+                        onRead={() => handleMessagesRead(app.id)}
+                      />
+                    </Box>
+                  )}
+                  {app.status === 'waitlisted' && (
+                    <Box mt={3} p={2} bg="purple.50" borderRadius="md" borderLeft="4px" borderColor="purple.500">
+                      <Text fontSize="sm" fontWeight="bold" color="purple.800">
+                        Waitlist position: #{app.waitlistPosition}
+                      </Text>
+                      <Text fontSize="sm" color="purple.700">
+                        The session is full. When a place opens up your application moves to review and you get an email.
+                      </Text>
+                    </Box>
+                  )}
+                  {app.status === 'pending' && app.titluContrapropus && (
+                    <Box mt={3} p={3} bg="yellow.50" borderRadius="md" borderLeft="4px" borderColor="yellow.500">
+                      <Text fontSize="sm" fontWeight="bold" color="yellow.800">The professor suggests a different title:</Text>
+                      <Text fontSize="sm" color="yellow.900" mb={3}>{app.titluContrapropus}</Text>
+                      <HStack spacing={2}>
+                        <Button
+                          size="sm"
+                          colorScheme="green"
+                          onClick={() => handleAnswerCounterProposal(app, true)}
+                          isLoading={answeringApplicationId === app.id}
+                        >
+                          Accept Title
+                        </Button>
+                        <Button
+                          size="sm"
+                          variant="outline"
+                          onClick={() => handleAnswerCounterProposal(app, false)}
+                          isDisabled={answeringApplicationId === app.id}
+                        >
+                          Keep My Title
+                        </Button>
+                      </HStack>
+                    </Box>
+                  )}
+                  {app.status === 'withdrawn' && (
+                    <Box mt={3} p={2} bg="gray.100" borderRadius="md" borderLeft="4px" borderColor="gray.500">
+                      <Text fontSize="sm" fontWeight="bold" color="gray.800">
+                        Withdrawn on {new Date(app.retrasLa).toLocaleDateString()}
+                      </Text>
+                      {app.motivRetragere && (
+                        <Text fontSize="sm" color="gray.700">{app.motivRetragere}</Text>
+                      )}
+                    </Box>
+                  )}
+                  {['rejected', 'under_appeal'].includes(app.status) && app.justificareRespingere && (
                     <Box mt={3} p={2} bg="red.100" borderRadius="md" borderLeft="4px" borderColor="red.500">
                       <Text fontSize="sm" fontWeight="bold" color="red.800">Rejection Reason:</Text>
                       <Text fontSize="sm" color="red.700">{app.justificareRespingere}</Text>
+                      {app.canAppeal && app.appealDeadline && (
+                        <Text fontSize="xs" color="red.700" mt={1}>
+                          You can appeal this decision until {new Date(app.appealDeadline).toLocaleDateString()}
+                        </Text>
+                      )}
+                    </Box>
+                  )}
+                  {app.contestatie && (
+                    <Box mt={3} p={2} bg="pink.50" borderRadius="md" borderLeft="4px" borderColor="pink.500">
+                      <Text fontSize="sm" fontWeight="bold" color="pink.800">
+                        {!app.contestatie.rezultat && 'Appeal under review'}
+                        {app.contestatie.rezultat === 'upheld' && 'Appeal decided: the rejection was upheld'}
+                        {app.contestatie.rezultat === 'overturned' && 'Appeal decided: the rejection was overturned'}
+                      </Text>
+                      <Text fontSize="sm" color="pink.700">
+                        Filed on {new Date(app.contestatie.createdAt).toLocaleDateString()}
+                      </Text>
+                      {app.contestatie.motivDecizie && (
+                        <Text fontSize="sm" color="pink.700">{app.contestatie.motivDecizie}</Text>
+                      )}
                     </Box>
                   )}
-                  {app.status === 'approved' && (
+                  {isEnrolled(app.status) && (
                     <Box mt={4} pt={4} borderTop="1px solid" borderColor="blue.300">
                       <Heading size="xs" mb={3} color="green.700">
                         ✓ Application Approved
                       </Heading>
                       <VStack spacing={3} align="start">
-                        {app.fisierSemnatUrl ? (
+                        {app.status === 'signed_returned' && app.motivReturnare && (
+                          <Box w="full" p={2} bg="yellow.100" borderRadius="md" borderLeft="4px" borderColor="yellow.500">
+                            <Text fontSize="sm" fontWeight="bold" color="yellow.800">
+                              Your signed file was returned:
+                            </Text>
+                            <Text fontSize="sm" color="yellow.800">{app.motivReturnare}</Text>
+                          </Box>
+                        )}
+                        {app.fisierSemnatUrl && (
                           <Box>
                             <Text fontSize="sm" fontWeight="bold" color="gray.700" mb={2}>
                               Signed File:
                             </Text>
                             <HStack spacing={2}>
                               <Text fontSize="sm" color="green.600">
-                                ✓ File uploaded: {new Date(app.updatedAt).toLocaleDateString()}
+                                {app.status === 'signed_submitted' && 'Waiting for the professor to review it'}
+                                {app.status === 'signed_returned' && 'Returned by the professor'}
+                                {['signed_accepted', 'finalized'].includes(app.status) && '✓ Accepted by the professor'}
                               </Text>
                               <Button
                                 size="sm"
@@ -407,7 +807,8 @@ export const StudentDashboard = () => {
                               </Button>
                             </HStack>
                           </Box>
-                        ) : (
+                        )}
+                        {['approved', 'signed_returned'].includes(app.status) && (
                           <Box w="full">
                             <Text fontSize="sm" fontWeight="bold" color="gray.700" mb={2}>
                               Upload Your Signed File:
@@ -417,7 +818,25 @@ export const StudentDashboard = () => {
                               colorScheme="green"
                               onClick={() => handleUploadSignedFile(app)}
                             >
-                              Upload Signed File
+                              {app.status === 'signed_returned' ? 'Upload Corrected File' : 'Upload Signed File'}
+                            </Button>
+                          </Box>
+                        )}
+                        {app.status === 'finalized' && app.fisierRaspunsUrl && (
+                          <Box>
+                            <Text fontSize="sm" fontWeight="bold" color="gray.700" mb={2}>
+                              Professor&apos;s Response:
+                            </Text>
+                            <Button
+                              size="sm"
+                              colorScheme="blue"
+                              variant="outline"
+                              as="a"
+                              href={`http://localhost:3000${app.fisierRaspunsUrl}`}
+                              target="_blank"
+                              rel="noopener noreferrer"
+                            >
+                              Download Response
                             </Button>
                           </Box>
                         )}
@@ -430,6 +849,52 @@ export const StudentDashboard = () => {
           )}
         </Box>
 
+        {/* Preferences for stable-matching sessions */}
+        {preferences.length > 0 && (
+          <Box>
+            <HStack justify="space-between" align="center" mb={2}>
+              <Heading size="lg">My Preferences</Heading>
+              <Button
+                colorScheme="blue"
+                onClick={handleSavePreferences}
+                isLoading={isSavingPreferences}
+                isDisabled={!isPreferenceOrderChanged}
+              >
+                Save Order
+              </Button>
+            </HStack>
+            <Text color="gray.600" mb={4}>
+              These sessions are allocated by the administration in a single matching round. Order them from most to
+              least wanted: you get the first one where your ranking earns a place.
+            </Text>
+            <VStack spacing={2} align="stretch">
+              {preferences.map((pref, index) => (
+                <HStack key={pref.applicationId} justify="space-between" borderWidth={1} borderRadius="lg" p={3}>
+                  <HStack spacing={3}>
+                    <Badge colorScheme="blue" fontSize="md">#{index + 1}</Badge>
+                    <Text fontWeight="bold">
+                      Prof. {pref.profesor.prenume} {pref.profesor.nume}
+                    </Text>
+                  </HStack>
+                  <HStack spacing={2}>
+                    <Button size="sm" variant="outline" onClick={() => handleMovePreference(index, -1)} isDisabled={index === 0}>
+                      ↑
+                    </Button>
+                    <Button
+                      size="sm"
+                      variant="outline"
+                      onClick={() => handleMovePreference(index, 1)}
+                      isDisabled={index === preferences.length - 1}
+                    >
+                      ↓
+                    </Button>
+                  </HStack>
+                </HStack>
+              ))}
+            </VStack>
+          </Box>
+        )}
+
         <Divider />
 
         {/* Available Sessions */}
@@ -472,6 +937,23 @@ export const StudentDashboard = () => {
                             <Text fontSize="sm" color="gray.600" mt={1}>
                               Student Limit: {session.limitaStudenti}
                             </Text>
+                            {session.capacity && session.modAlocare === 'manual' && (
+                              <Text fontSize="sm" color="gray.600">
+                                Seats: {session.capacity.approvedSeats} approved
+                                {session.capacity.reservedSeats > 0 && `, ${session.capacity.reservedSeats} reserved for pending applications`}
+                                , {session.capacity.freeSeats} free
+                              </Text>
+                            )}
+                            {session.joinsWaitlist && (
+                              <Badge colorScheme="purple" mt={1}>
+                                Full - {session.waitlistCount} on the waitlist
+                              </Badge>
+                            )}
+                            {session.modAlocare === 'matching' && (
+                              <Badge colorScheme="teal" mt={1}>
+                                Allocated by matching - rank it in My Preferences
+                              </Badge>
+                            )}
                           </Box>
                           
                           <Box>
@@ -484,11 +966,26 @@ export const StudentDashboard = () => {
                             </Text>
                           </Box>
 
+                          {session.topics?.length > 0 && (
+                            <Box>
+                              <Text fontSize="sm" fontWeight="bold" color="gray.700">Proposed Topics:</Text>
+                              {session.topics.map((topic) => (
+                                <Text key={topic.id} fontSize="sm">
+                                  • {topic.titlu}{' '}
+                                  <Text as="span" color={topic.availableSlots > 0 ? 'gray.500' : 'red.500'}>
+                                    ({topic.availableSlots > 0 ? `${topic.availableSlots} of ${topic.limitaStudenti} slots left` : 'full'})
+                                  </Text>
+                                </Text>
+                              ))}
+                            </Box>
+                          )}
+
                           {alreadyApplied && myApplication && (
                             <Box>
                               <Text fontSize="sm" fontWeight="bold" color="gray.700">Your Application Status:</Text>
                               <Badge colorScheme={getStatusColor(myApplication.status)}>
                                 {getStatusLabel(myApplication.status)}
+                                {myApplication.status === 'waitlisted' && ` #${myApplication.waitlistPosition}`}
                               </Badge>
                             </Box>
                           )}
@@ -502,7 +999,7 @@ export const StudentDashboard = () => {
                           isDisabled={alreadyApplied}
                           size="lg"
                         >
-                          {alreadyApplied ? 'Already Applied' : 'Apply Now'}
+                          {alreadyApplied ? 'Already Applied' : session.joinsWaitlist ? 'Join Waitlist' : 'Apply Now'}
                         </Button>
                       </GridItem>
                     </Grid>
@@ -515,7 +1012,7 @@ export const StudentDashboard = () => {
       </VStack>
 
       {/* Application Confirmation Modal */}
-      <Modal isOpen={isOpen} onClose={onClose} isCentered>
+      <Modal isOpen={isOpen} onClose={onClose} isCentered size="lg" scrollBehavior="inside">
         <ModalOverlay />
         <ModalContent>
           <ModalHeader>Confirm Application</ModalHeader>
@@ -539,6 +1036,76 @@ export const StudentDashboard = () => {
                     </Text>
                   </Box>
                 </Box>
+                {selectedSession.topics?.length > 0 && (
+                  <Box w="full">
+                    <Text fontWeight="bold" mb={2}>
+                      Choose a topic:
+                    </Text>
+                    <RadioGroup value={selectedTopicId} onChange={setSelectedTopicId}>
+                      <VStack spacing={3} align="stretch">
+                        {selectedSession.topics.map((topic) => (
+                          <Box key={topic.id} borderWidth={1} borderRadius="md" p={3}>
+                            <Radio value={String(topic.id)} isDisabled={topic.availableSlots <= 0}>
+                              <Text fontWeight="bold" fontSize="sm">
+                                {topic.titlu} ({topic.availableSlots > 0 ? `${topic.availableSlots} slots left` : 'full'})
+                              </Text>
+                            </Radio>
+                            {topic.descriere && (
+                              <Text fontSize="sm" color="gray.600" mt={1}>{topic.descriere}</Text>
+                            )}
+                            {topic.competente && (
+                              <Text fontSize="sm" color="gray.600" mt={1}>
+                                <strong>Required skills:</strong> {topic.competente}
+                              </Text>
+                            )}
+                          </Box>
+                        ))}
+                        <Box borderWidth={1} borderRadius="md" p={3}>
+                          <Radio value="own">
+                            <Text fontWeight="bold" fontSize="sm">Propose my own topic</Text>
+                          </Radio>
+                        </Box>
+                      </VStack>
+                    </RadioGroup>
+                  </Box>
+                )}
+                {(!selectedSession.topics?.length || selectedTopicId === 'own') && (
+                  <Box w="full">
+                    <Text fontWeight="bold" mb={2}>
+                      {selectedSession.topics?.length ? 'Your topic proposal:' : 'Your topic proposal (optional):'}
+                    </Text>
+                    <VStack spacing={3}>
+                      <FormControl isRequired={isProposingOwnTopic}>
+                        <FormLabel fontSize="sm">Proposed Title</FormLabel>
+                        <Input name="titluPropus" value={proposal.titluPropus} onChange={handleProposalChange} maxLength={255} />
+                      </FormControl>
+                      <FormControl isRequired={isProposingOwnTopic}>
+                        <FormLabel fontSize="sm">Abstract</FormLabel>
+                        <Textarea name="rezumat" value={proposal.rezumat} onChange={handleProposalChange} rows={4} />
+                        <FormHelperText>At least {MIN_ABSTRACT_LENGTH} characters</FormHelperText>
+                      </FormControl>
+                      <FormControl>
+                        <FormLabel fontSize="sm">Keywords</FormLabel>
+                        <Input
+                          name="cuvinteCheie"
+                          placeholder="e.g. machine learning, networks"
+                          value={proposal.cuvinteCheie}
+                          onChange={handleProposalChange}
+                        />
+                        <FormHelperText>Separate keywords with commas</FormHelperText>
+                      </FormControl>
+                    </VStack>
+                  </Box>
+                )}
+                {selectedSession.joinsWaitlist && (
+                  <Alert status="warning" borderRadius="md">
+                    <AlertIcon />
+                    <Text fontSize="sm">
+                      This session is full. Your application joins the waitlist ({selectedSession.waitlistCount} ahead of you)
+                      and moves to review when a place opens up.
+                    </Text>
+                  </Alert>
+                )}
                 <Alert status="info" borderRadius="md">
                   <AlertIcon />
                   <Text fontSize="sm">
@@ -557,6 +1124,10 @@ export const StudentDashboard = () => {
                 colorScheme="blue"
                 onClick={handleSubmitApplication}
                 isLoading={isSubmitting}
+                isDisabled={
+                  (selectedSession?.topics?.length > 0 && !selectedTopicId) ||
+                  (isProposingOwnTopic && !isProposalValid)
+                }
               >
                 Confirm Application
               </Button>
@@ -565,6 +1136,91 @@ export const StudentDashboard = () => {
         </ModalContent>
       </Modal>
 
+      {/* Withdraw Application Modal */}
+      <Modal isOpen={isWithdrawOpen} onClose={onWithdrawClose} isCentered size="md">
+        <ModalOverlay />
+        <ModalContent>
+          <ModalHeader>Withdraw Application</ModalHeader>
+          <ModalCloseButton />
+          <ModalBody>
+            {selectedApplicationForWithdraw && (
+              <VStack spacing={4} align="stretch">
+                <Text>
+                  Withdraw your application to Prof. {selectedApplicationForWithdraw.profesor?.prenume}{' '}
+                  {selectedApplicationForWithdraw.profesor?.nume}&apos;s session?
+                </Text>
+                {isEnrolled(selectedApplicationForWithdraw.status) && (
+                  <Alert status="warning" borderRadius="md">
+                    <AlertIcon />
+                    <Text fontSize="sm">
+                      This application is approved. Your place goes to the next student and the professor is notified.
+                    </Text>
+                  </Alert>
+                )}
+                <FormControl>
+                  <FormLabel>Reason (optional)</FormLabel>
+                  <Textarea
+                    value={withdrawReason}
+                    onChange={(e) => setWithdrawReason(e.target.value)}
+                    placeholder="Let the professor know why"
+                    maxLength={1000}
+                  />
+                </FormControl>
+              </VStack>
+            )}
+          </ModalBody>
+          <ModalFooter>
+            <HStack spacing={3}>
+              <Button variant="outline" onClick={onWithdrawClose}>
+                Cancel
+              </Button>
+              <Button colorScheme="red" onClick={handleConfirmWithdraw} isLoading={isWithdrawing}>
+                Withdraw
+              </Button>
+            </HStack>
+          </ModalFooter>
+        </ModalContent>
+      </Modal>
+
+      {/* Appeal Rejection Modal */}
+      <Modal isOpen={isAppealOpen} onClose={onAppealClose} isCentered size="md">
+        <ModalOverlay />
+        <ModalContent>
+          <ModalHeader>Appeal Rejection</ModalHeader>
+          <ModalCloseButton />
+          <ModalBody>
+            {selectedApplicationForAppeal && (
+              <VStack spacing={4} align="stretch">
+                <Text>
+                  Ask the secretariat to review Prof. {selectedApplicationForAppeal.profesor?.prenume}{' '}
+                  {selectedApplicationForAppeal.profesor?.nume}&apos;s decision. An application can be appealed only once.
+                </Text>
+                <FormControl isRequired>
+                  <FormLabel>Arguments</FormLabel>
+                  <Textarea
+                    value={appealArguments}
+                    onChange={(e) => setAppealArguments(e.target.value)}
+                    placeholder="Explain why the decision should change"
+                    maxLength={APPEAL_MAX_LENGTH}
+                    rows={6}
+                  />
+                </FormControl>
+              </VStack>
+            )}
+          </ModalBody>
+          <ModalFooter>
+            <HStack spacing={3}>
+              <Button variant="outline" onClick={onAppealClose}>
+                Cancel
+              </Button>
+              <Button colorScheme="pink" onClick={handleConfirmAppeal} isLoading={isAppealing}>
+                File Appeal
+              </Button>
+            </HStack>
+          </ModalFooter>
+        </ModalContent>
+      </Modal>
+
       {/* Signed File Upload Modal */}
       <Modal isOpen={isUploadOpen} onClose={onUploadClose} isCentered>
         <ModalOverlay />
@@ -0,0 +1,405 @@
+import axios from 'axios'
+import { attachAuthInterceptors } from './authService'
+
+const API_BASE_URL = 'http://localhost:3000/api'
+
+const adminAPI = axios.create({
+  baseURL: API_BASE_URL,
+})
+
+// Add token to requests and refresh it transparently on 401
+attachAuthInterceptors(adminAPI)
+
+export const adminService = {
+  /**
+   * Get background job scheduler status
+   * @returns {Promise<Object>} Response with success status and scheduler data
+   * @throws {Error} If request fails
+   */
+  getSchedulerStatus: async () => {
+    try {
+      const response = await adminAPI.get('/admin/jobs/status')
+      return response.data
+    } catch (error) {
+      const errorData = error.response?.data
+      throw new Error(errorData?.message || error.message || 'Failed to fetch scheduler status')
+    }
+  },
+
+  /**
+   * Manually run the file cleanup job
+   * @returns {Promise<Object>} Response with success status and cleanup summary
+   * @throws {Error} If the job fails
+   */
+  triggerCleanup: async () => {
+    try {
+      const response = await adminAPI.post('/admin/jobs/cleanup/trigger')
+      return response.data
+    } catch (error) {
+      const errorData = error.response?.data
+      throw new Error(errorData?.message || error.message || 'Failed to trigger cleanup job')
+    }
+  },
+
+  /**
+   * Manually run the expiry job: remind professors and expire stale pending applications
+   * @returns {Promise<Object>} Response with success status and expiry summary
+   * @throws {Error} If the job fails
+   */
+  triggerExpiry: async () => {
+    try {
+      const response = await adminAPI.post('/admin/jobs/expiry/trigger')
+      return response.data
+    } catch (error) {
+      const errorData = error.response?.data
+      throw new Error(errorData?.message || error.message || 'Failed to trigger expiry job')
+    }
+  },
+
+  /**
+   * Invite a professor
+   * @param {string} email - Email the invitation is bound to
+   * @param {number} limitaStudenti - Student limit preset for the new professor
+   * @param {number} expiresInDays - Days until the invitation expires
+   * @returns {Promise<Object>} Response with the invitation and its one-time code
+   * @throws {Error} If creation fails
+   */
+  createInvitation: async (email, limitaStudenti, expiresInDays) => {
+    try {
+      const response = await adminAPI.post('/admin/invitations', {
+        email,
+        limitaStudenti,
+        expiresInDays,
+      })
+      return response.data
+    } catch (error) {
+      const errorData = error.response?.data
+      throw new Error(errorData?.message || error.message || 'Failed to create invitation')
+    }
+  },
+
+  /**
+   * Get all professor invitations
+   * @returns {Promise<Object>} Response with success status and invitations array
+   * @throws {Error} If request fails
+   */
+  getInvitations: async () => {
+    try {
+      const response = await adminAPI.get('/admin/invitations')
+      return response.data
+    } catch (error) {
+      const errorData = error.response?.data
+      throw new Error(errorData?.message || error.message || 'Failed to fetch invitations')
+    }
+  },
+
+  /**
+   * Revoke an unused invitation
+   * @param {number} invitationId - Invitation ID
+   * @returns {Promise<Object>} Response with success status and updated invitation
+   * @throws {Error} If revocation fails
+   */
+  revokeInvitation: async (invitationId) => {
+    try {
+      const response = await adminAPI.delete(`/admin/invitations/${invitationId}`)
+      return response.data
+    } catch (error) {
+      const errorData = error.response?.data
+      throw new Error(errorData?.message || error.message || 'Failed to revoke invitation')
+    }
+  },
+
+  /**
+   * Get accounts locked after too many failed logins
+   * @returns {Promise<Object>} Response with success status and locked users array
+   * @throws {Error} If request fails
+   */
+  getLockedAccounts: async () => {
+    try {
+      const response = await adminAPI.get('/admin/locked-accounts')
+      return response.data
+    } catch (error) {
+      const errorData = error.response?.data
+      throw new Error(errorData?.message || error.message || 'Failed to fetch locked accounts')
+    }
+  },
+
+  /**
+   * Unlock a locked account
+   * @param {number} userId - User ID
+   * @returns {Promise<Object>} Response with success status
+   * @throws {Error} If unlocking fails
+   */
+  unlockAccount: async (userId) => {
+    try {
+      const response = await adminAPI.post(`/admin/users/${userId}/unlock`)
+      return response.data
+    } catch (error) {
+      const errorData = error.response?.data
+      throw new Error(errorData?.message || error.message || 'Failed to unlock account')
+    }
+  },
+
+  /**
+   * Get the two-factor policy for each eligible role
+   * @returns {Promise<Object>} Response with success status and policy array
+   * @throws {Error} If request fails
+   */
+  getTwoFactorPolicy: async () => {
+    try {
+      const response = await adminAPI.get('/admin/two-factor-policy')
+      return response.data
+    } catch (error) {
+      const errorData = error.response?.data
+      throw new Error(errorData?.message || error.message || 'Failed to fetch two-factor policy')
+    }
+  },
+
+  /**
+   * Make two-factor authentication mandatory or optional for a role
+   * @param {string} role - profesor, admin or secretariat
+   * @param {boolean} required - Whether enrollment is mandatory
+   * @returns {Promise<Object>} Response with success status and updated policy
+   * @throws {Error} If update fails
+   */
+  updateTwoFactorPolicy: async (role, required) => {
+    try {
+      const response = await adminAPI.put('/admin/two-factor-policy', { role, required })
+      return response.data
+    } catch (error) {
+      const errorData = error.response?.data
+      throw new Error(errorData?.message || error.message || 'Failed to update two-factor policy')
+    }
+  },
+
+  /**
+   * Get the scopes that can be granted to API keys
+   * @returns {Promise<Object>} Response with success status and scopes array
+   * @throws {Error} If request fails
+   */
+  getApiKeyScopes: async () => {
+    try {
+      const response = await adminAPI.get('/admin/api-keys/scopes')
+      return response.data
+    } catch (error) {
+      const errorData = error.response?.data
+      throw new Error(errorData?.message || error.message || 'Failed to fetch API key scopes')
+    }
+  },
+
+  /**
+   * Get all API keys
+   * @returns {Promise<Object>} Response with success status and API keys array
+   * @throws {Error} If request fails
+   */
+  getApiKeys: async () => {
+    try {
+      const response = await adminAPI.get('/admin/api-keys')
+      return response.data
+    } catch (error) {
+      const errorData = error.response?.data
+      throw new Error(errorData?.message || error.message || 'Failed to fetch API keys')
+    }
+  },
+
+  /**
+   * Create an API key for an integration
+   * @param {string} name - Name identifying the integration
+   * @param {string[]} scopes - Granted scopes
+   * @param {number|null} expiresInDays - Days until the key expires, or null for no expiry
+   * @returns {Promise<Object>} Response with the API key and its one-time secret
+   * @throws {Error} If creation fails
+   */
+  createApiKey: async (name, scopes, expiresInDays) => {
+    try {
+      const response = await adminAPI.post('/admin/api-keys', {
+        name,
+        scopes,
+        ...(expiresInDays && { expiresInDays }),
+      })
+      return response.data
+    } catch (error) {
+      const errorData = error.response?.data
+      throw new Error(errorData?.message || error.message || 'Failed to create API key')
+    }
+  },
+
+  /**
+   * Revoke an API key
+   * @param {number} apiKeyId - API key ID
+   * @returns {Promise<Object>} Response with success status and updated API key
+   * @throws {Error} If revocation fails
+   */
+  revokeApiKey: async (apiKeyId) => {
+    try {
+      const response = await adminAPI.delete(`/admin/api-keys/${apiKeyId}`)
+      return response.data
+    } catch (error) {
+      const errorData = error.response?.data
+      throw new Error(errorData?.message || error.message || 'Failed to revoke API key')
+    }
+  },
+
+  /**
+   * Get all students with their grade average
+   * @returns {Promise<Object>} Response with success status and students array
+   * @throws {Error} If request fails
+   */
+  getStudents: async () => {
+    try {
+      const response = await adminAPI.get('/admin/students')
+      return response.data
+    } catch (error) {
+      const errorData = error.response?.data
+      throw new Error(errorData?.message || error.message || 'Failed to fetch students')
+    }
+  },
+
+  /**
+   * Set a student's grade average, used by sessions ranked by grade
+   * @param {number} studentId - Student ID
+   * @param {number|null} medie - Grade average between 1 and 10, or null to clear it
+   * @returns {Promise<Object>} Response with success status and updated student
+   * @throws {Error} If update fails
+   */
+  updateStudentGrade: async (studentId, medie) => {
+    try {
+      const response = await adminAPI.put(`/admin/students/${studentId}/grade`, { medie })
+      return response.data
+    } catch (error) {
+      const errorData = error.response?.data
+      throw new Error(errorData?.message || error.message || 'Failed to update grade')
+    }
+  },
+
+  /**
+   * Get all professors with their seats across all of their sessions
+   * @returns {Promise<Object>} Response with success status and professors array
+   * @throws {Error} If request fails
+   */
+  getProfessors: async () => {
+    try {
+      const response = await adminAPI.get('/admin/professors')
+      return response.data
+    } catch (error) {
+      const errorData = error.response?.data
+      throw new Error(errorData?.message || error.message || 'Failed to fetch professors')
+    }
+  },
+
+  /**
+   * Set a professor's student limit across all of their sessions
+   * @param {number} profesorId - Professor ID
+   * @param {number} limitaStudenti - Student limit, 0 for no overall limit
+   * @returns {Promise<Object>} Response with success status and the professor's seats
+   * @throws {Error} If update fails
+   */
+  updateProfessorLimit: async (profesorId, limitaStudenti) => {
+    try {
+      const response = await adminAPI.put(`/admin/professors/${profesorId}/limit`, { limitaStudenti })
+      return response.data
+    } catch (error) {
+      const errorData = error.response?.data
+      throw new Error(errorData?.message || error.message || 'Failed to update student limit')
+    }
+  },
+
+  /**
+   * Compute the stable matching without applying it
+   * @returns {Promise<Object>} Response with success status and the allocation run
+   * @throws {Error} If request fails
+   */
+  previewAllocation: async () => {
+    try {
+      const response = await adminAPI.post('/admin/allocation/preview')
+      return response.data
+    } catch (error) {
+      const errorData = error.response?.data
+      throw new Error(errorData?.message || error.message || 'Failed to preview allocation')
+    }
+  },
+
+  /**
+   * Get the latest allocation runs
+   * @returns {Promise<Object>} Response with success status and runs array
+   * @throws {Error} If request fails
+   */
+  getAllocationRuns: async () => {
+    try {
+      const response = await adminAPI.get('/admin/allocation/runs')
+      return response.data
+    } catch (error) {
+      const errorData = error.response?.data
+      throw new Error(errorData?.message || error.message || 'Failed to fetch allocation runs')
+    }
+  },
+
+  /**
+   * Get an allocation run with its assignments
+   * @param {number} runId - Allocation run ID
+   * @returns {Promise<Object>} Response with success status and run data
+   * @throws {Error} If request fails
+   */
+  getAllocationRun: async (runId) => {
+    try {
+      const response = await adminAPI.get(`/admin/allocation/runs/${runId}`)
+      return response.data
+    } catch (error) {
+      const errorData = error.response?.data
+      throw new Error(errorData?.message || error.message || 'Failed to fetch allocation run')
+    }
+  },
+
+  /**
+   * Apply a previewed allocation run
+   * Fails if applications, rankings or places changed since the preview
+   * @param {number} runId - Allocation run ID
+   * @returns {Promise<Object>} Response with success status and committed run
+   * @throws {Error} If commit fails
+   */
+  commitAllocation: async (runId) => {
+    try {
+      const response = await adminAPI.post(`/admin/allocation/runs/${runId}/commit`)
+      return response.data
+    } catch (error) {
+      const errorData = error.response?.data
+      throw new Error(errorData?.message || error.message || 'Failed to commit allocation')
+    }
+  },
+
+  /**
+   * Get appeals against professor rejections
+   * @param {string} [status='open'] - open or decided
+   * @returns {Promise<Object>} Response with success status and appeals array
+   * @throws {Error} If request fails
+   */
+  getAppeals: async (status = 'open') => {
+    try {
+      const response = await adminAPI.get('/admin/appeals', { params: { status } })
+      return response.data
+    } catch (error) {
+      const errorData = error.response?.data
+      throw new Error(errorData?.message || error.message || 'Failed to fetch appeals')
+    }
+  },
+
+  /**
+   * Uphold or overturn the rejection under appeal
+   * @param {number} appealId - Appeal ID
+   * @param {boolean} overturn - True to approve the application
+   * @param {string} motiv - Reason sent to the student and the professor
+   * @returns {Promise<Object>} Response with success status and the decided appeal
+   * @throws {Error} If the decision is refused
+   */
+  decideAppeal: async (appealId, overturn, motiv) => {
+    try {
+      const response = await adminAPI.patch(`/admin/appeals/${appealId}/decide`, { overturn, motiv })
+      return response.data
+    } catch (error) {
+      const errorData = error.response?.data
+      throw new Error(errorData?.message || error.message || 'Failed to decide appeal')
+    }
+  },
+}
+
+export default adminService
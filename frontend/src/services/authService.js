@@ -6,14 +6,94 @@ const authAPI = axios.create({
   baseURL: API_BASE_URL,
 })
 
-// Add token to requests if it exists
-authAPI.interceptors.request.use((config) => {
-  const token = localStorage.getItem('token')
-  if (token) {
-    config.headers.Authorization = `Bearer ${token}`
+// Auth endpoints where a 401 means bad credentials, not an expired access token
+const NO_REFRESH_URLS = [
+  '/auth/login',
+  '/auth/login/2fa',
+  '/auth/register',
+  '/auth/refresh',
+  '/auth/logout',
+  '/auth/forgot-password',
+  '/auth/reset-password',
+  '/auth/verify-email',
+  '/auth/oidc/exchange',
+]
+
+// Shared between all API clients so parallel 401s trigger a single refresh
+let refreshPromise = null
+
+/**
+ * Exchange the stored refresh token for a new token pair
+ * @returns {Promise<string>} The new access token
+ */
+const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    const refreshToken = localStorage.getItem('refreshToken')
+    refreshPromise = (refreshToken
+      ? axios.post(`${API_BASE_URL}/auth/refresh`, { refreshToken })
+      : Promise.reject(new Error('No refresh token available'))
+    )
+      .then((response) => {
+        localStorage.setItem('token', response.data.data.token)
+        localStorage.setItem('refreshToken', response.data.data.refreshToken)
+        return response.data.data.token
+      })
+      .finally(() => {
+        refreshPromise = null
+      })
   }
-  return config
-})
+  return refreshPromise
+}
+
+/**
+ * Attach the access token to every request of an axios instance and
+ * transparently refresh it once when a request fails with 401
+ * @param {import('axios').AxiosInstance} instance - API client
+ * @returns {import('axios').AxiosInstance} The same instance
+ */
+export const attachAuthInterceptors = (instance) => {
+  // Add token to requests if it exists
+  instance.interceptors.request.use((config) => {
+    const token = localStorage.getItem('token')
+    if (token) {
+      config.headers.Authorization = `Bearer ${token}`
+    }
+    return config
+  })
+
+  instance.interceptors.response.use(
+    (response) => response,
+    async (error) => {
+      const originalRequest = error.config
+      if (
+        error.response?.status !== 401 ||
+        !originalRequest ||
+        originalRequest._retry ||
+        NO_REFRESH_URLS.includes(originalRequest.url)
+      ) {
+        throw error
+      }
+
+      originalRequest._retry = true
+      try {
+        const token = await refreshAccessToken()
+        originalRequest.headers.Authorization = `Bearer ${token}`
+        return instance(originalRequest)
+      } catch (refreshError) {
+        // Refresh token is gone, expired or revoked: the user must sign in again
+        localStorage.removeItem('token')
+        localStorage.removeItem('refreshToken')
+        localStorage.removeItem('user')
+        window.location.assign('/login')
+        throw error
+      }
+    }
+  )
+
+  return instance
+}
+
+attachAuthInterceptors(authAPI)
 
 export const authService = {
   /**
@@ -23,10 +103,10 @@ export const authService = {
    * @param {string} nume - Last name
    * @param {string} prenume - First name
    * @param {string} role - 'student' or 'profesor'
-   * @param {number} limitaStudenti - Max students (for profesor only)
+   * @param {string} invitationCode - Invitation code (for profesor only)
    * @returns {Promise} Response with token and user data
    */
-  register: async (email, password, nume, prenume, role, limitaStudenti) => {
+  register: async (email, password, nume, prenume, role, invitationCode) => {
     try {
       const response = await authAPI.post('/auth/register', {
         email,
@@ -34,7 +114,7 @@ export const authService = {
         nume,
         prenume,
         role,
-        limitaStudenti: limitaStudenti ? parseInt(limitaStudenti) : 0,
+        ...(role === 'profesor' && { invitationCode: invitationCode.trim() }),
       })
       return response.data
     } catch (error) {
@@ -63,11 +143,203 @@ export const authService = {
   },
 
   /**
-   * Save token to localStorage
-   * @param {string} token - JWT token
+   * Complete a login with a two-factor code
+   * @param {string} challengeToken - Challenge token returned by login
+   * @param {string} code - Authenticator app code or recovery code
+   * @returns {Promise} Response with token and user data
+   */
+  verifyTwoFactorLogin: async (challengeToken, code) => {
+    try {
+      const response = await authAPI.post('/auth/login/2fa', {
+        challengeToken,
+        code,
+      })
+      return response.data
+    } catch (error) {
+      // Re-throw the Axios error to preserve error.response structure
+      throw error
+    }
+  },
+
+  /**
+   * Check whether single sign-on is configured
+   * @returns {Promise} Response with enabled and providerName
+   */
+  getSsoConfig: async () => {
+    try {
+      const response = await authAPI.get('/auth/oidc/config')
+      return response.data
+    } catch (error) {
+      // Re-throw the Axios error to preserve error.response structure
+      throw error
+    }
+  },
+
+  /**
+   * URL that starts single sign-on (the browser navigates to it)
+   * @returns {string}
+   */
+  getSsoLoginUrl: () => `${API_BASE_URL}/auth/oidc/login`,
+
+  /**
+   * Exchange the one-time code from the single sign-on redirect for a session
+   * @param {string} code - One-time login code
+   * @returns {Promise} Response with token and user data, or a two-factor challenge
+   */
+  exchangeSsoCode: async (code) => {
+    try {
+      const response = await authAPI.post('/auth/oidc/exchange', { code })
+      return response.data
+    } catch (error) {
+      // Re-throw the Axios error to preserve error.response structure
+      throw error
+    }
+  },
+
+  /**
+   * Get the two-factor state of the signed-in user
+   * @returns {Promise} Response with enabled, required and recovery code count
+   */
+  getTwoFactorStatus: async () => {
+    try {
+      const response = await authAPI.get('/auth/2fa/status')
+      return response.data
+    } catch (error) {
+      // Re-throw the Axios error to preserve error.response structure
+      throw error
+    }
+  },
+
+  /**
+   * Start two-factor enrollment
+   * @returns {Promise} Response with the secret and its QR code
+   */
+  setupTwoFactor: async () => {
+    try {
+      const response = await authAPI.post('/auth/2fa/setup')
+      return response.data
+    } catch (error) {
+      // Re-throw the Axios error to preserve error.response structure
+      throw error
+    }
+  },
+
+  /**
+   * Confirm two-factor enrollment
+   * @param {string} code - Code from the authenticator app
+   * @returns {Promise} Response with the recovery codes
+   */
+  enableTwoFactor: async (code) => {
+    try {
+      const response = await authAPI.post('/auth/2fa/enable', { code })
+      return response.data
+    } catch (error) {
+      // Re-throw the Axios error to preserve error.response structure
+      throw error
+    }
+  },
+
+  /**
+   * Replace the recovery codes
+   * @param {string} code - Current authenticator app code
+   * @returns {Promise} Response with the new recovery codes
+   */
+  regenerateRecoveryCodes: async (code) => {
+    try {
+      const response = await authAPI.post('/auth/2fa/recovery-codes', { code })
+      return response.data
+    } catch (error) {
+      // Re-throw the Axios error to preserve error.response structure
+      throw error
+    }
+  },
+
+  /**
+   * Turn two-factor authentication off
+   * @param {string} password - Current password
+   * @param {string} code - Authenticator app code or recovery code
+   * @returns {Promise} Response with success status
+   */
+  disableTwoFactor: async (password, code) => {
+    try {
+      const response = await authAPI.post('/auth/2fa/disable', { password, code })
+      return response.data
+    } catch (error) {
+      // Re-throw the Axios error to preserve error.response structure
+      throw error
+    }
+  },
+
+  /**
+   * Request a password reset link by email
+   * @param {string} email - Account email
+   * @returns {Promise} Response with a generic confirmation message
+   */
+  forgotPassword: async (email) => {
+    try {
+      const response = await authAPI.post('/auth/forgot-password', { email })
+      return response.data
+    } catch (error) {
+      // Re-throw the Axios error to preserve error.response structure
+      throw error
+    }
+  },
+
+  /**
+   * Set a new password using the token from the reset link
+   * @param {string} token - One-time reset token
+   * @param {string} password - New password
+   * @returns {Promise} Response with success status
+   */
+  resetPassword: async (token, password) => {
+    try {
+      const response = await authAPI.post('/auth/reset-password', { token, password })
+      return response.data
+    } catch (error) {
+      // Re-throw the Axios error to preserve error.response structure
+      throw error
+    }
+  },
+
+  /**
+   * Confirm an email address using the token from the verification link
+   * @param {string} token - Verification token
+   * @returns {Promise} Response with the verified user data
+   */
+  verifyEmail: async (token) => {
+    try {
+      const response = await authAPI.get('/auth/verify-email', { params: { token } })
+      return response.data
+    } catch (error) {
+      // Re-throw the Axios error to preserve error.response structure
+      throw error
+    }
+  },
+
+  /**
+   * Send a new verification link to the signed-in user
+   * @returns {Promise} Response with success status
+   */
+  resendVerification: async () => {
+    try {
+      const response = await authAPI.post('/auth/resend-verification')
+      return response.data
+    } catch (error) {
+      // Re-throw the Axios error to preserve error.response structure
+      throw error
+    }
+  },
+
+  /**
+   * Save tokens to localStorage
+   * @param {string} token - JWT access token
+   * @param {string} [refreshToken] - Refresh token used to renew the access token
    */
-  saveToken: (token) => {
+  saveToken: (token, refreshToken) => {
     localStorage.setItem('token', token)
+    if (refreshToken) {
+      localStorage.setItem('refreshToken', refreshToken)
+    }
   },
 
   /**
@@ -79,10 +351,16 @@ export const authService = {
   },
 
   /**
-   * Remove token from localStorage
+   * Revoke the refresh token on the server and remove tokens from localStorage
    */
   logout: () => {
+    const refreshToken = localStorage.getItem('refreshToken')
+    if (refreshToken) {
+      // Fire and forget: local sign-out must not depend on the network
+      authAPI.post('/auth/logout', { refreshToken }).catch(() => {})
+    }
     localStorage.removeItem('token')
+    localStorage.removeItem('refreshToken')
     localStorage.removeItem('user')
   },
 
@@ -94,6 +372,47 @@ export const authService = {
     localStorage.setItem('user', JSON.stringify(user))
   },
 
+  /**
+   * Store the tokens and normalized user of a successful login
+   * @param {object} data - Login response data
+   * @returns {object} The stored user object
+   */
+  saveLogin: (data) => {
+    authService.saveToken(data.token, data.refreshToken)
+
+    const userInfo = {
+      userId: data.userId,
+      email: data.email,
+      role: data.role,
+      emailVerifiedAt: data.emailVerifiedAt || null,
+      twoFactorEnabled: data.twoFactorEnabled || false,
+      twoFactorSetupRequired: data.twoFactorSetupRequired || false,
+      nome: data.student?.prenume || data.profesor?.prenume || '',
+      prenume: data.student?.nume || data.profesor?.nume || '',
+      profesor: data.profesor || null,
+      student: data.student || null,
+    }
+    authService.saveUser(userInfo)
+    return userInfo
+  },
+
+  /**
+   * Get the landing page for a role
+   * @param {string} role - User role
+   * @returns {string} Dashboard route
+   */
+  getDashboardPath: (role) => {
+    switch (role) {
+      case 'profesor':
+        return '/profesor/dashboard'
+      case 'admin':
+      case 'secretariat':
+        return '/admin/dashboard'
+      default:
+        return '/student/dashboard'
+    }
+  },
+
   /**
    * Get user from localStorage
    * @returns {object|null} User object or null
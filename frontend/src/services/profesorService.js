@@ -1,4 +1,5 @@
 import axios from 'axios'
+import { attachAuthInterceptors } from './authService'
 
 const API_BASE_URL = 'http://localhost:3000/api'
 
@@ -6,26 +7,22 @@ const profesorAPI = axios.create({
   baseURL: API_BASE_URL,
 })
 
-// Add token to requests if it exists
-profesorAPI.interceptors.request.use((config) => {
-  const token = localStorage.getItem('token')
-  if (token) {
-    config.headers.Authorization = `Bearer ${token}`
-  }
-  return config
-})
+// Add token to requests and refresh it transparently on 401
+attachAuthInterceptors(profesorAPI)
 
 export const profesorService = {
   /**
    * Create a new session
    * @param {object} sessionData - { dataInceput, dataSfarsit, limitaStudenti }
+   * @param {Object} [allocation] - { modAlocare, criteriuClasament }
    */
-  createSession: async (dataInceput, dataSfarsit, limitaStudenti) => {
+  createSession: async (dataInceput, dataSfarsit, limitaStudenti, allocation = {}) => {
     try {
       const response = await profesorAPI.post('/profesor/sessions', {
         dataInceput,
         dataSfarsit,
         limitaStudenti,
+        ...allocation,
       })
       return response.data
     } catch (error) {
@@ -102,9 +99,113 @@ export const profesorService = {
     }
   },
 
+  /**
+   * Get the topics proposed in a session
+   * @param {number} sessionId - Session ID
+   * @returns {Promise<Object>} Response with success status and topics array
+   * @throws {Error} If request fails
+   */
+  getTopics: async (sessionId) => {
+    try {
+      const response = await profesorAPI.get(`/profesor/sessions/${sessionId}/topics`)
+      return response.data
+    } catch (error) {
+      const errorData = error.response?.data
+      throw new Error(errorData?.message || error.message || 'Failed to fetch topics')
+    }
+  },
+
+  /**
+   * Propose a topic in a session
+   * @param {number} sessionId - Session ID
+   * @param {Object} data - Topic data (titlu, descriere, competente, limitaStudenti)
+   * @returns {Promise<Object>} Response with success status and topic data
+   * @throws {Error} If creation fails
+   */
+  createTopic: async (sessionId, data) => {
+    try {
+      const response = await profesorAPI.post(`/profesor/sessions/${sessionId}/topics`, data)
+      return response.data
+    } catch (error) {
+      const errorData = error.response?.data
+      throw new Error(errorData?.message || error.message || 'Failed to create topic')
+    }
+  },
+
+  /**
+   * Update a topic
+   * @param {number} sessionId - Session ID
+   * @param {number} topicId - Topic ID
+   * @param {Object} data - Fields to update (titlu, descriere, competente, limitaStudenti)
+   * @returns {Promise<Object>} Response with success status and updated topic data
+   * @throws {Error} If update fails
+   */
+  updateTopic: async (sessionId, topicId, data) => {
+    try {
+      const response = await profesorAPI.put(`/profesor/sessions/${sessionId}/topics/${topicId}`, data)
+      return response.data
+    } catch (error) {
+      const errorData = error.response?.data
+      throw new Error(errorData?.message || error.message || 'Failed to update topic')
+    }
+  },
+
+  /**
+   * Delete a topic no pending or approved application has chosen
+   * @param {number} sessionId - Session ID
+   * @param {number} topicId - Topic ID
+   * @returns {Promise<Object>} Response with success status
+   * @throws {Error} If deletion fails
+   */
+  deleteTopic: async (sessionId, topicId) => {
+    try {
+      const response = await profesorAPI.delete(`/profesor/sessions/${sessionId}/topics/${topicId}`)
+      return response.data
+    } catch (error) {
+      const errorData = error.response?.data
+      throw new Error(errorData?.message || error.message || 'Failed to delete topic')
+    }
+  },
+
+  /**
+   * Get the pending applicants of a session in ranking order
+   * @param {number} sessionId - Session ID
+   * @returns {Promise<Object>} Response with success status, ranking criterion and applicants array
+   * @throws {Error} If request fails
+   */
+  getRanking: async (sessionId) => {
+    try {
+      const response = await profesorAPI.get(`/profesor/sessions/${sessionId}/ranking`)
+      return response.data
+    } catch (error) {
+      const errorData = error.response?.data
+      throw new Error(errorData?.message || error.message || 'Failed to fetch ranking')
+    }
+  },
+
+  /**
+   * Save the ranking of a session's applicants, best first
+   * Applicants left out of the list are ranked after the listed ones
+   * @param {number} sessionId - Session ID
+   * @param {number[]} applicationIds - Application IDs in ranking order
+   * @returns {Promise<Object>} Response with success status and saved ranking
+   * @throws {Error} If request fails
+   */
+  saveRanking: async (sessionId, applicationIds) => {
+    try {
+      const response = await profesorAPI.put(`/profesor/sessions/${sessionId}/ranking`, {
+        applicationIds,
+      })
+      return response.data
+    } catch (error) {
+      const errorData = error.response?.data
+      throw new Error(errorData?.message || error.message || 'Failed to save ranking')
+    }
+  },
+
   /**
    * Get applications by status
-   * @param {string} [status='pending'] - Filter applications by status (pending, approved, rejected)
+   * @param {string} [status='pending'] - Status filter, a single status or a comma-separated list
    * @returns {Promise<Object>} Response with success status and applications array
    * @throws {Error} If request fails
    */
@@ -133,6 +234,71 @@ export const profesorService = {
     }
   },
 
+  /**
+   * Get the status history of an application
+   * @param {number} applicationId - Application ID
+   * @returns {Promise<Object>} Response with success status and history entries, oldest first
+   * @throws {Error} If request fails
+   */
+  getApplicationHistory: async (applicationId) => {
+    try {
+      const response = await profesorAPI.get(`/profesor/applications/${applicationId}/history`)
+      return response.data
+    } catch (error) {
+      const errorData = error.response?.data
+      throw new Error(errorData?.message || error.message || 'Failed to fetch application history')
+    }
+  },
+
+  /**
+   * Get the message thread of an application
+   * Opening the thread marks it read
+   * @param {number} applicationId - Application ID
+   * @returns {Promise<Object>} Response with success status and messages, oldest first
+   * @throws {Error} If request fails
+   */
+  getApplicationMessages: async (applicationId) => {
+    try {
+      const response = await profesorAPI.get(`/profesor/applications/${applicationId}/messages`)
+      return response.data
+    } catch (error) {
+      const errorData = error.response?.data
+      throw new Error(errorData?.message || error.message || 'Failed to fetch messages')
+    }
+  },
+
+  /**
+   * Post a message to the thread of an application
+   * @param {number} applicationId - Application ID
+   * @param {string} continut - Message text (optional when a file is attached)
+   * @param {File} [file] - Optional PDF attachment
+   * @returns {Promise<Object>} Response with success status and the new message
+   * @throws {Error} If sending fails
+   */
+  sendApplicationMessage: async (applicationId, continut, file) => {
+    try {
+      const formData = new FormData()
+      formData.append('continut', continut)
+      if (file) {
+        formData.append('file', file)
+      }
+
+      const response = await profesorAPI.post(
+        `/profesor/applications/${applicationId}/messages`,
+        formData,
+        {
+          headers: {
+            'Content-Type': 'multipart/form-data',
+          },
+        }
+      )
+      return response.data
+    } catch (error) {
+      const errorData = error.response?.data
+      throw new Error(errorData?.message || error.message || 'Failed to send message')
+    }
+  },
+
   /**
    * Approve an application
    * Changes application status from pending to approved
@@ -153,6 +319,27 @@ export const profesorService = {
     }
   },
 
+  /**
+   * Counter-propose an edited title for a pending application
+   * The student has to accept or decline it before the application can be approved
+   * @param {number} applicationId - Application ID
+   * @param {string} titlu - Counter-proposed title
+   * @returns {Promise<Object>} Response with success status and updated titles
+   * @throws {Error} If request fails
+   */
+  counterProposeTitle: async (applicationId, titlu) => {
+    try {
+      const response = await profesorAPI.patch(
+        `/profesor/applications/${applicationId}/counter-propose`,
+        { titlu }
+      )
+      return response.data
+    } catch (error) {
+      const errorData = error.response?.data
+      throw new Error(errorData?.message || error.message || 'Failed to counter-propose title')
+    }
+  },
+
   /**
    * Reject an application
    * Changes application status from pending to rejected
@@ -174,6 +361,29 @@ export const profesorService = {
     }
   },
 
+  /**
+   * Approve or reject several pending applications at once
+   * Each application is checked like a single decision; failures do not stop the others
+   * @param {number[]} applicationIds - Application IDs, decided in this order
+   * @param {string} action - 'approve' or 'reject'
+   * @param {string} [justificare] - Rejection reason shared by all applications (min 10 characters)
+   * @returns {Promise<Object>} Response with per-application results and a summary
+   * @throws {Error} If the request is invalid or fails
+   */
+  bulkDecideApplications: async (applicationIds, action, justificare) => {
+    try {
+      const response = await profesorAPI.post('/profesor/applications/bulk', {
+        ids: applicationIds,
+        action,
+        justificare,
+      })
+      return response.data
+    } catch (error) {
+      const errorData = error.response?.data
+      throw new Error(errorData?.message || error.message || 'Failed to process applications')
+    }
+  },
+
   /**
    * Download unsigned template for application
    * Generates a downloadable text file for student to sign and return
@@ -208,8 +418,30 @@ export const profesorService = {
   },
 
   /**
-   * Upload response file for an approved application
-   * Professor uploads their response/feedback PDF for student review
+   * Accept or return the signed file uploaded by the student
+   * Returning it sends the application back to the student with the reason
+   * @param {number} applicationId - Application ID
+   * @param {boolean} accept - True to accept the file, false to return it
+   * @param {string} [motiv] - Reason for returning the file (at least 10 characters)
+   * @returns {Promise<Object>} Response with success status and the new application status
+   * @throws {Error} If the review fails
+   */
+  reviewSignedFile: async (applicationId, accept, motiv) => {
+    try {
+      const response = await profesorAPI.patch(
+        `/profesor/applications/${applicationId}/review-signed`,
+        { accept, motiv }
+      )
+      return response.data
+    } catch (error) {
+      const errorData = error.response?.data
+      throw new Error(errorData?.message || error.message || 'Failed to review signed file')
+    }
+  },
+
+  /**
+   * Upload response file for an application whose signed file was accepted
+   * Professor uploads their response/feedback PDF for student review, finalizing the application
    * @param {number} applicationId - Application ID
    * @param {File} file - PDF file to upload
    * @returns {Promise<Object>} Response with success status and updated application data
@@ -238,8 +470,7 @@ export const profesorService = {
 
   /**
    * Reject/unapprove an approved application
-   * Changes application status from approved back to rejected
-   * Clears the signed file when unapproving
+   * Allowed until the signed file is accepted
    * @param {number} applicationId - Application ID
    * @param {string} justificare - Rejection reason
    * @returns {Promise<Object>} Response with success status and updated application data
@@ -275,6 +506,71 @@ export const profesorService = {
       throw new Error(errorData?.message || error.message || 'Failed to fetch enrolled students')
     }
   },
+
+  /**
+   * Invite another professor to co-supervise an approved application
+   * @param {number} applicationId - Application ID
+   * @param {string} email - Email of the invited professor
+   * @returns {Promise<Object>} Response with the co-supervision
+   */
+  inviteCoSupervisor: async (applicationId, email) => {
+    try {
+      const response = await profesorAPI.post(`/profesor/applications/${applicationId}/co-supervisors`, { email })
+      return response.data
+    } catch (error) {
+      const errorData = error.response?.data
+      throw new Error(errorData?.message || error.message || 'Failed to invite co-supervisor')
+    }
+  },
+
+  /**
+   * Withdraw an invitation or remove a co-supervisor
+   * @param {number} applicationId - Application ID
+   * @param {number} profesorId - Co-supervisor's professor ID
+   * @returns {Promise<Object>} Response with success status
+   */
+  removeCoSupervisor: async (applicationId, profesorId) => {
+    try {
+      const response = await profesorAPI.delete(`/profesor/applications/${applicationId}/co-supervisors/${profesorId}`)
+      return response.data
+    } catch (error) {
+      const errorData = error.response?.data
+      throw new Error(errorData?.message || error.message || 'Failed to remove co-supervisor')
+    }
+  },
+
+  /**
+   * Co-supervision invitations addressed to the professor
+   * @param {string} [status] - invited, accepted or declined
+   * @returns {Promise<Object>} Response with the invitations
+   */
+  getCoSupervisions: async (status) => {
+    try {
+      const response = await profesorAPI.get('/profesor/co-supervisions', {
+        params: status ? { status } : {},
+      })
+      return response.data
+    } catch (error) {
+      const errorData = error.response?.data
+      throw new Error(errorData?.message || error.message || 'Failed to fetch co-supervision invitations')
+    }
+  },
+
+  /**
+   * Accept or decline a co-supervision invitation
+   * @param {number} coSupervisionId - Invitation ID
+   * @param {boolean} accept - True to accept
+   * @returns {Promise<Object>} Response with the updated invitation
+   */
+  respondToCoSupervision: async (coSupervisionId, accept) => {
+    try {
+      const response = await profesorAPI.patch(`/profesor/co-supervisions/${coSupervisionId}`, { accept })
+      return response.data
+    } catch (error) {
+      const errorData = error.response?.data
+      throw new Error(errorData?.message || error.message || 'Failed to answer the invitation')
+    }
+  },
 }
 
 export default profesorService
@@ -0,0 +1,142 @@
+import axios from 'axios'
+import { attachAuthInterceptors } from './authService'
+
+const API_BASE_URL = 'http://localhost:3000/api'
+
+const profileAPI = axios.create({
+  baseURL: API_BASE_URL,
+})
+
+// Add token to requests and refresh it transparently on 401
+attachAuthInterceptors(profileAPI)
+
+export const profileService = {
+  /**
+   * Get the profile of the signed-in user
+   * @returns {Promise<Object>} Response with success status and profile data
+   * @throws {Error} If request fails
+   */
+  getProfile: async () => {
+    try {
+      const response = await profileAPI.get('/me/profile')
+      return response.data
+    } catch (error) {
+      const errorData = error.response?.data
+      throw new Error(errorData?.message || error.message || 'Failed to fetch profile')
+    }
+  },
+
+  /**
+   * Update the name of the signed-in user
+   * @param {Object} profileData - Fields to update (nume, prenume)
+   * @returns {Promise<Object>} Response with success status and updated profile
+   * @throws {Error} If update fails
+   */
+  updateProfile: async (profileData) => {
+    try {
+      const response = await profileAPI.patch('/me/profile', profileData)
+      return response.data
+    } catch (error) {
+      const errorData = error.response?.data
+      throw new Error(errorData?.message || error.message || 'Failed to update profile')
+    }
+  },
+
+  /**
+   * Change the password of the signed-in user
+   * @param {string} currentPassword - Current password
+   * @param {string} newPassword - New password
+   * @returns {Promise<Object>} Response with a fresh token pair
+   * @throws {Error} If the change fails
+   */
+  changePassword: async (currentPassword, newPassword) => {
+    try {
+      const response = await profileAPI.post('/me/password', { currentPassword, newPassword })
+      return response.data
+    } catch (error) {
+      const errorData = error.response?.data
+      throw new Error(errorData?.message || error.message || 'Failed to change password')
+    }
+  },
+
+  /**
+   * Request an email change; a confirmation link is sent to the new address
+   * @param {string} newEmail - New email address
+   * @param {string} password - Current password
+   * @returns {Promise<Object>} Response with the pending email
+   * @throws {Error} If the request fails
+   */
+  requestEmailChange: async (newEmail, password) => {
+    try {
+      const response = await profileAPI.post('/me/email', { newEmail, password })
+      return response.data
+    } catch (error) {
+      const errorData = error.response?.data
+      throw new Error(errorData?.message || error.message || 'Failed to request email change')
+    }
+  },
+
+  /**
+   * Get the active device sessions of the signed-in user
+   * @returns {Promise<Object>} Response with success status and sessions array
+   * @throws {Error} If request fails
+   */
+  getSessions: async () => {
+    try {
+      const response = await profileAPI.get('/me/sessions')
+      return response.data
+    } catch (error) {
+      const errorData = error.response?.data
+      throw new Error(errorData?.message || error.message || 'Failed to fetch sessions')
+    }
+  },
+
+  /**
+   * Sign out one device session
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object>} Response with success status
+   * @throws {Error} If revocation fails
+   */
+  revokeSession: async (sessionId) => {
+    try {
+      const response = await profileAPI.delete(`/me/sessions/${sessionId}`)
+      return response.data
+    } catch (error) {
+      const errorData = error.response?.data
+      throw new Error(errorData?.message || error.message || 'Failed to sign out session')
+    }
+  },
+
+  /**
+   * Sign out every session except the current one
+   * @returns {Promise<Object>} Response with the number of revoked sessions
+   * @throws {Error} If revocation fails
+   */
+  revokeOtherSessions: async () => {
+    try {
+      const response = await profileAPI.delete('/me/sessions')
+      return response.data
+    } catch (error) {
+      const errorData = error.response?.data
+      throw new Error(errorData?.message || error.message || 'Failed to sign out other sessions')
+    }
+  },
+
+  /**
+   * Confirm an email change with the token from the confirmation link
+   * @param {string} token - Confirmation token
+   * @returns {Promise<Object>} Response with the new email
+   * @throws {Error} If the link is invalid or expired
+   */
+  confirmEmailChange: async (token) => {
+    try {
+      const response = await profileAPI.get('/auth/confirm-email-change', { params: { token } })
+      return response.data
+    } catch (error) {
+      const errorData = error.response?.data
+      throw new Error(errorData?.message || error.message || 'Failed to confirm email change')
+    }
+  },
+}
+
+export default profileService
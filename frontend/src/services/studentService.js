@@ -1,4 +1,5 @@
 import axios from 'axios'
+import { attachAuthInterceptors } from './authService'
 
 const API_BASE_URL = 'http://localhost:3000/api'
 
@@ -6,14 +7,8 @@ const studentAPI = axios.create({
   baseURL: API_BASE_URL,
 })
 
-// Add token to requests if it exists
-studentAPI.interceptors.request.use((config) => {
-  const token = localStorage.getItem('token')
-  if (token) {
-    config.headers.Authorization = `Bearer ${token}`
-  }
-  return config
-})
+// Add token to requests and refresh it transparently on 401
+attachAuthInterceptors(studentAPI)
 
 export const studentService = {
   /**
@@ -50,14 +45,18 @@ export const studentService = {
    * Submit an application to a session
    * @param {number} sesiuneId - Session ID
    * @param {number} profesorId - Professor ID
+   * @param {number} [temaId] - Chosen topic (a topic or a proposal is required when the session offers topics)
+   * @param {Object} [proposal] - Student's own topic: { titluPropus, rezumat, cuvinteCheie }
    * @returns {Promise<Object>} Response with success status and application data
    * @throws {Error} If submission fails
    */
-  submitApplication: async (sesiuneId, profesorId) => {
+  submitApplication: async (sesiuneId, profesorId, temaId, proposal) => {
     try {
       const response = await studentAPI.post('/student/applications', {
         sesiuneId,
         profesorId,
+        ...(temaId && { temaId }),
+        ...proposal,
       })
       return response.data
     } catch (error) {
@@ -82,6 +81,160 @@ export const studentService = {
     }
   },
 
+  /**
+   * Accept or decline the professor's counter-proposed title
+   * @param {number} applicationId - Application ID
+   * @param {boolean} accept - Whether the counter-proposed title is accepted
+   * @returns {Promise<Object>} Response with success status and updated titles
+   * @throws {Error} If request fails
+   */
+  answerCounterProposal: async (applicationId, accept) => {
+    try {
+      const response = await studentAPI.patch(
+        `/student/applications/${applicationId}/counter-proposal`,
+        { accept }
+      )
+      return response.data
+    } catch (error) {
+      const errorData = error.response?.data
+      throw new Error(errorData?.message || error.message || 'Failed to answer counter-proposal')
+    }
+  },
+
+  /**
+   * Get the status history of an application
+   * @param {number} applicationId - Application ID
+   * @returns {Promise<Object>} Response with success status and history entries, oldest first
+   * @throws {Error} If request fails
+   */
+  getApplicationHistory: async (applicationId) => {
+    try {
+      const response = await studentAPI.get(`/student/applications/${applicationId}/history`)
+      return response.data
+    } catch (error) {
+      const errorData = error.response?.data
+      throw new Error(errorData?.message || error.message || 'Failed to fetch application history')
+    }
+  },
+
+  /**
+   * Get the message thread of an application
+   * Opening the thread marks it read
+   * @param {number} applicationId - Application ID
+   * @returns {Promise<Object>} Response with success status and messages, oldest first
+   * @throws {Error} If request fails
+   */
+  getApplicationMessages: async (applicationId) => {
+    try {
+      const response = await studentAPI.get(`/student/applications/${applicationId}/messages`)
+      return response.data
+    } catch (error) {
+      const errorData = error.response?.data
+      throw new Error(errorData?.message || error.message || 'Failed to fetch messages')
+    }
+  },
+
+  /**
+   * Post a message to the thread of an application
+   * @param {number} applicationId - Application ID
+   * @param {string} continut - Message text (optional when a file is attached)
+   * @param {File} [file] - Optional PDF attachment
+   * @returns {Promise<Object>} Response with success status and the new message
+   * @throws {Error} If sending fails
+   */
+  sendApplicationMessage: async (applicationId, continut, file) => {
+    try {
+      const formData = new FormData()
+      formData.append('continut', continut)
+      if (file) {
+        formData.append('file', file)
+      }
+
+      const response = await studentAPI.post(
+        `/student/applications/${applicationId}/messages`,
+        formData,
+        {
+          headers: {
+            'Content-Type': 'multipart/form-data',
+          },
+        }
+      )
+      return response.data
+    } catch (error) {
+      const errorData = error.response?.data
+      throw new Error(errorData?.message || error.message || 'Failed to send message')
+    }
+  },
+
+  /**
+   * Withdraw an application
+   * Pending and waitlisted applications can always be withdrawn, approved ones until the session ends
+   * @param {number} applicationId - Application ID
+   * @param {string} [motiv] - Optional reason
+   * @returns {Promise<Object>} Response with success status and updated application data
+   * @throws {Error} If withdrawal fails
+   */
+  withdrawApplication: async (applicationId, motiv) => {
+    try {
+      const response = await studentAPI.post(
+        `/student/applications/${applicationId}/withdraw`,
+        motiv ? { motiv } : {}
+      )
+      return response.data
+    } catch (error) {
+      const errorData = error.response?.data
+      throw new Error(errorData?.message || error.message || 'Failed to withdraw application')
+    }
+  },
+
+  /**
+   * Appeal a rejection decided by the professor
+   * @param {number} applicationId - Application ID
+   * @param {string} argumente - Why the decision should change
+   * @returns {Promise<Object>} Response with the application's new status and the appeal
+   * @throws {Error} If the appeal is refused
+   */
+  appealApplication: async (applicationId, argumente) => {
+    try {
+      const response = await studentAPI.post(`/student/applications/${applicationId}/appeal`, { argumente })
+      return response.data
+    } catch (error) {
+      const errorData = error.response?.data
+      throw new Error(errorData?.message || error.message || 'Failed to file appeal')
+    }
+  },
+
+  /**
+   * Get the pending applications of stable-matching sessions in preference order
+   * @returns {Promise<Object>} Response with success status and preferences array
+   * @throws {Error} If request fails
+   */
+  getPreferences: async () => {
+    try {
+      const response = await studentAPI.get('/student/preferences')
+      return response.data
+    } catch (error) {
+      const errorData = error.response?.data
+      throw new Error(errorData?.message || error.message || 'Failed to fetch preferences')
+    }
+  },
+
+  /**
+   * Save the preference order of stable-matching applications, most wanted first
+   * @param {number[]} applicationIds - Every application of getPreferences, in the new order
+   * @returns {Promise<Object>} Response with success status and saved preferences
+   * @throws {Error} If request fails
+   */
+  savePreferences: async (applicationIds) => {
+    try {
+      const response = await studentAPI.put('/student/preferences', { applicationIds })
+      return response.data
+    } catch (error) {
+      const errorData = error.response?.data
+      throw new Error(errorData?.message || error.message || 'Failed to save preferences')
+    }
+  },
+
   /**
    * Upload signed file for an approved application
    * @param {number} applicationId - Application ID
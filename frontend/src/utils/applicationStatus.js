@@ -0,0 +1,46 @@
+/**
+ * Application statuses that hold a place in the session
+ * Mirrors ENROLLED_STATUSES in backend/utils/applicationStateMachine.js
+ */
+export const ENROLLED_STATUSES = ['approved', 'signed_submitted', 'signed_returned', 'signed_accepted', 'finalized']
+
+/**
+ * Chakra UI color scheme per application status
+ */
+export const STATUS_COLORS = {
+  pending: 'orange',
+  waitlisted: 'purple',
+  approved: 'green',
+  signed_submitted: 'blue',
+  signed_returned: 'yellow',
+  signed_accepted: 'teal',
+  finalized: 'green',
+  rejected: 'red',
+  under_appeal: 'pink',
+  withdrawn: 'gray',
+}
+
+/**
+ * Human-readable label per application status
+ */
+export const STATUS_LABELS = {
+  pending: 'Pending',
+  waitlisted: 'Waitlisted',
+  approved: 'Approved',
+  signed_submitted: 'Signed File Submitted',
+  signed_returned: 'Signed File Returned',
+  signed_accepted: 'Signed File Accepted',
+  finalized: 'Finalized',
+  rejected: 'Rejected',
+  under_appeal: 'Under Appeal',
+  withdrawn: 'Withdrawn',
+}
+
+/**
+ * Check whether an application holds a place in its session
+ * @param {string} status - Application status
+ * @returns {boolean} True if enrolled
+ */
+export const isEnrolled = (status) => {
+  return ENROLLED_STATUSES.includes(status)
+}
@@ -68,6 +68,10 @@ export const validateRegisterForm = (data) => {
     errors.role = 'Please select a role'
   }
 
+  if (data.role === 'profesor' && !data.invitationCode?.trim()) {
+    errors.invitationCode = 'An invitation code is required for professor accounts'
+  }
+
   return {
     isValid: Object.keys(errors).length === 0,
     errors,
@@ -95,3 +99,93 @@ export const validateLoginForm = (data) => {
     errors,
   }
 }
+
+/**
+ * Validate forgot password form data
+ * @param {object} data - Form data
+ * @returns {object} Validation result
+ */
+export const validateForgotPasswordForm = (data) => {
+  const errors = {}
+
+  if (!isValidEmail(data.email)) {
+    errors.email = 'Please enter a valid email address'
+  }
+
+  return {
+    isValid: Object.keys(errors).length === 0,
+    errors,
+  }
+}
+
+/**
+ * Validate reset password form data
+ * @param {object} data - Form data
+ * @returns {object} Validation result
+ */
+export const validateResetPasswordForm = (data) => {
+  const errors = {}
+
+  const passwordValidation = validatePassword(data.password)
+  if (!passwordValidation.isValid) {
+    errors.password = passwordValidation.message
+  }
+
+  if (data.password !== data.confirmPassword) {
+    errors.confirmPassword = 'Passwords do not match'
+  }
+
+  return {
+    isValid: Object.keys(errors).length === 0,
+    errors,
+  }
+}
+
+/**
+ * Validate change password form data
+ * @param {object} data - Form data
+ * @returns {object} Validation result
+ */
+export const validateChangePasswordForm = (data) => {
+  const errors = {}
+
+  if (!data.currentPassword) {
+    errors.currentPassword = 'Current password is required'
+  }
+
+  const passwordValidation = validatePassword(data.newPassword)
+  if (!passwordValidation.isValid) {
+    errors.newPassword = passwordValidation.message
+  }
+
+  if (data.newPassword !== data.confirmPassword) {
+    errors.confirmPassword = 'Passwords do not match'
+  }
+
+  return {
+    isValid: Object.keys(errors).length === 0,
+    errors,
+  }
+}
+
+/**
+ * Validate email change form data
+ * @param {object} data - Form data
+ * @returns {object} Validation result
+ */
+export const validateEmailChangeForm = (data) => {
+  const errors = {}
+
+  if (!isValidEmail(data.newEmail)) {
+    errors.newEmail = 'Please enter a valid email address'
+  }
+
+  if (!data.password) {
+    errors.password = 'Current password is required'
+  }
+
+  return {
+    isValid: Object.keys(errors).length === 0,
+    errors,
+  }
+}